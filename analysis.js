@@ -2,8 +2,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
 
-// Configuration - Replace these with your actual values
-const API_KEY = 'xai-LdzL1C7D5rCxkbMuQxX9wt4cdvzdifFMnz4b0awnUCxcyrYqY01dj4BCcqYGAOqyTDai7a7mNk7L5Z0K';  // Replace with your Grok API key
+// Configuration - the Grok API key comes from the environment so it never lands in source control
+const API_KEY = process.env.XAI_API_KEY;
 const API_URL = 'https://api.x.ai';  // Replace with the actual Grok API endpoint
 
 // File types to analyze
@@ -61,6 +61,9 @@ async function analyzeFile(filePath) {
 
 // Main function to run the analysis
 async function main() {
+  if (!API_KEY) {
+    throw new Error('Set the XAI_API_KEY environment variable to your Grok API key.');
+  }
   const dir = process.argv[2] || '.';  // Use specified path or current directory
   console.log(`Analyzing code in ${dir}...`);
   
@@ -6,7 +6,9 @@
  * and handles the main application lifecycle.
  */
 
-/* global MarkdownProcessor, ClaudeAPIService, ChatMessages, ChatHistory, VoiceRecognition, VoiceSynthesis, TypingIndicatorManager, ChatSearchManager, ThemePersistence, ThemeTransition, CharacterManager, ThemeManager, StateManager, logger */
+/* global MarkdownProcessor, NotificationSystem, RetryManager, UsageTracker, UsageDashboard, ContextManager, SessionTitler, ToolRegistry, BuiltinTools, FileUploadManager, KeyVault, MessageTree, MessageVariants, ApiProviderRegistry, ClaudeAPIService, OpenAICompatibleService, ChatMessages, ChatHistory, ChatImportManager, LibraryBackupManager, ChatExportManager, SessionStore, VoiceRecognition, VoiceSynthesis, TypingIndicatorManager, ChatSearchManager, SessionSearchIndex, ThemePersistence, ThemeTransition, CharacterManager, ThemeManager, StateManager, logger */
+
+const DEFAULT_THINKING_BUDGET = 4096; // Tokens a chat may spend on extended thinking when it is first switched on
 
 class App {
     constructor() {
@@ -34,7 +36,21 @@ class App {
         this.themeTransition = null;
         this.characterManager = null;
         this.themeManager = null;
-        this.apiService = null;
+        this.notificationSystem = null;
+        this.retryManager = null;
+        this.keyVault = null;
+        this.usageTracker = null;
+        this.usageDashboard = null;
+        this.contextManager = null;
+        this.sessionTitler = null;
+        this.importManager = null;
+        this.backupManager = null;
+        this.exportManager = null;
+        this.toolRegistry = null;
+        this.fileUploadManager = null;
+        this._attachmentInput = null; // Hidden file input behind the attach button, created on first use
+        this.apiProviders = null;
+        this.apiService = null; // The active provider adapter; swapped when currentApiProvider changes
         this.voiceRecognition = null;
         this.voiceSynthesis = null;
         this.chatHistory = null;
@@ -44,6 +60,9 @@ class App {
         this.audioWorker = null;
         this.typingIndicator = null;
         this.searchManager = null;
+        this.sessionSearchIndex = null;
+        this._pendingStreamRender = null; // Latest partial reply awaiting a render frame
+        this._variantStreams = new Map(); // Assistant message ID being streamed → the variant request it belongs to
 
         this.ui = {}; // To store DOM element references
         this.isInitialized = false;
@@ -84,11 +103,43 @@ class App {
         this.markdownProcessor = new MarkdownProcessor(this.utils); 
         await this.markdownProcessor.init(); 
 
-        if (typeof ClaudeAPIService === 'undefined') { 
-            const msg = "ClaudeAPIService class is undefined! Ensure claude.js is loaded.";
+        if (typeof ApiProviderRegistry === 'undefined' || typeof ClaudeAPIService === 'undefined') { 
+            const msg = "ApiProviderRegistry or ClaudeAPIService class is undefined! Ensure provider.js and claude.js are loaded.";
             logger.error(msg); return Promise.reject(new Error(msg)); 
         }
-        this.apiService = new ClaudeAPIService(this.stateManager, this.utils);
+        if (typeof NotificationSystem !== 'undefined') {
+            this.notificationSystem = new NotificationSystem(this.utils, this.stateManager, this.eventEmitter);
+        } else {
+            logger.warn("NotificationSystem class is undefined. Notifications will fall back to alerts.");
+        }
+        if (typeof RetryManager !== 'undefined') {
+            this.retryManager = new RetryManager(this.utils, this.stateManager, this.eventEmitter);
+        } else {
+            logger.warn("RetryManager class is undefined. Failed API requests will not be retried.");
+        }
+
+        if (typeof KeyVault !== 'undefined') {
+            this.keyVault = new KeyVault();
+            const movedPlaintextKeys = this.stateManager.attachKeyVault(this.keyVault);
+            if (movedPlaintextKeys && this.notificationSystem) {
+                this.notificationSystem.showWarning('Your API keys were saved unencrypted. They are now kept until this tab is closed; set a passphrase under Settings → Key Security to keep them on this device.');
+            }
+        } else {
+            logger.warn("KeyVault class is undefined. API keys will only be kept until the page is reloaded.");
+        }
+
+        this.apiProviders = new ApiProviderRegistry(this.stateManager);
+        this.apiProviders.register(new ClaudeAPIService(this.stateManager, this.utils, this.retryManager, this.notificationSystem));
+        if (typeof OpenAICompatibleService !== 'undefined') {
+            this.apiProviders.register(new OpenAICompatibleService(this.stateManager, this.utils, null, this.notificationSystem));
+        } else {
+            logger.warn("OpenAICompatibleService class is undefined. Only the Claude provider will be available.");
+        }
+        this.apiService = this.apiProviders.getActive();
+        this._populateProviderSelect(this.ui.apiProviderInput, this.apiService.id);
+        this._updateLoginKeyPlaceholder(this.apiService.id);
+        this._renderSessionModelPicker(true);
+        this._renderThinkingControls();
 
         if (typeof ChatMessages === 'undefined') { 
             const msg = "ChatMessages class is undefined! Ensure messages.js is loaded.";
@@ -100,7 +151,54 @@ class App {
             const msg = "ChatHistory class is undefined! Ensure history.js is loaded.";
             logger.error(msg); return Promise.reject(new Error(msg)); 
         }
+        if (typeof SessionStore === 'undefined') {
+            logger.warn("SessionStore class is undefined. Chats will be kept until the page is closed.");
+        }
         this.chatHistory = new ChatHistory(this.ui.chatHistoryContainer, this.utils, this.eventEmitter, this.stateManager);
+        if (typeof ChatImportManager !== 'undefined') {
+            this.importManager = new ChatImportManager(this.utils, this.stateManager, this.notificationSystem);
+        } else {
+            logger.warn("ChatImportManager class is undefined. Chats cannot be imported.");
+        }
+        if (typeof LibraryBackupManager !== 'undefined') {
+            this.backupManager = new LibraryBackupManager(this.utils, this.stateManager, this.notificationSystem);
+        } else {
+            logger.warn("LibraryBackupManager class is undefined. The library cannot be backed up.");
+        }
+        if (typeof ChatExportManager !== 'undefined') {
+            this.exportManager = new ChatExportManager(this.utils, this.stateManager, this.notificationSystem);
+        } else {
+            logger.warn("ChatExportManager class is undefined. Chats cannot be exported.");
+        }
+
+        if (typeof UsageTracker !== 'undefined') {
+            this.usageTracker = new UsageTracker(this.stateManager, this.eventEmitter, this.utils, this.notificationSystem);
+            if (typeof UsageDashboard !== 'undefined' && this.ui.usageDashboardBody) {
+                this.usageDashboard = new UsageDashboard(this.ui.usageDashboardBody, this.usageTracker, this.utils, this.stateManager);
+            }
+        } else {
+            logger.warn("UsageTracker class is undefined. Token usage will not be tracked.");
+        }
+
+        if (typeof FileUploadManager !== 'undefined') {
+            this.fileUploadManager = new FileUploadManager(this.utils, this.stateManager, this.notificationSystem);
+            this.fileUploadManager.onFilesProcessed = (files) => this._addPendingAttachments(files);
+        } else {
+            logger.warn("FileUploadManager class is undefined. Attachments will not be available.");
+            if (this.ui.attachBtn) this.utils.addClass(this.ui.attachBtn, 'hidden');
+        }
+
+        if (typeof ContextManager !== 'undefined') {
+            this.contextManager = new ContextManager(this.stateManager, this.eventEmitter, this.utils);
+        } else {
+            logger.warn("ContextManager class is undefined. Long chats will be sent in full.");
+        }
+
+        if (typeof SessionTitler !== 'undefined') {
+            this.sessionTitler = new SessionTitler(this.stateManager, this.eventEmitter, this.utils);
+        } else {
+            logger.warn("SessionTitler class is undefined. Chats will be named after their first message.");
+        }
 
         if (typeof VoiceRecognition === 'undefined') { 
             const msg = "VoiceRecognition class is undefined! Ensure recognition.js is loaded.";
@@ -133,6 +231,23 @@ class App {
         }
         this.searchManager = new ChatSearchManager(this.utils, this.stateManager, this.eventEmitter);
 
+        if (typeof SessionSearchIndex !== 'undefined' && typeof Worker !== 'undefined') {
+            this.sessionSearchIndex = new SessionSearchIndex(this.eventEmitter, this.chatHistory);
+            this.sessionSearchIndex.start().catch(error => logger.warn("Search index could not be started:", error));
+            this.searchManager.setSessionIndex(this.sessionSearchIndex, (sessionId) => this.chatHistory.loadChatSession(sessionId));
+        } else {
+            logger.warn("SessionSearchIndex class or Web Workers are unavailable. Search will only cover the open chat.");
+        }
+
+        if (typeof ToolRegistry !== 'undefined') {
+            this.toolRegistry = new ToolRegistry(this.eventEmitter);
+            if (typeof BuiltinTools !== 'undefined') new BuiltinTools().register(this.toolRegistry);
+            this.searchManager.registerTools(this.toolRegistry, () => this.chatHistory.getAllSessions());
+            this.apiProviders.providers.forEach(provider => provider.setToolRegistry(this.toolRegistry));
+        } else {
+            logger.warn("ToolRegistry class is undefined. The assistant will not be able to call tools.");
+        }
+
         if (typeof ThemePersistence === 'undefined') { 
             const msg = "ThemePersistence class is undefined! Ensure persistence.js is loaded.";
             logger.error(msg); return Promise.reject(new Error(msg)); 
@@ -228,15 +343,33 @@ class App {
         this.ui.chatContainer = this.utils.$('#chatContainer');
         this.ui.loginForm = this.utils.$('#loginForm');
         this.ui.apiKeyInput = this.utils.$('#apiKeyInput');
+        this.ui.apiProviderInput = this.utils.$('#apiProviderInput');
         this.ui.loginButton = this.utils.$('#loginButton');
         this.ui.loginErrorMessage = this.utils.$('#loginErrorMessage');
+        this.ui.keyStorageGroup = this.utils.$('#keyStorageGroup');
+        this.ui.loginPassphraseGroup = this.utils.$('#loginPassphraseGroup');
+        this.ui.unlockForm = this.utils.$('#unlockForm');
+        this.ui.unlockPassphraseInput = this.utils.$('#unlockPassphraseInput');
+        this.ui.unlockErrorMessage = this.utils.$('#unlockErrorMessage');
+        this.ui.forgetKeysBtn = this.utils.$('#forgetKeysBtn');
         this.ui.sidebar = this.utils.$('#appSidebar'); 
         this.ui.chatHeader = this.utils.$('.chat-header', this.ui.chatContainer); 
+        this.ui.sessionModelSelect = this.utils.$('#sessionModelSelect', this.ui.chatHeader);
+        this.ui.rerunBtn = this.utils.$('#rerunSessionBtn', this.ui.chatHeader);
+        this.ui.thinkingControls = this.utils.$('#thinkingControls', this.ui.chatHeader);
+        this.ui.thinkingToggleBtn = this.utils.$('#thinkingToggleBtn', this.ui.chatHeader);
+        this.ui.thinkingBudgetInput = this.utils.$('#thinkingBudgetInput', this.ui.chatHeader);
         this.ui.chatInputForm = this.utils.$('#chatInputForm');
         this.ui.chatInput = this.utils.$('#chatInput');
         this.ui.sendBtn = this.utils.$('#sendBtn');
+        this.ui.stopBtn = this.utils.$('#stopBtn');
         this.ui.micBtn = this.utils.$('#micBtn');
+        this.ui.attachBtn = this.utils.$('#attachBtn');
+        this.ui.attachmentTray = this.utils.$('#attachmentTray');
+        this.ui.editBanner = this.utils.$('#editBanner');
+        this.ui.cancelEditBtn = this.utils.$('#cancelEditBtn');
         this.ui.searchBtn = this.utils.$('#searchBtn');
+        this.ui.exportChatBtn = this.utils.$('#exportChatBtn', this.ui.chatHeader);
         this.ui.chatMessagesContainer = this.utils.$('.messages-container .messages-inner', this.ui.chatContainer);
         this.ui.chatHistoryContainer = this.utils.$('.sidebar-content .chat-history-list', this.ui.sidebar);
         
@@ -253,8 +386,12 @@ class App {
         const sidebarFooter = this.utils.$('.sidebar-footer', this.ui.sidebar);
         if(sidebarFooter) {
             this.ui.settingsBtn = this.utils.$('#settingsBtn', sidebarFooter);
+            this.ui.usageBtn = this.utils.$('#usageBtn', sidebarFooter);
+            this.ui.lockKeysBtn = this.utils.$('#lockKeysBtn', sidebarFooter);
         } else {
             this.ui.settingsBtn = this.utils.$('#settingsBtn');
+            this.ui.usageBtn = this.utils.$('#usageBtn');
+            this.ui.lockKeysBtn = this.utils.$('#lockKeysBtn');
         }
 
         this.ui.settingsModal = this.utils.$('#appSettingsModal');
@@ -262,14 +399,25 @@ class App {
             this.ui.settingsForm = this.utils.$('#settingsForm', this.ui.settingsModal); 
             this.ui.closeSettingsModalBtn = this.utils.$('.modal-close', this.ui.settingsModal); // More specific selector
         }
+        this.ui.usageModal = this.utils.$('#usageDashboardModal');
+        this.ui.usageDashboardBody = this.utils.$('#usageDashboardBody', this.ui.usageModal || document);
         if(this.ui.chatContainer) { // Ensure chatContainer is found before querying within it
             this.ui.emptyStateContainer = this.utils.$('.empty-state-container', this.ui.chatContainer);
         }
     }
 
     _registerEventListeners() {
+        if (this.ui.unlockForm) this.ui.unlockForm.addEventListener('submit', this._handleUnlockSubmit.bind(this));
+        if (this.ui.forgetKeysBtn) this.ui.forgetKeysBtn.addEventListener('click', this._handleForgetKeys.bind(this));
+        if (this.ui.lockKeysBtn) this.ui.lockKeysBtn.addEventListener('click', this._handleLockKeys.bind(this));
+        if (this.ui.keyStorageGroup) {
+            this.ui.keyStorageGroup.addEventListener('change', () => this._renderKeyStorageControls());
+        }
         if (this.ui.loginForm) {
             this.ui.loginForm.addEventListener('submit', this._handleLoginSubmit.bind(this));
+            if(this.ui.apiProviderInput) {
+                this.ui.apiProviderInput.addEventListener('change', (e) => this._updateLoginKeyPlaceholder(e.target.value));
+            }
         } else if (this.ui.loginButton) { // Fallback if only button exists (e.g. if form tag was missed)
             this.ui.loginButton.addEventListener('click', (e) => {
                  e.preventDefault(); // Prevent default if it's a button that might be in a form
@@ -280,6 +428,19 @@ class App {
         if(this.ui.chatInputForm) this.ui.chatInputForm.addEventListener('submit', this._handleSendMessage.bind(this));
         if(this.ui.chatInput) this.ui.chatInput.addEventListener('keydown', this._handleInputKeyDown.bind(this));
         if(this.ui.sendBtn) this.ui.sendBtn.addEventListener('click', this._handleSendMessage.bind(this));
+        if(this.ui.stopBtn) this.ui.stopBtn.addEventListener('click', this._handleStopGeneration.bind(this));
+        if(this.ui.attachBtn) this.ui.attachBtn.addEventListener('click', this._openAttachmentPicker.bind(this));
+        if(this.ui.cancelEditBtn) this.ui.cancelEditBtn.addEventListener('click', this._handleCancelEdit.bind(this));
+        if(this.ui.sessionModelSelect) {
+            this.ui.sessionModelSelect.addEventListener('change', (e) => this._handleSessionModelChange(e.target.value));
+        }
+        if(this.ui.rerunBtn) this.ui.rerunBtn.addEventListener('click', this._handleRerunSession.bind(this));
+        if(this.ui.thinkingToggleBtn) {
+            this.ui.thinkingToggleBtn.addEventListener('click', () => this._handleSessionThinkingChange({ thinking: !this._getSessionThinking().thinking }));
+        }
+        if(this.ui.thinkingBudgetInput) {
+            this.ui.thinkingBudgetInput.addEventListener('change', (e) => this._handleSessionThinkingChange({ thinkingBudget: parseInt(e.target.value, 10) }));
+        }
         
         if(this.ui.micBtn && this.voiceRecognition && this.voiceRecognition.isSupported()) {
             this.ui.micBtn.addEventListener('click', () => this.voiceRecognition.toggleListening());
@@ -296,6 +457,11 @@ class App {
             }
         });
 
+        if (this.ui.exportChatBtn) {
+            this.utils.toggleClass(this.ui.exportChatBtn, 'hidden', !this.exportManager);
+            this.ui.exportChatBtn.addEventListener('click', this._handleExportChat.bind(this));
+        }
+
         if (this.ui.settingsBtn) {
             this.ui.settingsBtn.addEventListener('click', () => this.stateManager.setModalOpen('isSettingsModalOpen', true));
         }
@@ -319,11 +485,56 @@ class App {
         }
 
 
+        if (this.ui.usageBtn) {
+            this.ui.usageBtn.addEventListener('click', () => this.stateManager.setModalOpen('isUsageModalOpen', true));
+        }
+        if (this.ui.usageModal) {
+            this.ui.usageModal.addEventListener('click', (event) => {
+                if (event.target === this.ui.usageModal) this.stateManager.setModalOpen('isUsageModalOpen', false);
+            });
+            const closeUsageModalBtn = this.utils.$('#closeUsageModalBtn', this.ui.usageModal);
+            if (closeUsageModalBtn) {
+                closeUsageModalBtn.addEventListener('click', () => this.stateManager.setModalOpen('isUsageModalOpen', false));
+            }
+            const clearUsageBtn = this.utils.$('#clearUsageBtn', this.ui.usageModal);
+            if (clearUsageBtn) clearUsageBtn.addEventListener('click', this._handleClearUsage.bind(this));
+        }
+
         if (this.ui.settingsForm) {
             this.ui.settingsForm.addEventListener('submit', this._handleSettingsSave.bind(this));
             this.utils.$$('input, select', this.ui.settingsForm).forEach(input => {
                 input.addEventListener('change', this._handlePreferenceChange.bind(this));
             });
+            const changePassphraseBtn = this.utils.$('#changePassphraseBtn', this.ui.settingsForm);
+            if (changePassphraseBtn) changePassphraseBtn.addEventListener('click', this._handleChangePassphrase.bind(this));
+            const importChatsBtn = this.utils.$('#importChatsBtn', this.ui.settingsForm);
+            const importChatsInput = this.utils.$('#importChatsInput', this.ui.settingsForm);
+            if (importChatsBtn && importChatsInput) {
+                this.utils.toggleClass(importChatsBtn, 'hidden', !this.importManager);
+                importChatsBtn.addEventListener('click', () => importChatsInput.click());
+                importChatsInput.addEventListener('change', () => {
+                    const [file] = importChatsInput.files;
+                    importChatsInput.value = ''; // Choosing the same file again imports it again
+                    this._handleImportFile(file);
+                });
+            }
+            const backupLibraryBtn = this.utils.$('#backupLibraryBtn', this.ui.settingsForm);
+            const restoreLibraryBtn = this.utils.$('#restoreLibraryBtn', this.ui.settingsForm);
+            const restoreLibraryInput = this.utils.$('#restoreLibraryInput', this.ui.settingsForm);
+            const canBackUp = !!(this.backupManager && this.backupManager.isSupported());
+            if (backupLibraryBtn) {
+                this.utils.toggleClass(backupLibraryBtn, 'hidden', !canBackUp);
+                backupLibraryBtn.addEventListener('click', this._handleBackupLibrary.bind(this));
+            }
+            if (restoreLibraryBtn && restoreLibraryInput) {
+                this.utils.toggleClass(restoreLibraryBtn, 'hidden', !canBackUp);
+                restoreLibraryBtn.addEventListener('click', () => restoreLibraryInput.click());
+                restoreLibraryInput.addEventListener('change', () => {
+                    const [file] = restoreLibraryInput.files;
+                    restoreLibraryInput.value = '';
+                    this._handleRestoreFile(file);
+                });
+            }
         }
 
         if (this.ui.sidebarToggleBtn) {
@@ -356,13 +567,20 @@ class App {
         });
         // Listener for when chat history loads a session, to update main chat title
         this.eventEmitter.on('chatSessionLoaded', ({ sessionId }) => {
-            const sessions = this.chatHistory ? this.chatHistory._getStoredSessions() : []; // Access internal method carefully or add public getter
-            const loadedSession = sessions.find(s => s.id === sessionId);
+            const loadedSession = this.chatHistory ? this.chatHistory.getSessionSummary(sessionId) : null;
             if(this.ui.chatHeader) {
                 const chatTitleEl = this.utils.$('.chat-title', this.ui.chatHeader);
                 if(chatTitleEl) chatTitleEl.textContent = loadedSession ? (this.utils.truncate(loadedSession.title, 30) || 'Chat') : 'Chat';
             }
         });
+        this.eventEmitter.on('chatSessionRenamed', ({ sessionId, title }) => {
+            if (sessionId !== this.stateManager.get('activeSessionId') || !this.ui.chatHeader) return;
+            const chatTitleEl = this.utils.$('.chat-title', this.ui.chatHeader);
+            if (chatTitleEl) chatTitleEl.textContent = this.utils.truncate(title, 30) || 'Chat';
+        });
+        this.eventEmitter.on('sessionTitleRequested', ({ sessionId }) => this._regenerateSessionTitle(sessionId));
+        this.eventEmitter.on('typing:cancelRequested', () => this._handleStopGeneration());
+        this.eventEmitter.on('chat:exportRequested', () => this._handleExportChat());
         this.eventEmitter.on('newChatStarted', () => {
             if(this.ui.chatHeader) {
                  const chatTitleEl = this.utils.$('.chat-title', this.ui.chatHeader);
@@ -384,16 +602,20 @@ class App {
                 themeSelectSetting.value = newValue;
             }
         });
-        this.stateManager.subscribe('change:chatHistory', ({ newValue, oldValue }) => {
+        this.stateManager.subscribe('change:chatHistory', ({ newValue }) => {
             if(this.chatMessages) this.chatMessages.renderHistory(newValue); 
             this._toggleEmptyState(newValue.length === 0);
-            // Update session in history list on new messages or clear
-            if ( (newValue.length > (oldValue ? oldValue.length : 0)) || // Message added
-                 (newValue.length > 0 && (!oldValue || oldValue.length === 0)) || // History populated from empty
-                 (newValue.length === 0 && oldValue && oldValue.length > 0) ) { // History cleared
-                if(this.chatHistory) this.chatHistory.addOrUpdateCurrentSession(); 
-            }
+            this._updateRerunButton();
+            if (this.ui.exportChatBtn) this.ui.exportChatBtn.disabled = newValue.length === 0;
+            // Save the session on every change, including switching to a shorter branch; an empty chat is not saved
+            if(this.chatHistory) this.chatHistory.addOrUpdateCurrentSession(); 
         });
+        this.stateManager.subscribe('change:editingMessageId', () => this._renderEditBanner());
+        this.stateManager.subscribe('messageEditRequested', (message) => this._handleEditRequested(message));
+        this.stateManager.subscribe('messageRetryRequested', (message) => this._handleRegenerate(message));
+        this.stateManager.subscribe('messageBranchSelected', ({ messageId }) => this._handleSelectBranch(messageId));
+        this.stateManager.subscribe('messageRegenerateRequested', (request) => this._handleRegenerateVariant(request));
+        this.stateManager.subscribe('messageVariantSelected', (selection) => this._handleSelectVariant(selection));
         this.stateManager.subscribe('change:isSidebarOpen', ({ newValue }) => {
             if(this.ui.sidebar) {
                 this.ui.sidebar.classList.toggle('open', newValue);
@@ -401,6 +623,7 @@ class App {
             }
             if(this.ui.appContainer) this.ui.appContainer.classList.toggle('sidebar-collapsed', !newValue);
         });
+        this.stateManager.subscribe('change:keyVaultLocked', () => this._renderKeyStorageControls());
         this.stateManager.subscribe('change:isLoginModalOpen', ({ newValue }) => {
             // This state now more accurately reflects if the login *view* should be shown
             if (newValue) this._showLoginView(); else this._showChatView();
@@ -409,6 +632,10 @@ class App {
             this._toggleModal(this.ui.settingsModal, newValue);
              if (newValue && this.ui.settingsForm) this._populateSettingsForm();
         });
+        this.stateManager.subscribe('change:isUsageModalOpen', ({ newValue }) => {
+            if (newValue && this.usageDashboard) this.usageDashboard.render();
+            this._toggleModal(this.ui.usageModal, newValue);
+        });
         this.stateManager.subscribe('change:isMicListening', ({newValue}) => {
             if(this.ui.micBtn) {
                 this.ui.micBtn.classList.toggle('active', newValue); 
@@ -427,6 +654,29 @@ class App {
                 }
             }
         });
+        this.stateManager.subscribe('change:currentApiProvider', ({ newValue }) => {
+            const provider = this.apiProviders && this.apiProviders.get(newValue);
+            if (!provider || provider === this.apiService) return;
+            // A reply still streaming from the old provider is stopped rather than left orphaned
+            if (this.apiService) this.apiService.cancelAllRequests();
+            this.apiService = provider;
+            if(this.ui.apiProviderInput) this.ui.apiProviderInput.value = provider.id;
+            this._updateLoginKeyPlaceholder(provider.id);
+            this._renderSessionModelPicker(true);
+            this._renderThinkingControls();
+            logger.app(`API provider switched to ${provider.name}.`);
+        });
+        this.stateManager.subscribe('change:sessionModelSettings', () => {
+            this._renderSessionModelPicker();
+            this._renderThinkingControls();
+        });
+        this.stateManager.subscribe('change:activeRequestId', ({ newValue }) => {
+            // The stop control takes the send button's place while a request is in flight
+            if(this.ui.sendBtn) this.utils.toggleClass(this.ui.sendBtn, 'hidden', !!newValue);
+            if(this.ui.stopBtn) this.utils.toggleClass(this.ui.stopBtn, 'hidden', !newValue);
+            this._updateRerunButton();
+        });
+        this.stateManager.subscribe('change:pendingAttachments', () => this._renderAttachmentTray());
         this.stateManager.subscribe('change:userInput', ({newValue}) => {
             if(this.ui.chatInput && this.ui.chatInput.value !== newValue) { // Avoid feedback loop if programmatically set
                 this.ui.chatInput.value = newValue;
@@ -437,8 +687,7 @@ class App {
         });
          this.stateManager.subscribe('change:activeSessionId', ({ newValue }) => {
             if (this.chatHistory) this.chatHistory.renderHistoryList(); // Re-render to update active state styling
-            const sessions = this.chatHistory ? this.chatHistory._getStoredSessions() : [];
-            const loadedSession = sessions.find(s => s.id === newValue);
+            const loadedSession = this.chatHistory && newValue ? this.chatHistory.getSessionSummary(newValue) : null;
             if(this.ui.chatHeader) {
                 const chatTitleEl = this.utils.$('.chat-title', this.ui.chatHeader);
                 if(chatTitleEl) chatTitleEl.textContent = loadedSession ? (this.utils.truncate(loadedSession.title, 30) || 'Chat') : 'New Chat';
@@ -467,27 +716,153 @@ class App {
         }
     }
 
-    _handleLoginSubmit(event) {
+    /**
+     * Signs in with a key, first saving it the way the user chose: until the tab is closed,
+     * or encrypted in a new vault under a passphrase. With an unlocked vault the key is simply added to it.
+     * @param {Event} [event]
+     * @returns {Promise<void>}
+     */
+    async _handleLoginSubmit(event) {
         if(event) event.preventDefault();
         if(!this.ui.apiKeyInput) { logger.error("API Key input not found"); return; }
         const apiKey = this.ui.apiKeyInput.value.trim();
+        const providerId = this.ui.apiProviderInput ? this.ui.apiProviderInput.value : this.stateManager.get('currentApiProvider');
+        const provider = this.apiProviders ? this.apiProviders.get(providerId) : this.apiService;
+
+        if (!provider || !provider.validateKey(apiKey)) {
+            this._showLoginError('Invalid API Key format or value.');
+            return;
+        }
+
+        if (this.keyVault && !this.keyVault.hasVault()) {
+            const keys = { ...this.stateManager.get('apiKeys'), [provider.id]: apiKey };
+            if (this._getLoginKeyStorage() === 'vault') {
+                const passphrase = this.utils.$('#loginPassphraseInput').value;
+                if (passphrase !== this.utils.$('#loginPassphraseConfirm').value) {
+                    this._showLoginError('The passphrases do not match.');
+                    return;
+                }
+                try {
+                    await this.keyVault.create(passphrase, keys);
+                } catch (error) {
+                    this._showLoginError(error.message);
+                    return;
+                }
+            } else {
+                this.keyVault.rememberForSession(keys);
+            }
+        }
 
-        if (this.apiService && this.apiService.validateApiKey(apiKey)) {
-            this.stateManager.setApiKey(apiKey); // This will trigger view change via state subscription
-            if(this.ui.loginErrorMessage) this.ui.loginErrorMessage.textContent = '';
+        if (provider.id !== this.stateManager.get('currentApiProvider')) {
+            this.stateManager.setApiProvider(provider.id);
+        }
+        this.stateManager.setApiKey(apiKey); // This will trigger view change via state subscription
+        if(this.ui.loginErrorMessage) this.ui.loginErrorMessage.textContent = '';
+        ['#apiKeyInput', '#loginPassphraseInput', '#loginPassphraseConfirm'].forEach(selector => {
+            const input = this.utils.$(selector);
+            if (input) input.value = '';
+        });
+        this._renderKeyStorageControls();
+        if (this.soundEffects) this.soundEffects.playSoundEffect('loginSuccess');
+    }
+
+    /**
+     * @param {string} message - Shown under the login form, which shakes.
+     * @private
+     */
+    _showLoginError(message) {
+        if(this.ui.loginErrorMessage) this.ui.loginErrorMessage.textContent = message;
+        if (this.soundEffects) this.soundEffects.playSoundEffect('error');
+        if(this.ui.loginForm && this.utils && typeof this.utils.shake === 'function') this.utils.shake(this.ui.loginForm);
+    }
+
+    /**
+     * @returns {string} 'vault' or 'session', as picked on the login form.
+     * @private
+     */
+    _getLoginKeyStorage() {
+        const checked = this.ui.keyStorageGroup && this.ui.keyStorageGroup.querySelector('input[name="keyStorage"]:checked');
+        return checked ? checked.value : 'session';
+    }
+
+    /**
+     * Decrypts the saved keys with the passphrase entered on the unlock screen.
+     * @param {Event} [event]
+     * @returns {Promise<void>}
+     */
+    async _handleUnlockSubmit(event) {
+        if(event) event.preventDefault();
+        if (!this.keyVault || !this.ui.unlockPassphraseInput) return;
+        try {
+            const keys = await this.keyVault.unlock(this.ui.unlockPassphraseInput.value);
+            this.ui.unlockPassphraseInput.value = '';
+            if(this.ui.unlockErrorMessage) this.ui.unlockErrorMessage.textContent = '';
+            this.stateManager.replaceApiKeys(keys); // Shows the chat if the active provider has a key
+            this._renderKeyStorageControls();
             if (this.soundEffects) this.soundEffects.playSoundEffect('loginSuccess');
-        } else {
-            if(this.ui.loginErrorMessage) this.ui.loginErrorMessage.textContent = 'Invalid API Key format or value.';
+        } catch (error) {
+            if(this.ui.unlockErrorMessage) this.ui.unlockErrorMessage.textContent = error.message;
             if (this.soundEffects) this.soundEffects.playSoundEffect('error');
-            if(this.ui.loginForm && this.utils && typeof this.utils.shake === 'function') this.utils.shake(this.ui.loginForm);
+            if(this.ui.unlockForm && typeof this.utils.shake === 'function') this.utils.shake(this.ui.unlockForm);
+        }
+    }
+
+    /**
+     * Deletes the saved keys for someone who forgot the passphrase; they sign in with a key again.
+     */
+    _handleForgetKeys() {
+        if (!this.keyVault) return;
+        if (typeof confirm === 'function' && !confirm('Delete the API keys saved on this device? You will need to enter a key again.')) return;
+        this.keyVault.forget();
+        this.stateManager.replaceApiKeys({});
+        this._renderKeyStorageControls();
+    }
+
+    /**
+     * Locks the vault: the keys are dropped from memory until the passphrase is entered again.
+     */
+    _handleLockKeys() {
+        if (!this.keyVault || !this.keyVault.hasVault()) return;
+        if (this.apiService) this.apiService.cancelAllRequests(); // A reply in flight would keep using the key
+        this.keyVault.lock();
+        this.stateManager.replaceApiKeys({});
+        this._renderKeyStorageControls();
+        if (this.soundEffects) this.soundEffects.playSoundEffect('uiClick');
+    }
+
+    /**
+     * Shows the unlock screen instead of the key form while the vault is locked, the passphrase
+     * fields when the user chose to encrypt the key, and the lock button while a vault is unlocked.
+     * @private
+     */
+    _renderKeyStorageControls() {
+        const vault = this.keyVault;
+        const locked = !!vault && vault.isLocked();
+        if (this.ui.unlockForm) this.utils.toggleClass(this.ui.unlockForm, 'hidden', !locked);
+        if (this.ui.loginForm) this.utils.toggleClass(this.ui.loginForm, 'hidden', locked);
+        if (this.ui.keyStorageGroup) {
+            // An unlocked vault keeps every key, so there is nothing to choose
+            this.utils.toggleClass(this.ui.keyStorageGroup, 'hidden', !vault || vault.hasVault());
+            const vaultOption = this.ui.keyStorageGroup.querySelector('input[value="vault"]');
+            if (vaultOption) vaultOption.disabled = !!vault && !vault.isSupported();
         }
+        if (this.ui.loginPassphraseGroup) {
+            const choosingPassphrase = !!vault && !vault.hasVault() && this._getLoginKeyStorage() === 'vault';
+            this.utils.toggleClass(this.ui.loginPassphraseGroup, 'hidden', !choosingPassphrase);
+        }
+        if (this.ui.lockKeysBtn) this.utils.toggleClass(this.ui.lockKeysBtn, 'hidden', !vault || !vault.hasVault() || locked);
     }
 
     _showLoginView() {
         if(this.ui.chatContainer) this.utils.addClass(this.ui.chatContainer, 'hidden');
         if(this.ui.loginContainer) this.utils.removeClass(this.ui.loginContainer, 'hidden');
         this.stateManager.set('currentView', 'login', true); // Silent update for internal view tracking
-        if(this.ui.apiKeyInput) this.ui.apiKeyInput.focus();
+        this._renderKeyStorageControls();
+        if (this.keyVault && this.keyVault.isLocked()) {
+            if(this.ui.unlockPassphraseInput) this.ui.unlockPassphraseInput.focus();
+        } else if(this.ui.apiKeyInput) {
+            this.ui.apiKeyInput.focus();
+        }
     }
 
     _showChatView() {
@@ -503,26 +878,47 @@ class App {
         }
     }
 
+    /**
+     * Sends the composed message and attachments, then requests the assistant's reply.
+     * @param {Event} [event] - The form's submit event.
+     * @returns {Promise<void>|undefined} The reply request (see _requestAssistantReply), if a message was sent.
+     * @private
+     */
     _handleSendMessage(event) {
         if (event) event.preventDefault();
+        if (this.stateManager.get('activeRequestId')) return; // One request at a time; the stop button is showing
         const messageText = this.stateManager.get('userInput').trim();
-        if (!messageText) return;
+        const attachments = this.stateManager.get('pendingAttachments') || [];
+        if (!messageText && attachments.length === 0) return;
 
         if (this.soundEffects) this.soundEffects.playSoundEffect('messageSent');
 
+        // An edited message replaces the original on the path; the original and its replies become a branch
+        const editingMessageId = this.stateManager.get('editingMessageId');
+        if (editingMessageId) {
+            const editIndex = this.stateManager.get('chatHistory').findIndex(message => message.id === editingMessageId);
+            if (editIndex > -1) this._setChatPath(this._getMessageTree().branchAt(editIndex));
+            this.stateManager.set('editingMessageId', null);
+        }
+
         const userMessage = {
             id: `msg-user-${this.utils.generateId('')}`, 
             role: 'user',
             content: messageText,
             timestamp: Date.now()
         };
+        if (attachments.length) userMessage.attachments = attachments;
         
+        // Prior turns only; the service appends messageText itself
+        const historyForApi = this.utils.deepClone(this.stateManager.get('chatHistory'));
+
         // Emit message sending event for typing indicator
         this.eventEmitter.emit('message:sending', { messageId: userMessage.id, content: messageText });
         
         this.stateManager.addMessageToHistory(userMessage); // This triggers chatHistory save and UI update
 
         this.stateManager.set('userInput', ''); // Clear state
+        this.stateManager.set('pendingAttachments', []);
         if(this.ui.chatInput) {
             this.ui.chatInput.value = ''; // Clear UI
             this.ui.chatInput.style.height = 'auto'; // Reset height
@@ -538,21 +934,633 @@ class App {
             estimatedDuration: 5000 
         });
 
+        return this._requestAssistantReply(messageText, historyForApi, userMessage.id, attachments);
+    }
+
+    /**
+     * Sends a user message to the active provider and streams the reply into the chat,
+     * using the model settings pinned to this chat session, if any. If the history has
+     * outgrown the model's context window it is compacted first (see ContextManager).
+     * @param {string} messageText - The user message to answer.
+     * @param {Array<Object>} historyForApi - The turns that precede it.
+     * @param {string} userMessageId - ID of the user message being answered.
+     * @param {Array<Object>} [attachments=[]] - Images and PDFs sent with the user message.
+     * @param {Object|null} [variant=null] - To add the reply as a variant of an existing reply instead:
+     * { messageId, character?, temperature? } (see _handleRegenerateVariant).
+     * @returns {Promise<void>} Settles once the reply, error or cancellation has been added to the chat.
+     * @private
+     */
+    _requestAssistantReply(messageText, historyForApi, userMessageId, attachments = [], variant = null) {
+        const apiService = this.apiService;
+        if (!apiService) {
+            this._handleApiError({message: "API Service not available.", messageId: userMessageId});
+            return Promise.resolve();
+        }
+
+        // The reply is rendered under this ID while streaming and committed under it once complete.
+        const assistantMessageId = `msg-assistant-${this.utils.generateId('')}`;
+        const requestId = `req-${this.utils.generateId('')}`;
+        const overrides = this._getSessionModelOverrides();
+        if (variant && typeof variant.temperature === 'number') overrides.temperature = variant.temperature;
+        const modelSettings = apiService.resolveRequestSettings(overrides);
+        const characterOption = variant && variant.character !== undefined ? { character: variant.character } : {};
+        if (variant) this._variantStreams.set(assistantMessageId, variant);
+        this.stateManager.set('activeRequestId', requestId);
+
+        const preparedHistory = this.contextManager ?
+            this.contextManager.fitHistory(apiService, historyForApi, messageText, modelSettings, requestId, attachments) :
+            Promise.resolve(historyForApi);
+
+        return preparedHistory
+            .then(history => apiService.sendMessage(messageText, history, {
+                ...modelSettings,
+                ...characterOption,
+                requestId,
+                attachments,
+                streaming: true,
+                onChunk: (delta, fullText) => this._handleStreamChunk(assistantMessageId, delta, fullText),
+                onThinking: (delta, fullReasoning) => this._scheduleStreamRender(assistantMessageId, { reasoning: fullReasoning }),
+                onToolCall: (toolCall, toolCalls) => this._handleToolCall(assistantMessageId, toolCall, toolCalls)
+            }))
+            .then(response => this._processAssistantResponse(response, userMessageId, assistantMessageId, variant))
+            .catch(error => {
+                if (error && error.type === 'abort_error') {
+                    this._handleRequestCancelled(error, userMessageId, assistantMessageId, modelSettings.model, variant);
+                } else {
+                    this._handleApiError(error, userMessageId, !variant); // A failed variant leaves the chat as it was
+                }
+            })
+            .finally(() => {
+                this._variantStreams.delete(assistantMessageId);
+                if (this.stateManager.get('activeRequestId') === requestId) {
+                    this.stateManager.set('activeRequestId', null);
+                }
+            });
+    }
+
+    /**
+     * Opens the file picker for images and PDFs to send with the next message.
+     * @private
+     */
+    _openAttachmentPicker() {
+        if (!this.fileUploadManager) return;
+        if (!this._attachmentInput) {
+            const { images } = this.fileUploadManager.config.allowedTypes;
+            this._attachmentInput = this.fileUploadManager.createFileInput({
+                allowedTypes: { images, documents: ['application/pdf'] }
+            });
+            this._attachmentInput.hidden = true;
+            // Cleared after each pick so choosing the same file again still fires 'change'
+            this._attachmentInput.addEventListener('change', (e) => { e.target.value = ''; });
+            (this.ui.chatInputForm || document.body).appendChild(this._attachmentInput);
+        }
+        this._attachmentInput.click();
+    }
+
+    /**
+     * Queues uploaded or dropped files for the next message. Only images and PDFs can be sent to the model.
+     * @param {Array<Object>} files - Processed files from FileUploadManager.handleFiles.
+     * @private
+     */
+    _addPendingAttachments(files) {
+        const pending = [...(this.stateManager.get('pendingAttachments') || [])];
+        const maxFiles = this.fileUploadManager.config.maxFiles;
+        const skipped = [];
+        files.forEach(file => {
+            const attachment = this.fileUploadManager.createAttachment(file);
+            if (!attachment) {
+                skipped.push(file.metadata && file.metadata.uploadError ? file.metadata.uploadError : `${file.name} can't be sent to the model; only images and PDFs can.`);
+            } else if (pending.length >= maxFiles) {
+                skipped.push(`Up to ${maxFiles} attachments can be sent with one message.`);
+            } else if (!pending.some(existing => existing.id === attachment.id)) {
+                pending.push(attachment);
+            }
+        });
+        [...new Set(skipped)].forEach(message => {
+            if (this.notificationSystem) this.notificationSystem.showWarning(message);
+            else logger.warn(message);
+        });
+        this.stateManager.set('pendingAttachments', pending);
+        if (this.ui.chatInput) this.ui.chatInput.focus();
+    }
+
+    /**
+     * Shows the queued attachments above the message input, each with a remove button.
+     * @private
+     */
+    _renderAttachmentTray() {
+        const tray = this.ui.attachmentTray;
+        if (!tray) return;
+        const pending = this.stateManager.get('pendingAttachments') || [];
+        tray.innerHTML = '';
+        this.utils.toggleClass(tray, 'hidden', pending.length === 0);
+        pending.forEach(attachment => {
+            const removeBtn = this.utils.createElement('button', {
+                type: 'button',
+                className: 'attachment-chip-remove',
+                'aria-label': `Remove ${attachment.name}`,
+                title: 'Remove',
+                onClick: () => this.stateManager.set('pendingAttachments',
+                    (this.stateManager.get('pendingAttachments') || []).filter(item => item.id !== attachment.id))
+            }, ['×']);
+            const preview = attachment.thumbnail ?
+                this.utils.createElement('img', { src: attachment.thumbnail, alt: '' }) :
+                this.utils.createElement('span', { className: 'attachment-chip-icon', 'aria-hidden': 'true' }, ['📄']);
+            tray.appendChild(this.utils.createElement('div', {
+                className: 'attachment-chip',
+                title: attachment.width ? `${attachment.name} (${attachment.width} × ${attachment.height})` : attachment.name
+            }, [
+                preview,
+                this.utils.createElement('span', { className: 'attachment-chip-name' }, [this.utils.truncate(attachment.name, 24)]),
+                removeBtn
+            ]));
+        });
+    }
+
+    /**
+     * The chat session's own model settings, if they were chosen for the active provider.
+     * @returns {Object} model / maxTokens / temperature overrides, and thinkingBudget while the chat has
+     * extended thinking on; empty to use the provider's preferences.
+     * @private
+     */
+    _getSessionModelOverrides() {
+        const sessionSettings = this.stateManager.get('sessionModelSettings');
+        if (!sessionSettings || !this.apiService || sessionSettings.provider !== this.apiService.id) return {};
+        const overrides = {};
+        ['model', 'maxTokens', 'temperature'].forEach(key => {
+            if (sessionSettings[key] !== undefined && sessionSettings[key] !== null) overrides[key] = sessionSettings[key];
+        });
+        const { thinking, thinkingBudget } = this._getSessionThinking();
+        if (thinking && this.apiService.supportsThinking) overrides.thinkingBudget = thinkingBudget;
+        return overrides;
+    }
+
+    /**
+     * Whether the current chat has extended thinking on for the active provider, and its budget.
+     * @returns {{thinking: boolean, thinkingBudget: number}}
+     * @private
+     */
+    _getSessionThinking() {
+        const sessionSettings = this.stateManager.get('sessionModelSettings');
+        const applies = !!sessionSettings && !!this.apiService && sessionSettings.provider === this.apiService.id;
+        return {
+            thinking: applies && !!sessionSettings.thinking,
+            thinkingBudget: applies && sessionSettings.thinkingBudget > 0 ? sessionSettings.thinkingBudget : DEFAULT_THINKING_BUDGET
+        };
+    }
+
+    /**
+     * Shows the chat header's thinking toggle for providers that support it, pressed while the chat
+     * has thinking on, with the budget input beside it.
+     * @private
+     */
+    _renderThinkingControls() {
+        if (!this.ui.thinkingControls) return;
+        const supported = !!this.apiService && this.apiService.supportsThinking;
+        const { thinking, thinkingBudget } = this._getSessionThinking();
+        this.utils.toggleClass(this.ui.thinkingControls, 'hidden', !supported);
+        if (this.ui.thinkingToggleBtn) {
+            this.ui.thinkingToggleBtn.setAttribute('aria-pressed', String(thinking));
+            this.utils.toggleClass(this.ui.thinkingToggleBtn, 'active', thinking);
+        }
+        if (this.ui.thinkingBudgetInput) {
+            this.ui.thinkingBudgetInput.value = thinkingBudget;
+            this.utils.toggleClass(this.ui.thinkingBudgetInput, 'hidden', !thinking);
+        }
+    }
+
+    /**
+     * Switches extended thinking on or off for the current chat, or changes its budget; other chats keep their own.
+     * @param {{thinking?: boolean, thinkingBudget?: number}} changes
+     * @private
+     */
+    _handleSessionThinkingChange(changes) {
+        if (!this.apiService || !this.apiService.supportsThinking) return;
+        const current = this.stateManager.get('sessionModelSettings');
+        const base = current && current.provider === this.apiService.id ? current : {};
+        const next = { ...this._getSessionThinking(), ...changes };
+        if (!(next.thinkingBudget > 0)) next.thinkingBudget = DEFAULT_THINKING_BUDGET;
+        this.stateManager.set('sessionModelSettings', { ...base, provider: this.apiService.id, ...next });
+        if (this.soundEffects) this.soundEffects.playSoundEffect('uiClick');
+    }
+
+    /**
+     * Fills the chat header's model picker for the active provider and selects the model this chat uses.
+     * @param {boolean} [refreshModels=false] - Also ask the provider's server for its model list.
+     * @private
+     */
+    _renderSessionModelPicker(refreshModels = false) {
+        const selectEl = this.ui.sessionModelSelect;
+        if (!selectEl || !this.apiService) return;
+        const provider = this.apiService;
+        const selectedModel = provider.resolveRequestSettings(this._getSessionModelOverrides()).model;
+        this._populateModelSelect(selectEl, provider.models, selectedModel);
+
+        if (!refreshModels) return;
+        provider.listModels().then(models => {
+            if (provider !== this.apiService) return; // Provider changed while loading
+            provider.models = models; // Later renders reuse the server's list
+            this._populateModelSelect(selectEl, models, provider.resolveRequestSettings(this._getSessionModelOverrides()).model);
+        });
+    }
+
+    /**
+     * Pins the chosen model to the current chat session; other chats keep their own.
+     * @param {string} model - The model ID picked in the chat header.
+     * @private
+     */
+    _handleSessionModelChange(model) {
+        if (!model || !this.apiService) return;
+        const current = this.stateManager.get('sessionModelSettings');
+        const base = current && current.provider === this.apiService.id ? current : {};
+        this.stateManager.set('sessionModelSettings', { ...base, provider: this.apiService.id, model });
+        if (this.soundEffects) this.soundEffects.playSoundEffect('uiClick');
+    }
+
+    /**
+     * Regenerates the reply to the last user message with the model now selected for this chat.
+     * A reply becomes a new variant of the last one, so the two can be compared; if the last
+     * request failed, the error is replaced.
+     * @returns {Promise<void>|undefined} The reply request, if one was started.
+     * @private
+     */
+    _handleRerunSession() {
+        const history = this.stateManager.get('chatHistory') || [];
+        const last = history[history.length - 1];
+        if (last && last.role === 'assistant' && !last.isError) return this._handleRegenerateVariant({ messageId: last.id });
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (history[i].role === 'user') return this._regenerateReply(i);
+        }
+    }
+
+    /**
+     * Answers a message's retry or regenerate action: a user message is sent again, and an assistant
+     * reply is regenerated from the user message before it. Either way the new reply becomes a sibling
+     * of the old one.
+     * @param {Object} message - The message whose action was clicked.
+     * @returns {Promise<void>|undefined} The reply request, if one was started.
+     * @private
+     */
+    _handleRegenerate(message) {
+        const history = this.stateManager.get('chatHistory') || [];
+        let index = history.findIndex(item => item.id === message.id);
+        if (index === -1) return;
+        while (index >= 0 && history[index].role !== 'user') index--;
+        return index >= 0 ? this._regenerateReply(index) : undefined;
+    }
+
+    /**
+     * Requests a new reply to the user message at userIndex, moving whatever followed it to a branch.
+     * @param {number} userIndex - Index into chatHistory of the user message to answer.
+     * @returns {Promise<void>|undefined} The reply request (see _requestAssistantReply), unless one is already in flight.
+     * @private
+     */
+    _regenerateReply(userIndex) {
+        if (this.stateManager.get('activeRequestId')) return;
+        const history = this.stateManager.get('chatHistory') || [];
+        const userMessage = history[userIndex];
+        if (!userMessage || userMessage.role !== 'user') return;
+
+        const historyForApi = this.utils.deepClone(history.slice(0, userIndex));
+        this._setChatPath(this._getMessageTree().branchAt(userIndex + 1));
+
+        this.eventEmitter.emit('api:requestStart', { messageId: userMessage.id, estimatedDuration: 5000 });
+        return this._requestAssistantReply(userMessage.content, historyForApi, userMessage.id, userMessage.attachments || []);
+    }
+
+    /**
+     * Generates another reply to the prompt an assistant message answered and keeps it on that
+     * message as a variant, optionally as another character or at another temperature.
+     * An error reply is regenerated in place instead.
+     * @param {{messageId: string, character?: string|null, temperature?: number}} request - character
+     * null answers as no character; leaving character or temperature out uses the chat's own.
+     * @returns {Promise<void>|undefined} The reply request, if one was started.
+     * @private
+     */
+    _handleRegenerateVariant({ messageId, character, temperature }) {
+        if (this.stateManager.get('activeRequestId')) return;
+        const history = this.stateManager.get('chatHistory') || [];
+        const index = history.findIndex(message => message.id === messageId);
+        const message = history[index];
+        if (!message || message.role !== 'assistant') return;
+        if (message.isError) return this._handleRegenerate(message);
+
+        let userIndex = index - 1;
+        while (userIndex >= 0 && history[userIndex].role !== 'user') userIndex--;
+        if (userIndex < 0) return;
+        const userMessage = history[userIndex];
+
+        this.eventEmitter.emit('api:requestStart', { messageId: userMessage.id, estimatedDuration: 5000 });
+        return this._requestAssistantReply(
+            userMessage.content,
+            this.utils.deepClone(history.slice(0, userIndex)),
+            userMessage.id,
+            userMessage.attachments || [],
+            { messageId, character, temperature }
+        );
+    }
+
+    /**
+     * Makes one of a reply's variants the canonical one, which later requests send as context.
+     * @param {{messageId: string, index: number}} selection
+     * @private
+     */
+    _handleSelectVariant({ messageId, index }) {
+        const history = this.stateManager.get('chatHistory') || [];
+        const position = history.findIndex(message => message.id === messageId);
+        if (position === -1) return;
+        const updated = new MessageVariants(history[position]).select(index);
+        if (updated === history[position]) return;
+        this.stateManager.set('chatHistory', [...history.slice(0, position), updated, ...history.slice(position + 1)]);
+    }
+
+    /**
+     * Adds a finished (or stopped) reply to the message it is a variant of, and selects it.
+     * @param {string} messageId - The original reply's ID.
+     * @param {Object} reply - The new reply.
+     * @private
+     */
+    _addVariant(messageId, reply) {
+        const history = this.stateManager.get('chatHistory') || [];
+        const position = history.findIndex(message => message.id === messageId);
+        if (position === -1) { // The chat changed while the variant was generated, e.g. to another branch
+            logger.warn(`Message ${messageId} is no longer shown; its new variant was not kept.`);
+            return;
+        }
+        const updated = new MessageVariants(history[position]).add(reply);
+        this.stateManager.set('chatHistory', [...history.slice(0, position), updated, ...history.slice(position + 1)]);
+    }
+
+    /**
+     * The character a reply is written as: the one a variant asked for, else the active one.
+     * @param {Object|null} variant - The variant request, if any.
+     * @returns {string|null}
+     * @private
+     */
+    _getReplyCharacter(variant) {
+        return variant && variant.character !== undefined ? variant.character : this.stateManager.get('activeCharacter');
+    }
+
+    /**
+     * Switches the chat to the branch through a message, e.g. from a "< 2/3 >" switcher.
+     * @param {string} messageId - The sibling to show.
+     * @private
+     */
+    _handleSelectBranch(messageId) {
+        if (this.stateManager.get('activeRequestId')) {
+            if (this.notificationSystem) this.notificationSystem.showWarning('Wait for the reply to finish, or stop it, before switching versions.');
+            return;
+        }
+        this.stateManager.set('editingMessageId', null);
+        this._setChatPath(this._getMessageTree().select(messageId));
+    }
+
+    /**
+     * Puts an earlier user message, with its attachments, in the input; sending it starts a new branch.
+     * @param {Object} message - The user message to edit.
+     * @private
+     */
+    _handleEditRequested(message) {
+        if (!message || message.role !== 'user') return;
+        this.stateManager.set('pendingAttachments', [...(message.attachments || [])]);
+        this.stateManager.set('editingMessageId', message.id);
+    }
+
+    /**
+     * Leaves edit mode and empties the input.
+     * @private
+     */
+    _handleCancelEdit() {
+        this.stateManager.set('editingMessageId', null);
+        this.stateManager.set('userInput', '');
+        this.stateManager.set('pendingAttachments', []);
+        if (this.ui.chatInput) this.ui.chatInput.focus();
+    }
+
+    /**
+     * Shows the banner above the input while an earlier message is being edited, and marks that message.
+     * @private
+     */
+    _renderEditBanner() {
+        const editingMessageId = this.stateManager.get('editingMessageId');
+        if (this.ui.editBanner) this.utils.toggleClass(this.ui.editBanner, 'hidden', !editingMessageId);
+        if (!this.ui.chatMessagesContainer) return;
+        this.utils.$$('.message.editing', this.ui.chatMessagesContainer).forEach(el => this.utils.removeClass(el, 'editing'));
+        if (editingMessageId) {
+            const messageEl = this.utils.$(`.message[data-message-id="${editingMessageId}"]`, this.ui.chatMessagesContainer);
+            if (messageEl) this.utils.addClass(messageEl, 'editing');
+        }
+    }
+
+    /**
+     * The active chat's messages and branches as a tree.
+     * @returns {MessageTree}
+     * @private
+     */
+    _getMessageTree() {
+        return new MessageTree(this.stateManager.get('chatHistory') || [], this.stateManager.get('chatBranches') || []);
+    }
+
+    /**
+     * Shows a new selected path. The branches are set first, so that the chatHistory change renders
+     * and saves both together.
+     * @param {{path: Array<Object>, branches: Array<Object>}} selection - From MessageTree.branchAt or select.
+     * @private
+     */
+    _setChatPath({ path, branches }) {
+        this.stateManager.set('chatBranches', branches);
+        this.stateManager.set('chatHistory', path);
+    }
+
+    /**
+     * The re-run control is only usable when there is a user message to answer and nothing is in flight.
+     * @private
+     */
+    _updateRerunButton() {
+        if (!this.ui.rerunBtn) return;
+        const history = this.stateManager.get('chatHistory') || [];
+        this.ui.rerunBtn.disabled = !!this.stateManager.get('activeRequestId') || !history.some(m => m.role === 'user');
+    }
+
+    /**
+     * Names and summarizes the active chat once it has its first reply (see SessionTitler).
+     * Runs in the background; a failure leaves the title taken from the first message.
+     * @private
+     */
+    _titleSessionInBackground() {
+        if (!this.sessionTitler || !this.chatHistory || !this.apiService) return;
+        const sessionId = this.stateManager.get('activeSessionId');
+        const session = sessionId ? this.chatHistory.getSessionSummary(sessionId) : null;
+        const messages = this.stateManager.get('chatHistory') || [];
+        if (!this.sessionTitler.shouldTitle(session, messages)) return;
+
+        this.sessionTitler.generate(this.apiService, sessionId, messages, { model: this._getSessionTitleModel(sessionId) })
+            .then(generated => this.chatHistory.setGeneratedTitle(sessionId, generated, { keepUserTitle: true }))
+            .catch(error => logger.warn('Could not generate a title for the chat:', error));
+    }
+
+    /**
+     * Names and summarizes a chat again, from all of its messages, when the user asks for it.
+     * @param {string} sessionId
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _regenerateSessionTitle(sessionId) {
+        if (!this.sessionTitler || !this.chatHistory) return;
         if (!this.apiService) {
-            this._handleApiError({message: "API Service not available.", messageId: userMessage.id});
+            if (this.notificationSystem) this.notificationSystem.showWarning('Add an API key to generate chat titles.');
             return;
         }
-        
-        const historyForApi = this.utils.deepClone(this.stateManager.get('chatHistory'));
+        try {
+            const messages = sessionId === this.stateManager.get('activeSessionId') ?
+                this.stateManager.get('chatHistory') : await this.chatHistory.getSessionMessages(sessionId);
+            if (!messages) throw new Error('Chat session not found.');
+            const generated = await this.sessionTitler.generate(this.apiService, sessionId, messages, { model: this._getSessionTitleModel(sessionId) });
+            await this.chatHistory.setGeneratedTitle(sessionId, generated);
+            if (this.notificationSystem) this.notificationSystem.showSuccess(`Chat renamed to “${generated.title}”.`);
+        } catch (error) {
+            logger.warn('Could not regenerate the chat title:', error);
+            if (this.notificationSystem) this.notificationSystem.showError(`Could not generate a title: ${error.message || 'unknown error'}`);
+        }
+    }
+
+    /**
+     * The model a chat was pinned to, if it was chosen for the active provider; undefined for the provider's preference.
+     * @private
+     */
+    _getSessionTitleModel(sessionId) {
+        const settings = this.chatHistory ? this.chatHistory.getSessionModelSettings(sessionId) : null;
+        return settings && this.apiService && settings.provider === this.apiService.id ? settings.model || undefined : undefined;
+    }
 
-        this.apiService.sendMessage(messageText, historyForApi)
-            .then(response => this._processAssistantResponse(response, userMessage.id))
-            .catch(error => this._handleApiError(error, userMessage.id));
+    /**
+     * Aborts the in-flight API request, if there is one.
+     */
+    _handleStopGeneration() {
+        const requestId = this.stateManager.get('activeRequestId');
+        if (!requestId || !this.apiService) return;
+        this.apiService.cancelRequest(requestId);
+        if (this.soundEffects) this.soundEffects.playSoundEffect('uiClick');
+    }
+
+    /**
+     * Keeps whatever text streamed before a cancellation as a message marked "stopped".
+     * @param {Error} error - The AbortError from the API service, carrying partialContent.
+     * @param {string} requestMessageId - ID of the user message that started the request.
+     * @param {string} assistantMessageId - ID the streamed reply was rendered under.
+     * @param {string} [model] - The model that produced the partial reply.
+     * @param {Object|null} [variant=null] - Set when the reply was a new variant of an existing one.
+     * @private
+     */
+    _handleRequestCancelled(error, requestMessageId, assistantMessageId, model = null, variant = null) {
+        const pending = this._pendingStreamRender;
+        const streamed = pending && pending.message.id === assistantMessageId ? pending.message : {};
+        const toolCalls = streamed.toolCalls || null;
+        const reasoning = streamed.reasoning || '';
+        this._cancelStreamRender();
+        const partialContent = error.partialContent || '';
+        const kept = !!(partialContent || toolCalls || reasoning);
+
+        if (kept) {
+            const stoppedMessage = {
+                id: assistantMessageId,
+                role: 'assistant',
+                content: partialContent,
+                timestamp: Date.now(),
+                character: this._getReplyCharacter(variant),
+                model: model,
+                stopped: true
+            };
+            if (toolCalls) stoppedMessage.toolCalls = toolCalls;
+            if (reasoning) stoppedMessage.reasoning = reasoning;
+            if (variant && typeof variant.temperature === 'number') stoppedMessage.temperature = variant.temperature;
+            if (variant) this._addVariant(variant.messageId, stoppedMessage);
+            else this.stateManager.addMessageToHistory(stoppedMessage);
+        }
+
+        this.eventEmitter.emit('api:requestCancelled', {
+            requestId: error.requestId,
+            messageId: requestMessageId,
+            assistantMessageId: kept ? assistantMessageId : null,
+            partialContent
+        });
+    }
+
+    /**
+     * Renders a partial assistant reply while it streams in.
+     * Markdown re-rendering is coalesced to at most one update per animation frame.
+     * @param {string} assistantMessageId - ID of the in-progress assistant message.
+     * @param {string} delta - The newly received text.
+     * @param {string} fullText - All text received so far.
+     * @private
+     */
+    _handleStreamChunk(assistantMessageId, delta, fullText) {
+        this.eventEmitter.emit('api:streamChunk', { messageId: assistantMessageId, delta, length: fullText.length });
+        this._scheduleStreamRender(assistantMessageId, { content: fullText });
+    }
+
+    /**
+     * Shows the tools an in-progress reply calls, as cards above its text.
+     * @param {string} assistantMessageId - ID of the in-progress assistant message.
+     * @param {Object} toolCall - The call that started or finished.
+     * @param {Array<Object>} toolCalls - All of the reply's calls so far.
+     * @private
+     */
+    _handleToolCall(assistantMessageId, toolCall, toolCalls) {
+        this.eventEmitter.emit('api:toolCall', { messageId: assistantMessageId, name: toolCall.name, status: toolCall.status });
+        this._scheduleStreamRender(assistantMessageId, { toolCalls: toolCalls.map(call => ({ ...call })) });
+    }
+
+    /**
+     * Merges changes into the in-progress assistant message and renders it on the next animation frame.
+     * @param {string} assistantMessageId - ID of the in-progress assistant message.
+     * @param {{content?: string, reasoning?: string, toolCalls?: Array<Object>}} changes - What changed since the last render.
+     * @private
+     */
+    _scheduleStreamRender(assistantMessageId, changes) {
+        if (!this.chatMessages) return;
+
+        const pending = this._pendingStreamRender;
+        const isNewStream = !pending || pending.message.id !== assistantMessageId;
+        const previous = isNewStream ? { content: '', timestamp: Date.now() } : pending.message;
+        const variant = this._variantStreams.get(assistantMessageId);
+        this._pendingStreamRender = {
+            message: {
+                id: assistantMessageId,
+                role: 'assistant',
+                content: changes.content !== undefined ? changes.content : previous.content,
+                reasoning: changes.reasoning !== undefined ? changes.reasoning : previous.reasoning,
+                timestamp: previous.timestamp,
+                character: this._getReplyCharacter(variant),
+                toolCalls: changes.toolCalls || previous.toolCalls,
+                variantOf: variant ? variant.messageId : undefined // Streams next to the reply it is a variant of
+            },
+            frameId: isNewStream ? null : pending.frameId
+        };
+        if (this._pendingStreamRender.frameId !== null) return;
+
+        this._pendingStreamRender.frameId = this.utils.requestFrame(() => {
+            const current = this._pendingStreamRender;
+            if (!current || current.message.id !== assistantMessageId) return;
+            current.frameId = null;
+            this.chatMessages.addMessage(current.message, true);
+        });
+    }
+
+    /**
+     * Drops any streaming render that has not been painted yet.
+     * @private
+     */
+    _cancelStreamRender() {
+        if (this._pendingStreamRender && this._pendingStreamRender.frameId !== null) {
+            this.utils.cancelFrame(this._pendingStreamRender.frameId);
+        }
+        this._pendingStreamRender = null;
     }
     
-    _processAssistantResponse(apiResponse, requestMessageId) {
+    _processAssistantResponse(apiResponse, requestMessageId, assistantMessageId = null, variant = null) {
         let content = '';
-        let character = this.stateManager.get('activeCharacter');
+        let character = this._getReplyCharacter(variant);
 
         if (typeof apiResponse === 'string') content = apiResponse;
         else if (apiResponse && typeof apiResponse.content === 'string') {
@@ -563,13 +1571,29 @@ class App {
              logger.warn("Unexpected API response format in _processAssistantResponse:", apiResponse);
         }
 
+        // The committed message replaces the streamed bubble when history re-renders.
+        this._cancelStreamRender();
+
         const assistantMessage = {
-            id: `msg-assistant-${this.utils.generateId('')}`,
+            id: assistantMessageId || `msg-assistant-${this.utils.generateId('')}`,
             role: 'assistant',
             content: content,
             timestamp: Date.now(),
-            character: character
+            character: character,
+            model: apiResponse?.model || null,
+            provider: apiResponse?.provider || null,
+            usage: apiResponse?.usage ? {
+                inputTokens: apiResponse.usage.input_tokens || 0,
+                outputTokens: apiResponse.usage.output_tokens || 0,
+                cacheWriteTokens: apiResponse.usage.cache_creation_input_tokens || 0, // Prompt caching (Claude), not included in inputTokens
+                cacheReadTokens: apiResponse.usage.cache_read_input_tokens || 0
+            } : null
         };
+        if (Array.isArray(apiResponse?.toolCalls) && apiResponse.toolCalls.length) {
+            assistantMessage.toolCalls = apiResponse.toolCalls;
+        }
+        if (apiResponse?.reasoning) assistantMessage.reasoning = apiResponse.reasoning; // Shown collapsed and never read aloud
+        if (variant && typeof variant.temperature === 'number') assistantMessage.temperature = variant.temperature;
         
         // Emit API completion event
         this.eventEmitter.emit('api:requestComplete', { 
@@ -582,10 +1606,15 @@ class App {
         this.eventEmitter.emit('message:received', { 
             messageId: assistantMessage.id,
             content: content,
+            model: assistantMessage.model,
             usage: apiResponse?.usage 
         });
         
-        this.stateManager.addMessageToHistory(assistantMessage); // Triggers UI update via subscription
+        if (variant) this._addVariant(variant.messageId, assistantMessage);
+        else {
+            this.stateManager.addMessageToHistory(assistantMessage); // Triggers UI update via subscription
+            this._titleSessionInBackground();
+        }
 
         if (this.stateManager.get('userPreferences.voiceOutputEnabled') && this.voiceSynthesis) {
             this.voiceSynthesis.speak(assistantMessage.content, assistantMessage.character);
@@ -593,8 +1622,16 @@ class App {
         if (this.soundEffects) this.soundEffects.playSoundEffect('messageReceived');
     }
 
-    _handleApiError(error, messageId = null) {
+    /**
+     * Reports a failed request. The error is added to the chat as an assistant message, unless addToChat is false.
+     * @param {Object} error - The error from the API service.
+     * @param {string|null} [messageId=null] - ID of the user message the request answered.
+     * @param {boolean} [addToChat=true]
+     * @private
+     */
+    _handleApiError(error, messageId = null, addToChat = true) {
         logger.error("API Error in App:", error);
+        this._cancelStreamRender();
         const errorMessage = (error && error.message) ? error.message : "An unknown API error occurred.";
         
         // Emit API error event for typing indicator
@@ -612,14 +1649,16 @@ class App {
             });
         }
         
-        const errorResponseMessage = {
-            id: `msg-error-${this.utils.generateId('')}`,
-            role: 'assistant', // Display as an assistant message for errors
-            content: `⚠️ ${errorMessage}`,
-            timestamp: Date.now(),
-            isError: true
-        };
-        this.stateManager.addMessageToHistory(errorResponseMessage); // Triggers UI update
+        if (addToChat) {
+            const errorResponseMessage = {
+                id: `msg-error-${this.utils.generateId('')}`,
+                role: 'assistant', // Display as an assistant message for errors
+                content: `⚠️ ${errorMessage}`,
+                timestamp: Date.now(),
+                isError: true
+            };
+            this.stateManager.addMessageToHistory(errorResponseMessage); // Triggers UI update
+        }
         this.eventEmitter.emit('errorDisplay', { message: errorMessage, type: 'api' }); // For global display
     }
 
@@ -663,15 +1702,12 @@ class App {
     _populateSettingsForm() {
         if (!this.ui.settingsForm) return;
         const prefs = this.stateManager.get('userPreferences');
-        const apiKey = this.stateManager.get('apiKey');
         const currentProvider = this.stateManager.get('currentApiProvider');
-        const currentApiModel = this.stateManager.get(`modelPreferences.${currentProvider}.model`);
 
-        const apiKeySettingEl = this.utils.$('#apiKeySetting', this.ui.settingsForm);
-        if(apiKeySettingEl) apiKeySettingEl.value = apiKey || '';
-        
-        const modelSelectEl = this.utils.$('#modelSelection', this.ui.settingsForm);
-        if(modelSelectEl) modelSelectEl.value = currentApiModel || 'claude-3-haiku-20240307'; // Default fallback
+        this._populateProviderSelect(this.utils.$('#apiProviderSelection', this.ui.settingsForm), currentProvider);
+        this._renderProviderSettings(currentProvider);
+        this._renderKeySecuritySettings();
+        this._renderStorageUsage();
 
         // Helper to set checkbox state
         const setCheckbox = (id, value) => {
@@ -686,6 +1722,16 @@ class App {
         setCheckbox('voiceOutputEnabled', prefs.voiceOutputEnabled);
         setCheckbox('soundEffectsEnabled', prefs.soundEffectsEnabled);
         setCheckbox('reduceMotion', prefs.reduceMotion);
+        setCheckbox('summarizeContext', prefs.summarizeContext !== false);
+        setCheckbox('autoTitleChats', prefs.autoTitleChats !== false);
+        setCheckbox('toolsEnabled', prefs.toolsEnabled !== false);
+
+        const customInstructionsEl = this.utils.$('#customInstructions', this.ui.settingsForm);
+        if(customInstructionsEl) customInstructionsEl.value = prefs.customInstructions || '';
+        const monthlyBudgetEl = this.utils.$('#monthlyBudget', this.ui.settingsForm);
+        if(monthlyBudgetEl) monthlyBudgetEl.value = prefs.monthlyBudget || '';
+        const modelPricesEl = this.utils.$('#modelPrices', this.ui.settingsForm);
+        if(modelPricesEl && this.usageTracker) modelPricesEl.value = this.usageTracker.formatPriceOverrides(prefs.modelPrices);
 
 
         const themeSelect = this.utils.$('#themeSelectorSetting', this.ui.settingsForm);
@@ -711,15 +1757,119 @@ class App {
         }
     }
 
+    /**
+     * Fills a <select> with the registered API providers.
+     * @param {HTMLSelectElement} selectEl - The select to fill.
+     * @param {string} selectedId - The provider to preselect.
+     */
+    _populateProviderSelect(selectEl, selectedId) {
+        if (!selectEl || !this.apiProviders) return;
+        selectEl.innerHTML = '';
+        this.apiProviders.list().forEach(provider => {
+            selectEl.appendChild(this.utils.createElement('option', { value: provider.id }, provider.name));
+        });
+        selectEl.value = selectedId;
+    }
+
+    _updateLoginKeyPlaceholder(providerId) {
+        const provider = this.apiProviders && this.apiProviders.get(providerId);
+        if (this.ui.apiKeyInput && provider) this.ui.apiKeyInput.placeholder = provider.keyPlaceholder || 'sk-...';
+    }
+
+    /**
+     * Shows one provider's stored key, model settings and server URL in the settings form.
+     * Model settings are this chat's own when it has some for the provider, else the provider's defaults.
+     * Runs when the modal opens and whenever the provider select changes; nothing is saved here.
+     * @param {string} providerId - The provider whose settings to show.
+     */
+    _renderProviderSettings(providerId) {
+        if (!this.ui.settingsForm || !this.apiProviders) return;
+        const provider = this.apiProviders.get(providerId);
+        if (!provider) return;
+
+        const apiKeySettingEl = this.utils.$('#apiKeySetting', this.ui.settingsForm);
+        if(apiKeySettingEl) {
+            apiKeySettingEl.value = this.stateManager.get(`apiKeys.${provider.id}`) || '';
+            apiKeySettingEl.placeholder = provider.keyPlaceholder || 'Enter your API key';
+        }
+
+        const baseUrlGroupEl = this.utils.$('#apiBaseUrlGroup', this.ui.settingsForm);
+        if(baseUrlGroupEl) this.utils.toggleClass(baseUrlGroupEl, 'hidden', !provider.configurableEndpoint);
+        const baseUrlEl = this.utils.$('#apiBaseUrl', this.ui.settingsForm);
+        if(baseUrlEl) {
+            baseUrlEl.value = provider.configurableEndpoint ? provider.getBaseUrl() : '';
+            baseUrlEl.placeholder = provider.defaultBaseUrl || '';
+        }
+        const baseUrlHelpEl = this.utils.$('#apiBaseUrlHelp', this.ui.settingsForm);
+        if(baseUrlHelpEl) baseUrlHelpEl.textContent = provider.endpointHelp;
+
+        const sessionSettings = this.stateManager.get('sessionModelSettings');
+        const hasSessionSettings = !!sessionSettings && sessionSettings.provider === provider.id;
+        const settings = provider.resolveRequestSettings(hasSessionSettings ? sessionSettings : {});
+        const modelSelectEl = this.utils.$('#modelSelection', this.ui.settingsForm);
+        this._populateModelSelect(modelSelectEl, provider.models, settings.model);
+
+        const maxTokensEl = this.utils.$('#maxTokensSetting', this.ui.settingsForm);
+        if(maxTokensEl) maxTokensEl.value = settings.maxTokens;
+        const temperatureEl = this.utils.$('#temperatureSetting', this.ui.settingsForm);
+        if(temperatureEl) temperatureEl.value = settings.temperature !== null ? settings.temperature : '';
+        const contextWindowEl = this.utils.$('#contextWindowSetting', this.ui.settingsForm);
+        if(contextWindowEl) {
+            contextWindowEl.value = provider.getModelPreference('contextWindow', '');
+            contextWindowEl.placeholder = `${provider.getContextWindow(settings.model)} (model default)`;
+        }
+        const promptCachingGroupEl = this.utils.$('#promptCachingGroup', this.ui.settingsForm);
+        if(promptCachingGroupEl) this.utils.toggleClass(promptCachingGroupEl, 'hidden', !provider.supportsPromptCaching);
+        const promptCachingEl = this.utils.$('#promptCachingSetting', this.ui.settingsForm);
+        if(promptCachingEl) promptCachingEl.checked = !!provider.getModelPreference('promptCaching', false);
+        const applyToSessionEl = this.utils.$('#applyModelToSession', this.ui.settingsForm);
+        if(applyToSessionEl) applyToSessionEl.checked = hasSessionSettings;
+
+        // Refresh from the provider's server; the built-in list stays if that fails
+        provider.listModels().then(models => {
+            const providerSelectEl = this.utils.$('#apiProviderSelection', this.ui.settingsForm);
+            if (providerSelectEl && providerSelectEl.value !== provider.id) return; // Selection changed while loading
+            this._populateModelSelect(modelSelectEl, models, modelSelectEl ? modelSelectEl.value : settings.model);
+        });
+    }
+
+    /**
+     * @param {HTMLSelectElement} modelSelectEl - The select to fill.
+     * @param {Array<{id: string, name: string}>} models - Models to offer.
+     * @param {string} selectedModel - The model to preselect; added as an option if the list lacks it.
+     */
+    _populateModelSelect(modelSelectEl, models, selectedModel) {
+        if (!modelSelectEl) return;
+        const options = !selectedModel || models.some(model => model.id === selectedModel) ?
+            models :
+            [...models, { id: selectedModel, name: selectedModel }];
+        modelSelectEl.innerHTML = '';
+        options.forEach(model => {
+            modelSelectEl.appendChild(this.utils.createElement('option', { value: model.id }, model.name));
+        });
+        modelSelectEl.value = selectedModel || (options[0] ? options[0].id : '');
+    }
+
     _handleSettingsSave(event) {
         event.preventDefault();
         if(!this.ui.settingsForm) return;
         const formData = new FormData(this.ui.settingsForm);
+
+        const providerId = formData.get('apiProviderSelection') || this.stateManager.get('currentApiProvider');
+        const provider = this.apiProviders ? this.apiProviders.get(providerId) : this.apiService;
+
+        const newBaseUrl = (formData.get('apiBaseUrl') || '').trim();
+        if (provider && provider.configurableEndpoint && newBaseUrl && !/^https?:\/\/[^\s/]+/i.test(newBaseUrl)) {
+            const baseUrlEl = this.utils.$('#apiBaseUrl', this.ui.settingsForm);
+            if(baseUrlEl && typeof this.utils.shake === 'function') this.utils.shake(baseUrlEl);
+            this.eventEmitter.emit('notificationDisplay', {message: 'Server URL must start with http:// or https://', type: 'error'});
+            return;
+        }
         
         const newApiKey = formData.get('apiKeySetting')?.trim() || null;
-        if (newApiKey !== this.stateManager.get('apiKey')) {
-            if (newApiKey === null || (this.apiService && this.apiService.validateApiKey(newApiKey))) {
-                this.stateManager.setApiKey(newApiKey);
+        if (newApiKey !== this.stateManager.get(`apiKeys.${providerId}`)) {
+            if (newApiKey === null || (provider && provider.validateKey(newApiKey))) {
+                this.stateManager.setApiKey(newApiKey, providerId);
             } else {
                 const apiKeySettingEl = this.utils.$('#apiKeySetting', this.ui.settingsForm);
                 if(apiKeySettingEl && this.utils && typeof this.utils.shake === 'function') this.utils.shake(apiKeySettingEl);
@@ -728,23 +1878,70 @@ class App {
             }
         }
 
+        let modelPrices = null;
+        if (this.usageTracker && formData.has('modelPrices')) {
+            const { prices, invalidLines } = this.usageTracker.parsePriceOverrides(formData.get('modelPrices'));
+            if (invalidLines.length) {
+                const modelPricesEl = this.utils.$('#modelPrices', this.ui.settingsForm);
+                if(modelPricesEl && typeof this.utils.shake === 'function') this.utils.shake(modelPricesEl);
+                this.eventEmitter.emit('notificationDisplay', {message: `Could not read price line "${invalidLines[0]}". Use "model: input, output".`, type: 'error'});
+                return;
+            }
+            modelPrices = prices;
+        }
+
         const newTheme = formData.get('themeSelectorSetting');
         if (newTheme && newTheme !== this.stateManager.get('currentTheme') && this.themeManager) {
             this.themeManager.setCurrentTheme(newTheme);
         }
 
-        ['autoScroll', 'sendOnEnter', 'markdownRendering', 'voiceInputEnabled', 'voiceOutputEnabled', 'soundEffectsEnabled', 'reduceMotion'].forEach(key => {
+        ['autoScroll', 'sendOnEnter', 'markdownRendering', 'summarizeContext', 'autoTitleChats', 'toolsEnabled', 'voiceInputEnabled', 'voiceOutputEnabled', 'soundEffectsEnabled', 'reduceMotion'].forEach(key => {
              const el = this.utils.$(`#${key}`, this.ui.settingsForm); // Check element exists
              this.stateManager.setUserPreference(key, el ? el.checked : formData.has(key)); // Use el.checked if it's a checkbox
         });
         this.stateManager.setUserPreference('voiceCharacter', formData.get('characterVoiceSelector') || 'default');
+        this.stateManager.setUserPreference('customInstructions', (formData.get('customInstructions') || '').trim());
+        const monthlyBudget = parseFloat(formData.get('monthlyBudget'));
+        this.stateManager.setUserPreference('monthlyBudget', monthlyBudget > 0 ? monthlyBudget : 0);
+        if (modelPrices) this.stateManager.setUserPreference('modelPrices', modelPrices);
+
+        const newModelSettings = {
+            model: formData.get('modelSelection') || null,
+            maxTokens: parseInt(formData.get('maxTokensSetting'), 10) || null,
+            temperature: formData.get('temperatureSetting') === '' ? null : parseFloat(formData.get('temperatureSetting'))
+        };
+        if (Number.isNaN(newModelSettings.temperature)) newModelSettings.temperature = null;
+        // The chat's thinking toggle lives in the chat header and survives changes made here
+        const sessionSettings = this.stateManager.get('sessionModelSettings');
+        const sessionThinking = sessionSettings && sessionSettings.provider === providerId && sessionSettings.thinking ?
+            { thinking: true, thinkingBudget: sessionSettings.thinkingBudget } :
+            null;
+        if (formData.has('applyModelToSession')) {
+            // Pinned to this chat only; the provider defaults stay as they were
+            this.stateManager.set('sessionModelSettings', { provider: providerId, ...newModelSettings, ...sessionThinking });
+        } else {
+            Object.keys(newModelSettings).forEach(key => {
+                if (newModelSettings[key] !== null) this.stateManager.setModelPreference(providerId, key, newModelSettings[key]);
+            });
+            if (sessionSettings && sessionSettings.provider === providerId) {
+                this.stateManager.set('sessionModelSettings', sessionThinking ? { provider: providerId, ...sessionThinking } : null);
+            }
+        }
+
+        const contextWindow = parseInt(formData.get('contextWindowSetting'), 10);
+        this.stateManager.setModelPreference(providerId, 'contextWindow', contextWindow > 0 ? contextWindow : null); // Blank uses the model's own window
+
+        if (provider && provider.supportsPromptCaching) {
+            this.stateManager.setModelPreference(providerId, 'promptCaching', formData.has('promptCachingSetting'));
+        }
+
+        if (provider && provider.configurableEndpoint) {
+            // A blank URL goes back to the provider's own server
+            this.stateManager.setModelPreference(providerId, 'baseUrl', newBaseUrl ? newBaseUrl.replace(/\/+$/, '') : provider.defaultBaseUrl);
+        }
 
-        const newModel = formData.get('modelSelection');
-        if (newModel) {
-            const currentProvider = this.stateManager.get('currentApiProvider');
-            this.stateManager.set(`modelPreferences.${currentProvider}.model`, newModel);
-            // Optionally save modelPreferences if they should persist
-            // this.stateManager.saveState([`modelPreferences.${currentProvider}.model`]); // More granular save
+        if (providerId !== this.stateManager.get('currentApiProvider')) {
+            this.stateManager.setApiProvider(providerId);
         }
 
         if (this.soundEffects) this.soundEffects.playSoundEffect('settingsSaved');
@@ -752,6 +1949,194 @@ class App {
         this.eventEmitter.emit('notificationDisplay', {message: 'Settings saved!', type: 'success'});
     }
 
+    /**
+     * Describes how the keys are kept and offers to encrypt them, or to change the passphrase of the vault.
+     * @private
+     */
+    _renderKeySecuritySettings() {
+        const fieldset = this.utils.$('#keySecurityFieldset', this.ui.settingsForm);
+        if (!fieldset) return;
+        this.utils.toggleClass(fieldset, 'hidden', !this.keyVault);
+        if (!this.keyVault) return;
+
+        const mode = this.keyVault.getMode();
+        const statusEl = this.utils.$('#keyStorageStatus', fieldset);
+        if (statusEl) {
+            statusEl.textContent = {
+                vault: 'Your API keys are encrypted on this device with your passphrase.',
+                session: 'Your API keys are kept until this tab is closed. Set a passphrase to keep them encrypted on this device.',
+                memory: 'Your API keys are not saved. Set a passphrase to keep them encrypted on this device.'
+            }[mode];
+            if (!this.keyVault.isSupported()) statusEl.textContent += ' Encryption needs the app to be opened over https or from localhost.';
+        }
+        this.utils.toggleClass(this.utils.$('#currentPassphraseGroup', fieldset), 'hidden', mode !== 'vault');
+        const button = this.utils.$('#changePassphraseBtn', fieldset);
+        if (button) {
+            button.textContent = mode === 'vault' ? 'Change Passphrase' : 'Encrypt Keys';
+            button.disabled = !this.keyVault.isSupported();
+        }
+        ['#currentPassphrase', '#newPassphrase', '#confirmPassphrase'].forEach(selector => {
+            const input = this.utils.$(selector, fieldset);
+            if (input) input.value = '';
+        });
+    }
+
+    /**
+     * Fills the Storage meter in settings: the space the chats take, against what the browser allows this site.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _renderStorageUsage() {
+        const fieldset = this.utils.$('#storageFieldset', this.ui.settingsForm);
+        if (!fieldset || !this.chatHistory) return;
+        const statusEl = this.utils.$('#storageUsageStatus', fieldset);
+        const meterEl = this.utils.$('#storageUsageMeter', fieldset);
+        const fillEl = this.utils.$('#storageUsageFill', fieldset);
+        let usage = null;
+        try {
+            usage = await this.chatHistory.getStorageUsage();
+        } catch (error) {
+            logger.error('Error measuring chat storage:', error);
+        }
+        if (!usage) {
+            if (statusEl) statusEl.textContent = 'Chats are not saved in this browser; they are kept until the page is closed.';
+            this.utils.toggleClass(meterEl, 'hidden', true);
+            return;
+        }
+
+        const ratio = usage.quota ? Math.min(1, (usage.usage || usage.bytes) / usage.quota) : 0;
+        const percent = Math.round(ratio * 1000) / 10;
+        this.utils.toggleClass(meterEl, 'hidden', !usage.quota);
+        if (meterEl) meterEl.setAttribute('aria-valuenow', String(percent));
+        if (fillEl) {
+            fillEl.style.width = `${percent}%`;
+            this.utils.toggleClass(fillEl, 'warning', ratio >= 0.8 && ratio < 0.95);
+            this.utils.toggleClass(fillEl, 'exceeded', ratio >= 0.95);
+        }
+        if (statusEl) {
+            statusEl.textContent = `${usage.sessions} chat${usage.sessions === 1 ? '' : 's'} and ${usage.attachments} attachment${usage.attachments === 1 ? '' : 's'} take about ${this.utils.formatBytes(usage.bytes)}.` +
+                (usage.quota ? ` This site uses ${this.utils.formatBytes(usage.usage || usage.bytes)} of the ${this.utils.formatBytes(usage.quota)} the browser allows (${percent}%).` : '');
+        }
+    }
+
+    /**
+     * Previews the chats in an export file and adds the ones the user keeps as new sessions.
+     * @param {File} file - A Parkland AI JSON or Markdown export, or a ChatGPT or Claude.ai conversations.json.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handleImportFile(file) {
+        if (!file || !this.importManager || !this.chatHistory) return;
+        try {
+            const preview = await this.importManager.readFile(file);
+            this.importManager.markDuplicates(preview.conversations, await this.chatHistory.getAllSessions());
+            const dialog = this.importManager.createImportDialog(preview, async (conversations) => {
+                await this.chatHistory.importSessions(conversations.map(conversation => this.importManager.toSession(conversation)));
+                if (this.notificationSystem) this.notificationSystem.showSuccess(`Imported ${conversations.length} chat${conversations.length === 1 ? '' : 's'}.`);
+                this._renderStorageUsage();
+            });
+            document.body.appendChild(dialog);
+        } catch (error) {
+            logger.error('Error importing chats:', error);
+            if (this.notificationSystem) this.notificationSystem.showError(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Opens the export dialog for the open chat and downloads the export in the format and template chosen.
+     * @private
+     */
+    _handleExportChat() {
+        if (!this.exportManager || this.utils.$('.export-dialog')) return;
+        const chatHistory = this.stateManager.get('chatHistory') || [];
+        if (chatHistory.length === 0) {
+            if (this.notificationSystem) this.notificationSystem.showWarning('There is nothing in this chat to export yet.');
+            return;
+        }
+        const dialog = this.exportManager.createExportDialog(async (format, options) => {
+            try {
+                await this.exportManager.exportAndDownload(format, options);
+            } catch (error) {
+                logger.error('Error exporting the chat:', error); // exportChat has told the user
+            }
+        });
+        document.body.appendChild(dialog);
+    }
+
+    /**
+     * Downloads a backup of every chat, attachment, folder and setting (not the API keys).
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handleBackupLibrary() {
+        if (!this.backupManager || !this.chatHistory) return;
+        try {
+            await this.backupManager.backupAndDownload(this.chatHistory);
+        } catch (error) {
+            logger.error('Error backing up the library:', error); // backupAndDownload has told the user
+        }
+    }
+
+    /**
+     * Checks a backup archive, then merges it into the library or replaces the library with it, as the user chooses.
+     * @param {File} file - A zip made by _handleBackupLibrary.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handleRestoreFile(file) {
+        if (!file || !this.backupManager || !this.chatHistory) return;
+        try {
+            const backup = await this.backupManager.readBackup(file);
+            const dialog = this.backupManager.createRestoreDialog(backup, async (mode) => {
+                try {
+                    await this.backupManager.restoreBackup(backup, this.chatHistory, { mode });
+                    if (this.searchManager) this.searchManager.reloadSavedSearches();
+                    if (this.voiceSynthesis) this.voiceSynthesis.loadCharacterVoices();
+                    this._renderStorageUsage();
+                } catch (error) {
+                    logger.error('Error restoring the backup:', error);
+                    if (this.notificationSystem) this.notificationSystem.showError(`Could not restore the backup: ${error.message}`);
+                }
+            });
+            document.body.appendChild(dialog);
+        } catch (error) {
+            logger.error('Error reading the backup:', error);
+            if (this.notificationSystem) this.notificationSystem.showError(`Could not restore ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Encrypts the keys under a new passphrase, re-encrypting an existing vault once its current passphrase checks out.
+     * Runs on its own button rather than with "Save", since the other settings need no passphrase.
+     * @returns {Promise<void>}
+     */
+    async _handleChangePassphrase() {
+        if (!this.keyVault || !this.ui.settingsForm) return;
+        const value = (selector) => (this.utils.$(selector, this.ui.settingsForm) || {}).value || '';
+        const notify = (message, type) => this.eventEmitter.emit('notificationDisplay', { message, type });
+        const newPassphrase = value('#newPassphrase');
+        if (newPassphrase !== value('#confirmPassphrase')) {
+            notify('The new passphrases do not match.', 'error');
+            return;
+        }
+        try {
+            if (this.keyVault.hasVault()) {
+                await this.keyVault.changePassphrase(value('#currentPassphrase'), newPassphrase);
+                notify('Passphrase changed. Your keys were encrypted again with the new one.', 'success');
+            } else {
+                await this.keyVault.create(newPassphrase, this.stateManager.get('apiKeys'));
+                notify('Your API keys are now encrypted on this device.', 'success');
+            }
+        } catch (error) {
+            const fieldset = this.utils.$('#keySecurityFieldset', this.ui.settingsForm);
+            if (fieldset) this.utils.shake(fieldset);
+            notify(error.message, 'error');
+            return;
+        }
+        this._renderKeySecuritySettings();
+        this._renderKeyStorageControls();
+    }
+
     _handlePreferenceChange(event) {
         if(!event || !event.target) return;
         const target = event.target;
@@ -772,10 +2157,19 @@ class App {
              this.stateManager.setUserPreference(prefKey, value);
         } else if (prefKey === 'characterVoiceSelector') {
             this.stateManager.setUserPreference('voiceCharacter', value);
+        } else if (prefKey === 'apiProviderSelection') {
+            this._renderProviderSettings(value); // Preview only; the switch happens on "Save"
         }
         // Theme and API key changes are handled on "Save"
     }
 
+    _handleClearUsage() {
+        if (!this.usageTracker) return;
+        if (typeof confirm === 'function' && !confirm('Clear all recorded usage totals? Token counts stored on messages are kept.')) return;
+        this.usageTracker.clearUsage();
+        if (this.usageDashboard) this.usageDashboard.render();
+    }
+
     _handleGlobalKeyDown(event) {
         // Emit global keydown event for other managers to handle
         this.eventEmitter.emit('keydown:global', event);
@@ -784,6 +2178,9 @@ class App {
             if (this.stateManager.get('isSettingsModalOpen')) {
                 this.stateManager.setModalOpen('isSettingsModalOpen', false);
             }
+            if (this.stateManager.get('isUsageModalOpen')) {
+                this.stateManager.setModalOpen('isUsageModalOpen', false);
+            }
             // Add other global escape handlers here if needed (e.g., close sidebar if in mobile overlay mode)
         }
     }
@@ -888,14 +2285,13 @@ class App {
     _displayError({ message, type = 'general' }) {
         logger.error(`App Error (${type}):`, message);
         this.stateManager.set('lastError', { message, type, timestamp: Date.now() });
-        // TODO: Replace with a proper UI notification system (toast, inline error message)
-        if(typeof alert === 'function') alert(`Error: ${message}`); 
+        // NotificationSystem listens to the same event and shows a toast; alerts are the fallback
+        if(!this.notificationSystem && typeof alert === 'function') alert(`Error: ${message}`); 
     }
 
     _displayNotification({ message, type = 'info' }) {
         logger.app(`Notification (${type}): ${message}`);
-        // TODO: Replace with a proper UI notification system
-        if(type !== 'error' && typeof alert === 'function') alert(`Info: ${message}`);
+        if(!this.notificationSystem && type !== 'error' && typeof alert === 'function') alert(`Info: ${message}`);
     }
 
     destroy() {
@@ -907,7 +2303,11 @@ class App {
         if(this.voiceSynthesis) this.voiceSynthesis.destroy();
         if(this.typingIndicator) this.typingIndicator.destroy();
         if(this.searchManager) this.searchManager.destroy();
+        if(this.sessionSearchIndex) this.sessionSearchIndex.destroy();
+        if(this.fileUploadManager) this.fileUploadManager.destroy();
         if(this.themeManager) this.themeManager.destroy();
+        if(this.apiProviders) this.apiProviders.providers.forEach(provider => provider.cancelAllRequests());
+        if(this.retryManager) this.retryManager.destroy();
         if(this.audioWorker) this.audioWorker.terminate();
         // TODO: Destroy other managers and remove event listeners from eventEmitter as needed
 
@@ -916,6 +2316,8 @@ class App {
     }
 }
 
+window.App = App;
+
 // Global error handling & App instantiation
 window.addEventListener('error', (event) => {
     const errorMsg = event.error ? (event.error.message || String(event.error)) : event.message;
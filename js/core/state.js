@@ -18,18 +18,29 @@ class StateManager {
             currentTheme: 'default', 
             activeCharacter: null, 
             chatHistory: [], 
+            chatBranches: [], // Messages of the active chat that are off the selected path (see MessageTree)
+            editingMessageId: null, // The earlier user message being edited; sending it starts a new branch
             userInput: '',
+            pendingAttachments: [], // Images and PDFs waiting to be sent with the next message
             isLoading: true, // Application starts in a loading state
             isSidebarOpen: true,
             isSettingsModalOpen: false,
+            isUsageModalOpen: false,
             isLoginModalOpen: true, 
             isMicListening: false,
             isSpeaking: false,
             currentApiProvider: 'claude', 
-            apiKey: null, 
+            apiKey: null, // Key of the active provider; mirrors apiKeys[currentApiProvider]
+            apiKeys: {
+                claude: null,
+                openai: null,
+            },
+            keyVaultLocked: false, // True while the keys are encrypted on this device and not unlocked yet (see KeyVault)
             modelPreferences: {
-                claude: { model: 'claude-3-opus-20240229' },
+                claude: { model: 'claude-3-haiku-20240307', maxTokens: 1024, temperature: 0.7, baseUrl: 'https://api.anthropic.com/v1', promptCaching: true },
+                openai: { model: 'gpt-4o-mini', maxTokens: 1024, temperature: 0.7, baseUrl: 'https://api.openai.com/v1' },
             },
+            sessionModelSettings: null, // { provider, model, maxTokens, temperature } chosen for the active chat; null uses modelPreferences
             userPreferences: {
                 autoScroll: true,
                 sendOnEnter: true,
@@ -39,14 +50,24 @@ class StateManager {
                 voiceCharacter: 'default', 
                 soundEffectsEnabled: true,
                 reduceMotion: false, 
+                customInstructions: '', // Global preamble prepended to every character's system prompt
+                summarizeContext: true, // Summarize (rather than drop) turns that no longer fit the context window
+                autoTitleChats: true, // Name and summarize each chat with a short extra request after its first reply
+                toolsEnabled: true, // Let the assistant call tools (past-chat search, date/time, calculator)
+                monthlyBudget: 0, // USD; 0 disables budget warnings
+                modelPrices: {}, // { [modelIdPrefix]: { input, output } } USD per million tokens, overriding UsageTracker defaults
+                exportTemplates: [], // [{ id, name, format, body }] the user's own ExportTemplates for Markdown and HTML exports
             },
             lastError: null,
             currentView: 'login', 
             debugMode: false,
             activeSessionId: null, 
+            activeRequestId: null, // ID of the in-flight API request, if any
         };
 
         this._events = {}; 
+        this.keyVault = null; // Persists apiKeys once attached; until then they only live in memory
+        this._plaintextKeysLoaded = false;
         StateManager.instance = this;
 
         this.loadInitialState(); 
@@ -167,8 +188,28 @@ class StateManager {
                 this.set('userPreferences', mergedPrefs, true);
             }
 
-            const storedApiKey = localStorage.getItem('parklandAI_apiKey');
-            if (storedApiKey) this.set('apiKey', storedApiKey, true);
+            const storedProvider = localStorage.getItem('parklandAI_apiProvider');
+            if (storedProvider) this.set('currentApiProvider', storedProvider, true);
+
+            // Keys saved in plaintext by earlier versions; attachKeyVault moves them out of localStorage
+            const storedApiKeys = localStorage.getItem('parklandAI_apiKeys');
+            if (storedApiKeys) this.set('apiKeys', { ...this.get('apiKeys'), ...JSON.parse(storedApiKeys) }, true);
+            const legacyApiKey = localStorage.getItem('parklandAI_apiKey'); // Single key saved before keys were per provider
+            if (legacyApiKey && !this.get('apiKeys.claude')) this.set('apiKeys.claude', legacyApiKey, true);
+            this._plaintextKeysLoaded = !!(storedApiKeys || legacyApiKey);
+            this.set('apiKey', this.get(`apiKeys.${this.get('currentApiProvider')}`) || null, true);
+
+            const storedModelPreferences = localStorage.getItem('parklandAI_modelPreferences');
+            if (storedModelPreferences) {
+                const parsedModelPrefs = JSON.parse(storedModelPreferences);
+                const mergedModelPrefs = { ...this.get('modelPreferences') };
+                for (const provider in parsedModelPrefs) {
+                    if (Object.prototype.hasOwnProperty.call(parsedModelPrefs, provider)) {
+                        mergedModelPrefs[provider] = { ...mergedModelPrefs[provider], ...parsedModelPrefs[provider] };
+                    }
+                }
+                this.set('modelPreferences', mergedModelPrefs, true);
+            }
             
             const storedActiveChar = localStorage.getItem('parklandAI_activeCharacter');
             if (storedActiveChar) this.set('activeCharacter', storedActiveChar, true);
@@ -196,7 +237,7 @@ class StateManager {
         logger.state('👑 StateManager initialized and initial state loaded. Debug mode:', this.get('debugMode'));
     }
 
-    saveState(keysToSave = ['currentTheme', 'userPreferences', 'apiKey', 'activeCharacter', 'activeSessionId']) {
+    saveState(keysToSave = ['currentTheme', 'userPreferences', 'apiKey', 'currentApiProvider', 'modelPreferences', 'activeCharacter', 'activeSessionId']) {
         if (typeof localStorage === 'undefined') {
             logger.warn('LocalStorage is not available. State will not be persisted.');
             return;
@@ -208,10 +249,15 @@ class StateManager {
             if (keysToSave.includes('userPreferences')) {
                 localStorage.setItem('parklandAI_userPreferences', JSON.stringify(this.get('userPreferences')));
             }
-            if (keysToSave.includes('apiKey')) {
-                const apiKey = this.get('apiKey');
-                if (apiKey) localStorage.setItem('parklandAI_apiKey', apiKey);
-                else localStorage.removeItem('parklandAI_apiKey');
+            if (keysToSave.includes('apiKey') && this.keyVault) {
+                // Encrypted or session-only, as the user chose; never plaintext in localStorage
+                this.keyVault.persist(this.get('apiKeys')).catch(error => logger.error('Error saving API keys:', error));
+            }
+            if (keysToSave.includes('currentApiProvider')) {
+                localStorage.setItem('parklandAI_apiProvider', this.get('currentApiProvider'));
+            }
+            if (keysToSave.includes('modelPreferences')) {
+                localStorage.setItem('parklandAI_modelPreferences', JSON.stringify(this.get('modelPreferences')));
             }
             if (keysToSave.includes('activeCharacter')) {
                  const activeChar = this.get('activeCharacter');
@@ -235,12 +281,64 @@ class StateManager {
     setTheme(themeName) { this.set('currentTheme', themeName); this.saveState(['currentTheme']); }
     setActiveCharacter(characterKey) { this.set('activeCharacter', characterKey); this.saveState(['activeCharacter']); }
     addMessageToHistory(message) { const currentHistory = this.get('chatHistory') || []; const newHistory = [...currentHistory, message]; this.set('chatHistory', newHistory); }
-    clearChatHistory() { this.set('chatHistory', []); this.set('activeSessionId', null); this.saveState(['activeSessionId']); } // Also clear active session
+    clearChatHistory() { this.set('chatBranches', []); this.set('editingMessageId', null); this.set('chatHistory', []); this.set('activeSessionId', null); this.saveState(['activeSessionId']); } // Also clear active session and branches
     updateUserInput(input) { this.set('userInput', input); }
     setLoading(isLoading) { this.set('isLoading', isLoading); } // This will now log internally too
     toggleSidebar(isOpen = null) { const current = this.get('isSidebarOpen'); this.set('isSidebarOpen', isOpen === null ? !current : isOpen); }
     setModalOpen(modalName, isOpen) { if (Object.prototype.hasOwnProperty.call(this._state, modalName)) { this.set(modalName, isOpen); } else { logger.warn(`Modal state key "${modalName}" not found.`); }}
-    setApiKey(key) { const validatedKey = key ? key.trim() : null; this.set('apiKey', validatedKey); this.saveState(['apiKey']); if (validatedKey) { this.set('currentView', 'chat'); this.set('isLoginModalOpen', false); } else { this.set('currentView', 'login'); this.set('isLoginModalOpen', true); }}
+    setApiKey(key, provider = this.get('currentApiProvider')) {
+        const validatedKey = key ? key.trim() : null;
+        this.set(`apiKeys.${provider}`, validatedKey);
+        this.saveState(['apiKey']);
+        if (provider !== this.get('currentApiProvider')) return; // Stored for later; the active session is unaffected
+        this._syncActiveApiKey();
+    }
+
+    /**
+     * Hands persistence of the API keys to a KeyVault and loads the keys it kept for this session.
+     * Keys an earlier version saved in plaintext are moved to session-only storage and deleted from localStorage.
+     * @param {KeyVault} keyVault
+     * @returns {boolean} True if plaintext keys were moved, so the user can be asked to set a passphrase.
+     */
+    attachKeyVault(keyVault) {
+        this.keyVault = keyVault;
+        const sessionKeys = keyVault.loadSessionKeys();
+        if (sessionKeys) this.set('apiKeys', { ...this.get('apiKeys'), ...sessionKeys }, true);
+
+        const migrated = this._plaintextKeysLoaded;
+        if (migrated) {
+            if (!keyVault.hasVault()) keyVault.rememberForSession(this.get('apiKeys'));
+            localStorage.removeItem('parklandAI_apiKeys');
+            localStorage.removeItem('parklandAI_apiKey');
+            this._plaintextKeysLoaded = false;
+        }
+        this.set('keyVaultLocked', keyVault.isLocked(), true);
+        this._syncActiveApiKey();
+        return migrated;
+    }
+
+    /**
+     * Replaces all API keys at once, e.g. with the keys an unlocked vault returned or with none
+     * when it is locked again. Nothing is saved.
+     * @param {Object} keys - API keys by provider ID.
+     */
+    replaceApiKeys(keys) {
+        this.set('apiKeys', { claude: null, openai: null, ...keys });
+        this.set('keyVaultLocked', !!this.keyVault && this.keyVault.isLocked());
+        this._syncActiveApiKey();
+    }
+
+    /**
+     * Mirrors the active provider's key into apiKey and shows the login view when there is none.
+     * @private
+     */
+    _syncActiveApiKey() {
+        const activeKey = this.get(`apiKeys.${this.get('currentApiProvider')}`) || null;
+        this.set('apiKey', activeKey);
+        if (activeKey) { this.set('currentView', 'chat'); this.set('isLoginModalOpen', false); } else { this.set('currentView', 'login'); this.set('isLoginModalOpen', true); }
+    }
+    setApiProvider(provider) { this.set('currentApiProvider', provider); this.saveState(['currentApiProvider']); this.setApiKey(this.get(`apiKeys.${provider}`), provider); }
+    setModelPreference(provider, key, value) { this.set(`modelPreferences.${provider}.${key}`, value); this.saveState(['modelPreferences']); }
     setUserPreference(key, value) { const fullKey = `userPreferences.${key}`; this.set(fullKey, value); this.saveState(['userPreferences']); }
     setActiveSessionId(sessionId) { this.set('activeSessionId', sessionId); this.saveState(['activeSessionId']);}
     logState() { logger.state('%cCURRENT STATE:', 'color: #2196F3; font-weight: bold;', JSON.parse(JSON.stringify(this._state))); }
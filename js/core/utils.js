@@ -55,6 +55,7 @@ class ParklandUtils {
             if (key === 'className') element.className = Array.isArray(value) ? value.join(' ') : value;
             else if (key === 'dataset') Object.entries(value).forEach(([dataKey, dataValue]) => element.dataset[dataKey] = dataValue);
             else if (key === 'style' && typeof value === 'object') Object.assign(element.style, value);
+            else if (key === 'textContent' || key === 'innerHTML') element[key] = value; // Properties, not attributes
             else if (key.startsWith('on') && typeof value === 'function') element.addEventListener(key.substring(2).toLowerCase(), value);
             else if (typeof value === 'boolean') { if (value) element.setAttribute(key, ''); else element.removeAttribute(key); }
             else element.setAttribute(key, String(value));
@@ -142,6 +143,10 @@ class ParklandUtils {
             case 'trash': pathData = "M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"; break;
             case 'refresh': pathData = "M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"; break;
             case 'edit': pathData = "M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34a.9959.9959 0 00-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"; break;
+            case 'pin': pathData = "M16 9V4h1c.55 0 1-.45 1-1s-.45-1-1-1H7c-.55 0-1 .45-1 1s.45 1 1 1h1v5c0 1.66-1.34 3-3 3v2h5.97v7l1 1 1-1v-7H19v-2c-1.66 0-3-1.34-3-3z"; break;
+            case 'folder': pathData = "M10 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z"; break;
+            case 'search': pathData = "M15.5 14h-.79l-.28-.27C15.41 12.59 16 11.11 16 9.5 16 5.91 13.09 3 9.5 3S3 5.91 3 9.5 5.91 16 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"; break;
+            case 'tune': pathData = "M3 17v2h6v-2H3zM3 5v2h10V5H3zm10 16v-2h8v-2h-8v-2h-2v6h2zM7 9v2H3v2h4v2h2V9H7zm14 4v-2H11v2h10zm-6-4h2V7h4V5h-4V3h-2v6z"; break;
             default: {
                 const text = document.createElementNS(svgNS, "text"); 
                 text.setAttribute("x", "50%"); 
@@ -312,6 +317,7 @@ class ParklandUtils {
     getStorageItem(key) { try { const item = localStorage.getItem(key); return item ? JSON.parse(item) : null; } catch (e) { console.error("Error reading from localStorage:", e); return null; }}
     removeStorageItem(key) { try { localStorage.removeItem(key); } catch (e) { console.error("Error removing from localStorage:", e); }}
     clearStoragePrefix(prefix) { try { Object.keys(localStorage).filter(k => k.startsWith(prefix)).forEach(k => localStorage.removeItem(k)); } catch (e) { console.error("Error clearing storage by prefix:", e); }}
+    formatBytes(bytes) { const units = ['B', 'KB', 'MB', 'GB', 'TB']; let size = Math.max(0, bytes || 0), i = 0; while (size >= 1024 && i < units.length - 1) { size /= 1024; i++; } return `${i === 0 ? size : size.toFixed(1)} ${units[i]}`; }
     generateId(prefix = 'id_') { return prefix + Math.random().toString(36).substring(2, 11) + '_' + Date.now().toString(36); }
     deepClone(obj) { if (obj === null || typeof obj !== 'object') return obj; try { return JSON.parse(JSON.stringify(obj)); } catch(e) { const c = Array.isArray(obj) ? [] : {}; for(const k in obj) { if(Object.prototype.hasOwnProperty.call(obj, k)) c[k] = this.deepClone(obj[k]); } return c; } }
     isEmpty(value) { return value === undefined || value === null || (typeof value === 'object' && Object.keys(value).length === 0) || (typeof value === 'string' && value.trim().length === 0); }
@@ -4,39 +4,45 @@
  *
  * Service for interacting with the Anthropic Claude API.
  * Handles message formatting, API requests, and response processing.
+ * With a RetryManager, requests are retried through the 'claude-api' circuit breaker;
+ * failures reject with the typed errors from errors.js.
  */
 
-class ClaudeAPIService {
+/* global BaseApiProvider */
+
+const MIN_THINKING_BUDGET = 1024; // The smallest budget_tokens the Messages API accepts
+
+class ClaudeAPIService extends BaseApiProvider {
     constructor(stateManager, utils, retryManager = null, notificationSystem = null) {
-        if (!stateManager || !utils) {
-            throw new Error("ClaudeAPIService requires StateManager and Utils instances.");
-        }
-        this.stateManager = stateManager;
-        this.utils = utils;
-        this.retryManager = retryManager;
-        this.notificationSystem = notificationSystem;
-        this.apiEndpoint = 'https://api.anthropic.com/v1/messages'; // Standard Claude Messages API endpoint
+        super('claude', {
+            name: 'Anthropic Claude',
+            defaultModel: 'claude-3-haiku-20240307',
+            models: [
+                { id: 'claude-sonnet-4-20250514', name: 'Claude Sonnet 4' },
+                { id: 'claude-3-7-sonnet-20250219', name: 'Claude 3.7 Sonnet' },
+                { id: 'claude-3-opus-20240229', name: 'Claude 3 Opus' },
+                { id: 'claude-3-sonnet-20240229', name: 'Claude 3 Sonnet' },
+                { id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku' },
+                { id: 'claude-2.1', name: 'Claude 2.1' }
+            ],
+            keyPlaceholder: 'sk-ant-...',
+            supportsPromptCaching: true,
+            supportsThinking: true, // Extended thinking, on Claude 3.7 Sonnet and later models
+            configurableEndpoint: true, // For proxies and the local mock server (scripts/mock-api-server.js)
+            defaultBaseUrl: 'https://api.anthropic.com/v1',
+            endpointHelp: 'Leave as is unless you use a proxy. For offline development run npm run mock-api and use http://localhost:8787/v1.',
+            contextWindows: { 'claude-sonnet-4': 200000, 'claude-opus-4': 200000, 'claude-3': 200000, 'claude-2.1': 200000, 'claude-2': 100000 },
+            defaultContextWindow: 200000
+        }, stateManager, utils, retryManager, notificationSystem);
         this.apiVersion = '2023-06-01';
         
-        // Request tracking
-        this.requestHistory = [];
-        this.maxHistorySize = 50;
-        this.activeRequests = new Map();
-        
-        // Rate limiting
-        this.rateLimiter = {
-            tokens: 100,
-            maxTokens: 100,
-            refillRate: 10, // tokens per second
-            lastRefill: Date.now()
-        };
-        
         // Response streaming support
         this.streamingSupported = true;
         
         // Initialize circuit breaker if retry manager is available
+        this.circuitBreakerId = 'claude-api';
         if (this.retryManager) {
-            this.retryManager.createCircuitBreaker('claude-api', {
+            this.retryManager.createCircuitBreaker(this.circuitBreakerId, {
                 failureThreshold: 3,
                 successThreshold: 2,
                 timeout: 30000 // 30 seconds
@@ -54,7 +60,7 @@ class ClaudeAPIService {
      * @param {string} apiKey - The API key to validate.
      * @returns {boolean} True if the key matches the basic format, false otherwise.
      */
-    validateApiKey(apiKey) {
+    validateKey(apiKey) {
         if (!apiKey || typeof apiKey !== 'string') {
             return false;
         }
@@ -62,13 +68,61 @@ class ClaudeAPIService {
         return apiKey.startsWith('sk-ant-') && apiKey.length > 40;
     }
 
+    /**
+     * Fetches the models available to the stored key from the Models API.
+     * Falls back to the built-in list if there is no key or the request fails.
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async listModels() {
+        if (!this.validateKey(this.getApiKey())) return super.listModels();
+        try {
+            const response = await fetch(`${this.getBaseUrl()}/models`, { headers: this._getApiHeaders() });
+            if (!response.ok) throw new Error(`Models request failed with status ${response.status}.`);
+            const data = await response.json();
+            const models = (data.data || []).map(model => ({ id: model.id, name: model.display_name || model.id }));
+            return models.length ? models : super.listModels();
+        } catch (error) {
+            console.warn('Could not fetch Claude models, using the built-in list:', error);
+            return super.listModels();
+        }
+    }
+
+    /**
+     * Counts prompt tokens with the token counting endpoint, falling back to an estimate.
+     * @param {string|Array<Object>} input - Plain text or chat history messages.
+     * @returns {Promise<number>}
+     */
+    async countTokens(input) {
+        const messages = Array.isArray(input)
+            ? this._buildConversationTurns(input)
+            : this._buildConversationTurns([], String(input || ''));
+        if (!messages.length || !this.validateKey(this.getApiKey())) return super.countTokens(input);
+        try {
+            const response = await fetch(`${this.getBaseUrl()}/messages/count_tokens`, {
+                method: 'POST',
+                headers: this._getApiHeaders(),
+                body: JSON.stringify({
+                    model: this.getModelPreference('model', this.defaultModel),
+                    system: this._buildSystemPrompt(),
+                    messages
+                })
+            });
+            if (!response.ok) throw new Error(`Token count request failed with status ${response.status}.`);
+            const data = await response.json();
+            return typeof data.input_tokens === 'number' ? data.input_tokens : super.countTokens(input);
+        } catch (error) {
+            console.warn('Could not count tokens with the API, using an estimate:', error);
+            return super.countTokens(input);
+        }
+    }
+
     /**
      * Constructs the headers required for Claude API requests.
      * @returns {Headers} A Headers object with the necessary API headers.
      * @private
      */
     _getApiHeaders() {
-        const apiKey = this.stateManager.get('apiKey');
+        const apiKey = this.getApiKey();
         if (!apiKey) {
             throw new Error('API key is not set. Please set it in settings.');
         }
@@ -82,110 +136,108 @@ class ClaudeAPIService {
 
     /**
      * Constructs the messages array in the format expected by the Claude API.
-     * Ensures messages alternate between 'user' and 'assistant' roles.
-     * Adds a system prompt if available.
-     * @param {Array<Object>} chatHistory - The current chat history.
+     * The API requires the conversation to open with a user turn and to alternate
+     * strictly between 'user' and 'assistant'; see _buildConversationTurns.
+     * The system prompt is not part of this array but is sent as the top-level
+     * `system` field (see _buildSystemPrompt).
+     * Turns with attachments get an array of content blocks: base64 `image` and `document`
+     * blocks first (as the vision docs recommend), then the text.
+     * @param {Array<Object>} chatHistory - Messages that precede the new one.
      * @param {string} newMessageContent - The new user message content.
+     * @param {Array<Object>} [attachments=[]] - Attachments sent with the new message.
      * @returns {Array<Object>} The formatted messages array for the API.
      * @private
      */
-    _constructClaudeMessages(chatHistory = [], newMessageContent) {
-        const claudeMessages = [];
-
-        // Add system prompt if available from character or default
-        const character = this.stateManager.get('activeCharacter');
-        let systemPromptContent = "You are a helpful AI assistant. Please provide concise and informative responses."; // Default system prompt
-        if (character && window.parklandApp && window.parklandApp.characterManager) { // Ensure characterManager exists
-            const characterData = window.parklandApp.characterManager.getCharacterData(character);
-            if (characterData && characterData.systemPrompt) {
-                systemPromptContent = characterData.systemPrompt;
-            }
-        }
-        claudeMessages.push({ role: 'system', content: systemPromptContent });
-
-
-        // Add existing chat history, ensuring alternating roles
-        let lastRole = 'system'; // System prompt is conceptually before the first user message
-        chatHistory.forEach(msg => {
-            // Skip if role is same as last, or if it's a system message (already handled)
-            // Claude API requires strict user/assistant alternation after the initial system prompt.
-            if (msg.role !== 'system') {
-                if (msg.role !== lastRole) {
-                    claudeMessages.push({ role: msg.role, content: msg.content });
-                    lastRole = msg.role;
-                } else {
-                    // If same role, append content to the last message of that role if it exists
-                    // This helps consolidate multiple user/assistant turns if they occurred without alternation
-                    const lastMessageOfRole = claudeMessages.slice().reverse().find(m => m.role === msg.role);
-                    if (lastMessageOfRole) {
-                        lastMessageOfRole.content += `\n${msg.content}`; // Append content
-                    } else {
-                         // This case should ideally not happen if history is well-formed
-                        claudeMessages.push({ role: msg.role, content: msg.content });
-                        lastRole = msg.role;
-                    }
-                }
-            }
+    _constructClaudeMessages(chatHistory = [], newMessageContent, attachments = []) {
+        return this._buildConversationTurns(chatHistory, newMessageContent, attachments).map(turn => {
+            if (!turn.attachments) return turn;
+            const content = turn.attachments.map(attachment => {
+                if (!attachment.data) return { type: 'text', text: this._describeMissingAttachment(attachment) };
+                return {
+                    type: attachment.type === 'image' ? 'image' : 'document',
+                    source: { type: 'base64', media_type: attachment.mediaType, data: attachment.data }
+                };
+            });
+            if (turn.content) content.push({ type: 'text', text: turn.content });
+            return { role: turn.role, content };
         });
+    }
 
-        // Add the new user message
-        // Ensure the new user message doesn't immediately follow another user message without an assistant response.
-        if (lastRole === 'user' && claudeMessages.length > 0) {
-            // This implies the chat history ended on a user message.
-            // Claude API usually expects user -> assistant -> user.
-            // If the last message in claudeMessages (after processing history) is 'user',
-            // and we are adding another 'user' message, this is fine for Claude.
-            // The API itself will respond as 'assistant'.
-             claudeMessages.push({ role: 'user', content: newMessageContent });
-        } else if (lastRole === 'assistant' || claudeMessages.length === 0 || (claudeMessages.length === 1 && claudeMessages[0].role === 'system')) {
-            // This is the expected case: after system, or after an assistant response.
-            claudeMessages.push({ role: 'user', content: newMessageContent });
-        } else {
-            // Edge case: if somehow history processing resulted in an unexpected lastRole.
-            // For safety, add the user message. The API will error out if malformed.
-            console.warn("Potentially problematic message order for Claude API. Last role was:", lastRole);
-            claudeMessages.push({ role: 'user', content: newMessageContent });
+    /**
+     * Marks the prompt prefix that repeats from turn to turn for prompt caching: the system prompt
+     * (and with it the tool definitions, which precede it) and the conversation up to the turn before
+     * the new message. Later requests in the chat then read that prefix from the cache instead of
+     * paying for it in full; the usage reports cache_creation_input_tokens and cache_read_input_tokens.
+     * Prefixes shorter than the model's minimum cacheable length are simply not cached.
+     * @param {Object} requestBody - The Messages API request body; changed in place.
+     * @private
+     */
+    _addCacheBreakpoints(requestBody) {
+        const cacheControl = { type: 'ephemeral' };
+        if (typeof requestBody.system === 'string' && requestBody.system) {
+            requestBody.system = [{ type: 'text', text: requestBody.system, cache_control: cacheControl }];
         }
 
-
-        // Claude API constraint: "messages: Array of User and Assistant Messages. Must alternate between User and Assistant.
-        // An empty array is not allowed. The first message must be a User message."
-        // With a system prompt, the first non-system message must be 'user'.
-        // The logic above tries to adhere to this.
-        
-        // Final check to remove system prompt if it's the only message and content is user
-        // (Claude doesn't want *only* a system prompt if the user message is implied by 'content')
-        // However, the Messages API v1 *does* allow a system prompt and then user message.
-        // The current structure should be fine.
-
-        return claudeMessages;
+        const lastStableIndex = requestBody.messages.length - 2;
+        if (lastStableIndex < 0) return;
+        const turn = requestBody.messages[lastStableIndex];
+        const content = typeof turn.content === 'string' ? [{ type: 'text', text: turn.content }] : [...turn.content];
+        content[content.length - 1] = { ...content[content.length - 1], cache_control: cacheControl };
+        requestBody.messages[lastStableIndex] = { ...turn, content };
     }
 
     /**
      * Handles error responses from the Claude API.
      * @param {Response} response - The fetch Response object.
      * @param {Object} responseData - The parsed JSON error data.
-     * @throws {Error} An error object with a user-friendly message.
+     * @throws {APIError} The typed error for the status (see createApiErrorFromResponse), with a user-friendly message.
      * @private
      */
     _handleErrorResponse(response, responseData) {
-        let errorMessage = `API request failed with status ${response.status}.`;
-        if (responseData && responseData.error) {
-            const error = responseData.error;
-            errorMessage = `Error ${error.type || response.status}: ${error.message || 'Unknown API error.'}`;
-            if (error.type === 'authentication_error' || error.type === 'permission_error') {
-                errorMessage += " Please check your API key.";
-                // Optionally, clear the invalid API key from state
-                // this.stateManager.setApiKey(null);
-            } else if (error.type === 'invalid_request_error') {
-                errorMessage += " There might be an issue with the request format or parameters.";
-                 if (error.message && error.message.includes("messages: must alternate between \"user\" and \"assistant\" roles")) {
-                    errorMessage = "Conversation structure error. Messages must alternate roles. Please try rephrasing or starting a new chat.";
-                }
+        console.error('Claude API Error:', responseData || response.statusText);
+        try {
+            window.ParklandApiErrors.createApiErrorFromResponse(response, responseData);
+        } catch (error) {
+            error.message = this._describeApiError(error, responseData && responseData.error);
+            throw error;
+        }
+    }
+
+    /**
+     * The message shown for a failed request.
+     * @param {APIError} error - The typed error.
+     * @param {Object} [details] - The `error` object of the response body.
+     * @returns {string}
+     * @private
+     */
+    _describeApiError(error, details) {
+        const { AuthenticationError, RateLimitError, OverloadedError, ServerError } = window.ParklandApiErrors;
+        const apiMessage = (details && details.message) || '';
+
+        if (error instanceof AuthenticationError) {
+            return `${error.message} Please check your API key.`;
+        }
+        if (error instanceof RateLimitError) {
+            return typeof error.retryAfter === 'number' ?
+                `Claude's rate limit was reached. Please try again in ${Math.max(1, Math.ceil(error.retryAfter))} seconds.` :
+                "Claude's rate limit was reached. Please wait a moment before trying again.";
+        }
+        if (error instanceof OverloadedError) {
+            return 'Claude is temporarily overloaded. Please try again in a moment.';
+        }
+        if (error instanceof ServerError) {
+            return `Claude had a server error (${error.status}). Please try again in a moment.`;
+        }
+        if (details && details.type === 'invalid_request_error') {
+            if (apiMessage.includes("messages: must alternate between \"user\" and \"assistant\" roles")) {
+                return "Conversation structure error. Messages must alternate roles. Please try rephrasing or starting a new chat.";
+            }
+            if (/prompt is too long|context (window|length)/i.test(apiMessage)) {
+                return "This conversation no longer fits in the model's context window. Lower the context window in settings so older messages are compacted sooner, or start a new chat.";
             }
+            return `${error.message} There might be an issue with the request format or parameters.`;
         }
-        console.error('Claude API Error:', responseData || response.statusText);
-        throw new Error(errorMessage);
+        return error.message;
     }
 
     /**
@@ -194,17 +246,20 @@ class ClaudeAPIService {
      * @param {Array<Object>} [chatHistory=[]] - The existing chat history.
      * @param {Object} [options={}] - Additional options (streaming, temperature, etc.)
      * @returns {Promise<Object>} A promise that resolves with the assistant's response object.
+     * @throws {APIError} A typed error (see errors.js) with a `retryable` flag; an AbortError if cancelled.
      */
     async sendMessage(messageContent, chatHistory = [], options = {}) {
-        if (!messageContent.trim()) {
+        const attachments = Array.isArray(options.attachments) ? options.attachments : [];
+        if (!messageContent.trim() && attachments.length === 0) {
             const error = new Error("Message content cannot be empty.");
             this._recordRequest(null, messageContent, false, error);
             return Promise.reject(error);
         }
 
-        const apiKey = this.stateManager.get('apiKey');
-        if (!this.validateApiKey(apiKey)) {
-            const error = new Error("Invalid or missing Claude API Key. Please check settings.");
+        const { APIError, AuthenticationError, RateLimitError } = window.ParklandApiErrors;
+        const apiKey = this.getApiKey();
+        if (!this.validateKey(apiKey)) {
+            const error = new AuthenticationError("Invalid or missing Claude API Key. Please check settings.");
             this.stateManager.set('lastError', { message: error.message, type: 'config' });
             if (this.notificationSystem) {
                 this.notificationSystem.showError('Invalid API key. Please check your settings.', {
@@ -220,99 +275,286 @@ class ClaudeAPIService {
         
         // Check rate limiting
         if (!this._checkRateLimit()) {
-            const error = new Error('Rate limit exceeded. Please wait before sending another message.');
+            const retryAfter = (1 - this.rateLimiter.tokens) / this.rateLimiter.refillRate;
+            const error = new RateLimitError('Rate limit exceeded. Please wait before sending another message.', undefined, undefined, retryAfter);
             if (this.notificationSystem) {
                 this.notificationSystem.showWarning('Rate limit exceeded. Please wait a moment.');
             }
             return Promise.reject(error);
         }
 
+        const requestId = options.requestId || this._generateRequestId();
         const headers = this._getApiHeaders();
-        const model = this.stateManager.get('modelPreferences.claude.model') || 'claude-3-haiku-20240307'; // Default model
-        const maxTokens = this.stateManager.get('modelPreferences.claude.maxTokens') || 1024; // Default max tokens
-
-        const messagesForApi = this._constructClaudeMessages(chatHistory, messageContent);
-
-        // Remove system prompt if it's the first message and there's only one actual user message.
-        // However, Claude's v1 Messages API *does* support a system message object.
-        // The following check might be too aggressive or unnecessary for the new API.
-        // Let's assume the system prompt is always fine to send.
-        /*
-        if (messagesForApi.length > 0 && messagesForApi[0].role === 'system') {
-            // If system prompt is present, ensure there's at least one user message after it for valid conversation start
-            if (messagesForApi.length === 1 || (messagesForApi.length > 1 && messagesForApi[1].role !== 'user')) {
-                 console.warn("Claude API: System prompt found without a subsequent user message. This might be an issue. Removing system prompt for safety.");
-                 messagesForApi.shift(); // Remove system prompt if it's the only thing or followed by non-user
-            }
-        }
-        */
+        const { model, maxTokens, temperature, thinkingBudget } = this.resolveRequestSettings(options);
+        const streaming = !!options.streaming && this.streamingSupported;
 
+        const messagesForApi = this._constructClaudeMessages(chatHistory, messageContent, attachments);
 
-        const body = JSON.stringify({
+        const requestBody = {
             model: model,
             max_tokens: maxTokens,
+            system: options.systemPrompt || this._buildSystemPrompt(chatHistory, this._resolveCharacter(options)),
             messages: messagesForApi,
-            // stream: false // For non-streaming response by default
-            // system: systemPrompt (handled by putting it as first message)
-        });
+            stream: streaming
+        };
+        if (thinkingBudget) {
+            // max_tokens covers the thinking too, so the answer keeps its own maxTokens on top of the budget.
+            // Thinking does not work with a changed temperature, so the server default is used.
+            const budget = Math.max(MIN_THINKING_BUDGET, thinkingBudget);
+            requestBody.thinking = { type: 'enabled', budget_tokens: budget };
+            requestBody.max_tokens = maxTokens + budget;
+        } else if (temperature !== null) {
+            requestBody.temperature = temperature;
+        }
+        const tools = this.getToolDefinitions(options);
+        if (tools.length) {
+            requestBody.tools = tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema }));
+        }
+
+        const promptCaching = typeof options.promptCaching === 'boolean' ? options.promptCaching : this.getModelPreference('promptCaching', false);
+        if (promptCaching) this._addCacheBreakpoints(requestBody);
 
         if (this.stateManager.get('debugMode')) {
-            console.log('Claude API Request Body:', JSON.parse(body));
+            console.log('Claude API Request Body:', requestBody);
         }
 
-        try {
-            const response = await fetch(this.apiEndpoint, {
-                method: 'POST',
-                headers: headers,
-                body: body
-            });
+        const url = `${this.getBaseUrl()}/messages`;
+        const send = async () => {
+            const activeRequest = {
+                messageContent,
+                startTime: Date.now(),
+                abortController: new AbortController(),
+                partialContent: '' // Text streamed so far, kept if the request is cancelled mid-stream
+            };
+            this.activeRequests.set(requestId, activeRequest);
+
+            try {
+                const replyParts = [];
+                const reasoningParts = [];
+                const toolCalls = [];
+                let usage = null;
+                let stopReason = null;
+
+                // Tool-use loop: while the model stops to call tools, run them, send the results back and let it continue.
+                for (let iteration = 0; ; iteration++) {
+                    const response = await this._fetchWithRetry(url, {
+                        method: 'POST',
+                        headers: headers,
+                        body: JSON.stringify(requestBody),
+                        signal: activeRequest.abortController.signal
+                    });
+
+                    let turn;
+                    if (streaming) {
+                        turn = await this._handleStreamingResponse(response, requestId, options, {
+                            text: replyParts.length ? `${replyParts.join('\n\n')}\n\n` : '',
+                            reasoning: reasoningParts.length ? `${reasoningParts.join('\n\n')}\n\n` : ''
+                        });
+                    } else {
+                        const responseData = await response.json();
+
+                        if (this.stateManager.get('debugMode')) {
+                            console.log('Claude API Response Data:', responseData);
+                        }
+                        turn = this._parseResponse(responseData);
+                    }
+
+                    if (turn.content.trim()) replyParts.push(turn.content.trim());
+                    if (turn.reasoning.trim()) reasoningParts.push(turn.reasoning.trim());
+                    usage = this._addUsage(usage, turn.usage);
+                    stopReason = turn.stopReason;
+
+                    const calls = turn.blocks.filter(block => block.type === 'tool_use');
+                    if (stopReason !== 'tool_use' || calls.length === 0 || !this.toolRegistry) break;
+                    if (iteration + 1 >= this.maxToolIterations) {
+                        console.warn(`Claude kept calling tools after ${this.maxToolIterations} rounds; stopping the reply there.`);
+                        break;
+                    }
 
-            const responseData = await response.json();
+                    const records = await this._runToolCalls(calls, toolCalls, options.onToolCall);
+                    requestBody.messages = [
+                        ...requestBody.messages,
+                        { role: 'assistant', content: turn.blocks.filter(block => block.type !== 'text' || block.text) },
+                        {
+                            role: 'user',
+                            content: records.map(record => ({
+                                type: 'tool_result',
+                                tool_use_id: record.id,
+                                content: record.output,
+                                is_error: record.isError
+                            }))
+                        }
+                    ];
+                }
 
-            if (!response.ok) {
-                this._handleErrorResponse(response, responseData); // Throws error
+                // The character associated with this response is the one it was asked to answer as,
+                // unless the API itself dictates a character switch (which is not standard for Claude).
+                const currentCharacter = this._resolveCharacter(options);
+
+                const result = {
+                    role: 'assistant',
+                    content: replyParts.join('\n\n'),
+                    character: currentCharacter, // Attach current character context if needed by UI
+                    usage: usage,
+                    stopReason: stopReason,
+                    model: model,
+                    provider: this.id,
+                    streaming: streaming
+                };
+                if (reasoningParts.length) result.reasoning = reasoningParts.join('\n\n');
+                if (toolCalls.length) result.toolCalls = toolCalls;
+                this._recordRequest(requestId, messageContent, true, null, result);
+                return result;
+
+            } catch (error) {
+                this._recordRequest(requestId, messageContent, false, error);
+                if (activeRequest.abortController.signal.aborted) {
+                    // Cancellation is user-initiated, so it is reported as-is rather than as a failure.
+                    throw this._createCancelError(requestId, activeRequest, error);
+                }
+                console.error('Error sending message to Claude API:', error);
+                const apiError = error instanceof APIError ?
+                    error :
+                    new APIError(error.message || 'An unexpected error occurred. Please try again.', undefined, 'unknown_error', error);
+                apiError.retryable = this._isRetryableError(apiError);
+
+                this.stateManager.set('lastError', { message: apiError.message, type: 'api', errorType: apiError.type, status: apiError.status, originalError: error });
+                throw apiError;
+            } finally {
+                this.activeRequests.delete(requestId);
             }
+        };
+        // The fingerprint is taken before the tool loop appends turns to requestBody.messages
+        return this._shareInFlightRequest(`${url}\n${JSON.stringify(requestBody)}`, send);
+    }
+
+    /**
+     * Reads a non-streaming Messages API response.
+     * @param {Object} responseData - The parsed response body.
+     * @returns {Object} { content, reasoning, blocks, usage, stopReason }, where content joins the text
+     * blocks and reasoning the thinking blocks.
+     * @private
+     */
+    _parseResponse(responseData) {
+        if (!responseData.content || !Array.isArray(responseData.content)) {
+            console.warn('Unexpected Claude API response structure for content:', responseData);
+            return { content: "Sorry, I couldn't process the response correctly.", reasoning: '', blocks: [], usage: responseData.usage || null, stopReason: null };
+        }
+        const content = responseData.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        const reasoning = responseData.content
+            .filter(block => block.type === 'thinking' && block.thinking)
+            .map(block => block.thinking)
+            .join('\n\n');
+        return {
+            content,
+            reasoning,
+            blocks: responseData.content,
+            usage: responseData.usage || null,
+            stopReason: responseData.stop_reason || null
+        };
+    }
 
-            if (this.stateManager.get('debugMode')) {
-                console.log('Claude API Response Data:', responseData);
+    /**
+     * Reads a server-sent event stream from the Messages API.
+     * Text deltas are reported through onChunk and thinking deltas through onThinking as they
+     * arrive; tool_use blocks are assembled from their input_json_delta events and thinking blocks
+     * keep their signature, so they can be sent back within a tool-use loop. The promise only
+     * resolves once `message_stop` has been received.
+     * @param {Response} response - The fetch Response with a readable body.
+     * @param {string} requestId - The ID of the request being streamed.
+     * @param {Object} [callbacks={}] - onChunk(delta, fullText, requestId) and onThinking(delta, fullReasoning, requestId).
+     * @param {Object} [soFar={}] - { text, reasoning } from earlier turns of a tool-use loop, which fullText and fullReasoning continue.
+     * @returns {Promise<Object>} Resolves with { content, reasoning, blocks, usage, stopReason }.
+     * @private
+     */
+    async _handleStreamingResponse(response, requestId, callbacks = {}, soFar = {}) {
+        const { onChunk, onThinking } = callbacks;
+        const textSoFar = soFar.text || '';
+        const reasoningSoFar = soFar.reasoning || '';
+        let content = '';
+        let reasoning = '';
+        let stopReason = null;
+        const usage = {};
+        const blocks = [];
+        const partialInputs = {}; // Tool input JSON by block index, streamed in fragments
+        const activeRequest = this.activeRequests.get(requestId);
+
+        const completed = await this._readEventStream(response, (data) => {
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch (parseError) {
+                console.warn('Failed to parse streaming chunk:', parseError);
+                return false;
             }
 
-            // Extract assistant's reply
-            // For non-streaming, responseData.content should be an array of content blocks.
-            // We'll concatenate text blocks.
-            let assistantReply = '';
-            if (responseData.content && Array.isArray(responseData.content)) {
-                responseData.content.forEach(block => {
-                    if (block.type === 'text') {
-                        assistantReply += block.text;
+            if (event.type === 'message_start') {
+                Object.assign(usage, event.message && event.message.usage);
+            } else if (event.type === 'content_block_start') {
+                blocks[event.index] = { ...event.content_block };
+                if (event.content_block && event.content_block.type === 'tool_use') partialInputs[event.index] = '';
+            } else if (event.type === 'content_block_delta') {
+                if (event.delta && event.delta.type === 'input_json_delta') {
+                    partialInputs[event.index] = (partialInputs[event.index] || '') + (event.delta.partial_json || '');
+                    return false;
+                }
+                if (event.delta && event.delta.type === 'signature_delta') {
+                    if (blocks[event.index]) blocks[event.index].signature = (blocks[event.index].signature || '') + event.delta.signature;
+                    return false;
+                }
+                if (event.delta && event.delta.type === 'thinking_delta') {
+                    const thought = event.delta.thinking || '';
+                    reasoning += thought;
+                    if (blocks[event.index]) blocks[event.index].thinking = (blocks[event.index].thinking || '') + thought;
+                    if (thought && typeof onThinking === 'function') {
+                        onThinking(thought, reasoningSoFar + reasoning, requestId);
                     }
-                });
-            } else {
-                console.warn('Unexpected Claude API response structure for content:', responseData);
-                assistantReply = "Sorry, I couldn't process the response correctly.";
+                    return false;
+                }
+                const delta = event.delta && event.delta.type === 'text_delta' ? event.delta.text : '';
+                if (!delta) return false;
+                content += delta;
+                if (blocks[event.index] && blocks[event.index].type === 'text') {
+                    blocks[event.index].text = (blocks[event.index].text || '') + delta;
+                }
+                if (activeRequest) activeRequest.partialContent = textSoFar + content;
+                if (typeof onChunk === 'function') {
+                    onChunk(delta, textSoFar + content, requestId);
+                }
+            } else if (event.type === 'content_block_stop') {
+                if (partialInputs[event.index] !== undefined && blocks[event.index]) {
+                    try {
+                        blocks[event.index].input = partialInputs[event.index] ? JSON.parse(partialInputs[event.index]) : {};
+                    } catch (parseError) {
+                        console.warn('Failed to parse streamed tool input:', parseError);
+                        blocks[event.index].input = {};
+                    }
+                }
+            } else if (event.type === 'message_delta') {
+                Object.assign(usage, event.usage);
+                stopReason = (event.delta && event.delta.stop_reason) || stopReason;
+            } else if (event.type === 'message_stop') {
+                return true;
+            } else if (event.type === 'error') {
+                const streamError = event.error || {};
+                if (streamError.type === 'overloaded_error') {
+                    throw new window.ParklandApiErrors.OverloadedError('Claude became overloaded while replying. Please try again in a moment.', 529, streamError);
+                }
+                throw new window.ParklandApiErrors.APIError(
+                    `Error ${streamError.type || 'stream_error'}: ${streamError.message || 'The response stream failed.'}`,
+                    undefined, streamError.type || 'stream_error', streamError);
             }
+            return false;
+        });
 
-            // The character associated with this response would typically be the active one,
-            // unless the API itself dictates a character switch (which is not standard for Claude).
-            const currentCharacter = this.stateManager.get('activeCharacter');
-
-            return {
-                role: 'assistant',
-                content: assistantReply.trim(),
-                character: currentCharacter, // Attach current character context if needed by UI
-                // rawResponse: responseData // Optionally include for further processing
-            };
-
-        } catch (error) {
-            console.error('Error sending message to Claude API:', error);
-            // Propagate a user-friendly error or a structured error object
-            const displayError = error.message.startsWith("Error") || error.message.startsWith("API request failed") ?
-                error.message :
-                "Failed to connect to the AI service. Please check your network or API key.";
-            
-            this.stateManager.set('lastError', {message: displayError, type: 'api', originalError: error});
-            throw new Error(displayError);
+        if (!completed) {
+            throw new window.ParklandApiErrors.NetworkError('Error stream_incomplete: The response stream ended before the reply was complete.');
         }
+
+        return { content, reasoning, blocks: blocks.filter(Boolean), usage, stopReason };
     }
 }
 
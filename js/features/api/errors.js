@@ -45,8 +45,15 @@ class AuthenticationError extends APIError {
  * Typically corresponds to HTTP 429.
  */
 class RateLimitError extends APIError {
-    constructor(message = 'API rate limit exceeded. Please try again later.', status = 429, originalError) {
+    /**
+     * @param {string} [message]
+     * @param {number} [status=429]
+     * @param {Error} [originalError]
+     * @param {number|null} [retryAfter=null] - Seconds to wait before retrying, from the `retry-after` header.
+     */
+    constructor(message = 'API rate limit exceeded. Please try again later.', status = 429, originalError, retryAfter = null) {
         super(message, status, 'rate_limit_error', originalError);
+        this.retryAfter = retryAfter;
     }
 }
 
@@ -60,6 +67,17 @@ class ServerError extends APIError {
     }
 }
 
+/**
+ * Error for when the API is temporarily overloaded.
+ * Corresponds to Anthropic's HTTP 529 and to `overloaded_error` events in a response stream.
+ */
+class OverloadedError extends ServerError {
+    constructor(message = 'The API is temporarily overloaded. Please try again shortly.', status = 529, originalError) {
+        super(message, status, originalError);
+        this.type = 'overloaded_error';
+    }
+}
+
 /**
  * Error for invalid requests (e.g., malformed parameters, validation errors).
  * Typically corresponds to HTTP 400.
@@ -110,6 +128,20 @@ class AbortError extends APIError {
 }
 
 
+/**
+ * Reads a `retry-after` header, which holds either a number of seconds or an HTTP date.
+ * @param {string|null} value - The header value.
+ * @param {number} [now=Date.now()] - Current time, for HTTP dates.
+ * @returns {number|null} Seconds to wait, or null if the header is missing or unreadable.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, (date - now) / 1000);
+}
+
 /**
  * Helper function to create and throw an appropriate API error based on
  * an HTTP response object and potentially parsed response data.
@@ -143,6 +175,10 @@ function createApiErrorFromResponse(response, responseData, originalFetchError)
         message = `API Error ${status}: ${response.statusText}`;
     }
 
+    if (status === 529 || type === 'overloaded_error') {
+        throw new OverloadedError(message, status, errorDetails || responseData);
+    }
+
     switch (status) {
         case 400:
             throw new InvalidRequestError(message, status, errorDetails || responseData);
@@ -151,8 +187,12 @@ function createApiErrorFromResponse(response, responseData, originalFetchError)
             throw new AuthenticationError(message, status, errorDetails || responseData);
         case 404:
             throw new NotFoundError(message, status, errorDetails || responseData);
-        case 429:
-            throw new RateLimitError(message, status, errorDetails || responseData);
+        case 429: {
+            const retryAfter = response.headers && typeof response.headers.get === 'function' ?
+                parseRetryAfter(response.headers.get('retry-after')) :
+                null;
+            throw new RateLimitError(message, status, errorDetails || responseData, retryAfter);
+        }
         default:
             if (status >= 500 && status < 600) {
                 throw new ServerError(message, status, errorDetails || responseData);
@@ -170,11 +210,13 @@ function createApiErrorFromResponse(response, responseData, originalFetchError)
 //     AuthenticationError,
 //     RateLimitError,
 //     ServerError,
+//     OverloadedError,
 //     InvalidRequestError,
 //     NotFoundError,
 //     TimeoutError,
 //     NetworkError,
 //     AbortError,
+//     parseRetryAfter,
 //     createApiErrorFromResponse
 // };
 
@@ -185,11 +227,13 @@ if (typeof window !== 'undefined') {
         AuthenticationError,
         RateLimitError,
         ServerError,
+        OverloadedError,
         InvalidRequestError,
         NotFoundError,
         TimeoutError,
         NetworkError,
         AbortError,
+        parseRetryAfter,
         createApiErrorFromResponse
     };
 }
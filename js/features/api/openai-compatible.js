@@ -0,0 +1,436 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * OpenAICompatibleService
+ *
+ * Provider adapter for servers that speak the OpenAI chat-completions API:
+ * OpenAI itself, or a local Ollama / llama.cpp server via a custom base URL.
+ * Replies are normalized to the same result shape ClaudeAPIService returns.
+ */
+
+/* global BaseApiProvider */
+
+class OpenAICompatibleService extends BaseApiProvider {
+    constructor(stateManager, utils, retryManager = null, notificationSystem = null) {
+        super('openai', {
+            name: 'OpenAI-compatible',
+            defaultModel: 'gpt-4o-mini',
+            models: [
+                { id: 'gpt-4o', name: 'GPT-4o' },
+                { id: 'gpt-4o-mini', name: 'GPT-4o mini' },
+                { id: 'llama3.1', name: 'Llama 3.1 (Ollama)' }
+            ],
+            keyPlaceholder: 'sk-... (any value for local servers)',
+            supportsThinking: true, // reasoning_effort for OpenAI reasoning models; reasoning is read back from servers that return it
+            configurableEndpoint: true,
+            defaultBaseUrl: 'https://api.openai.com/v1',
+            endpointHelp: 'For Ollama use http://localhost:11434/v1; for llama.cpp, http://localhost:8080/v1.',
+            contextWindows: { 'gpt-4o': 128000, 'gpt-4-turbo': 128000, 'gpt-4': 8192, 'gpt-3.5-turbo': 16385 },
+            defaultContextWindow: 8192 // Local servers often run with small contexts; set contextWindow in settings
+        }, stateManager, utils, retryManager, notificationSystem);
+        this.streamingSupported = true;
+
+        if (this.stateManager.get('debugMode')) {
+            console.log('🤖 OpenAICompatibleService initialized.');
+        }
+    }
+
+    /**
+     * Local servers usually ignore the key, so any non-blank value without spaces is accepted.
+     * @param {string} apiKey - The API key to validate.
+     * @returns {boolean}
+     */
+    validateKey(apiKey) {
+        return typeof apiKey === 'string' && apiKey.trim().length > 0 && !/\s/.test(apiKey.trim());
+    }
+
+    /**
+     * Fetches the server's model list, falling back to the built-in list on failure.
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async listModels() {
+        try {
+            const response = await fetch(`${this.getBaseUrl()}/models`, { headers: this._getApiHeaders() });
+            if (!response.ok) throw new Error(`Models request failed with status ${response.status}.`);
+            const data = await response.json();
+            const models = (data.data || []).map(model => ({ id: model.id, name: model.id }));
+            return models.length ? models : super.listModels();
+        } catch (error) {
+            console.warn('Could not fetch models from the OpenAI-compatible server, using the built-in list:', error);
+            return super.listModels();
+        }
+    }
+
+    /**
+     * @returns {Headers} Request headers; Authorization is only sent when a key is stored.
+     * @private
+     */
+    _getApiHeaders() {
+        const headers = new Headers();
+        const apiKey = this.getApiKey();
+        if (apiKey) headers.append('Authorization', `Bearer ${apiKey}`);
+        headers.append('content-type', 'application/json');
+        return headers;
+    }
+
+    /**
+     * Chat-completions messages: the system prompt as the first message,
+     * followed by the alternating conversation turns. Turns with attachments get an array of
+     * content parts: images as `image_url` data URLs, PDFs as `file` parts.
+     * @param {Array<Object>} chatHistory - Messages that precede the new one.
+     * @param {string} newMessageContent - The new user message content.
+     * @param {string} [systemPrompt] - Replaces the composed system prompt.
+     * @param {Array<Object>} [attachments=[]] - Attachments sent with the new message.
+     * @returns {Array<Object>}
+     * @private
+     */
+    _constructChatMessages(chatHistory = [], newMessageContent, systemPrompt, attachments = []) {
+        const turns = this._buildConversationTurns(chatHistory, newMessageContent, attachments).map(turn => {
+            if (!turn.attachments) return turn;
+            const content = turn.content ? [{ type: 'text', text: turn.content }] : [];
+            turn.attachments.forEach(attachment => {
+                const dataUrl = `data:${attachment.mediaType};base64,${attachment.data}`;
+                if (!attachment.data) {
+                    content.push({ type: 'text', text: this._describeMissingAttachment(attachment) });
+                } else if (attachment.type === 'image') {
+                    content.push({ type: 'image_url', image_url: { url: dataUrl } });
+                } else {
+                    content.push({ type: 'file', file: { filename: attachment.name, file_data: dataUrl } });
+                }
+            });
+            return { role: turn.role, content };
+        });
+        return [
+            { role: 'system', content: systemPrompt || this._buildSystemPrompt(chatHistory) },
+            ...turns
+        ];
+    }
+
+    /**
+     * @param {Object} [usage] - OpenAI usage object ({ prompt_tokens, completion_tokens }).
+     * @returns {Object|null} Usage in the { input_tokens, output_tokens } shape the app uses.
+     * @private
+     */
+    _normalizeUsage(usage) {
+        if (!usage) return null;
+        return {
+            input_tokens: usage.prompt_tokens || 0,
+            output_tokens: usage.completion_tokens || 0
+        };
+    }
+
+    /**
+     * Handles error responses from the server.
+     * @param {Response} response - The fetch Response object.
+     * @param {Object} responseData - The parsed JSON error data.
+     * @throws {Error} An error object with a user-friendly message.
+     * @private
+     */
+    _handleErrorResponse(response, responseData) {
+        let errorMessage = `API request failed with status ${response.status}.`;
+        if (responseData && responseData.error) {
+            const error = typeof responseData.error === 'string' ? { message: responseData.error } : responseData.error;
+            errorMessage = `Error ${error.type || error.code || response.status}: ${error.message || 'Unknown API error.'}`;
+            if (response.status === 401 || response.status === 403) {
+                errorMessage += " Please check your API key.";
+            } else if (response.status === 404) {
+                errorMessage += " Check the server URL and model name.";
+            } else if (/context.length|maximum context|too many tokens/i.test(error.message || '')) {
+                errorMessage += " Lower the context window in settings so older messages are compacted sooner, or start a new chat.";
+            }
+        }
+        console.error('OpenAI-compatible API Error:', responseData || response.statusText);
+        throw new Error(errorMessage);
+    }
+
+    /**
+     * Sends a message to the chat-completions endpoint.
+     * @param {string} messageContent - The content of the user's message.
+     * @param {Array<Object>} [chatHistory=[]] - The existing chat history.
+     * @param {Object} [options={}] - requestId, streaming, onChunk, onThinking, and model/maxTokens/temperature/thinkingBudget overrides.
+     * @returns {Promise<Object>} A promise that resolves with the assistant's response object.
+     */
+    async sendMessage(messageContent, chatHistory = [], options = {}) {
+        const attachments = Array.isArray(options.attachments) ? options.attachments : [];
+        if (!messageContent.trim() && attachments.length === 0) {
+            const error = new Error("Message content cannot be empty.");
+            this._recordRequest(null, messageContent, false, error);
+            return Promise.reject(error);
+        }
+
+        if (!this.validateKey(this.getApiKey())) {
+            const error = new Error("Missing API key for the OpenAI-compatible provider. Please check settings.");
+            this.stateManager.set('lastError', { message: error.message, type: 'config' });
+            this._recordRequest(null, messageContent, false, error);
+            return Promise.reject(error);
+        }
+
+        if (!this._checkRateLimit()) {
+            const error = new Error('Rate limit exceeded. Please wait before sending another message.');
+            if (this.notificationSystem) {
+                this.notificationSystem.showWarning('Rate limit exceeded. Please wait a moment.');
+            }
+            return Promise.reject(error);
+        }
+
+        const requestId = options.requestId || this._generateRequestId();
+        const { model, maxTokens, temperature, thinkingBudget } = this.resolveRequestSettings(options);
+        const streaming = !!options.streaming && this.streamingSupported;
+
+        const requestBody = {
+            model: model,
+            max_tokens: maxTokens,
+            messages: this._constructChatMessages(chatHistory, messageContent, options.systemPrompt || this._buildSystemPrompt(chatHistory, this._resolveCharacter(options)), attachments),
+            stream: streaming
+        };
+        if (temperature !== null) requestBody.temperature = temperature;
+        if (thinkingBudget) requestBody.reasoning_effort = this._reasoningEffort(thinkingBudget);
+        if (streaming) requestBody.stream_options = { include_usage: true };
+        const tools = this.getToolDefinitions(options);
+        if (tools.length) {
+            requestBody.tools = tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.inputSchema }
+            }));
+        }
+
+        if (this.stateManager.get('debugMode')) {
+            console.log('OpenAI-compatible Request Body:', requestBody);
+        }
+
+        const activeRequest = {
+            messageContent,
+            startTime: Date.now(),
+            abortController: new AbortController(),
+            partialContent: ''
+        };
+        this.activeRequests.set(requestId, activeRequest);
+
+        try {
+            const replyParts = [];
+            const reasoningParts = [];
+            const toolCalls = [];
+            let usage = null;
+            let stopReason = null;
+
+            // Tool-use loop: while the model stops to call tools, run them, send the results back and let it continue.
+            for (let iteration = 0; ; iteration++) {
+                const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
+                    method: 'POST',
+                    headers: this._getApiHeaders(),
+                    body: JSON.stringify(requestBody),
+                    signal: activeRequest.abortController.signal
+                });
+
+                if (!response.ok) {
+                    const errorData = await response.json().catch(() => null);
+                    this._handleErrorResponse(response, errorData); // Throws error
+                }
+
+                let turn;
+                if (streaming) {
+                    turn = await this._handleStreamingResponse(response, requestId, options, {
+                        text: replyParts.length ? `${replyParts.join('\n\n')}\n\n` : '',
+                        reasoning: reasoningParts.length ? `${reasoningParts.join('\n\n')}\n\n` : ''
+                    });
+                } else {
+                    turn = this._parseResponse(await response.json());
+                }
+
+                if (turn.content.trim()) replyParts.push(turn.content.trim());
+                if (turn.reasoning.trim()) reasoningParts.push(turn.reasoning.trim());
+                usage = this._addUsage(usage, turn.usage);
+                stopReason = turn.stopReason;
+
+                if (stopReason !== 'tool_calls' || turn.toolCalls.length === 0 || !this.toolRegistry) break;
+                if (iteration + 1 >= this.maxToolIterations) {
+                    console.warn(`The model kept calling tools after ${this.maxToolIterations} rounds; stopping the reply there.`);
+                    break;
+                }
+
+                const records = await this._runToolCalls(
+                    turn.toolCalls.map(call => ({ id: call.id, name: call.function.name, input: this._parseToolArguments(call.function.arguments) })),
+                    toolCalls,
+                    options.onToolCall
+                );
+                requestBody.messages = [
+                    ...requestBody.messages,
+                    { role: 'assistant', content: turn.content || null, tool_calls: turn.toolCalls },
+                    ...records.map(record => ({ role: 'tool', tool_call_id: record.id, content: record.output }))
+                ];
+            }
+
+            const result = {
+                role: 'assistant',
+                content: replyParts.join('\n\n'),
+                character: this._resolveCharacter(options),
+                usage: usage,
+                stopReason: stopReason,
+                model: model,
+                provider: this.id,
+                streaming: streaming
+            };
+            if (reasoningParts.length) result.reasoning = reasoningParts.join('\n\n');
+            if (toolCalls.length) result.toolCalls = toolCalls;
+            this._recordRequest(requestId, messageContent, true, null, result);
+            return result;
+
+        } catch (error) {
+            this._recordRequest(requestId, messageContent, false, error);
+            if (activeRequest.abortController.signal.aborted) {
+                throw this._createCancelError(requestId, activeRequest, error);
+            }
+            console.error('Error sending message to OpenAI-compatible API:', error);
+            const displayError = error.message.startsWith("Error") || error.message.startsWith("API request failed") ?
+                error.message :
+                `Failed to connect to ${this.getBaseUrl()}. Please check the server URL and your network.`;
+
+            this.stateManager.set('lastError', { message: displayError, type: 'api', originalError: error });
+            throw new Error(displayError);
+        } finally {
+            this.activeRequests.delete(requestId);
+        }
+    }
+
+    /**
+     * Chat completions take a reasoning effort rather than a token budget, so the session's
+     * budget is mapped onto the nearest effort level.
+     * @param {number} thinkingBudget - Tokens the user allowed for thinking.
+     * @returns {string} 'low', 'medium' or 'high'.
+     * @private
+     */
+    _reasoningEffort(thinkingBudget) {
+        if (thinkingBudget <= 2048) return 'low';
+        if (thinkingBudget <= 8192) return 'medium';
+        return 'high';
+    }
+
+    /**
+     * The reasoning text of a message or stream delta. Servers disagree on the field:
+     * DeepSeek and llama.cpp use reasoning_content, Ollama and OpenRouter use reasoning.
+     * @param {Object} [message]
+     * @returns {string}
+     * @private
+     */
+    _readReasoning(message) {
+        if (!message) return '';
+        const reasoning = message.reasoning_content || message.reasoning;
+        return typeof reasoning === 'string' ? reasoning : '';
+    }
+
+    /**
+     * Reads a non-streaming chat-completions response.
+     * @param {Object} responseData - The parsed response body.
+     * @returns {Object} { content, reasoning, toolCalls, usage, stopReason }
+     * @private
+     */
+    _parseResponse(responseData) {
+        const choice = responseData.choices && responseData.choices[0];
+        const message = choice && choice.message;
+        const toolCalls = (message && Array.isArray(message.tool_calls)) ? message.tool_calls : [];
+        let content = '';
+        if (message && typeof message.content === 'string') {
+            content = message.content;
+        } else if (!toolCalls.length) {
+            console.warn('Unexpected chat-completions response structure:', responseData);
+            content = "Sorry, I couldn't process the response correctly.";
+        }
+        return {
+            content,
+            reasoning: this._readReasoning(message),
+            toolCalls,
+            usage: this._normalizeUsage(responseData.usage),
+            stopReason: (choice && choice.finish_reason) || null
+        };
+    }
+
+    /**
+     * Tool arguments arrive as a JSON string, which models occasionally get wrong.
+     * @param {string} argumentsJson
+     * @returns {Object} The parsed arguments, or {} so the tool reports what is missing.
+     * @private
+     */
+    _parseToolArguments(argumentsJson) {
+        try {
+            const input = argumentsJson ? JSON.parse(argumentsJson) : {};
+            return input && typeof input === 'object' ? input : {};
+        } catch (error) {
+            console.warn('Failed to parse tool call arguments:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Reads a chat-completions SSE stream, which ends with a `data: [DONE]` line.
+     * Tool calls arrive in fragments keyed by index and are assembled here.
+     * @param {Response} response - The fetch Response with a readable body.
+     * @param {string} requestId - The ID of the request being streamed.
+     * @param {Object} [callbacks={}] - onChunk(delta, fullText, requestId) and onThinking(delta, fullReasoning, requestId).
+     * @param {Object} [soFar={}] - { text, reasoning } from earlier turns of a tool-use loop, which fullText and fullReasoning continue.
+     * @returns {Promise<Object>} Resolves with { content, reasoning, toolCalls, usage, stopReason }.
+     * @private
+     */
+    async _handleStreamingResponse(response, requestId, callbacks = {}, soFar = {}) {
+        const { onChunk, onThinking } = callbacks;
+        const textSoFar = soFar.text || '';
+        const reasoningSoFar = soFar.reasoning || '';
+        let content = '';
+        let reasoning = '';
+        let usage = null;
+        let stopReason = null;
+        const toolCalls = [];
+        const activeRequest = this.activeRequests.get(requestId);
+
+        const completed = await this._readEventStream(response, (data) => {
+            if (data === '[DONE]') return true;
+
+            let chunk;
+            try {
+                chunk = JSON.parse(data);
+            } catch (parseError) {
+                console.warn('Failed to parse streaming chunk:', parseError);
+                return false;
+            }
+
+            if (chunk.error) {
+                throw new Error(`Error ${chunk.error.type || 'stream_error'}: ${chunk.error.message || 'The response stream failed.'}`);
+            }
+            if (chunk.usage) usage = this._normalizeUsage(chunk.usage);
+
+            const choice = chunk.choices && chunk.choices[0];
+            if (!choice) return false;
+            stopReason = choice.finish_reason || stopReason;
+
+            ((choice.delta && choice.delta.tool_calls) || []).forEach(fragment => {
+                const index = fragment.index || 0;
+                if (!toolCalls[index]) toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+                const call = toolCalls[index];
+                if (fragment.id) call.id = fragment.id;
+                if (fragment.function && fragment.function.name) call.function.name += fragment.function.name;
+                if (fragment.function && fragment.function.arguments) call.function.arguments += fragment.function.arguments;
+            });
+
+            const thought = this._readReasoning(choice.delta);
+            if (thought) {
+                reasoning += thought;
+                if (typeof onThinking === 'function') onThinking(thought, reasoningSoFar + reasoning, requestId);
+            }
+
+            const delta = choice.delta && choice.delta.content;
+            if (!delta) return false;
+            content += delta;
+            if (activeRequest) activeRequest.partialContent = textSoFar + content;
+            if (typeof onChunk === 'function') {
+                onChunk(delta, textSoFar + content, requestId);
+            }
+            return false;
+        });
+
+        if (!completed) {
+            throw new Error('Error stream_incomplete: The response stream ended before the reply was complete.');
+        }
+
+        return { content, reasoning, toolCalls: toolCalls.filter(Boolean), usage, stopReason };
+    }
+}
+
+window.OpenAICompatibleService = OpenAICompatibleService;
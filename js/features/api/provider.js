@@ -0,0 +1,812 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * API Provider Interface
+ *
+ * BaseApiProvider defines the contract every chat backend implements
+ * (sendMessage, stream, listModels, validateKey, countTokens) and holds the
+ * plumbing adapters share: per-provider keys and model preferences, system
+ * prompt composition, rate limiting, retries with typed errors (errors.js),
+ * request tracking and cancellation.
+ *
+ * ApiProviderRegistry keeps one instance per provider and resolves the active
+ * adapter from StateManager's `currentApiProvider`.
+ */
+
+class BaseApiProvider {
+    /**
+     * @param {string} id - Unique provider key, used in state paths (e.g. 'claude', 'openai').
+     * @param {Object} config - Provider configuration.
+     * Expected properties: name, defaultModel, defaultMaxTokens, models ([{ id, name }]), keyPlaceholder,
+     * configurableEndpoint (true if the user may point it at another server), defaultBaseUrl,
+     * endpointHelp (settings hint for the server URL), supportsPromptCaching (true if the promptCaching
+     * model preference applies), supportsThinking (true if requests can ask for the model's reasoning),
+     * contextWindows ({ [modelIdPrefix]: tokens }) and defaultContextWindow for models not listed.
+     * @param {StateManager} stateManager - Instance of StateManager.
+     * @param {ParklandUtils} utils - Instance of ParklandUtils.
+     * @param {RetryManager} [retryManager=null] - Optional RetryManager instance.
+     * @param {NotificationSystem} [notificationSystem=null] - Optional NotificationSystem instance.
+     */
+    constructor(id, config = {}, stateManager, utils, retryManager = null, notificationSystem = null) {
+        if (!stateManager || !utils) {
+            throw new Error(`${this.constructor.name} requires StateManager and Utils instances.`);
+        }
+        this.id = id;
+        this.name = config.name || id;
+        this.defaultModel = config.defaultModel || null;
+        this.defaultMaxTokens = config.defaultMaxTokens || 1024;
+        this.models = config.models || [];
+        this.keyPlaceholder = config.keyPlaceholder || '';
+        this.configurableEndpoint = !!config.configurableEndpoint;
+        this.defaultBaseUrl = config.defaultBaseUrl || null;
+        this.endpointHelp = config.endpointHelp || '';
+        this.supportsPromptCaching = !!config.supportsPromptCaching;
+        this.supportsThinking = !!config.supportsThinking;
+        this.contextWindows = config.contextWindows || {};
+        this.defaultContextWindow = config.defaultContextWindow || 8192;
+
+        this.stateManager = stateManager;
+        this.utils = utils;
+        this.retryManager = retryManager;
+        this.notificationSystem = notificationSystem;
+
+        // Tool use: the registry is shared by all providers and set by the app (see setToolRegistry)
+        this.toolRegistry = null;
+        this.maxToolIterations = 5; // Model turns that may end in tool calls before the reply is cut short
+
+        // Request tracking
+        this.requestHistory = [];
+        this.maxHistorySize = 50;
+        this.activeRequests = new Map();
+        this.inFlightRequests = new Map(); // Pending replies by request fingerprint (see _shareInFlightRequest)
+
+        // Retries (see _fetchWithRetry); only used when a RetryManager is provided
+        this.circuitBreakerId = `${id}-api`;
+        this.retryOptions = { maxAttempts: 3, baseDelay: 1000, maxDelay: 30000 };
+        this.requestTimeout = 60000; // ms to wait for response headers; streaming bodies may take longer
+
+        // Rate limiting
+        this.rateLimiter = {
+            tokens: 100,
+            maxTokens: 100,
+            refillRate: 10, // tokens per second
+            lastRefill: Date.now()
+        };
+    }
+
+    /**
+     * Sends a message and resolves with the assistant's reply.
+     * Implementations resolve with { role, content, character, usage, stopReason, model, streaming },
+     * plus reasoning when the model returned its thinking,
+     * where usage uses the { input_tokens, output_tokens } shape, and reject with an AbortError
+     * (carrying requestId and partialContent) when cancelled.
+     * @param {string} messageContent - The new user message.
+     * @param {Array<Object>} [chatHistory=[]] - Messages that precede the new one.
+     * @param {Object} [options={}] - requestId, streaming, onChunk(delta, fullText, requestId),
+     * per-request model, maxTokens, temperature and thinkingBudget overrides (see resolveRequestSettings),
+     * onThinking(delta, fullReasoning, requestId) for streamed reasoning,
+     * systemPrompt to replace the composed system prompt (e.g. for summarization requests),
+     * character to answer as another character than the active one (null for none),
+     * promptCaching to override the promptCaching model preference for providers that support it,
+     * tools: false to send the request without tools, onToolCall(toolCall, toolCalls) to follow
+     * tool calls as they run, and attachments (images and PDFs, see FileUploadManager.createAttachment)
+     * sent with the new message. Replies that used tools also carry toolCalls (see _runToolCalls).
+     * @returns {Promise<Object>}
+     * @abstract
+     */
+    async sendMessage() {
+        throw new Error(`${this.constructor.name} must implement sendMessage().`);
+    }
+
+    /**
+     * Sends a message and streams the reply through onChunk as it is generated.
+     * @param {string} messageContent - The new user message.
+     * @param {Array<Object>} chatHistory - Messages that precede the new one.
+     * @param {Function} onChunk - Called with (delta, fullText, requestId) for every text delta.
+     * @param {Object} [options={}] - Additional options passed to sendMessage.
+     * @returns {Promise<Object>} Resolves with the complete reply, as sendMessage does.
+     */
+    stream(messageContent, chatHistory, onChunk, options = {}) {
+        return this.sendMessage(messageContent, chatHistory, { ...options, streaming: true, onChunk });
+    }
+
+    /**
+     * Lists the models this provider can serve. The default is the static list from config;
+     * adapters that can ask their server override this and fall back to it on failure.
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async listModels() {
+        return this.models.slice();
+    }
+
+    /**
+     * The server root requests go to: the user's baseUrl preference if the endpoint is configurable,
+     * else defaultBaseUrl.
+     * @returns {string} The base URL without a trailing slash.
+     */
+    getBaseUrl() {
+        const baseUrl = this.configurableEndpoint ? this.getModelPreference('baseUrl', this.defaultBaseUrl) : this.defaultBaseUrl;
+        return String(baseUrl || '').replace(/\/+$/, '');
+    }
+
+    /**
+     * Checks whether a key has a plausible format for this provider.
+     * @param {string} apiKey - The API key to validate.
+     * @returns {boolean}
+     * @abstract
+     */
+    validateKey() {
+        throw new Error(`${this.constructor.name} must implement validateKey().`);
+    }
+
+    /**
+     * Retained for existing callers; same as validateKey.
+     * @param {string} apiKey - The API key to validate.
+     * @returns {boolean}
+     */
+    validateApiKey(apiKey) {
+        return this.validateKey(apiKey);
+    }
+
+    /**
+     * @param {ToolRegistry|null} registry - The tools this provider offers the model.
+     */
+    setToolRegistry(registry) {
+        this.toolRegistry = registry || null;
+    }
+
+    /**
+     * The tools to send with a request: none if the request opts out with `tools: false`,
+     * there is no registry, or the user turned tools off.
+     * @param {Object} [options={}] - sendMessage options.
+     * @returns {Array<{name: string, description: string, inputSchema: Object}>}
+     */
+    getToolDefinitions(options = {}) {
+        if (options.tools === false || !this.toolRegistry) return [];
+        if (this.stateManager.get('userPreferences.toolsEnabled') === false) return [];
+        return this.toolRegistry.getDefinitions();
+    }
+
+    /**
+     * Runs the tool calls of one model turn in order and records them.
+     * @param {Array<{id: string, name: string, input: Object}>} calls - Calls parsed from the response.
+     * @param {Array<Object>} toolCalls - The request's call records; new records are appended.
+     * @param {Function} [onToolCall] - Called with (record, toolCalls) when a call starts and when it finishes.
+     * @returns {Promise<Array<Object>>} This turn's records: { id, name, input, output, isError, status }.
+     * @protected
+     */
+    async _runToolCalls(calls, toolCalls, onToolCall) {
+        const records = [];
+        for (const call of calls) {
+            const record = { id: call.id, name: call.name, input: call.input || {}, output: null, isError: false, status: 'running' };
+            toolCalls.push(record);
+            records.push(record);
+            if (typeof onToolCall === 'function') onToolCall(record, toolCalls);
+
+            const { output, isError } = await this.toolRegistry.execute(call.name, record.input);
+            Object.assign(record, { output, isError, status: isError ? 'error' : 'done' });
+            if (typeof onToolCall === 'function') onToolCall(record, toolCalls);
+        }
+        return records;
+    }
+
+    /**
+     * Adds up the usage of the model turns of one request (a tool-use loop makes several).
+     * @param {Object|null} total - The usage so far.
+     * @param {Object|null} usage - One turn's { input_tokens, output_tokens }.
+     * @returns {Object|null}
+     * @protected
+     */
+    _addUsage(total, usage) {
+        if (!usage) return total;
+        if (!total) return { ...usage };
+        const sum = { ...total };
+        Object.keys(usage).forEach(key => {
+            sum[key] = typeof usage[key] === 'number' ? (sum[key] || 0) + usage[key] : usage[key];
+        });
+        return sum;
+    }
+
+    /**
+     * Counts the tokens a prompt would use. The default is a rough estimate
+     * (about four characters per token); adapters with a counting endpoint override it.
+     * @param {string|Array<Object>} input - Plain text or an array of { content } messages.
+     * @returns {Promise<number>}
+     */
+    async countTokens(input) {
+        return this._estimateTokens(input);
+    }
+
+    /**
+     * Synchronous token estimate for the request sendMessage would build from this history,
+     * including the system prompt. Used to keep long chats inside the context window.
+     * @param {Array<Object>} chatHistory - Messages that precede the new one.
+     * @param {string} [newMessageContent=''] - The new user message content.
+     * @param {Array<Object>} [newAttachments=[]] - Images and PDFs sent with the new message.
+     * @returns {number}
+     */
+    estimateRequestTokens(chatHistory = [], newMessageContent = '', newAttachments = []) {
+        const turns = this._buildConversationTurns(chatHistory, newMessageContent, newAttachments);
+        const attachmentTokens = turns.reduce((sum, turn) =>
+            sum + (turn.attachments || []).reduce((turnSum, attachment) => turnSum + this._estimateAttachmentTokens(attachment), 0), 0);
+        return this._estimateTokens(this._buildSystemPrompt(chatHistory)) + this._estimateTokens(turns) + attachmentTokens;
+    }
+
+    /**
+     * The context window of a model in tokens: the user's contextWindow preference for this provider
+     * if set, else the longest matching prefix in contextWindows, else defaultContextWindow.
+     * @param {string} [model] - Model ID; defaults to the preferred model.
+     * @returns {number}
+     */
+    getContextWindow(model = this.getModelPreference('model', this.defaultModel)) {
+        const override = parseInt(this.getModelPreference('contextWindow', 0), 10);
+        if (override > 0) return override;
+        const match = Object.keys(this.contextWindows)
+            .filter(prefix => model && model.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? this.contextWindows[match] : this.defaultContextWindow;
+    }
+
+    /**
+     * @param {string|Array<Object>} input - Plain text or an array of { content } messages.
+     * @returns {number}
+     * @private
+     */
+    _estimateTokens(input) {
+        const text = Array.isArray(input)
+            ? input.map(msg => (msg && typeof msg.content === 'string' ? msg.content : '')).join('\n')
+            : String(input || '');
+        return Math.ceil(text.length / 4);
+    }
+
+    /**
+     * Rough token cost of an attachment: images by pixel count (about 750 pixels per token, as vision
+     * models bill them), PDFs by file size, since each page is sent as both text and an image.
+     * @param {Object} attachment - A message attachment.
+     * @returns {number}
+     * @protected
+     */
+    _estimateAttachmentTokens(attachment) {
+        if (!attachment || !attachment.data) return 20; // Only a short note is sent in its place
+        if (attachment.type === 'image') {
+            return attachment.width && attachment.height ? Math.ceil((attachment.width * attachment.height) / 750) : 1600;
+        }
+        return Math.max(1500, Math.ceil((attachment.size || 0) / 20));
+    }
+
+    /**
+     * The text sent in place of an attachment whose data is no longer stored (see ChatHistory).
+     * @param {Object} attachment - A message attachment.
+     * @returns {string}
+     * @protected
+     */
+    _describeMissingAttachment(attachment) {
+        return `[Attached ${attachment.type === 'image' ? 'image' : 'file'} "${attachment.name}" is no longer available.]`;
+    }
+
+    /**
+     * The stored key for this provider.
+     * @returns {string|null}
+     */
+    getApiKey() {
+        return this.stateManager.get(`apiKeys.${this.id}`) || null;
+    }
+
+    /**
+     * Reads one of this provider's model preferences (e.g. 'model', 'maxTokens', 'baseUrl').
+     * @param {string} key - Preference name.
+     * @param {*} [fallback] - Returned when the preference is not set.
+     * @returns {*}
+     */
+    getModelPreference(key, fallback) {
+        const value = this.stateManager.get(`modelPreferences.${this.id}.${key}`);
+        return value === undefined || value === null || value === '' ? fallback : value;
+    }
+
+    /**
+     * Resolves the model, max_tokens and temperature for one request: per-request options
+     * (e.g. a chat session's own settings) win over this provider's saved preferences,
+     * which win over its defaults. A null temperature means "use the server default".
+     * thinkingBudget is only set per request, and null leaves extended thinking off.
+     * @param {Object} [options={}] - May contain model, maxTokens, temperature and thinkingBudget.
+     * @returns {{model: string, maxTokens: number, temperature: number|null, thinkingBudget: number|null}}
+     */
+    resolveRequestSettings(options = {}) {
+        const temperature = typeof options.temperature === 'number' ?
+            options.temperature :
+            this.getModelPreference('temperature', null);
+        return {
+            model: options.model || this.getModelPreference('model', this.defaultModel),
+            maxTokens: options.maxTokens || this.getModelPreference('maxTokens', this.defaultMaxTokens),
+            temperature: typeof temperature === 'number' ? temperature : null,
+            thinkingBudget: options.thinkingBudget > 0 ? options.thinkingBudget : null
+        };
+    }
+
+    /**
+     * Builds the system prompt sent with every request.
+     * The user's custom instructions (a global preamble from userPreferences) come first,
+     * followed by the active character's prompt or a generic default, and finally the
+     * summary of earlier messages if the chat history has been compacted.
+     * @param {Array<Object>} [chatHistory=[]] - The history being sent, checked for a context summary.
+     * @param {string|null} [character] - The character to answer as; defaults to the active one.
+     * @returns {string} The composed system prompt.
+     * @protected
+     */
+    _buildSystemPrompt(chatHistory = [], character = this.stateManager.get('activeCharacter')) {
+        const parts = [];
+        const customInstructions = this.stateManager.get('userPreferences.customInstructions');
+        if (typeof customInstructions === 'string' && customInstructions.trim()) {
+            parts.push(customInstructions.trim());
+        }
+
+        let characterPrompt = "You are a helpful AI assistant. Please provide concise and informative responses."; // Default system prompt
+        if (character && window.parklandApp && window.parklandApp.characterManager) { // Ensure characterManager exists
+            const characterData = window.parklandApp.characterManager.getCharacterData(character);
+            if (characterData && characterData.systemPrompt) {
+                characterPrompt = characterData.systemPrompt;
+            }
+        }
+        parts.push(characterPrompt);
+
+        const { summary } = this._splitAtContextSummary(chatHistory);
+        if (summary && summary.content) {
+            parts.push(`Summary of the earlier part of this conversation, which is no longer included in full:\n${summary.content}`);
+        }
+
+        return parts.join('\n\n');
+    }
+
+    /**
+     * The character a request answers as: options.character when given (null for none), else the active one.
+     * @param {Object} [options={}] - sendMessage options.
+     * @returns {string|null}
+     * @protected
+     */
+    _resolveCharacter(options = {}) {
+        return options.character !== undefined ? options.character : this.stateManager.get('activeCharacter');
+    }
+
+    /**
+     * Finds the latest context summary marker (a { role: 'system', type: 'context-summary' } message
+     * added when a long chat is compacted) and returns it with the messages that follow it.
+     * Everything before the marker has been summarized or dropped and is no longer sent.
+     * @param {Array<Object>} chatHistory - The full chat history.
+     * @returns {{summary: Object|null, messages: Array<Object>}}
+     * @protected
+     */
+    _splitAtContextSummary(chatHistory = []) {
+        for (let i = chatHistory.length - 1; i >= 0; i--) {
+            const msg = chatHistory[i];
+            if (msg && msg.type === 'context-summary') {
+                return { summary: msg, messages: chatHistory.slice(i + 1) };
+            }
+        }
+        return { summary: null, messages: chatHistory };
+    }
+
+    /**
+     * Turns chat history plus the new message into alternating user/assistant turns:
+     * - messages before the latest context summary are left out (see _splitAtContextSummary);
+     * - system messages, error placeholders and empty messages are skipped;
+     * - leading assistant messages (e.g. character intros) are dropped;
+     * - consecutive messages from the same role are merged into one turn.
+     * User turns with attachments carry them in an `attachments` array; adapters turn them into content blocks.
+     * @param {Array<Object>} chatHistory - Messages that precede the new one.
+     * @param {string} newMessageContent - The new user message content.
+     * @param {Array<Object>} [newAttachments=[]] - Attachments sent with the new message.
+     * @returns {Array<{role: string, content: string, attachments?: Array<Object>}>}
+     * @protected
+     */
+    _buildConversationTurns(chatHistory = [], newMessageContent, newAttachments = []) {
+        const turns = [];
+
+        const appendTurn = (role, content, attachments = []) => {
+            const text = typeof content === 'string' ? content.trim() : '';
+            const files = role === 'user' && Array.isArray(attachments) ? attachments : [];
+            if (!text && files.length === 0) return;
+            const lastTurn = turns[turns.length - 1];
+            if (lastTurn && lastTurn.role === role) {
+                lastTurn.content = [lastTurn.content, text].filter(Boolean).join('\n\n');
+                if (files.length) lastTurn.attachments = [...(lastTurn.attachments || []), ...files];
+            } else if (lastTurn || role === 'user') {
+                turns.push(files.length ? { role, content: text, attachments: [...files] } : { role, content: text });
+            }
+        };
+
+        this._splitAtContextSummary(chatHistory).messages.forEach(msg => {
+            if (!msg || msg.isError || (msg.role !== 'user' && msg.role !== 'assistant')) return;
+            appendTurn(msg.role, msg.content, msg.attachments);
+        });
+
+        // If the history ended on a user turn (e.g. after a failed request), the new text is merged into it.
+        appendTurn('user', newMessageContent, newAttachments);
+
+        return turns;
+    }
+
+    /**
+     * Reads a server-sent event stream line by line and hands each `data:` payload to onData.
+     * Reading stops when the body ends or onData returns true.
+     * @param {Response} response - The fetch Response with a readable body.
+     * @param {Function} onData - Called with the raw payload string of each data line.
+     * @returns {Promise<boolean>} True if onData ended the stream, false if the body ran out first.
+     * @throws {NetworkError} If the connection drops mid-stream (other than by cancellation).
+     * @protected
+     */
+    async _readEventStream(response, onData) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        const read = () => reader.read().catch(error => {
+            if (error && error.name === 'AbortError') throw error;
+            throw new window.ParklandApiErrors.NetworkError('Error stream_interrupted: The connection was lost while the reply was streaming.', undefined, error);
+        });
+
+        try {
+            for (;;) {
+                const { done, value } = await read();
+                if (done) return false;
+
+                // SSE events can be split across network chunks, so only complete lines are parsed.
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    if (!line.startsWith('data:')) continue;
+                    if (onData(line.slice(5).trim()) === true) return true;
+                }
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    /**
+     * POSTs a request, retrying through the RetryManager's circuit breaker when there is one.
+     * Rate limits, server errors (including overloaded), network failures and timeouts are retried;
+     * a rate limit's `retry-after` sets the delay, and one longer than retryOptions.maxDelay is not waited out.
+     * Cancelling init.signal also cancels a pending retry.
+     * @param {string} url - The endpoint.
+     * @param {Object} init - fetch options.
+     * @returns {Promise<Response>} The first ok response.
+     * @throws {APIError} A typed error from _handleErrorResponse, or the fetch error if the request was cancelled.
+     * @protected
+     */
+    async _fetchWithRetry(url, init) {
+        const attempt = () => this._fetchOnce(url, init);
+        if (!this.retryManager) return attempt();
+
+        const { maxAttempts, baseDelay, maxDelay } = this.retryOptions;
+        const retried = this.retryManager.executeWithCircuitBreaker(this.circuitBreakerId, attempt, {
+            maxAttempts,
+            baseDelay,
+            maxDelay,
+            retryCondition: (error) => !(init.signal && init.signal.aborted) && this._isRetryableError(error, maxDelay),
+            isCircuitFailure: (error) => this._isServiceFailure(error), // Bad requests and cancellations say nothing about the service
+            onRetry: (attemptNumber, error) => this._notifyRetry(attemptNumber, maxAttempts, error)
+        }).catch(error => {
+            if (error && error.code === 'CIRCUIT_OPEN') {
+                const seconds = Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000));
+                throw new window.ParklandApiErrors.ServerError(
+                    `${this.name} failed several times in a row, so requests are paused. Please try again in ${seconds} seconds.`, 503, error);
+            }
+            throw error;
+        });
+        if (!init.signal) return retried;
+
+        // The RetryManager cannot interrupt its backoff, so a cancellation settles the request right away
+        const cancelled = new Promise((resolve, reject) => {
+            const rejectCancelled = () => reject(new DOMException('The request was cancelled.', 'AbortError'));
+            if (init.signal.aborted) rejectCancelled();
+            else init.signal.addEventListener('abort', rejectCancelled, { once: true });
+        });
+        retried.catch(() => {}); // It may still fail after the race is decided
+        return Promise.race([retried, cancelled]);
+    }
+
+    /**
+     * One attempt of _fetchWithRetry. Fails with a TimeoutError if no response arrives within
+     * requestTimeout, a NetworkError if the server cannot be reached, and the error
+     * _handleErrorResponse throws for a response that is not ok.
+     * @param {string} url - The endpoint.
+     * @param {Object} init - fetch options; init.signal also aborts the response body.
+     * @returns {Promise<Response>}
+     * @private
+     */
+    async _fetchOnce(url, init) {
+        const { APIError, NetworkError, TimeoutError } = window.ParklandApiErrors;
+        const controller = new AbortController();
+        if (init.signal) {
+            if (init.signal.aborted) controller.abort();
+            else init.signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.requestTimeout);
+
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                throw new TimeoutError(`${this.name} did not respond within ${Math.round(this.requestTimeout / 1000)} seconds.`, undefined, error);
+            }
+            if ((init.signal && init.signal.aborted) || error instanceof APIError) throw error;
+            throw new NetworkError(`Could not reach ${this.name}. Please check your connection.`, undefined, error);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => null);
+            this._handleErrorResponse(response, errorData); // Throws
+        }
+        return response;
+    }
+
+    /**
+     * Turns a response that is not ok into a typed error. Adapters override this to add
+     * provider-specific advice to the message.
+     * @param {Response} response - The fetch Response.
+     * @param {Object|null} responseData - Its parsed JSON body, if any.
+     * @throws {APIError}
+     * @protected
+     */
+    _handleErrorResponse(response, responseData) {
+        window.ParklandApiErrors.createApiErrorFromResponse(response, responseData);
+    }
+
+    /**
+     * Whether a failed request may succeed if sent again.
+     * @param {Error} error
+     * @param {number} [maxDelay=Infinity] - Longest wait in ms; rate limits asking for longer are not retryable.
+     * @returns {boolean}
+     * @protected
+     */
+    _isRetryableError(error, maxDelay = Infinity) {
+        if (error instanceof window.ParklandApiErrors.RateLimitError) {
+            return typeof error.retryAfter !== 'number' || error.retryAfter * 1000 <= maxDelay;
+        }
+        return this._isServiceFailure(error);
+    }
+
+    /**
+     * Whether an error means the service itself is failing (server errors, overload, network, timeouts).
+     * @param {Error} error
+     * @returns {boolean}
+     * @protected
+     */
+    _isServiceFailure(error) {
+        const { ServerError, NetworkError, TimeoutError } = window.ParklandApiErrors;
+        return error instanceof ServerError || error instanceof NetworkError || error instanceof TimeoutError;
+    }
+
+    /**
+     * Tells the user a failed request is being retried.
+     * @param {number} attempt - The attempt that failed.
+     * @param {number} maxAttempts
+     * @param {Error} error
+     * @private
+     */
+    _notifyRetry(attempt, maxAttempts, error) {
+        if (!this.notificationSystem) return;
+        const reasons = {
+            rate_limit_error: 'Rate limit reached',
+            overloaded_error: `${this.name} is overloaded`,
+            timeout_error: `${this.name} did not respond`,
+            network_error: 'Network error'
+        };
+        const reason = reasons[error && error.type] || `${this.name} returned an error`;
+        this.notificationSystem.show(`${reason}. Retrying (attempt ${attempt + 1} of ${maxAttempts})…`, {
+            type: 'info',
+            duration: 3000,
+            category: 'api'
+        });
+    }
+
+    /**
+     * Wraps the failure of a cancelled request in an AbortError carrying the partial reply.
+     * @param {string} requestId - The cancelled request's ID.
+     * @param {Object} activeRequest - Its tracking entry from activeRequests.
+     * @param {Error} error - The error fetch or the stream reader raised.
+     * @returns {APIError}
+     * @protected
+     */
+    _createCancelError(requestId, activeRequest, error) {
+        const cancelError = new window.ParklandApiErrors.AbortError('Request was cancelled.', undefined, error);
+        cancelError.requestId = requestId;
+        cancelError.partialContent = activeRequest.partialContent.trim();
+        return cancelError;
+    }
+
+    /**
+     * Aborts an in-flight request, including one that is mid-stream.
+     * The pending sendMessage promise rejects with an AbortError carrying any partial text.
+     * @param {string} requestId - The ID passed to or generated by sendMessage.
+     * @returns {boolean} True if a matching request was found and aborted.
+     */
+    cancelRequest(requestId) {
+        const request = this.activeRequests.get(requestId);
+        if (!request) return false;
+        request.abortController.abort();
+        this.activeRequests.delete(requestId);
+        return true;
+    }
+
+    /**
+     * Aborts every in-flight request.
+     */
+    cancelAllRequests() {
+        for (const request of this.activeRequests.values()) {
+            request.abortController.abort();
+        }
+        this.activeRequests.clear();
+    }
+
+    /**
+     * Sends a request unless an identical one is already in flight, in which case its reply is shared.
+     * This absorbs a double-clicked send or a retry pressed while the first request is still pending.
+     * The duplicate gets no onChunk or onToolCall callbacks, and cancelling the original cancels it too.
+     * @param {string} fingerprint - Identifies the request: its URL and serialized body.
+     * @param {Function} send - Makes the request and returns a promise of the reply.
+     * @returns {Promise<Object>} The reply, as sendMessage resolves it.
+     * @protected
+     */
+    _shareInFlightRequest(fingerprint, send) {
+        const inFlight = this.inFlightRequests.get(fingerprint);
+        if (inFlight) {
+            if (this.stateManager.get('debugMode')) {
+                console.log(`${this.name}: an identical request is in flight; sharing its reply.`);
+            }
+            return inFlight;
+        }
+        const reply = send();
+        this.inFlightRequests.set(fingerprint, reply);
+        const release = () => {
+            if (this.inFlightRequests.get(fingerprint) === reply) this.inFlightRequests.delete(fingerprint);
+        };
+        reply.then(release, release);
+        return reply;
+    }
+
+    /**
+     * Consumes one token from the client-side rate limiter.
+     * @returns {boolean} True if the request may proceed.
+     * @protected
+     */
+    _checkRateLimit() {
+        const now = Date.now();
+        const timeDiff = (now - this.rateLimiter.lastRefill) / 1000;
+
+        this.rateLimiter.tokens = Math.min(
+            this.rateLimiter.maxTokens,
+            this.rateLimiter.tokens + (timeDiff * this.rateLimiter.refillRate)
+        );
+        this.rateLimiter.lastRefill = now;
+
+        if (this.rateLimiter.tokens >= 1) {
+            this.rateLimiter.tokens -= 1;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Records a request in the bounded request history for debugging.
+     * @protected
+     */
+    _recordRequest(requestId, messageContent, success, error = null, result = null) {
+        const record = {
+            requestId,
+            provider: this.id,
+            messageContent: messageContent?.substring(0, 100) + (messageContent?.length > 100 ? '...' : ''),
+            success,
+            error: error?.message,
+            timestamp: Date.now(),
+            duration: null,
+            model: result?.model,
+            usage: result?.usage
+        };
+
+        if (requestId && this.activeRequests.has(requestId)) {
+            record.duration = Date.now() - this.activeRequests.get(requestId).startTime;
+        }
+
+        this.requestHistory.unshift(record);
+        if (this.requestHistory.length > this.maxHistorySize) {
+            this.requestHistory = this.requestHistory.slice(0, this.maxHistorySize);
+        }
+    }
+
+    /**
+     * Recent requests, newest first, for debugging.
+     * @returns {Array<Object>}
+     */
+    getRequestHistory() {
+        return [...this.requestHistory];
+    }
+
+    /**
+     * Generates a unique request ID.
+     * @returns {string}
+     * @protected
+     */
+    _generateRequestId() {
+        return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+/**
+ * Holds the available provider adapters and resolves the active one.
+ */
+class ApiProviderRegistry {
+    /**
+     * @param {StateManager} stateManager - Instance of StateManager.
+     */
+    constructor(stateManager) {
+        if (!stateManager) {
+            throw new Error("ApiProviderRegistry requires a StateManager instance.");
+        }
+        this.stateManager = stateManager;
+        this.providers = new Map();
+    }
+
+    /**
+     * @param {BaseApiProvider} provider - An adapter instance; registered under its id.
+     * @returns {BaseApiProvider} The registered provider.
+     */
+    register(provider) {
+        if (!provider || !provider.id) {
+            throw new Error("ApiProviderRegistry.register: provider must have an id.");
+        }
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    /**
+     * @param {string} id - Provider key.
+     * @returns {BaseApiProvider|null}
+     */
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * @param {string} id - Provider key.
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    /**
+     * Summaries of every registered provider, in registration order, for settings UIs.
+     * @returns {Array<{id: string, name: string, keyPlaceholder: string, configurableEndpoint: boolean, defaultBaseUrl: string|null}>}
+     */
+    list() {
+        return Array.from(this.providers.values()).map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            keyPlaceholder: provider.keyPlaceholder,
+            configurableEndpoint: provider.configurableEndpoint,
+            defaultBaseUrl: provider.defaultBaseUrl
+        }));
+    }
+
+    /**
+     * The provider named by `currentApiProvider`, or the first registered one if that is unknown.
+     * @returns {BaseApiProvider|null}
+     */
+    getActive() {
+        const active = this.get(this.stateManager.get('currentApiProvider'));
+        if (active) return active;
+        const first = this.providers.values().next();
+        return first.done ? null : first.value;
+    }
+}
+
+window.BaseApiProvider = BaseApiProvider;
+window.ApiProviderRegistry = ApiProviderRegistry;
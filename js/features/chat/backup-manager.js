@@ -0,0 +1,500 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * Library Backup Manager
+ *
+ * Backs up the whole library into one zip archive and restores it, e.g. in
+ * another browser. The archive holds:
+ *   manifest.json       - format, version, counts and a SHA-256 checksum of every other file
+ *   sessions/<id>.json  - one chat each, with its messages and branches
+ *   files/<id>/...      - the attachments' data, as the files that were uploaded
+ *   folders.json        - the user's folders
+ *   settings.json       - preferences, model settings, theme, character voices and saved searches
+ * API keys are never included. Restoring checks every file against the manifest,
+ * brings backups made by older versions up to date, and either merges the
+ * backup into the library or replaces the library with it.
+ */
+
+const BACKUP_FORMAT = 'parkland-ai-backup';
+const BACKUP_VERSION = 1;
+
+/**
+ * Steps that bring a backup up to the next format version, by the version they start from.
+ * Each takes and returns { manifest, sessions, folders, settings }. Add one whenever the layout changes.
+ */
+const BACKUP_MIGRATIONS = {};
+
+const CHARACTER_VOICES_KEY = 'parklandAI_characterVoices';
+const SAVED_SEARCHES_KEY = 'parkland_saved_searches';
+
+/**
+ * Decodes base64 (not a data URL) into bytes.
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+const base64ToBytes = (base64) => {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+};
+
+/**
+ * Encodes bytes as base64, in chunks so large files do not overflow the call stack.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const bytesToBase64 = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+class LibraryBackupManager {
+    /**
+     * @param {ParklandUtils} utils
+     * @param {StateManager} stateManager - Where the preferences are read from and restored to.
+     * @param {NotificationSystem} [notificationSystem=null]
+     * @param {Object} [options={}]
+     * @param {Storage} [options.storage=localStorage] - Where character voices and saved searches are kept.
+     * @param {Crypto} [options.crypto=crypto] - A WebCrypto implementation, for the checksums.
+     * @param {Object} [options.zip=fflate] - The fflate library.
+     * @param {number} [options.version] - The format version written and restored to.
+     * @param {Object} [options.migrations] - Migrations by the version they start from.
+     */
+    constructor(utils, stateManager, notificationSystem = null, options = {}) {
+        if (!utils || !stateManager) {
+            throw new Error("LibraryBackupManager requires utils and stateManager instances.");
+        }
+
+        this.utils = utils;
+        this.stateManager = stateManager;
+        this.notificationSystem = notificationSystem;
+        this.storage = options.storage || globalThis.localStorage;
+        this.crypto = options.crypto || globalThis.crypto;
+        this.zip = options.zip || globalThis.fflate;
+        this.version = options.version || BACKUP_VERSION;
+        this.migrations = options.migrations || BACKUP_MIGRATIONS;
+
+        this.maxBackupBytes = 1024 * 1024 * 1024; // The archive is unpacked in memory
+
+        console.log('🗄️ LibraryBackupManager initialized.');
+    }
+
+    /**
+     * True if the zip library and WebCrypto (https or localhost only) are available.
+     * @returns {boolean}
+     */
+    isSupported() {
+        return !!(this.zip && this.crypto && this.crypto.subtle);
+    }
+
+    /**
+     * Packs every chat with its attachments, the folders and the settings into an archive.
+     * @param {ChatHistory} chatHistory
+     * @returns {Promise<Uint8Array>} The zip archive.
+     */
+    async createBackup(chatHistory) {
+        this._checkSupported();
+        const sessions = await chatHistory.getAllSessions();
+        const folders = chatHistory.folders || [];
+        const encoder = this.zip.strToU8;
+        const files = {};
+        const binaryPaths = new Set();
+
+        sessions.forEach(session => {
+            const sessionDir = this._safeName(session.id);
+            const extractFiles = (messages) => (messages || []).map(message => {
+                if (!Array.isArray(message.attachments) || message.attachments.length === 0) return message;
+                return {
+                    ...message,
+                    attachments: message.attachments.map((attachment, index) => {
+                        if (typeof attachment.data !== 'string' || !attachment.data || attachment.data.startsWith('data:')) return attachment;
+                        const name = this._safeName(`${attachment.id || `${message.id}-${index}`}-${attachment.name || 'file'}`);
+                        let path = `files/${sessionDir}/${name}`;
+                        for (let n = 2; files[path]; n++) path = `files/${sessionDir}/${n}-${name}`;
+                        files[path] = base64ToBytes(attachment.data);
+                        binaryPaths.add(path);
+                        return { ...attachment, data: null, file: path };
+                    })
+                };
+            });
+            let sessionPath = `sessions/${sessionDir}.json`;
+            for (let n = 2; files[sessionPath]; n++) sessionPath = `sessions/${sessionDir}-${n}.json`;
+            const stored = { ...session, messages: extractFiles(session.messages), branches: extractFiles(session.branches) };
+            files[sessionPath] = encoder(JSON.stringify(stored));
+        });
+        files['folders.json'] = encoder(JSON.stringify(folders));
+        files['settings.json'] = encoder(JSON.stringify(this._collectSettings()));
+
+        const checksums = {};
+        for (const path of Object.keys(files).sort()) {
+            checksums[path] = await this._sha256(files[path]);
+        }
+        const manifest = {
+            format: BACKUP_FORMAT,
+            version: this.version,
+            createdAt: new Date().toISOString(),
+            counts: { sessions: sessions.length, folders: folders.length, files: binaryPaths.size },
+            files: checksums,
+            checksum: await this._sha256(encoder(JSON.stringify(checksums)))
+        };
+        files['manifest.json'] = encoder(JSON.stringify(manifest, null, 2));
+
+        // Uploaded images and PDFs are compressed already
+        const entries = {};
+        Object.entries(files).forEach(([path, bytes]) => {
+            entries[path] = binaryPaths.has(path) ? [bytes, { level: 0 }] : bytes;
+        });
+        return this.zip.zipSync(entries, { level: 6 });
+    }
+
+    /**
+     * Offers an archive for download.
+     * @param {Uint8Array} archive - From createBackup.
+     * @param {Object} [options={}]
+     * @param {string} [options.filename] - Defaults to parkland-ai-backup-<date and time>.zip.
+     */
+    downloadBackup(archive, options = {}) {
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+        const filename = options.filename || `parkland-ai-backup-${timestamp}.zip`;
+        const url = URL.createObjectURL(new Blob([archive], { type: 'application/zip' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        if (this.notificationSystem) {
+            this.notificationSystem.showSuccess(`Download started: ${filename}`);
+        }
+    }
+
+    /**
+     * Backs up the library and downloads the archive in one operation.
+     * @param {ChatHistory} chatHistory
+     * @returns {Promise<void>}
+     */
+    async backupAndDownload(chatHistory) {
+        try {
+            this.downloadBackup(await this.createBackup(chatHistory));
+        } catch (error) {
+            console.error('Backup failed:', error);
+            if (this.notificationSystem) {
+                this.notificationSystem.showError(`Backup failed: ${error.message}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Unpacks an archive, checks it against its manifest and brings it up to the current format.
+     * @param {File|Blob|ArrayBuffer|Uint8Array} source - The archive.
+     * @returns {Promise<Object>} { manifest, sessions, folders, settings }; attachments have their data back.
+     */
+    async readBackup(source) {
+        this._checkSupported();
+        if (!source) throw new Error('No file chosen');
+        if (typeof source.size === 'number' && source.size > this.maxBackupBytes) {
+            throw new Error(`The backup is larger than ${this.utils.formatBytes(this.maxBackupBytes)}`);
+        }
+        let bytes;
+        if (source instanceof Uint8Array) bytes = source;
+        else bytes = new Uint8Array(source instanceof ArrayBuffer ? source : await source.arrayBuffer());
+
+        let files;
+        try {
+            files = this.zip.unzipSync(bytes);
+        } catch (error) {
+            throw new Error('This is not a zip archive, or it is damaged.');
+        }
+        const manifest = this._parseJSON(files, 'manifest.json', 'This is not a Parkland AI backup: it has no manifest.');
+        if (manifest.format !== BACKUP_FORMAT) throw new Error('This is not a Parkland AI backup.');
+        if (!Number.isInteger(manifest.version) || manifest.version < 1) throw new Error('The backup\'s manifest has no valid version.');
+        if (manifest.version > this.version) {
+            throw new Error(`This backup was made by a newer version of Parkland AI (format ${manifest.version}). Update the app to restore it.`);
+        }
+        await this._verify(files, manifest);
+
+        const backup = {
+            manifest,
+            sessions: Object.keys(manifest.files) // _verify has checked that the archive holds exactly these
+                .filter(path => path.startsWith('sessions/') && path.endsWith('.json'))
+                .map(path => this._restoreFiles(this._parseJSON(files, path), files)),
+            folders: this._parseJSON(files, 'folders.json'),
+            settings: this._parseJSON(files, 'settings.json')
+        };
+        return this._migrate(backup);
+    }
+
+    /**
+     * Restores a backup into the library.
+     * Merging adds the backup's chats and folders, keeps whichever copy of a chat in both was updated last,
+     * keeps this browser's preferences and adds the saved searches and character voices it lacks.
+     * Replacing deletes the chats and folders that are not in the backup and restores its settings.
+     * @param {Object} backup - From readBackup.
+     * @param {ChatHistory} chatHistory
+     * @param {Object} [options={}]
+     * @param {string} [options.mode='merge'] - 'merge' or 'replace'.
+     * @returns {Promise<Object>} { added, updated, unchanged, removed } chats (see ChatHistory.restoreSessions).
+     */
+    async restoreBackup(backup, chatHistory, { mode = 'merge' } = {}) {
+        if (mode !== 'merge' && mode !== 'replace') throw new Error(`Unknown restore mode: ${mode}`);
+        const replace = mode === 'replace';
+        const report = await chatHistory.restoreSessions(backup.sessions, backup.folders, { replace });
+        this._applySettings(backup.settings || {}, { replace });
+        if (this.notificationSystem) {
+            this.notificationSystem.showSuccess(`Restored ${report.added + report.updated} chat${report.added + report.updated === 1 ? '' : 's'} from the backup.`);
+        }
+        return report;
+    }
+
+    /**
+     * Creates the restore dialog: what the backup holds, and whether to merge it or replace the library.
+     * @param {Object} backup - From readBackup.
+     * @param {Function} onRestore - Called with 'merge' or 'replace'.
+     * @returns {HTMLElement} Dialog element
+     */
+    createRestoreDialog(backup, onRestore) {
+        const { manifest, sessions, folders } = backup;
+        const files = manifest.counts ? manifest.counts.files : 0;
+        const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+        const restoreBtn = this.utils.createElement('button', { type: 'button', className: ['btn', 'btn-primary'], dataset: { action: 'restore' } }, ['Restore']);
+        const replaceWarning = this.utils.createElement('p', { className: ['restore-replace-warning', 'hidden'] }, [
+            'Chats and folders that are not in the backup will be deleted, and your preferences replaced. API keys are kept.'
+        ]);
+        const modeOption = (value, label, help, checked) => this.utils.createElement('label', { className: 'restore-mode-option' }, [
+            this.utils.createElement('input', { type: 'radio', name: 'restoreMode', value, checked }),
+            this.utils.createElement('span', { className: 'restore-mode-info' }, [
+                this.utils.createElement('span', { className: 'restore-mode-title' }, [label]),
+                this.utils.createElement('span', { className: 'restore-mode-help' }, [help])
+            ])
+        ]);
+
+        const dialog = this.utils.createElement('div', { className: ['import-dialog', 'restore-dialog', 'modal-overlay', 'active'] }, [
+            this.utils.createElement('div', { className: ['modal', 'import-modal'], role: 'dialog', 'aria-modal': 'true', 'aria-label': 'Restore backup' }, [
+                this.utils.createElement('div', { className: 'modal-header' }, [
+                    this.utils.createElement('h3', {}, ['Restore Backup']),
+                    this.utils.createElement('button', { type: 'button', className: 'modal-close', 'aria-label': 'Close' }, ['×'])
+                ]),
+                this.utils.createElement('div', { className: 'modal-body' }, [
+                    this.utils.createElement('p', { className: 'import-preview-summary' }, [
+                        `This backup from ${new Date(manifest.createdAt).toLocaleString()} holds ${plural(sessions.length, 'chat')}, ` +
+                            `${plural(folders.length, 'folder')} and ${plural(files, 'attached file')}, with their settings. Every file passed its checksum.`
+                    ]),
+                    this.utils.createElement('form', { className: 'restore-mode-form' }, [
+                        modeOption('merge', 'Merge into this library', 'Adds the chats and folders. A chat in both is kept as it was last updated; your preferences stay.', true),
+                        modeOption('replace', 'Replace this library', 'This browser ends up with exactly what is in the backup.', false)
+                    ]),
+                    replaceWarning
+                ]),
+                this.utils.createElement('div', { className: 'modal-footer' }, [
+                    this.utils.createElement('button', { type: 'button', className: ['btn', 'btn-secondary'], dataset: { action: 'cancel' } }, ['Cancel']),
+                    restoreBtn
+                ])
+            ])
+        ]);
+
+        const selectedMode = () => (dialog.querySelector('input[name="restoreMode"]:checked') || {}).value || 'merge';
+        dialog.addEventListener('change', () => {
+            this.utils.toggleClass(replaceWarning, 'hidden', selectedMode() !== 'replace');
+            restoreBtn.textContent = selectedMode() === 'replace' ? 'Replace library' : 'Restore';
+        });
+        dialog.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal-close') ||
+                e.target.dataset.action === 'cancel' ||
+                e.target === dialog) {
+                dialog.remove();
+            } else if (e.target === restoreBtn) {
+                onRestore(selectedMode());
+                dialog.remove();
+            }
+        });
+
+        return dialog;
+    }
+
+    /**
+     * Reads the settings a backup carries. API keys are left out on purpose.
+     * @private
+     */
+    _collectSettings() {
+        return {
+            theme: this.stateManager.get('currentTheme'),
+            apiProvider: this.stateManager.get('currentApiProvider'),
+            userPreferences: this.stateManager.get('userPreferences'),
+            modelPreferences: this.stateManager.get('modelPreferences'),
+            characterVoices: this._readStorage(CHARACTER_VOICES_KEY, {}),
+            savedSearches: this._readStorage(SAVED_SEARCHES_KEY, [])
+        };
+    }
+
+    /**
+     * @private
+     */
+    _applySettings(settings, { replace }) {
+        const voices = settings.characterVoices || {};
+        const currentVoices = this._readStorage(CHARACTER_VOICES_KEY, {});
+        this._writeStorage(CHARACTER_VOICES_KEY, replace ? voices : { ...voices, ...currentVoices });
+
+        const searches = Array.isArray(settings.savedSearches) ? settings.savedSearches : [];
+        const currentSearches = this._readStorage(SAVED_SEARCHES_KEY, []);
+        const known = new Set(currentSearches.map(search => search.id));
+        this._writeStorage(SAVED_SEARCHES_KEY, replace ? searches : [...currentSearches, ...searches.filter(search => !known.has(search.id))]);
+
+        if (!replace) return;
+        if (settings.userPreferences) {
+            this.stateManager.set('userPreferences', { ...this.stateManager.get('userPreferences'), ...settings.userPreferences });
+        }
+        if (settings.modelPreferences) {
+            this.stateManager.set('modelPreferences', { ...this.stateManager.get('modelPreferences'), ...settings.modelPreferences });
+        }
+        this.stateManager.saveState(['userPreferences', 'modelPreferences']);
+        if (settings.apiProvider && settings.apiProvider !== this.stateManager.get('currentApiProvider')) {
+            this.stateManager.setApiProvider(settings.apiProvider); // Uses the key this browser has for it, if any
+        }
+        if (settings.theme) this.stateManager.setTheme(settings.theme);
+    }
+
+    /**
+     * Checks that every file the manifest lists is there, unchanged, and that the list itself is.
+     * @private
+     */
+    async _verify(files, manifest) {
+        const checksums = manifest.files || {};
+        const paths = Object.keys(checksums).sort();
+        const sorted = {};
+        paths.forEach(path => { sorted[path] = checksums[path]; });
+        if (await this._sha256(this.zip.strToU8(JSON.stringify(sorted))) !== manifest.checksum) {
+            throw new Error('The backup\'s manifest does not match its checksum. The file is damaged or was changed.');
+        }
+        const damaged = [];
+        for (const path of paths) {
+            if (!files[path] || await this._sha256(files[path]) !== checksums[path]) damaged.push(path);
+        }
+        if (damaged.length) {
+            throw new Error(`The backup is damaged: ${damaged.length} file${damaged.length === 1 ? ' is' : 's are'} missing or changed (${damaged.slice(0, 3).join(', ')}${damaged.length > 3 ? ', …' : ''}).`);
+        }
+        // Anything the manifest does not list would be restored without a check
+        const extra = Object.keys(files).filter(path => path !== 'manifest.json' && !path.endsWith('/') && !(path in checksums));
+        if (extra.length) {
+            throw new Error(`The backup was changed: ${extra.length} file${extra.length === 1 ? ' is' : 's are'} not in its manifest (${extra.slice(0, 3).join(', ')}${extra.length > 3 ? ', …' : ''}).`);
+        }
+        const unlisted = ['folders.json', 'settings.json'].filter(path => !checksums[path]);
+        if (unlisted.length) throw new Error(`The backup is incomplete: ${unlisted.join(' and ')} ${unlisted.length === 1 ? 'is' : 'are'} missing.`);
+    }
+
+    /**
+     * Runs the migrations from the backup's format version up to the current one.
+     * @private
+     */
+    _migrate(backup) {
+        let migrated = backup;
+        for (let version = backup.manifest.version; version < this.version; version++) {
+            const migration = this.migrations[version];
+            if (!migration) throw new Error(`Backups in format ${version} cannot be restored by this version of Parkland AI.`);
+            migrated = migration(migrated);
+            migrated.manifest = { ...migrated.manifest, version: version + 1 };
+        }
+        return migrated;
+    }
+
+    /**
+     * Puts the attachments' data back into a stored session.
+     * @private
+     */
+    _restoreFiles(session, files) {
+        const restore = (messages) => (messages || []).map(message => {
+            if (!Array.isArray(message.attachments) || !message.attachments.some(attachment => attachment.file)) return message;
+            return {
+                ...message,
+                attachments: message.attachments.map(attachment => {
+                    if (!attachment.file) return attachment;
+                    const bytes = files[attachment.file];
+                    const restored = { ...attachment, data: bytes ? bytesToBase64(bytes) : null };
+                    delete restored.file;
+                    if (!bytes) restored.dataOmitted = true;
+                    return restored;
+                })
+            };
+        });
+        return { ...session, messages: restore(session.messages), branches: restore(session.branches) };
+    }
+
+    /**
+     * @private
+     */
+    _parseJSON(files, path, missingMessage = `The backup is missing ${path}.`) {
+        if (!files[path]) throw new Error(missingMessage);
+        try {
+            return JSON.parse(this.zip.strFromU8(files[path]));
+        } catch (error) {
+            throw new Error(`The backup's ${path} could not be read.`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _sha256(bytes) {
+        const hash = await this.crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Makes an ID or file name safe as a path segment in the archive.
+     * @private
+     */
+    _safeName(name) {
+        return String(name).replace(/[^\w.-]+/g, '_').slice(0, 120) || '_';
+    }
+
+    /**
+     * @private
+     */
+    _checkSupported() {
+        if (!this.zip) throw new Error('Backups need the fflate library, which did not load.');
+        if (!this.crypto || !this.crypto.subtle) throw new Error('Backups need WebCrypto, which browsers only offer over https or on localhost.');
+    }
+
+    /**
+     * @private
+     */
+    _readStorage(key, fallback) {
+        try {
+            const stored = this.storage && this.storage.getItem(key);
+            return stored ? JSON.parse(stored) : fallback;
+        } catch (error) {
+            console.warn(`Could not read ${key} for the backup:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _writeStorage(key, value) {
+        try {
+            if (this.storage) this.storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.error(`Could not restore ${key}:`, error);
+        }
+    }
+
+    /**
+     * Destroys the backup manager
+     */
+    destroy() {
+        console.log('🗄️ LibraryBackupManager destroyed.');
+    }
+}
+
+// Global instance creation pattern
+if (typeof window !== 'undefined') {
+    window.LibraryBackupManager = LibraryBackupManager;
+}
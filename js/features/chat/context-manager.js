@@ -0,0 +1,201 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * ContextManager
+ *
+ * Keeps long chats inside the model's context window. Before each request the
+ * history is estimated against a per-model budget; when it no longer fits, the
+ * oldest turns are summarized by a separate API call (or dropped, if that fails
+ * or summaries are turned off) and a context summary marker is inserted into
+ * the chat. The marker is stored with the session, rendered in the transcript,
+ * and its summary is sent as part of the system prompt from then on.
+ */
+
+class ContextManager {
+    /**
+     * @param {StateManager} stateManager - Instance of StateManager.
+     * @param {EventEmitter} eventEmitter - Instance of EventEmitter.
+     * @param {ParklandUtils} utils - Instance of ParklandUtils.
+     */
+    constructor(stateManager, eventEmitter, utils) {
+        if (!stateManager || !eventEmitter || !utils) {
+            throw new Error("ContextManager requires StateManager, EventEmitter, and Utils instances.");
+        }
+        this.stateManager = stateManager;
+        this.eventEmitter = eventEmitter;
+        this.utils = utils;
+
+        this.safetyMargin = 0.9; // Token counts are estimates, so only 90% of the window is planned for
+        this.keepRatio = 0.5; // After compacting, recent turns use at most half the budget, so it is not needed again next turn
+        this.summaryMaxTokens = 512;
+        this.summarySystemPrompt = 'You write faithful, compact summaries of conversations so they can be continued without the original messages.';
+
+        console.log('🧠 ContextManager initialized.');
+    }
+
+    /**
+     * Tokens available for the system prompt and history of one request.
+     * @param {BaseApiProvider} apiService - The provider the request goes to.
+     * @param {{model: string, maxTokens: number}} settings - Resolved request settings.
+     * @returns {number}
+     */
+    getBudget(apiService, settings) {
+        const contextWindow = apiService.getContextWindow(settings.model);
+        return Math.max(0, Math.floor(contextWindow * this.safetyMargin) - settings.maxTokens);
+    }
+
+    /**
+     * Returns the history to send with messageText, compacting the chat first if the request would not fit.
+     * Compacting inserts a context summary marker into the stored chat history as well as the returned copy.
+     * @param {BaseApiProvider} apiService - The provider the request goes to.
+     * @param {Array<Object>} historyForApi - The messages preceding messageText; a prefix of chatHistory.
+     * @param {string} messageText - The new user message.
+     * @param {{model: string, maxTokens: number}} settings - Resolved request settings.
+     * @param {string} [requestId] - Used for the summarization request, so stopping the reply stops it too.
+     * @param {Array<Object>} [attachments=[]] - Images and PDFs sent with messageText.
+     * @returns {Promise<Array<Object>>}
+     */
+    async fitHistory(apiService, historyForApi, messageText, settings, requestId, attachments = []) {
+        const budget = this.getBudget(apiService, settings);
+        if (apiService.estimateRequestTokens(historyForApi, messageText, attachments) <= budget) return historyForApi;
+
+        const previousIndex = this._findLastMarkerIndex(historyForApi);
+        const previousSummary = previousIndex > -1 ? historyForApi[previousIndex] : null;
+        const start = previousIndex + 1;
+        const cut = this._findCutIndex(apiService, historyForApi, messageText, start, budget, attachments);
+        const compacted = historyForApi.slice(start, cut).filter(msg =>
+            msg && !msg.isError && (msg.role === 'user' || msg.role === 'assistant') && typeof msg.content === 'string' && msg.content.trim()
+        );
+        if (compacted.length === 0) return historyForApi; // Nothing older left to compact; the request goes as is
+
+        const marker = {
+            id: `msg-context-${this.utils.generateId('')}`,
+            role: 'system',
+            type: 'context-summary',
+            content: previousSummary ? previousSummary.content : '',
+            method: 'dropped',
+            compactedCount: compacted.length + (previousSummary ? previousSummary.compactedCount || 0 : 0),
+            timestamp: Date.now()
+        };
+
+        let usage = null;
+        if (this.stateManager.get('userPreferences.summarizeContext') !== false) {
+            try {
+                const result = await apiService.sendMessage(
+                    this._buildSummaryPrompt(compacted, previousSummary, this._getSummaryBudget(apiService, settings)),
+                    [],
+                    {
+                        model: settings.model,
+                        maxTokens: this.summaryMaxTokens,
+                        temperature: 0,
+                        systemPrompt: this.summarySystemPrompt,
+                        tools: false,
+                        promptCaching: false, // A one-off prompt; writing it to the cache would only cost more
+                        requestId
+                    }
+                );
+                if (result && result.content) {
+                    marker.content = result.content;
+                    marker.method = 'summary';
+                    marker.model = result.model || settings.model;
+                    usage = result.usage || null;
+                }
+            } catch (error) {
+                if (error && error.type === 'abort_error') throw error; // The user stopped the reply
+                console.warn('Could not summarize earlier messages; they will be dropped from the context instead:', error);
+            }
+        }
+
+        this._insertMarker(marker, historyForApi, cut);
+        this.eventEmitter.emit('context:compacted', {
+            marker,
+            model: marker.model || settings.model,
+            usage
+        });
+        return [...historyForApi.slice(0, cut), marker, ...historyForApi.slice(cut)];
+    }
+
+    /**
+     * Tokens available for the summarization request's prompt, which shares the model's context window.
+     * @returns {number}
+     * @private
+     */
+    _getSummaryBudget(apiService, settings) {
+        const contextWindow = apiService.getContextWindow(settings.model);
+        return Math.max(0, Math.floor(contextWindow * this.safetyMargin) - this.summaryMaxTokens);
+    }
+
+    /**
+     * The earliest user message from which the rest of the history (plus a summary) fits in
+     * keepRatio of the budget. Cutting at a user message keeps the remaining turns alternating.
+     * @returns {number} Index into historyForApi; historyForApi.length if no older turn can be kept.
+     * @private
+     */
+    _findCutIndex(apiService, historyForApi, messageText, start, budget, attachments = []) {
+        const target = budget * this.keepRatio - this.summaryMaxTokens;
+        let cut = historyForApi.length;
+        for (let i = historyForApi.length - 1; i >= start; i--) {
+            if (historyForApi[i].role !== 'user') continue;
+            if (apiService.estimateRequestTokens(historyForApi.slice(i), messageText, attachments) > target) break;
+            cut = i;
+        }
+        if (cut > start) return cut;
+        // Everything since the previous summary fits the target, but the request did not: compact at least one exchange
+        const nextUser = historyForApi.findIndex((msg, i) => i > start && msg.role === 'user');
+        return nextUser > -1 ? nextUser : historyForApi.length;
+    }
+
+    /**
+     * @param {Array<Object>} messages - The user/assistant messages being compacted.
+     * @param {Object|null} previousSummary - The last marker, whose summary is folded into the new one.
+     * @param {number} budget - Tokens available for the prompt; the transcript is cut from the front to fit.
+     * @returns {string}
+     * @private
+     */
+    _buildSummaryPrompt(messages, previousSummary, budget) {
+        const characterName = (message) => {
+            if (message.role === 'user') return 'User';
+            return message.character ? `Assistant (${message.character})` : 'Assistant';
+        };
+        // Attachments are named rather than resent; the summary only needs to know they were shared
+        const attachmentNote = (message) => (message.attachments && message.attachments.length ?
+            ` [Attached: ${message.attachments.map(attachment => attachment.name).join(', ')}]` : '');
+        let transcript = messages.map(message => `${characterName(message)}: ${(message.content || '').trim()}${attachmentNote(message)}`).join('\n\n');
+        const maxChars = Math.max(0, (budget - 250) * 4); // About four characters per token, less room for the instructions
+        if (transcript.length > maxChars) {
+            transcript = `[…]\n${transcript.slice(transcript.length - maxChars)}`;
+        }
+
+        return [
+            'Summarize the conversation below so it can be continued without the original messages.',
+            'Keep names, facts, decisions, preferences the user stated and open questions. Write plain prose of at most 250 words.',
+            previousSummary && previousSummary.content ? `Summary of what came before it:\n${previousSummary.content}` : '',
+            `Conversation:\n${transcript}`
+        ].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Adds the marker to the stored chat history at the cut, unless the chat changed while summarizing.
+     * @param {Object} marker - The context summary message.
+     * @param {Array<Object>} historyForApi - The history the cut refers to.
+     * @param {number} cut - Index of the first message that is kept in full.
+     * @private
+     */
+    _insertMarker(marker, historyForApi, cut) {
+        const chatHistory = this.stateManager.get('chatHistory') || [];
+        const anchor = historyForApi[cut - 1];
+        if (!anchor || !chatHistory[cut - 1] || chatHistory[cut - 1].id !== anchor.id) {
+            console.warn('Chat history changed while compacting; the summary marker was not stored.');
+            return;
+        }
+        this.stateManager.set('chatHistory', [...chatHistory.slice(0, cut), marker, ...chatHistory.slice(cut)]);
+    }
+
+    _findLastMarkerIndex(history) {
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (history[i] && history[i].type === 'context-summary') return i;
+        }
+        return -1;
+    }
+}
+
+window.ContextManager = ContextManager;
@@ -4,10 +4,19 @@
  *
  * Provides comprehensive chat export functionality in multiple formats
  * including JSON, Markdown, HTML, and PDF with customizable options.
+ * Markdown and HTML are laid out by ExportTemplates.
  */
 
+/* global ExportTemplates */
+
+// Previewed when there is no chat to export yet
+const EXPORT_PREVIEW_SAMPLE = [
+    { role: 'user', content: 'Is it safe to go in the water?', timestamp: Date.UTC(1975, 5, 20, 9, 0) },
+    { role: 'assistant', content: 'Not until we know what is out there.', reasoning: 'There have been two attacks this week.', timestamp: Date.UTC(1975, 5, 20, 9, 1) }
+];
+
 class ChatExportManager {
-    constructor(utils, stateManager, notificationSystem = null) {
+    constructor(utils, stateManager, notificationSystem = null, templates = null) {
         if (!utils || !stateManager) {
             throw new Error("ChatExportManager requires utils and stateManager instances.");
         }
@@ -15,15 +24,18 @@ class ChatExportManager {
         this.utils = utils;
         this.stateManager = stateManager;
         this.notificationSystem = notificationSystem;
+        this.templates = templates || (typeof ExportTemplates !== 'undefined' ? new ExportTemplates(utils, stateManager) : null);
         
         // Export configuration
         this.defaultConfig = {
             includeTimestamps: true,
             includeCharacterInfo: true,
             includeSystemMessages: false,
+            includeReasoning: false, // Markdown and HTML only; JSON always keeps a reply's reasoning
             dateFormat: 'iso', // 'iso', 'locale', 'custom'
             customDateFormat: 'YYYY-MM-DD HH:mm:ss',
-            theme: 'auto' // 'auto', 'light', 'dark', 'current'
+            theme: 'auto', // 'auto', 'light', 'dark', 'current'
+            templateId: null // ExportTemplates id for Markdown and HTML; null uses the format's built-in layout
         };
         
         // Supported formats
@@ -174,150 +186,77 @@ class ChatExportManager {
     }
 
     /**
-     * Exports chat as Markdown
+     * Exports chat as Markdown, laid out by an export template
      * @private
      */
     _exportAsMarkdown(chatHistory, metadata, config) {
-        let content = '';
-        
-        // Header
-        content += `# ${metadata.title}\n\n`;
-        content += `**Exported from:** Parkland AI - Opus Magnum Edition  \n`;
-        content += `**Date:** ${metadata.exportDate}  \n`;
-        content += `**Messages:** ${metadata.messageCount}  \n`;
-        if (metadata.sessionId) {
-            content += `**Session ID:** ${metadata.sessionId}  \n`;
-        }
-        content += '\n---\n\n';
-        
-        // Messages
-        chatHistory.forEach((msg, index) => {
-            if (!config.includeSystemMessages && msg.role === 'system') return;
-            
-            const processedMsg = this._processMessage(msg, config);
-            const role = this._formatRole(processedMsg.role, processedMsg.character);
-            
-            content += `## ${role}\n\n`;
-            
-            if (config.includeTimestamps && processedMsg.timestamp) {
-                content += `*${processedMsg.formattedTimestamp}*\n\n`;
-            }
-            
-            content += `${processedMsg.content}\n\n`;
-            
-            if (index < chatHistory.length - 1) {
-                content += '---\n\n';
-            }
-        });
-        
-        return content;
+        return this._renderTemplate('markdown', chatHistory, metadata, config);
     }
 
     /**
-     * Exports chat as HTML
+     * Exports chat as HTML, laid out by an export template
      * @private
      */
     _exportAsHTML(chatHistory, metadata, config) {
-        const theme = this._getThemeStyles(config.theme);
-        
-        let html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${metadata.title}</title>
-    <style>
-        ${theme.css}
-        .chat-export {
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-        }
-        .metadata {
-            background: var(--bg-secondary, #f5f5f5);
-            padding: 20px;
-            border-radius: 8px;
-            margin-bottom: 30px;
-        }
-        .message {
-            margin-bottom: 20px;
-            padding: 15px;
-            border-radius: 8px;
-            border-left: 4px solid var(--primary, #007bff);
-        }
-        .message.user {
-            background: var(--user-bg, #e3f2fd);
-            border-left-color: var(--user-color, #2196f3);
-        }
-        .message.assistant {
-            background: var(--assistant-bg, #f3e5f5);
-            border-left-color: var(--assistant-color, #9c27b0);
-        }
-        .message-header {
-            font-weight: bold;
-            margin-bottom: 8px;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-        }
-        .message-timestamp {
-            font-size: 0.85em;
-            color: var(--text-secondary, #666);
-        }
-        .message-content {
-            line-height: 1.6;
-            white-space: pre-wrap;
+        return this._renderTemplate('html', chatHistory, metadata, config);
+    }
+
+    /**
+     * Renders config.template (an unsaved {format, body}), else the template
+     * config.templateId names, else the format's built-in layout.
+     * @private
+     */
+    _renderTemplate(format, chatHistory, metadata, config) {
+        if (!this.templates) {
+            throw new Error('Markdown and HTML exports need ExportTemplates. Please load it first.');
         }
-        .footer {
-            margin-top: 40px;
-            text-align: center;
-            color: var(--text-secondary, #666);
-            font-size: 0.9em;
+
+        let template = config.template?.format === format ? config.template : null;
+        if (!template && config.templateId) {
+            const saved = this.templates.getTemplate(config.templateId);
+            template = saved?.format === format ? saved : null;
         }
-    </style>
-</head>
-<body class="${theme.class}">
-    <div class="chat-export">
-        <div class="metadata">
-            <h1>${metadata.title}</h1>
-            <p><strong>Exported from:</strong> Parkland AI - Opus Magnum Edition</p>
-            <p><strong>Date:</strong> ${metadata.exportDate}</p>
-            <p><strong>Messages:</strong> ${metadata.messageCount}</p>
-            ${metadata.sessionId ? `<p><strong>Session ID:</strong> ${metadata.sessionId}</p>` : ''}
-        </div>
-        
-        <div class="messages">`;
-        
-        chatHistory.forEach(msg => {
-            if (!config.includeSystemMessages && msg.role === 'system') return;
-            
-            const processedMsg = this._processMessage(msg, config);
-            const role = this._formatRole(processedMsg.role, processedMsg.character);
-            
-            html += `
-            <div class="message ${processedMsg.role}">
-                <div class="message-header">
-                    <span class="message-role">${role}</span>
-                    ${config.includeTimestamps && processedMsg.timestamp ? 
-                        `<span class="message-timestamp">${processedMsg.formattedTimestamp}</span>` : ''}
-                </div>
-                <div class="message-content">${this.utils.escapeHtml(processedMsg.content)}</div>
-            </div>`;
-        });
-        
-        html += `
-        </div>
-        
-        <div class="footer">
-            <p>Generated by Parkland AI - Opus Magnum Edition</p>
-            <p>Export Date: ${new Date().toLocaleString()}</p>
-        </div>
-    </div>
-</body>
-</html>`;
-        
-        return html;
+
+        return this.templates.render(template || this.templates.getDefaultTemplate(format), this._buildTemplateView(chatHistory, metadata, config));
+    }
+
+    /**
+     * Collects the values export templates can use (see ExportTemplates)
+     * @private
+     */
+    _buildTemplateView(chatHistory, metadata, config) {
+        const messages = chatHistory
+            .filter(msg => config.includeSystemMessages || msg.role !== 'system')
+            .map((msg, index, shown) => {
+                const processedMsg = this._processMessage(msg, config);
+                const characterData = processedMsg.character ? window.parklandApp?.characterManager?.getCharacterData(processedMsg.character) : null;
+
+                return {
+                    ...processedMsg,
+                    roleName: this._formatRole(processedMsg.role, processedMsg.character),
+                    characterName: characterData?.name || null,
+                    reasoning: config.includeReasoning ? processedMsg.reasoning || null : null,
+                    formattedTimestamp: processedMsg.formattedTimestamp || null,
+                    isUser: processedMsg.role === 'user',
+                    isAssistant: processedMsg.role === 'assistant',
+                    isSystem: processedMsg.role === 'system',
+                    number: index + 1,
+                    first: index === 0,
+                    last: index === shown.length - 1
+                };
+            });
+
+        return {
+            title: metadata.title,
+            appName: 'Parkland AI - Opus Magnum Edition',
+            exportDate: metadata.exportDate,
+            exportedAt: new Date().toLocaleString(),
+            messageCount: metadata.messageCount,
+            sessionId: metadata.sessionId,
+            metadata,
+            theme: this._getThemeStyles(config.theme),
+            messages
+        };
     }
 
     /**
@@ -492,6 +431,7 @@ class ChatExportManager {
             character: message.character,
             timestamp: message.timestamp
         };
+        if (message.reasoning) processed.reasoning = message.reasoning;
         
         if (config.includeTimestamps && message.timestamp) {
             processed.formattedTimestamp = this._formatTimestamp(message.timestamp, config.dateFormat);
@@ -571,8 +511,7 @@ class ChatExportManager {
         const chatHistory = this.stateManager.get('chatHistory');
         
         if (activeSessionId && window.parklandApp?.chatHistory) {
-            const sessions = window.parklandApp.chatHistory._getStoredSessions();
-            const currentSession = sessions.find(s => s.id === activeSessionId);
+            const currentSession = window.parklandApp.chatHistory.getSessionSummary(activeSessionId);
             if (currentSession?.title) {
                 return currentSession.title;
             }
@@ -651,11 +590,42 @@ class ChatExportManager {
     }
 
     /**
-     * Creates export options dialog
+     * Renders an export as text, for the export dialog's preview. Uses a short
+     * sample conversation when there is no chat yet.
+     * @param {string} format - Any format but PDF
+     * @param {Object} options - Export options, as for exportChat
+     * @returns {string} The exported text, or '' for PDF
+     */
+    previewExport(format, options = {}) {
+        const config = { ...this.defaultConfig, ...options };
+        const currentHistory = options.chatHistory || this.stateManager.get('chatHistory');
+        const chatHistory = currentHistory?.length ? currentHistory : EXPORT_PREVIEW_SAMPLE;
+        const metadata = this._generateMetadata(chatHistory, options.sessionId || this.stateManager.get('activeSessionId'), config);
+
+        switch (format) {
+            case 'json':
+                return this._exportAsJSON(chatHistory, metadata, config);
+            case 'markdown':
+                return this._exportAsMarkdown(chatHistory, metadata, config);
+            case 'html':
+                return this._exportAsHTML(chatHistory, metadata, config);
+            case 'txt':
+                return this._exportAsText(chatHistory, metadata, config);
+            case 'csv':
+                return this._exportAsCSV(chatHistory, metadata, config);
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Creates export options dialog, with a choice of template for Markdown and
+     * HTML, an editor to change and save templates, and a preview
      * @param {Function} onExport - Callback for export action
      * @returns {HTMLElement} Options dialog element
      */
     createExportDialog(onExport) {
+        const fields = this.templates ? Object.entries(this.templates.fields) : [];
         const dialog = this.utils.createElement('div', {
             className: 'export-dialog modal-overlay',
             innerHTML: `
@@ -675,6 +645,26 @@ class ChatExportManager {
                                 </select>
                             </div>
                             
+                            <div class="form-group export-template-group hidden">
+                                <label>Template:</label>
+                                <select name="templateId" class="form-select"></select>
+                                <details class="export-template-editor">
+                                    <summary>Edit template</summary>
+                                    <input type="text" name="templateName" class="form-input" placeholder="Template name" aria-label="Template name">
+                                    <textarea name="templateBody" class="form-textarea export-template-body" rows="10" spellcheck="false" aria-label="Template"></textarea>
+                                    <p class="form-error-message export-template-error hidden" role="alert"></p>
+                                    <dl class="export-template-fields">
+                                        ${fields.map(([name, help]) =>
+                                            `<dt>${this.utils.escapeHtml(name)}</dt><dd>${this.utils.escapeHtml(help)}</dd>`
+                                        ).join('')}
+                                    </dl>
+                                    <div class="export-template-actions">
+                                        <button type="button" class="btn btn-secondary" data-action="save-template">Save template</button>
+                                        <button type="button" class="btn btn-secondary" data-action="delete-template">Delete template</button>
+                                    </div>
+                                </details>
+                            </div>
+                            
                             <div class="form-group">
                                 <label>
                                     <input type="checkbox" name="includeTimestamps" checked>
@@ -695,7 +685,20 @@ class ChatExportManager {
                                     Include system messages
                                 </label>
                             </div>
+                            
+                            <div class="form-group">
+                                <label>
+                                    <input type="checkbox" name="includeReasoning">
+                                    Include reasoning (Markdown and HTML; JSON always keeps it)
+                                </label>
+                            </div>
                         </form>
+                        
+                        <div class="export-preview">
+                            <div class="export-preview-label">Preview</div>
+                            <pre class="export-preview-text"></pre>
+                            <iframe class="export-preview-frame hidden" sandbox="" title="Export preview"></iframe>
+                        </div>
                     </div>
                     <div class="modal-footer">
                         <button class="btn btn-secondary" data-action="cancel">Cancel</button>
@@ -705,27 +708,145 @@ class ChatExportManager {
             `
         });
         
+        const form = dialog.querySelector('.export-form');
+        const templateGroup = dialog.querySelector('.export-template-group');
+        const templateSelect = form.elements.templateId;
+        const templateName = form.elements.templateName;
+        const templateBody = form.elements.templateBody;
+        const templateError = dialog.querySelector('.export-template-error');
+        const deleteButton = dialog.querySelector('[data-action="delete-template"]');
+        const previewText = dialog.querySelector('.export-preview-text');
+        const previewFrame = dialog.querySelector('.export-preview-frame');
+        let previewTimer = null;
+        
+        const usesTemplates = () => Boolean(this.templates?.formats[form.elements.format.value]);
+        
+        // What the export would be made with; the editor's text, saved or not, is what is previewed and exported
+        const getOptions = () => {
+            const formData = new FormData(form);
+            const options = {
+                includeTimestamps: formData.has('includeTimestamps'),
+                includeCharacterInfo: formData.has('includeCharacterInfo'),
+                includeSystemMessages: formData.has('includeSystemMessages'),
+                includeReasoning: formData.has('includeReasoning')
+            };
+            if (usesTemplates()) {
+                options.templateId = templateSelect.value;
+                options.template = { format: formData.get('format'), body: templateBody.value };
+            }
+            return options;
+        };
+        
+        const showTemplateError = (message) => {
+            templateError.textContent = message || '';
+            templateError.classList.toggle('hidden', !message);
+        };
+        
+        const showTemplate = () => {
+            const template = this.templates.getTemplate(templateSelect.value);
+            templateName.value = template.builtIn ? `${template.name} (copy)` : template.name;
+            templateBody.value = template.body;
+            deleteButton.disabled = Boolean(template.builtIn);
+            showTemplateError(null);
+        };
+        
+        const listTemplates = (selectedId = null) => {
+            const templates = this.templates.getTemplates(form.elements.format.value);
+            templateSelect.innerHTML = templates.map(template =>
+                `<option value="${this.utils.escapeHtml(template.id)}">${this.utils.escapeHtml(template.builtIn ? `${template.name} (built-in)` : template.name)}</option>`
+            ).join('');
+            templateSelect.value = templates.some(template => template.id === selectedId) ? selectedId : templates[0].id;
+            showTemplate();
+        };
+        
+        const updatePreview = () => {
+            const format = form.elements.format.value;
+            if (usesTemplates()) {
+                const error = this.templates.validate(templateBody.value);
+                showTemplateError(error);
+                if (error) return; // Keep the last preview that worked
+            }
+            
+            let preview = '';
+            try {
+                preview = this.previewExport(format, getOptions());
+            } catch (error) {
+                preview = `Preview failed: ${error.message}`;
+            }
+            
+            const isHTML = format === 'html';
+            previewFrame.classList.toggle('hidden', !isHTML);
+            previewText.classList.toggle('hidden', isHTML);
+            if (isHTML) {
+                previewFrame.srcdoc = preview;
+            } else {
+                previewText.textContent = preview || `${this.supportedFormats[format].name} exports cannot be previewed.`;
+            }
+        };
+        
+        const formatChanged = () => {
+            templateGroup.classList.toggle('hidden', !usesTemplates());
+            if (usesTemplates()) listTemplates();
+            updatePreview();
+        };
+        
+        form.addEventListener('change', (e) => {
+            if (e.target === form.elements.format) {
+                formatChanged();
+            } else if (e.target === templateSelect) {
+                showTemplate();
+                updatePreview();
+            } else if (e.target.type === 'checkbox') {
+                updatePreview();
+            }
+        });
+        
+        templateBody.addEventListener('input', () => {
+            clearTimeout(previewTimer);
+            previewTimer = setTimeout(updatePreview, 300);
+        });
+        
         // Event handlers
         dialog.addEventListener('click', (e) => {
             if (e.target.classList.contains('modal-close') || 
                 e.target.dataset.action === 'cancel' ||
                 e.target === dialog) {
+                clearTimeout(previewTimer);
                 dialog.remove();
+            } else if (e.target.dataset.action === 'save-template') {
+                const current = this.templates.getTemplate(templateSelect.value);
+                try {
+                    const saved = this.templates.saveTemplate({
+                        id: current?.builtIn ? null : current?.id,
+                        name: templateName.value,
+                        format: form.elements.format.value,
+                        body: templateBody.value
+                    });
+                    listTemplates(saved.id);
+                    if (this.notificationSystem) {
+                        this.notificationSystem.showSuccess(`Template "${saved.name}" saved`);
+                    }
+                } catch (error) {
+                    showTemplateError(error.message);
+                }
+            } else if (e.target.dataset.action === 'delete-template') {
+                if (this.templates.deleteTemplate(templateSelect.value)) {
+                    listTemplates();
+                    updatePreview();
+                }
             } else if (e.target.dataset.action === 'export') {
-                const form = dialog.querySelector('.export-form');
-                const formData = new FormData(form);
-                
-                const options = {
-                    includeTimestamps: formData.has('includeTimestamps'),
-                    includeCharacterInfo: formData.has('includeCharacterInfo'),
-                    includeSystemMessages: formData.has('includeSystemMessages')
-                };
+                if (usesTemplates() && this.templates.validate(templateBody.value)) {
+                    dialog.querySelector('.export-template-editor').open = true;
+                    return;
+                }
                 
-                onExport(formData.get('format'), options);
+                clearTimeout(previewTimer);
+                onExport(form.elements.format.value, getOptions());
                 dialog.remove();
             }
         });
         
+        formatChanged();
         return dialog;
     }
 
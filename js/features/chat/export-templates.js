@@ -0,0 +1,412 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * Export Templates
+ *
+ * Lays out Markdown and HTML chat exports (see ChatExportManager) from
+ * templates written in a small Mustache-like language:
+ *
+ *   {{title}}                        a value; escaped in HTML templates
+ *   {{{content}}} or {{& content}}   a value as it is
+ *   {{#messages}}...{{/messages}}    repeated for each item of a list, or shown once if the value is set
+ *   {{^reasoning}}...{{/reasoning}}  shown if the value is not set or is an empty list
+ *   {{! a comment }}
+ *
+ * Names may be dotted (theme.css) and are looked up in the innermost section
+ * first, so {{title}} still works inside {{#messages}}; {{.}} is the current
+ * item. A section or comment tag on a line of its own takes the line with it.
+ * The built-in templates are the standard layouts and cannot be changed; the
+ * user's own are kept in userPreferences.exportTemplates.
+ */
+
+const EXPORT_TEMPLATE_FORMATS = { markdown: 'Markdown', html: 'HTML' };
+
+// The values a template can use; shown in the export dialog
+const EXPORT_TEMPLATE_FIELDS = {
+    title: 'Chat title',
+    appName: 'Parkland AI - Opus Magnum Edition',
+    exportDate: 'Export date (ISO)',
+    exportedAt: 'Export date and time in your locale',
+    messageCount: 'Number of messages in the chat',
+    sessionId: 'Chat ID',
+    'metadata.*': 'Everything in the JSON export\'s metadata',
+    'theme.class, theme.css': 'The chosen theme\'s body class and CSS variables',
+    messages: 'The exported messages, each with:',
+    'role, roleName, characterName': 'user/assistant/system, the display name, and the character\'s name',
+    'content, reasoning': 'The message and, when included, its reasoning',
+    'timestamp, formattedTimestamp': 'When it was sent (formatted only when timestamps are included)',
+    'isUser, isAssistant, isSystem': 'Set for that kind of message',
+    'number, first, last': 'Position in the export'
+};
+
+const BUILT_IN_EXPORT_TEMPLATES = [
+    {
+        id: 'builtin-markdown',
+        name: 'Standard',
+        format: 'markdown',
+        builtIn: true,
+        body: [
+            '# {{title}}',
+            '',
+            '**Exported from:** {{appName}}  ',
+            '**Date:** {{exportDate}}  ',
+            '**Messages:** {{messageCount}}  ',
+            '{{#sessionId}}',
+            '**Session ID:** {{sessionId}}  ',
+            '{{/sessionId}}',
+            '',
+            '---',
+            '',
+            '{{#messages}}',
+            '## {{roleName}}',
+            '',
+            '{{#formattedTimestamp}}',
+            '*{{formattedTimestamp}}*',
+            '',
+            '{{/formattedTimestamp}}',
+            '{{#reasoning}}',
+            '<details>',
+            '<summary>Reasoning</summary>',
+            '',
+            '{{reasoning}}',
+            '',
+            '</details>',
+            '',
+            '{{/reasoning}}',
+            '{{content}}',
+            '',
+            '{{^last}}',
+            '---',
+            '',
+            '{{/last}}',
+            '{{/messages}}'
+        ].join('\n')
+    },
+    {
+        id: 'builtin-html',
+        name: 'Standard',
+        format: 'html',
+        builtIn: true,
+        body: `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{{title}}</title>
+    <style>
+        {{{theme.css}}}
+        .chat-export {
+            max-width: 800px;
+            margin: 0 auto;
+            padding: 20px;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }
+        .metadata {
+            background: var(--bg-secondary, #f5f5f5);
+            padding: 20px;
+            border-radius: 8px;
+            margin-bottom: 30px;
+        }
+        .message {
+            margin-bottom: 20px;
+            padding: 15px;
+            border-radius: 8px;
+            border-left: 4px solid var(--primary, #007bff);
+        }
+        .message.user {
+            background: var(--user-bg, #e3f2fd);
+            border-left-color: var(--user-color, #2196f3);
+        }
+        .message.assistant {
+            background: var(--assistant-bg, #f3e5f5);
+            border-left-color: var(--assistant-color, #9c27b0);
+        }
+        .message-header {
+            font-weight: bold;
+            margin-bottom: 8px;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        .message-timestamp {
+            font-size: 0.85em;
+            color: var(--text-secondary, #666);
+        }
+        .message-content {
+            line-height: 1.6;
+            white-space: pre-wrap;
+        }
+        .message-reasoning {
+            margin-bottom: 8px;
+            font-size: 0.9em;
+            color: var(--text-secondary, #666);
+        }
+        .message-reasoning > div {
+            white-space: pre-wrap;
+        }
+        .footer {
+            margin-top: 40px;
+            text-align: center;
+            color: var(--text-secondary, #666);
+            font-size: 0.9em;
+        }
+    </style>
+</head>
+<body class="{{theme.class}}">
+    <div class="chat-export">
+        <div class="metadata">
+            <h1>{{title}}</h1>
+            <p><strong>Exported from:</strong> {{appName}}</p>
+            <p><strong>Date:</strong> {{exportDate}}</p>
+            <p><strong>Messages:</strong> {{messageCount}}</p>
+            {{#sessionId}}<p><strong>Session ID:</strong> {{sessionId}}</p>{{/sessionId}}
+        </div>
+
+        <div class="messages">{{#messages}}
+            <div class="message {{role}}">
+                <div class="message-header">
+                    <span class="message-role">{{roleName}}</span>
+                    {{#formattedTimestamp}}<span class="message-timestamp">{{formattedTimestamp}}</span>{{/formattedTimestamp}}
+                </div>
+                {{#reasoning}}<details class="message-reasoning"><summary>Reasoning</summary><div>{{reasoning}}</div></details>{{/reasoning}}
+                <div class="message-content">{{content}}</div>
+            </div>{{/messages}}
+        </div>
+
+        <div class="footer">
+            <p>Generated by {{appName}}</p>
+            <p>Export Date: {{exportedAt}}</p>
+        </div>
+    </div>
+</body>
+</html>`
+    }
+];
+
+/**
+ * Splits a template into text, value and section nodes.
+ * @throws {Error} Naming the line of an unclosed tag or a section that is not closed properly.
+ */
+const parseExportTemplate = (template) => {
+    const root = { children: [] };
+    const open = [root];
+    const lineOf = (index) => template.slice(0, index).split('\n').length;
+    const addText = (value) => {
+        if (value) open[open.length - 1].children.push({ type: 'text', value });
+    };
+    let position = 0;
+
+    while (position < template.length) {
+        const start = template.indexOf('{{', position);
+        if (start === -1) break;
+
+        const triple = template[start + 2] === '{';
+        const close = template.indexOf(triple ? '}}}' : '}}', start + 2);
+        if (close === -1) throw new Error(`Line ${lineOf(start)}: a tag is not closed with ${triple ? '}}}' : '}}'}`);
+        const end = close + (triple ? 3 : 2);
+
+        let name = template.slice(start + (triple ? 3 : 2), close).trim();
+        let type = triple ? '&' : '';
+        if (!triple && /^[#^/!&]/.test(name)) {
+            type = name[0];
+            name = name.slice(1).trim();
+        }
+
+        // Sections and comments alone on their line leave no blank line behind
+        let textEnd = start;
+        let next = end;
+        if (type && '#^/!'.includes(type)) {
+            const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+            const newline = template.indexOf('\n', end);
+            const lineEnd = newline === -1 ? template.length : newline + 1;
+            if (lineStart >= position && !template.slice(lineStart, start).trim() && !template.slice(end, lineEnd).trim()) {
+                textEnd = lineStart;
+                next = lineEnd;
+            }
+        }
+        addText(template.slice(position, textEnd));
+        position = next;
+
+        if (type === '!') continue;
+        if (!name) throw new Error(`Line ${lineOf(start)}: a tag has no name`);
+
+        if (type === '#' || type === '^') {
+            const section = { type: type === '#' ? 'section' : 'inverted', name, line: lineOf(start), children: [] };
+            open[open.length - 1].children.push(section);
+            open.push(section);
+        } else if (type === '/') {
+            const section = open.pop();
+            if (section === root) throw new Error(`Line ${lineOf(start)}: {{/${name}}} closes a section that was never opened`);
+            if (section.name !== name) throw new Error(`Line ${lineOf(start)}: {{/${name}}} closes {{#${section.name}}} from line ${section.line}`);
+        } else {
+            open[open.length - 1].children.push({ type: type === '&' ? 'raw' : 'value', name });
+        }
+    }
+
+    addText(template.slice(position));
+    if (open.length > 1) {
+        const section = open[open.length - 1];
+        throw new Error(`Line ${section.line}: {{#${section.name}}} is never closed`);
+    }
+    return root.children;
+};
+
+// Finds a (dotted) name in the innermost context that has it
+const lookupTemplateValue = (name, contexts) => {
+    if (name === '.') return contexts[contexts.length - 1];
+    const [first, ...rest] = name.split('.');
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context !== null && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+        }
+    }
+    return undefined;
+};
+
+const renderTemplateNodes = (nodes, contexts, escape) => nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookupTemplateValue(node.name, contexts);
+    switch (node.type) {
+        case 'value':
+        case 'raw':
+            if (value === null || value === undefined) return '';
+            return node.type === 'value' ? escape(String(value)) : String(value);
+        case 'section':
+            if (Array.isArray(value)) {
+                return value.map(item => renderTemplateNodes(node.children, [...contexts, item], escape)).join('');
+            }
+            return value ? renderTemplateNodes(node.children, [...contexts, value], escape) : '';
+        case 'inverted':
+            return !value || (Array.isArray(value) && value.length === 0) ? renderTemplateNodes(node.children, contexts, escape) : '';
+        default:
+            return '';
+    }
+}).join('');
+
+class ExportTemplates {
+    constructor(utils, stateManager) {
+        if (!utils || !stateManager) {
+            throw new Error("ExportTemplates requires utils and stateManager instances.");
+        }
+
+        this.utils = utils;
+        this.stateManager = stateManager;
+        this.formats = { ...EXPORT_TEMPLATE_FORMATS };
+        this.fields = { ...EXPORT_TEMPLATE_FIELDS };
+        this._parsed = new Map(); // body -> nodes
+    }
+
+    /**
+     * Lists the built-in templates followed by the user's own.
+     * @param {string} [format] - Only templates for 'markdown' or 'html'.
+     * @returns {Array<{id: string, name: string, format: string, body: string, builtIn?: boolean}>}
+     */
+    getTemplates(format = null) {
+        const templates = [...BUILT_IN_EXPORT_TEMPLATES, ...this._userTemplates()];
+        return format ? templates.filter(template => template.format === format) : templates;
+    }
+
+    getTemplate(id) {
+        return this.getTemplates().find(template => template.id === id) || null;
+    }
+
+    getDefaultTemplate(format) {
+        return BUILT_IN_EXPORT_TEMPLATES.find(template => template.format === format) || null;
+    }
+
+    /**
+     * Checks a template's syntax.
+     * @returns {string|null} What is wrong with it, or null.
+     */
+    validate(body) {
+        try {
+            this._parse(body);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Saves a template of the user's. A template without an id, or with a
+     * built-in one, is saved as a new template.
+     * @param {{id?: string, name: string, format: string, body: string}} template
+     * @returns {Object} The saved template.
+     * @throws {Error} If the name or format is missing or the template does not parse.
+     */
+    saveTemplate({ id, name, format, body }) {
+        name = (name || '').trim();
+        if (!name) throw new Error('The template needs a name');
+        if (!this.formats[format]) throw new Error(`Templates are for Markdown or HTML, not ${format}`);
+        const error = this.validate(body || '');
+        if (error) throw new Error(error);
+
+        const templates = this._userTemplates();
+        const existing = id ? templates.findIndex(template => template.id === id) : -1;
+        const saved = {
+            id: existing === -1 ? `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}` : id,
+            name,
+            format,
+            body
+        };
+        if (existing === -1) templates.push(saved);
+        else templates[existing] = saved;
+
+        this.stateManager.setUserPreference('exportTemplates', templates);
+        return saved;
+    }
+
+    /**
+     * Deletes a template of the user's.
+     * @returns {boolean} False if there was no such template (built-in ones cannot be deleted).
+     */
+    deleteTemplate(id) {
+        const templates = this._userTemplates();
+        const remaining = templates.filter(template => template.id !== id);
+        if (remaining.length === templates.length) return false;
+        this.stateManager.setUserPreference('exportTemplates', remaining);
+        return true;
+    }
+
+    /**
+     * Renders a template. Plain {{values}} are HTML-escaped when the template is for HTML.
+     * @param {Object|string} template - A template, or the id of one.
+     * @param {Object} view - The values the template can use (see EXPORT_TEMPLATE_FIELDS).
+     * @returns {string}
+     * @throws {Error} If there is no such template or it does not parse.
+     */
+    render(template, view) {
+        if (typeof template === 'string') {
+            const id = template;
+            template = this.getTemplate(id);
+            if (!template) throw new Error(`Export template not found: ${id}`);
+        }
+        const escape = template.format === 'html' ? (text) => this.utils.escapeHtml(text) : (text) => text;
+        return renderTemplateNodes(this._parse(template.body), [view], escape);
+    }
+
+    /**
+     * @private
+     */
+    _parse(body) {
+        if (!this._parsed.has(body)) {
+            if (this._parsed.size >= 20) this._parsed.clear(); // Previews parse every edit
+            this._parsed.set(body, parseExportTemplate(body));
+        }
+        return this._parsed.get(body);
+    }
+
+    /**
+     * @private
+     */
+    _userTemplates() {
+        const templates = this.stateManager.get('userPreferences.exportTemplates');
+        return Array.isArray(templates) ? templates.filter(template => template?.id && this.formats[template.format]) : [];
+    }
+}
+
+// Global instance creation pattern
+if (typeof window !== 'undefined') {
+    window.ExportTemplates = ExportTemplates;
+}
@@ -3,7 +3,9 @@
  * File Upload Manager
  *
  * Provides comprehensive file upload and processing capabilities
- * including image analysis, document parsing, and media handling.
+ * including image processing, document parsing, and media handling.
+ * Images and PDFs can be turned into message attachments (see createAttachment),
+ * which the API providers send to vision-capable models as content blocks.
  */
 
 class FileUploadManager {
@@ -36,7 +38,13 @@ class FileUploadManager {
                 ]
             },
             thumbnailSize: { width: 200, height: 200 },
-            compressionQuality: 0.8
+            compressionQuality: 0.8,
+            upload: {
+                maxImageDimension: 1568, // Longest edge sent to vision models; they downscale larger images anyway
+                maxImageBytes: 3.75 * 1024 * 1024, // Decoded size that stays under the 5 MB base64 limit per image
+                maxDocumentBytes: 32 * 1024 * 1024, // Claude's PDF request limit
+                sendableImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+            }
         };
         
         // File storage
@@ -52,6 +60,9 @@ class FileUploadManager {
         // Drag and drop state
         this.isDragging = false;
         this.dragCounter = 0;
+
+        // Called with the processed files after every upload or drop, e.g. to attach them to the next message
+        this.onFilesProcessed = null;
         
         this._setupEventListeners();
         
@@ -221,6 +232,10 @@ class FileUploadManager {
                 `Successfully processed ${processedFiles.length} file${processedFiles.length > 1 ? 's' : ''}`
             );
         }
+
+        if (processedFiles.length > 0 && typeof this.onFilesProcessed === 'function') {
+            this.onFilesProcessed(processedFiles);
+        }
         
         return processedFiles;
     }
@@ -245,7 +260,7 @@ class FileUploadManager {
             data: null,
             thumbnail: null,
             metadata: {},
-            analysis: null
+            upload: null // { mediaType, data, width?, height? } for files that can be sent to the model
         };
         
         // Read file data
@@ -297,15 +312,13 @@ class FileUploadManager {
                     
                     // Generate thumbnail
                     processedFile.thumbnail = await this._generateThumbnail(img);
-                    
-                    // Perform image analysis if API service is available
-                    if (this.apiService && this._shouldAnalyzeImage(processedFile)) {
-                        try {
-                            processedFile.analysis = await this._analyzeImage(processedFile);
-                        } catch (error) {
-                            console.warn('Image analysis failed:', error);
-                            processedFile.analysis = { error: error.message };
-                        }
+
+                    // Prepare the copy sent to vision models; images are described by the model they are sent to
+                    try {
+                        processedFile.upload = this._prepareImageUpload(img, processedFile);
+                    } catch (error) {
+                        console.warn('Image cannot be prepared for sending:', error);
+                        processedFile.metadata.uploadError = error.message;
                     }
                     
                     resolve();
@@ -335,6 +348,14 @@ class FileUploadManager {
             encoding: 'utf-8'
         };
         
+        if (originalFile.type === 'application/pdf') {
+            if (originalFile.size <= this.config.upload.maxDocumentBytes) {
+                processedFile.upload = { mediaType: 'application/pdf', data: this._dataUrlToBase64(processedFile.data) };
+            } else {
+                processedFile.metadata.uploadError = `PDFs sent to the model must be under ${this._formatFileSize(this.config.upload.maxDocumentBytes)}.`;
+            }
+        }
+
         // For text files, extract content preview
         if (originalFile.type.startsWith('text/')) {
             try {
@@ -445,55 +466,107 @@ class FileUploadManager {
     }
 
     /**
-     * Analyzes image using AI service
-     * @param {Object} processedFile - File object
-     * @returns {Promise<Object>} Analysis results
+     * Produces the base64 copy of an image that is sent to vision models. Images over the
+     * dimension or size limits are downscaled; SVGs are rasterized, since models only take bitmaps.
+     * @param {HTMLImageElement} img - The loaded image
+     * @param {Object} processedFile - File object being processed
+     * @returns {Object} { mediaType, data, width, height }
+     * @throws {Error} If the image stays over the size limit even at low JPEG quality
      * @private
      */
-    async _analyzeImage(processedFile) {
-        if (!this.apiService) {
-            throw new Error('API service not available for image analysis');
+    _prepareImageUpload(img, processedFile) {
+        const { maxImageDimension, maxImageBytes, sendableImageTypes } = this.config.upload;
+        const mimeType = processedFile.mimeType === 'image/jpg' ? 'image/jpeg' : processedFile.mimeType;
+        const scale = Math.min(1, maxImageDimension / Math.max(img.width, img.height));
+        const originalData = this._dataUrlToBase64(processedFile.data);
+
+        if (scale === 1 && sendableImageTypes.includes(mimeType) && this._base64ByteLength(originalData) <= maxImageBytes) {
+            return { mediaType: mimeType, data: originalData, width: img.width, height: img.height };
         }
-        
-        // Prepare image for analysis
-        const analysisPrompt = `Please analyze this image and provide:
-1. A detailed description of what you see
-2. Any text content if present (OCR)
-3. Notable objects, people, or scenes
-4. Artistic style or technical details if relevant
-5. Any potential use cases or context`;
-        
-        // Note: This is a placeholder implementation
-        // In reality, you'd need to send the image to Claude's vision API
-        // or another image analysis service
-        
-        const analysisResult = {
-            description: 'Image analysis would require Claude Vision API or similar service',
-            objects: [],
-            text: '',
-            colors: [],
-            style: '',
-            confidence: 0,
-            timestamp: Date.now()
-        };
-        
-        return analysisResult;
+
+        const width = Math.max(1, Math.round(img.width * scale));
+        const height = Math.max(1, Math.round(img.height * scale));
+        // PNG (and rasterized SVG) keeps transparency; everything else is re-encoded as JPEG
+        let mediaType = mimeType === 'image/png' || mimeType === 'image/svg+xml' ? 'image/png' : 'image/jpeg';
+        let data = this._drawForUpload(img, width, height, mediaType, this.config.compressionQuality);
+
+        // Lower JPEG quality until the image fits
+        for (let quality = 0.7; this._base64ByteLength(data) > maxImageBytes && quality >= 0.4; quality -= 0.15) {
+            mediaType = 'image/jpeg';
+            data = this._drawForUpload(img, width, height, mediaType, quality);
+        }
+        if (this._base64ByteLength(data) > maxImageBytes) {
+            throw new Error(`${processedFile.name} is too large to send, even after downscaling.`);
+        }
+        return { mediaType, data, width, height };
     }
 
     /**
-     * Determines if image should be analyzed
-     * @param {Object} processedFile - File object
-     * @returns {boolean} Whether to analyze
+     * Draws an image onto the processing canvas and encodes it.
+     * @param {HTMLImageElement} img - The image
+     * @param {number} width - Target width
+     * @param {number} height - Target height
+     * @param {string} mediaType - 'image/png' or 'image/jpeg'
+     * @param {number} quality - JPEG quality between 0 and 1
+     * @returns {string} Base64 data without the data URL prefix
      * @private
      */
-    _shouldAnalyzeImage(processedFile) {
-        // Don't analyze very large images or SVGs
-        if (processedFile.size > 10 * 1024 * 1024 || processedFile.mimeType === 'image/svg+xml') {
-            return false;
+    _drawForUpload(img, width, height, mediaType, quality) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.context.clearRect(0, 0, width, height);
+        if (mediaType === 'image/jpeg') {
+            // JPEG has no alpha channel; transparent areas would otherwise turn black
+            this.context.fillStyle = '#ffffff';
+            this.context.fillRect(0, 0, width, height);
         }
-        
-        // Check user preferences
-        return this.stateManager.get('userPreferences.enableImageAnalysis') !== false;
+        this.context.drawImage(img, 0, 0, width, height);
+        return this._dataUrlToBase64(this.canvas.toDataURL(mediaType, quality));
+    }
+
+    /**
+     * Builds the attachment stored on a chat message and sent with it to the model.
+     * @param {Object} processedFile - A file returned by handleFiles
+     * @returns {Object|null} { id, type: 'image'|'document', name, mediaType, data, size, width?, height?, thumbnail },
+     * or null if the file cannot be sent (only images and PDFs can)
+     */
+    createAttachment(processedFile) {
+        if (!processedFile || !processedFile.upload) return null;
+        const { mediaType, data, width, height } = processedFile.upload;
+        const attachment = {
+            id: processedFile.id,
+            type: processedFile.type === 'image' ? 'image' : 'document',
+            name: processedFile.name,
+            mediaType,
+            data,
+            size: this._base64ByteLength(data),
+            thumbnail: processedFile.thumbnail || null
+        };
+        if (width && height) {
+            attachment.width = width;
+            attachment.height = height;
+        }
+        return attachment;
+    }
+
+    /**
+     * @param {string} dataUrl - A data URL
+     * @returns {string} The base64 payload after the comma
+     * @private
+     */
+    _dataUrlToBase64(dataUrl) {
+        const comma = typeof dataUrl === 'string' ? dataUrl.indexOf(',') : -1;
+        return comma > -1 ? dataUrl.slice(comma + 1) : '';
+    }
+
+    /**
+     * @param {string} base64 - Base64 data
+     * @returns {number} Size of the decoded data in bytes
+     * @private
+     */
+    _base64ByteLength(base64) {
+        const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+        return Math.floor((base64.length * 3) / 4) - padding;
     }
 
     /**
@@ -750,7 +823,7 @@ class FileUploadManager {
             totalSize: totalSize,
             averageSize: files.length > 0 ? totalSize / files.length : 0,
             typeDistribution: typeCount,
-            imagesWithAnalysis: files.filter(f => f.type === 'image' && f.analysis).length
+            sendableFiles: files.filter(f => f.upload).length
         };
     }
 
@@ -786,7 +859,6 @@ class FileUploadManager {
             <div class="preview-info">
                 <div class="file-name" title="${file.name}">${this.utils.truncate(file.name, 30)}</div>
                 <div class="file-size">${this._formatFileSize(file.size)}</div>
-                ${file.analysis ? '<div class="file-analyzed">🔍 Analyzed</div>' : ''}
             </div>
             <div class="preview-actions">
                 <button class="btn btn-xs btn-ghost" data-action="view" title="View details">👁️</button>
@@ -854,9 +926,8 @@ class FileUploadManager {
                                 <p><strong>Aspect Ratio:</strong> ${file.metadata.aspectRatio.toFixed(2)}</p>
                             ` : ''}
                             
-                            ${file.analysis ? `
-                                <h5>AI Analysis</h5>
-                                <p>${file.analysis.description || 'Analysis completed'}</p>
+                            ${file.upload && file.upload.width ? `
+                                <p><strong>Sent to the model as:</strong> ${file.upload.width} × ${file.upload.height} ${file.upload.mediaType}</p>
                             ` : ''}
                         </div>
                     </div>
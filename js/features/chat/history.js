@@ -3,17 +3,25 @@
  * ChatHistory Module
  *
  * Manages the display and persistence of chat history sessions in the sidebar.
- * Interacts with StateManager and localStorage.
+ * Interacts with StateManager and a SessionStore (IndexedDB). The sidebar only needs the
+ * sessions' summaries, which are kept in memory; a chat's messages are loaded when it is opened.
  */
 
+/* global SessionStore */
+
+const SESSION_TAG_COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple'];
+const SESSION_DRAG_TYPE = 'application/x-parkland-session';
+const FOLDER_DRAG_TYPE = 'application/x-parkland-folder';
+
 class ChatHistory {
     /**
      * @param {HTMLElement} container - The DOM element to render history items into (e.g., .chat-history-list).
      * @param {ParklandUtils} utils - Instance of ParklandUtils.
      * @param {EventEmitter} eventEmitter - Instance of EventEmitter.
      * @param {StateManager} stateManager - Instance of StateManager.
+     * @param {SessionStore} [sessionStore] - Where sessions are kept; a new SessionStore by default.
      */
-    constructor(container, utils, eventEmitter, stateManager) {
+    constructor(container, utils, eventEmitter, stateManager, sessionStore = typeof SessionStore !== 'undefined' ? new SessionStore() : null) {
         if (!container || !utils || !eventEmitter || !stateManager) {
             throw new Error("ChatHistory requires container, utils, eventEmitter, and stateManager.");
         }
@@ -22,69 +30,244 @@ class ChatHistory {
         this.eventEmitter = eventEmitter;
         this.stateManager = stateManager;
 
-        this.storageKey = 'parklandAI_chatSessions'; // Key for localStorage
+        this.sessionStore = sessionStore;
+        this.maxStoredAttachmentBytes = 25 * 1024 * 1024; // Larger attachments keep only their thumbnail
+        this.sessions = []; // Session summaries, as listed in the sidebar
+        this.folders = []; // The user's folders, in order
+        this.smartFolders = []; // Saved searches and the chats they find: { id, name, query, sessionIds }
+        this._collapsedSmartFolders = new Set();
+        this.filter = 'all'; // Which chats the list shows (see setFilter)
+        this._organizingSessionId = null; // The chat whose tags and folder panel is open
+        this._sessionBodies = new Map(); // Session ID → { messages, branches } of the chats opened or saved on this page
+        this._pendingWrite = Promise.resolve(); // Writes run one after another, in the order they were made
+        this._loadingSessionId = null;
 
         // Subscribe to events that might require history list update or active session save
         this.eventEmitter.on('chatSessionLoaded', () => this.renderHistoryList());
         this.eventEmitter.on('newChatStarted', () => {
             this.stateManager.set('activeSessionId', null); // Clear active session ID for a new chat
+            this.stateManager.set('sessionModelSettings', null); // New chats start on the default model
             this.renderHistoryList(); // Re-render to de-select any active item
         });
+        this.stateManager.subscribe('change:sessionModelSettings', ({ newValue }) => this._storeActiveSessionModelSettings(newValue));
+        this.eventEmitter.on('search:smartFoldersUpdated', ({ folders }) => this.setSmartFolders(folders));
 
+        this._createToolbar();
+        this._bindDragAndDrop();
+        this.ready = this._loadSessions();
         console.log('💾 ChatHistory initialized.');
     }
 
     /**
-     * Renders the list of chat sessions in the sidebar.
+     * Reads the session summaries from the store, moving sessions over from localStorage the first time.
+     * Without a working store, chats are kept until the page is closed.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _loadSessions() {
+        try {
+            if (!this.sessionStore) throw new Error('SessionStore class is undefined. Ensure session-store.js is loaded.');
+            const [summaries, folders] = await Promise.all([this.sessionStore.listSessions(), this.sessionStore.listFolders()]);
+            this.folders = [...folders, ...this.folders.filter(folder => !folders.some(f => f.id === folder.id))];
+            const known = new Set(this.sessions.map(session => session.id)); // Saved while the store was opening
+            this.sessions = [...this.sessions, ...summaries.filter(summary => !known.has(summary.id))];
+        } catch (error) {
+            console.error('Error loading chat sessions:', error);
+            this.sessionStore = null;
+            this.stateManager.set('lastError', { message: `Chat history is not available: ${error.message} Chats will be kept until this page is closed.`, type: 'storage', originalError: error });
+        }
+        this.renderHistoryList();
+    }
+
+    /**
+     * Renders the list of chat sessions in the sidebar: pinned chats first, then the smart folders and
+     * the folders, then the chats in no folder, each newest first. Only the chats matching the filter
+     * are shown; smart folders only when all chats are.
      * Highlights the active session if one is set in StateManager.
      */
     renderHistoryList() {
         this.container.innerHTML = ''; // Clear existing list
-        const sessions = this._getStoredSessions();
-        const activeSessionId = this.stateManager.get('activeSessionId');
+        this._renderFilterOptions();
+        const sessions = this.sessions.filter(session => session && session.id && this._matchesFilter(session));
+        sessions.sort((a, b) => b.lastUpdated - a.lastUpdated); // Show newest first
+        const showAllFolders = this.filter === 'all';
 
-        if (sessions.length === 0) {
+        if (sessions.length === 0 && !(showAllFolders && (this.folders.length || this.smartFolders.length))) {
             const emptyMessage = this.utils.createElement('p', {
                 className: 'empty-history-message',
-                textContent: 'No chat history yet. Start a new conversation!'
+                textContent: this.filter === 'all' ? 'No chat history yet. Start a new conversation!' : 'No chats match this filter.'
             });
             this.container.appendChild(emptyMessage);
             return;
         }
 
         const fragment = document.createDocumentFragment();
-        sessions.sort((a, b) => b.lastUpdated - a.lastUpdated); // Show newest first
-
-        sessions.forEach(session => {
-            if (session && session.id && Array.isArray(session.messages)) {
-                const itemElement = this._createHistoryItemElement(session);
-                if (session.id === activeSessionId) {
-                    this.utils.addClass(itemElement, 'active');
-                }
-                fragment.appendChild(itemElement);
-            }
+        const pinned = sessions.filter(session => session.pinned);
+        if (pinned.length) {
+            fragment.appendChild(this._createGroupElement('Pinned', pinned, { className: 'chat-history-pinned' }));
+        }
+        if (showAllFolders) {
+            this.smartFolders.forEach(folder => {
+                const found = new Set(folder.sessionIds);
+                fragment.appendChild(this._createSmartFolderElement(folder, sessions.filter(session => found.has(session.id))));
+            });
+        }
+        const unpinned = sessions.filter(session => !session.pinned);
+        this.folders.forEach(folder => {
+            const inFolder = unpinned.filter(session => session.folderId === folder.id);
+            if (inFolder.length || showAllFolders) fragment.appendChild(this._createFolderElement(folder, inFolder));
+        });
+        const folderIds = new Set(this.folders.map(folder => folder.id));
+        unpinned.filter(session => !folderIds.has(session.folderId)).forEach(session => {
+            fragment.appendChild(this._createHistoryItemElement(session));
         });
         this.container.appendChild(fragment);
     }
 
+    /**
+     * Creates a titled group of chats, e.g. the pinned ones.
+     * @private
+     */
+    _createGroupElement(title, sessions, { className }) {
+        return this.utils.createElement('li', { className: ['chat-history-group', className] }, [
+            this.utils.createElement('h3', { className: 'chat-history-group-title' }, [title]),
+            this.utils.createElement('ul', { className: 'chat-history-group-list' }, sessions.map(session => this._createHistoryItemElement(session)))
+        ]);
+    }
+
+    /**
+     * Creates a folder with its chats. The header collapses it, and can be dragged to reorder the folders;
+     * chats dropped on it move into it.
+     * @param {Object} folder - { id, name, order, collapsed }.
+     * @param {Array<Object>} sessions - The folder's chats that match the filter.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createFolderElement(folder, sessions) {
+        const collapsed = !!folder.collapsed && this.filter === 'all';
+        const nameEl = this.utils.createElement('span', { className: 'chat-folder-name' }, [folder.name]);
+        const header = this.utils.createElement('div', { className: 'chat-folder-header', draggable: 'true' }, [
+            this.utils.createElement('button', {
+                type: 'button',
+                className: 'chat-folder-toggle',
+                'aria-expanded': String(!collapsed),
+                onClick: () => this.toggleFolder(folder.id)
+            }, [
+                this.utils.createElement('span', { className: 'chat-folder-caret', 'aria-hidden': 'true' }, [collapsed ? '▸' : '▾']),
+                nameEl,
+                this.utils.createElement('span', { className: 'chat-folder-count' }, [String(sessions.length)])
+            ]),
+            this.utils.createElement('button', {
+                type: 'button',
+                className: 'message-action-btn',
+                title: 'Rename folder',
+                innerHTML: `<span class="icon">${this.utils.getIconSVG ? this.utils.getIconSVG('edit') : 'Rename'}</span>`,
+                onClick: () => this._startInlineRename(nameEl, folder.name, name => this.renameFolder(folder.id, name))
+            }),
+            this.utils.createElement('button', {
+                type: 'button',
+                className: 'message-action-btn',
+                title: 'Delete folder (its chats are kept)',
+                innerHTML: `<span class="icon">${this.utils.getIconSVG ? this.utils.getIconSVG('trash') : 'Del'}</span>`,
+                onClick: () => this.deleteFolder(folder.id)
+            })
+        ]);
+        header.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(FOLDER_DRAG_TYPE, folder.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        const list = this.utils.createElement('ul', { className: ['chat-folder-list', collapsed ? 'hidden' : ''].filter(Boolean) },
+            sessions.map(session => this._createHistoryItemElement(session)));
+        return this.utils.createElement('li', { className: 'chat-folder', dataset: { folderId: folder.id } }, [header, list]);
+    }
+
+    /**
+     * Creates a smart folder: the chats a saved search finds. It cannot be dropped on; its header opens
+     * the search, renames, exports or deletes it through events that ChatSearchManager handles.
+     * @param {Object} folder - { id, name, query, sessionIds }.
+     * @param {Array<Object>} sessions - The chats it finds.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createSmartFolderElement(folder, sessions) {
+        const collapsed = this._collapsedSmartFolders.has(folder.id);
+        const nameEl = this.utils.createElement('span', { className: 'chat-folder-name' }, [folder.name]);
+        const icon = (name) => `<span class="icon">${this.utils.getIconSVG ? this.utils.getIconSVG(name) : name}</span>`;
+        const exportSelect = this.utils.createElement('select', {
+            className: 'form-select chat-smart-folder-export',
+            'aria-label': 'Export results',
+            title: 'Export the search results'
+        }, [
+            this.utils.createElement('option', { value: '' }, ['Export…']),
+            this.utils.createElement('option', { value: 'markdown' }, ['Markdown']),
+            this.utils.createElement('option', { value: 'json' }, ['JSON']),
+            this.utils.createElement('option', { value: 'csv' }, ['CSV'])
+        ]);
+        exportSelect.addEventListener('change', () => {
+            if (exportSelect.value) this.eventEmitter.emit('savedSearchExportRequested', { searchId: folder.id, format: exportSelect.value });
+            exportSelect.value = '';
+        });
+
+        const header = this.utils.createElement('div', { className: 'chat-folder-header' }, [
+            this.utils.createElement('button', {
+                type: 'button',
+                className: 'chat-folder-toggle',
+                title: `Saved search: ${folder.query}`,
+                'aria-expanded': String(!collapsed),
+                onClick: () => this.toggleSmartFolder(folder.id)
+            }, [
+                this.utils.createElement('span', { className: 'chat-folder-caret', 'aria-hidden': 'true' }, [collapsed ? '▸' : '▾']),
+                nameEl,
+                this.utils.createElement('span', { className: 'chat-folder-count' }, [String(sessions.length)])
+            ]),
+            this.utils.createElement('button', {
+                type: 'button',
+                className: 'message-action-btn',
+                title: 'Show in search',
+                innerHTML: icon('search'),
+                onClick: () => this.eventEmitter.emit('savedSearchOpenRequested', { searchId: folder.id })
+            }),
+            this.utils.createElement('button', {
+                type: 'button',
+                className: 'message-action-btn',
+                title: 'Rename smart folder',
+                innerHTML: icon('edit'),
+                onClick: () => this._startInlineRename(nameEl, folder.name, name => this.eventEmitter.emit('savedSearchRenameRequested', { searchId: folder.id, name }))
+            }),
+            exportSelect,
+            this.utils.createElement('button', {
+                type: 'button',
+                className: 'message-action-btn',
+                title: 'Delete smart folder (its chats are kept)',
+                innerHTML: icon('trash'),
+                onClick: () => this.eventEmitter.emit('savedSearchDeleteRequested', { searchId: folder.id })
+            })
+        ]);
+        const list = this.utils.createElement('ul', { className: ['chat-folder-list', collapsed ? 'hidden' : ''].filter(Boolean) },
+            sessions.map(session => this._createHistoryItemElement(session)));
+        return this.utils.createElement('li', { className: 'chat-folder chat-smart-folder', dataset: { smartFolderId: folder.id } }, [header, list]);
+    }
+
     /**
      * Creates a DOM element for a single chat history session.
-     * @param {Object} session - The session object { id, title, messages, lastUpdated, messageCount }.
+     * @param {Object} session - The session summary { id, title, lastUpdated, messageCount, usage, estimatedCost, summary, pinned, tags, folderId }.
      * @returns {HTMLElement} The created list item element.
      * @private
      */
     _createHistoryItemElement(session) {
-        const title = session.title || this._generateSessionTitle(session.messages) || 'Chat Session';
-        const messageCount = session.messages.length;
+        const title = session.title || 'Chat Session';
+        const messageCount = session.messageCount || 0;
         const lastUpdated = this.utils.formatRelativeTime ?
                             this.utils.formatRelativeTime(new Date(session.lastUpdated)) :
                             new Date(session.lastUpdated).toLocaleDateString();
 
         const itemElement = this.utils.createElement('li', {
-            className: 'chat-history-item fade-in-element', // fade-in-element for animation
+            className: ['chat-history-item', 'fade-in-element', session.id === this.stateManager.get('activeSessionId') ? 'active' : ''].filter(Boolean), // fade-in-element for animation
             dataset: { sessionId: session.id },
             tabIndex: 0, // Make it focusable
             role: 'button',
+            draggable: 'true',
+            title: session.summary || null,
             'aria-label': `Load chat session: ${title}`
         });
 
@@ -93,49 +276,404 @@ class ChatHistory {
             className: 'chat-history-title',
             textContent: this.utils.truncate(title, 40) // Truncate title if too long
         });
+        const tags = (session.tags || []).filter(tag => SESSION_TAG_COLORS.includes(tag));
+        const tagsDiv = tags.length ? this.utils.createElement('div', { className: 'chat-history-tags', 'aria-label': `Tags: ${tags.join(', ')}` },
+            tags.map(tag => this.utils.createElement('span', { className: ['chat-tag', `chat-tag-${tag}`], title: tag }))) : null;
+        const usage = session.usage || this._summarizeUsage([]);
+        const totalTokens = usage.inputTokens + usage.outputTokens;
+        const usageTracker = window.parklandApp && window.parklandApp.usageTracker;
         const metaDiv = this.utils.createElement('div', {
             className: 'chat-history-meta',
-            textContent: `${messageCount} message${messageCount === 1 ? '' : 's'} - ${lastUpdated}`
+            textContent: `${messageCount} message${messageCount === 1 ? '' : 's'} - ${lastUpdated}` +
+                (totalTokens && usageTracker ? ` - ${usageTracker.formatTokens(totalTokens)} tokens` : ''),
+            title: totalTokens ?
+                `${usage.inputTokens} input / ${usage.outputTokens} output tokens` +
+                    (usageTracker && typeof session.estimatedCost === 'number' ? `, about ${usageTracker.formatCost(session.estimatedCost)}` : '') :
+                null
         });
 
         infoDiv.appendChild(titleDiv);
+        if (tagsDiv) infoDiv.appendChild(tagsDiv);
         infoDiv.appendChild(metaDiv);
 
-        const actionsDiv = this.utils.createElement('div', { className: 'chat-history-actions' });
-        const deleteBtn = this.utils.createElement('button', {
-            className: 'message-action-btn delete-history-btn', // Re-use styling from message actions
-            title: 'Delete chat session',
-            innerHTML: `<span class="icon">${this.utils.getIconSVG ? this.utils.getIconSVG('trash') : 'Del'}</span>`,
-            dataset: { action: 'delete', sessionId: session.id }
+        const actionButton = (icon, label, className, onClick, extra = {}) => this.utils.createElement('button', {
+            type: 'button',
+            className: ['message-action-btn', className],
+            title: label,
+            'aria-label': label,
+            innerHTML: `<span class="icon">${this.utils.getIconSVG ? this.utils.getIconSVG(icon) : label}</span>`,
+            onClick: (e) => {
+                e.stopPropagation(); // Prevent load when an action is clicked
+                onClick();
+            },
+            ...extra
         });
+        const actionsDiv = this.utils.createElement('div', { className: 'chat-history-actions' }, [
+            actionButton('pin', session.pinned ? 'Unpin chat' : 'Pin chat to the top', 'pin-history-btn',
+                () => this.setSessionPinned(session.id, !session.pinned), { 'aria-pressed': String(!!session.pinned) }),
+            actionButton('edit', 'Rename chat', 'rename-history-btn',
+                () => this._startInlineRename(titleDiv, title, newTitle => this.renameSession(session.id, newTitle))),
+            actionButton('folder', 'Tags and folder', 'organize-history-btn',
+                () => this._toggleOrganizePanel(session.id), { 'aria-expanded': String(this._organizingSessionId === session.id) }),
+            actionButton('trash', 'Delete chat session', 'delete-history-btn',
+                () => this._handleDeleteChat(session.id, itemElement))
+        ]);
 
-        actionsDiv.appendChild(deleteBtn);
         itemElement.appendChild(infoDiv);
         itemElement.appendChild(actionsDiv);
+        if (this._organizingSessionId === session.id) itemElement.appendChild(this._createOrganizePanel(session));
 
-        // Event listeners for loading and deleting
+        // Clicks and keys inside the actions, the organize panel or a rename field are not "open this chat"
+        const isControl = (target) => !!target.closest('.chat-history-actions, .chat-organize-panel, .chat-rename-input');
         itemElement.addEventListener('click', (e) => {
-            if (e.target.closest('.delete-history-btn')) {
-                e.stopPropagation(); // Prevent load if delete is clicked
-                this._handleDeleteChat(session.id, itemElement);
-            } else {
-                this._handleLoadChat(session.id);
-            }
+            if (!isControl(e.target)) this._handleLoadChat(session.id);
         });
         itemElement.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
+            if ((e.key === 'Enter' || e.key === ' ') && !isControl(e.target)) {
                 e.preventDefault();
-                if (e.target.closest('.delete-history-btn')) {
-                     this._handleDeleteChat(session.id, itemElement);
-                } else {
-                    this._handleLoadChat(session.id);
-                }
+                this._handleLoadChat(session.id);
             }
         });
+        itemElement.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(SESSION_DRAG_TYPE, session.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
 
         return itemElement;
     }
 
+    /**
+     * Creates the panel for a chat's colour tags and folder.
+     * @private
+     */
+    _createOrganizePanel(session) {
+        const tags = session.tags || [];
+        const folderSelect = this.utils.createElement('select', { className: 'form-select', 'aria-label': 'Folder' }, [
+            this.utils.createElement('option', { value: '' }, ['No folder']),
+            ...this.folders.map(folder => this.utils.createElement('option', { value: folder.id }, [folder.name]))
+        ]);
+        folderSelect.value = this.folders.some(folder => folder.id === session.folderId) ? session.folderId : '';
+        folderSelect.addEventListener('change', () => this.moveSessionToFolder(session.id, folderSelect.value || null));
+        return this.utils.createElement('div', { className: 'chat-organize-panel' }, [
+            this.utils.createElement('div', { className: 'chat-tag-picker', role: 'group', 'aria-label': 'Tags' },
+                SESSION_TAG_COLORS.map(color => this.utils.createElement('button', {
+                    type: 'button',
+                    className: ['chat-tag', `chat-tag-${color}`, tags.includes(color) ? 'selected' : ''].filter(Boolean),
+                    title: color,
+                    'aria-label': `${color} tag`,
+                    'aria-pressed': String(tags.includes(color)),
+                    onClick: () => this.toggleSessionTag(session.id, color)
+                }))),
+            folderSelect,
+            this.utils.createElement('button', {
+                type: 'button',
+                className: ['btn', 'btn-secondary', 'btn-sm', 'regenerate-title-btn'],
+                textContent: 'Regenerate title & summary',
+                title: 'Ask the model to name and summarize this chat again',
+                onClick: () => this.eventEmitter.emit('sessionTitleRequested', { sessionId: session.id })
+            })
+        ]);
+    }
+
+    _toggleOrganizePanel(sessionId) {
+        this._organizingSessionId = this._organizingSessionId === sessionId ? null : sessionId;
+        this.renderHistoryList();
+    }
+
+    /**
+     * Swaps a title for a text field. Enter or leaving the field commits a non-blank name; Escape cancels.
+     * @param {HTMLElement} titleEl - The element showing the name.
+     * @param {string} currentValue - The full current name.
+     * @param {Function} onCommit - Called with the new name.
+     * @private
+     */
+    _startInlineRename(titleEl, currentValue, onCommit) {
+        const input = this.utils.createElement('input', {
+            type: 'text', className: 'form-input chat-rename-input', value: currentValue, maxlength: '120', 'aria-label': 'Name'
+        });
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            const value = input.value.trim();
+            if (commit && value && value !== currentValue) onCommit(value);
+            else this.renderHistoryList();
+        };
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+            else if (e.key === 'Escape') { e.preventDefault(); finish(false); }
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('click', (e) => e.stopPropagation());
+        titleEl.replaceChildren(input);
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Adds the filter and "New folder" controls above the list.
+     * @private
+     */
+    _createToolbar() {
+        if (!this.container.parentNode) return;
+        this.filterSelect = this.utils.createElement('select', { className: 'form-select chat-history-filter', 'aria-label': 'Show chats' });
+        this.filterSelect.addEventListener('change', () => this.setFilter(this.filterSelect.value));
+        const newFolderBtn = this.utils.createElement('button', {
+            type: 'button',
+            className: 'btn btn-ghost btn-sm new-folder-btn',
+            onClick: () => this._handleNewFolder()
+        }, ['New folder']);
+        this.container.before(this.utils.createElement('div', { className: 'chat-history-toolbar' }, [this.filterSelect, newFolderBtn]));
+    }
+
+    /**
+     * Fills the filter select: all chats, pinned, each folder, and each tag in use.
+     * @private
+     */
+    _renderFilterOptions() {
+        if (!this.filterSelect) return;
+        const tagsInUse = SESSION_TAG_COLORS.filter(color => this.sessions.some(session => (session.tags || []).includes(color)));
+        const options = [
+            ['all', 'All chats'],
+            ['pinned', 'Pinned'],
+            ...this.folders.map(folder => [`folder:${folder.id}`, `Folder: ${folder.name}`]),
+            ...this.smartFolders.map(folder => [`smart:${folder.id}`, `Smart folder: ${folder.name}`]),
+            ...tagsInUse.map(color => [`tag:${color}`, `Tag: ${color}`])
+        ];
+        if (!options.some(([value]) => value === this.filter)) this.filter = 'all'; // The folder was deleted or the tag removed
+        this.filterSelect.replaceChildren(...options.map(([value, label]) => this.utils.createElement('option', { value }, [label])));
+        this.filterSelect.value = this.filter;
+    }
+
+    _matchesFilter(session) {
+        const [kind, value] = this.filter.split(/:(.*)/);
+        if (kind === 'pinned') return !!session.pinned;
+        if (kind === 'folder') return session.folderId === value;
+        if (kind === 'smart') return !!this.smartFolders.find(folder => folder.id === value)?.sessionIds.includes(session.id);
+        if (kind === 'tag') return (session.tags || []).includes(value);
+        return true;
+    }
+
+    /**
+     * Moves chats into folders, back out of them (or into "Pinned"), and reorders folders, by drag and drop.
+     * The listeners sit on the list itself, so they survive re-rendering.
+     * @private
+     */
+    _bindDragAndDrop() {
+        const dropTarget = (e) => {
+            const types = Array.from(e.dataTransfer ? e.dataTransfer.types : []);
+            if (!types.includes(SESSION_DRAG_TYPE) && !types.includes(FOLDER_DRAG_TYPE)) return null;
+            if (e.target.closest('.chat-smart-folder')) return null; // Its chats are the ones its search finds
+            return e.target.closest('.chat-folder, .chat-history-pinned') || this.container;
+        };
+        this.container.addEventListener('dragover', (e) => {
+            const target = dropTarget(e);
+            if (!target) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.utils.$$('.drag-over', this.container).forEach(el => this.utils.removeClass(el, 'drag-over'));
+            this.utils.addClass(target, 'drag-over');
+        });
+        this.container.addEventListener('dragleave', (e) => {
+            if (!this.container.contains(e.relatedTarget)) {
+                this.utils.$$('.drag-over', this.container).forEach(el => this.utils.removeClass(el, 'drag-over'));
+            }
+        });
+        this.container.addEventListener('drop', (e) => {
+            const target = dropTarget(e);
+            if (!target) return;
+            e.preventDefault();
+            const folderId = target.classList.contains('chat-folder') ? target.dataset.folderId : null;
+            const sessionId = e.dataTransfer.getData(SESSION_DRAG_TYPE);
+            const draggedFolderId = e.dataTransfer.getData(FOLDER_DRAG_TYPE);
+            if (sessionId && target.classList.contains('chat-history-pinned')) this.setSessionPinned(sessionId, true);
+            else if (sessionId) this.moveSessionToFolder(sessionId, folderId, { unpin: true });
+            else if (draggedFolderId) this.moveFolder(draggedFolderId, folderId);
+        });
+    }
+
+    /**
+     * Shows only the chats in a folder or smart folder, with a tag, or pinned.
+     * @param {string} filter - 'all', 'pinned', 'folder:<id>', 'smart:<saved search id>' or 'tag:<colour>'.
+     */
+    setFilter(filter) {
+        this.filter = filter || 'all';
+        this.renderHistoryList();
+    }
+
+    /**
+     * Replaces the smart folders (see ChatSearchManager.refreshSmartFolders).
+     * @param {Array<Object>} folders - { id, name, query, sessionIds }, in order.
+     */
+    setSmartFolders(folders) {
+        this.smartFolders = (folders || []).map(folder => ({ ...folder, sessionIds: [...(folder.sessionIds || [])] }));
+        this.renderHistoryList();
+    }
+
+    toggleSmartFolder(folderId) {
+        if (this._collapsedSmartFolders.has(folderId)) this._collapsedSmartFolders.delete(folderId);
+        else this._collapsedSmartFolders.add(folderId);
+        this.renderHistoryList();
+    }
+
+    /**
+     * Renames a chat. The name is kept when the chat's messages change, unlike the automatic title.
+     * @param {string} sessionId
+     * @param {string} title
+     * @returns {Promise<void>}
+     */
+    renameSession(sessionId, title) {
+        const name = String(title || '').trim();
+        if (!name) return Promise.resolve();
+        const saved = this._updateSession(sessionId, { title: name, titleSource: 'user' });
+        this.eventEmitter.emit('chatSessionRenamed', { sessionId, title: name });
+        return saved;
+    }
+
+    /**
+     * Stores a title and summary written by the model (see SessionTitler).
+     * @param {string} sessionId
+     * @param {{title: string, summary: string}} generated
+     * @param {{keepUserTitle?: boolean}} [options] - keepUserTitle leaves a name the user gave the chat (or it was imported with),
+     * storing only the summary.
+     * @returns {Promise<void>}
+     */
+    setGeneratedTitle(sessionId, { title, summary }, { keepUserTitle = false } = {}) {
+        const session = this.getSessionSummary(sessionId);
+        if (!session) return Promise.resolve();
+        const changes = { summary: summary || '' };
+        if (title && !(keepUserTitle && session.titleSource && session.titleSource !== 'ai')) {
+            changes.title = title;
+            changes.titleSource = 'ai';
+        }
+        const saved = this._updateSession(sessionId, changes);
+        if (changes.title) this.eventEmitter.emit('chatSessionRenamed', { sessionId, title });
+        return saved;
+    }
+
+    /**
+     * @param {string} sessionId
+     * @param {boolean} pinned - Pinned chats are listed first, above the folders.
+     * @returns {Promise<void>}
+     */
+    setSessionPinned(sessionId, pinned) {
+        return this._updateSession(sessionId, { pinned: !!pinned });
+    }
+
+    /**
+     * Adds a colour tag to a chat, or removes it if the chat has it.
+     * @param {string} sessionId
+     * @param {string} color - One of SESSION_TAG_COLORS.
+     * @returns {Promise<void>}
+     */
+    toggleSessionTag(sessionId, color) {
+        const session = this.getSessionSummary(sessionId);
+        if (!session || !SESSION_TAG_COLORS.includes(color)) return Promise.resolve();
+        const tags = session.tags || [];
+        const updated = tags.includes(color) ? tags.filter(tag => tag !== color) : SESSION_TAG_COLORS.filter(tag => tag === color || tags.includes(tag));
+        return this._updateSession(sessionId, { tags: updated });
+    }
+
+    /**
+     * @param {string} sessionId
+     * @param {string|null} folderId - Null for no folder.
+     * @param {Object} [options]
+     * @param {boolean} [options.unpin=false] - Also unpin it, as when it is dragged out of "Pinned".
+     * @returns {Promise<void>}
+     */
+    moveSessionToFolder(sessionId, folderId, { unpin = false } = {}) {
+        const changes = { folderId: this.folders.some(folder => folder.id === folderId) ? folderId : null };
+        if (unpin) changes.pinned = false;
+        return this._updateSession(sessionId, changes);
+    }
+
+    /**
+     * Creates a folder at the end of the list.
+     * @param {string} name
+     * @returns {Object} The folder { id, name, order, collapsed }.
+     */
+    createFolder(name) {
+        const folder = {
+            id: `folder-${Date.now()}-${this.utils.generateId('')}`,
+            name: String(name || '').trim() || 'New folder',
+            order: this.folders.reduce((max, f) => Math.max(max, f.order), -1) + 1,
+            collapsed: false
+        };
+        this.folders.push(folder);
+        this._queueWrite(store => store.saveFolders([folder]));
+        this.renderHistoryList();
+        return folder;
+    }
+
+    renameFolder(folderId, name) {
+        return this._updateFolder(folderId, { name: String(name || '').trim() || 'New folder' });
+    }
+
+    toggleFolder(folderId) {
+        const folder = this.folders.find(f => f.id === folderId);
+        return folder ? this._updateFolder(folderId, { collapsed: !folder.collapsed }) : Promise.resolve();
+    }
+
+    /**
+     * Moves a folder before another, or to the end.
+     * @param {string} folderId
+     * @param {string|null} beforeFolderId - Null for the end of the list.
+     * @returns {Promise<void>}
+     */
+    moveFolder(folderId, beforeFolderId) {
+        const folder = this.folders.find(f => f.id === folderId);
+        if (!folder || folderId === beforeFolderId) return Promise.resolve();
+        const others = this.folders.filter(f => f.id !== folderId);
+        const index = others.findIndex(f => f.id === beforeFolderId);
+        others.splice(index === -1 ? others.length : index, 0, folder);
+        others.forEach((f, order) => { f.order = order; });
+        this.folders = others;
+        this.renderHistoryList();
+        return this._queueWrite(store => store.saveFolders(others));
+    }
+
+    /**
+     * Deletes a folder. Its chats are kept, outside any folder.
+     * @param {string} folderId
+     * @returns {Promise<void>}
+     */
+    deleteFolder(folderId) {
+        this.folders = this.folders.filter(f => f.id !== folderId);
+        this.sessions.forEach(session => { if (session.folderId === folderId) session.folderId = null; });
+        this.renderHistoryList();
+        return this._queueWrite(store => store.deleteFolder(folderId));
+    }
+
+    _handleNewFolder() {
+        const folder = this.createFolder('New folder');
+        const nameEl = this.utils.$(`.chat-folder[data-folder-id="${folder.id}"] .chat-folder-name`, this.container);
+        if (nameEl) this._startInlineRename(nameEl, folder.name, name => this.renameFolder(folder.id, name));
+    }
+
+    /**
+     * Changes a session's summary fields and queues the write.
+     * @private
+     */
+    _updateSession(sessionId, changes) {
+        const session = this.getSessionSummary(sessionId);
+        if (!session) return Promise.resolve();
+        Object.assign(session, changes);
+        this.renderHistoryList();
+        return this._queueWrite(store => store.updateSession(sessionId, changes));
+    }
+
+    /**
+     * @private
+     */
+    _updateFolder(folderId, changes) {
+        const folder = this.folders.find(f => f.id === folderId);
+        if (!folder) return Promise.resolve();
+        Object.assign(folder, changes);
+        this.renderHistoryList();
+        return this._queueWrite(store => store.saveFolders([folder]));
+    }
+
     /**
      * Handles loading a selected chat session.
      * @param {string} sessionId - The ID of the session to load.
@@ -189,62 +727,84 @@ class ChatHistory {
     /**
      * Adds the current chat (from StateManager) to history or updates an existing one.
      * This is typically called when a message is sent/received in an ongoing chat.
+     * @returns {Promise<void>|undefined} Resolves once the session is written, if there was anything to save.
      */
     addOrUpdateCurrentSession() {
         const currentChatMessages = this.stateManager.get('chatHistory');
         if (!currentChatMessages || currentChatMessages.length === 0) return;
+        const branches = this.stateManager.get('chatBranches') || [];
 
         let activeSessionId = this.stateManager.get('activeSessionId');
-        const sessions = this._getStoredSessions();
-        let sessionUpdated = false;
-
-        if (activeSessionId) { // Update existing session
-            const sessionIndex = sessions.findIndex(s => s.id === activeSessionId);
-            if (sessionIndex > -1) {
-                sessions[sessionIndex].messages = [...currentChatMessages]; // Update messages
-                sessions[sessionIndex].lastUpdated = Date.now();
-                sessions[sessionIndex].title = this._generateSessionTitle(currentChatMessages) || sessions[sessionIndex].title;
-                sessionUpdated = true;
-            } else { // ID was set, but session not found (e.g., deleted elsewhere); treat as new
-                activeSessionId = null;
-            }
+        let existing = activeSessionId ? this.sessions.find(s => s.id === activeSessionId) : null;
+        if (activeSessionId && !existing && !this._sessionBodies.has(activeSessionId)) {
+            activeSessionId = null; // ID was set, but session not found (e.g., deleted elsewhere); treat as new
         }
-
         if (!activeSessionId) { // Create new session
             activeSessionId = `session-${Date.now()}-${this.utils.generateId('')}`;
             this.stateManager.set('activeSessionId', activeSessionId, true); // Silently set for this new session
-            sessions.push({
-                id: activeSessionId,
-                title: this._generateSessionTitle(currentChatMessages),
-                messages: [...currentChatMessages],
-                lastUpdated: Date.now()
-            });
-            sessionUpdated = true;
+            existing = null;
         }
 
-        if (sessionUpdated) {
-            this._storeSessions(sessions);
-            this.renderHistoryList(); // Re-render to reflect changes (e.g., new title, order)
-        }
+        const allMessages = [...currentChatMessages, ...branches];
+        const usageTracker = window.parklandApp && window.parklandApp.usageTracker;
+        const session = {
+            ...(existing || {}),
+            id: activeSessionId,
+            title: existing && existing.titleSource ? existing.title : (this._generateSessionTitle(currentChatMessages) || (existing && existing.title)), // Named by the user or the model
+            messages: this._prepareMessagesForStorage(currentChatMessages),
+            branches: this._prepareMessagesForStorage(branches),
+            modelSettings: this.stateManager.get('sessionModelSettings') || null,
+            usage: this._summarizeUsage(allMessages),
+            estimatedCost: usageTracker ? usageTracker.summarizeMessages(allMessages).cost : null,
+            lastUpdated: Date.now()
+        };
+        const saved = this._saveSession(session);
+        this.renderHistoryList(); // Re-render to reflect changes (e.g., new title, order)
+        return saved;
     }
 
 
     /**
-     * Loads a specific chat session from localStorage into the StateManager.
+     * Loads a specific chat session into the StateManager, reading its messages from the store
+     * unless it was opened or saved on this page already.
      * @param {string} sessionId - The ID of the session to load.
+     * @returns {Promise<boolean>} False if the session was not found, could not be read, or another was opened meanwhile.
      */
-    loadChatSession(sessionId) {
-        const sessions = this._getStoredSessions();
-        const sessionToLoad = sessions.find(s => s.id === sessionId);
+    async loadChatSession(sessionId) {
+        this._loadingSessionId = sessionId;
+        let sessionToLoad = null;
+        try {
+            const summary = this.getSessionSummary(sessionId);
+            const body = this._sessionBodies.get(sessionId);
+            if (summary && body) {
+                sessionToLoad = { ...summary, ...body };
+            } else if (this.sessionStore) {
+                await this._pendingWrite;
+                sessionToLoad = await this.sessionStore.getSession(sessionId);
+                if (sessionToLoad) this._sessionBodies.set(sessionId, { messages: sessionToLoad.messages, branches: sessionToLoad.branches });
+            }
+        } catch (error) {
+            console.error(`Error reading chat session ${sessionId}:`, error);
+            this.stateManager.set('lastError', { message: 'Failed to load the chat session.', type: 'storage', originalError: error });
+            return false;
+        }
+        if (this._loadingSessionId !== sessionId) return false; // Another chat was opened while this one was read
+        this._loadingSessionId = null;
 
         if (sessionToLoad) {
-            this.stateManager.set('chatHistory', [...sessionToLoad.messages]); // Load messages
+            // The ID, model settings and branches go first: the chatHistory change saves the current session,
+            // which must be this one rather than the chat being switched away from.
             this.stateManager.set('activeSessionId', sessionId);          // Set as active
+            this.stateManager.set('sessionModelSettings', sessionToLoad.modelSettings || null);
+            this.stateManager.set('editingMessageId', null);
+            this.stateManager.set('chatBranches', [...(sessionToLoad.branches || [])]); // Sessions saved before branching have none
+            this.stateManager.set('chatHistory', [...sessionToLoad.messages]); // Load messages
             this.eventEmitter.emit('chatSessionLoaded', { sessionId, messages: sessionToLoad.messages });
             this.renderHistoryList(); // Re-render to highlight the newly active session
             if(window.parklandApp && window.parklandApp.ui && window.parklandApp.ui.chatInput) {
                  window.parklandApp.ui.chatInput.focus();
             }
+            return true;
         } else {
             console.warn(`Session with ID ${sessionId} not found.`);
             this.stateManager.set('lastError', { message: `Chat session not found.`, type: 'history' });
@@ -253,48 +813,267 @@ class ChatHistory {
                 this.stateManager.set('activeSessionId', null);
                 this.renderHistoryList();
             }
+            return false;
         }
     }
 
     /**
-     * Deletes a chat session from localStorage.
+     * Returns the model settings a session was pinned to, if any.
+     * @param {string} sessionId - The ID of the session.
+     * @returns {Object|null} { provider, model, maxTokens, temperature, thinking, thinkingBudget } or null for the defaults.
+     */
+    getSessionModelSettings(sessionId) {
+        const session = this.getSessionSummary(sessionId);
+        return (session && session.modelSettings) || null;
+    }
+
+    /**
+     * Returns a session's summary, without its messages.
+     * @param {string} sessionId - The ID of the session.
+     * @returns {Object|null} { id, title, lastUpdated, messageCount, usage, estimatedCost, modelSettings, summary, ... }, or null.
+     */
+    getSessionSummary(sessionId) {
+        return this.sessions.find(s => s.id === sessionId) || null;
+    }
+
+    /**
+     * Adds imported chats as new sessions (see ChatImportManager.toSession).
+     * @param {Array<Object>} sessions - Sessions with their messages.
+     * @returns {Promise<void>} Resolves once they are written.
+     */
+    importSessions(sessions) {
+        const usageTracker = window.parklandApp && window.parklandApp.usageTracker;
+        const saved = sessions.map(session => this._saveSession({
+            ...session,
+            usage: this._summarizeUsage(session.messages),
+            estimatedCost: usageTracker ? usageTracker.summarizeMessages(session.messages).cost : null
+        }));
+        this.renderHistoryList();
+        return Promise.all(saved).then(() => {});
+    }
+
+    /**
+     * Restores chats and folders from a backup (see LibraryBackupManager), keeping their IDs.
+     * Merging adds them and keeps whichever copy of a chat in both was updated last; replacing also
+     * deletes the chats and folders that are not in the backup. The open chat is reloaded if it changed,
+     * or closed if it was deleted.
+     * @param {Array<Object>} sessions - Sessions with their messages and branches.
+     * @param {Array<Object>} [folders=[]] - { id, name, order, collapsed } records.
+     * @param {Object} [options={}]
+     * @param {boolean} [options.replace=false]
+     * @returns {Promise<Object>} { added, updated, unchanged, removed } chats, once everything is written.
+     */
+    async restoreSessions(sessions, folders = [], { replace = false } = {}) {
+        await this.ready;
+        const report = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+        const activeSessionId = this.stateManager.get('activeSessionId');
+        let activeChanged = false;
+
+        if (replace) {
+            const restoredIds = new Set(sessions.map(session => session.id));
+            this.sessions.filter(summary => !restoredIds.has(summary.id)).forEach(summary => {
+                this.deleteChatSession(summary.id);
+                report.removed++;
+                if (summary.id === activeSessionId) activeChanged = true;
+            });
+            const restoredFolderIds = new Set(folders.map(folder => folder.id));
+            this.folders.filter(folder => !restoredFolderIds.has(folder.id)).forEach(folder => this.deleteFolder(folder.id));
+        }
+
+        const known = new Set(this.folders.map(folder => folder.id));
+        let nextOrder = this.folders.reduce((max, folder) => Math.max(max, folder.order), -1) + 1;
+        const restoredFolders = folders
+            .filter(folder => folder && folder.id && (replace || !known.has(folder.id)))
+            .map(folder => ({ ...folder, order: replace ? folder.order : nextOrder++ }));
+        restoredFolders.forEach(folder => {
+            const index = this.folders.findIndex(f => f.id === folder.id);
+            if (index > -1) this.folders[index] = folder;
+            else this.folders.push(folder);
+        });
+        this.folders.sort((a, b) => a.order - b.order);
+        if (restoredFolders.length) this._queueWrite(store => store.saveFolders(restoredFolders));
+
+        sessions.filter(session => session && session.id && Array.isArray(session.messages)).forEach(session => {
+            const existing = this.getSessionSummary(session.id);
+            if (existing && !replace && (existing.lastUpdated || 0) >= (session.lastUpdated || 0)) {
+                report.unchanged++;
+                return;
+            }
+            this._saveSession({ branches: [], ...session });
+            report[existing ? 'updated' : 'added']++;
+            if (session.id === activeSessionId) activeChanged = true;
+        });
+
+        this.renderHistoryList();
+        await this._pendingWrite;
+        if (activeChanged) {
+            if (this.getSessionSummary(activeSessionId)) {
+                await this.loadChatSession(activeSessionId);
+            } else {
+                this.stateManager.clearChatHistory();
+                this.eventEmitter.emit('newChatStarted');
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Returns a session's messages, reading them from the store unless they were opened or saved on this page.
+     * @param {string} sessionId - The ID of the session.
+     * @returns {Promise<Array<Object>|null>} The selected path's messages, or null if the session is not found.
+     */
+    async getSessionMessages(sessionId) {
+        const body = this._sessionBodies.get(sessionId);
+        if (body) return body.messages;
+        if (!this.sessionStore) return null;
+        await this._pendingWrite;
+        const session = await this.sessionStore.getSession(sessionId);
+        return session ? session.messages : null;
+    }
+
+    /**
+     * Returns every stored session with its messages, for features that read past chats (e.g. the search tool).
+     * A session's messages are its selected path; the messages on other branches are in its branches.
+     * @returns {Promise<Array<Object>>} Session objects; changing them does not change storage.
+     */
+    async getAllSessions() {
+        if (this.sessionStore) {
+            await this._pendingWrite;
+            return this.sessionStore.getAllSessions();
+        }
+        return this.sessions
+            .filter(summary => this._sessionBodies.has(summary.id))
+            .map(summary => ({ ...summary, ...this.utils.deepClone(this._sessionBodies.get(summary.id)) }));
+    }
+
+    /**
+     * How much space the stored chats take.
+     * @returns {Promise<Object|null>} { sessions, attachments, bytes, usage, quota } (see SessionStore.getStorageUsage),
+     * or null without a working store.
+     */
+    async getStorageUsage() {
+        if (!this.sessionStore) return null;
+        await this._pendingWrite;
+        return this.sessionStore.getStorageUsage();
+    }
+
+    /**
+     * Returns a session's token totals.
+     * @param {string} sessionId - The ID of the session.
+     * @returns {Object|null} { inputTokens, outputTokens, requests }, or null if the session does not exist.
+     */
+    getSessionUsage(sessionId) {
+        const session = this.getSessionSummary(sessionId);
+        if (!session) return null;
+        return session.usage || this._summarizeUsage([]); // Sessions saved before usage tracking have no totals
+    }
+
+    /**
+     * Adds up the token usage stored on a session's assistant messages.
+     * @param {Array<Object>} messages - The session's messages, including those on other branches, which were paid for too.
+     * Regenerated replies count every variant.
+     * @returns {Object} { inputTokens, outputTokens, requests }
+     * @private
+     */
+    _summarizeUsage(messages = []) {
+        const replies = messages.flatMap(message => (message && Array.isArray(message.variants) && message.variants.length ? message.variants : [message]));
+        return replies.reduce((totals, message) => {
+            if (message && message.usage) {
+                totals.inputTokens += message.usage.inputTokens || 0;
+                totals.outputTokens += message.usage.outputTokens || 0;
+                totals.requests += 1;
+            }
+            return totals;
+        }, { inputTokens: 0, outputTokens: 0, requests: 0 });
+    }
+
+    /**
+     * Copies messages for storage. Attachments over maxStoredAttachmentBytes are stored without their
+     * data: the chat still shows their thumbnail and name, and the model is told they are no longer available.
+     * @param {Array<Object>} messages - The chat's messages.
+     * @returns {Array<Object>}
+     * @private
+     */
+    _prepareMessagesForStorage(messages) {
+        return messages.map(message => {
+            if (!Array.isArray(message.attachments) || message.attachments.length === 0) return message;
+            return {
+                ...message,
+                attachments: message.attachments.map(attachment => (
+                    attachment.data && attachment.size > this.maxStoredAttachmentBytes ?
+                        { ...attachment, data: null, dataOmitted: true } :
+                        attachment
+                ))
+            };
+        });
+    }
+
+    /**
+     * Writes the active chat's model settings into its stored session.
+     * New chats have no session yet; addOrUpdateCurrentSession picks the settings up once one is created.
+     * @param {Object|null} modelSettings - The settings to store.
+     * @private
+     */
+    _storeActiveSessionModelSettings(modelSettings) {
+        const activeSessionId = this.stateManager.get('activeSessionId');
+        const session = activeSessionId ? this.getSessionSummary(activeSessionId) : null;
+        if (!session) return;
+        session.modelSettings = modelSettings || null;
+        this._queueWrite(store => store.updateSession(activeSessionId, { modelSettings: session.modelSettings }));
+    }
+
+    /**
+     * Deletes a chat session with its messages and attachments.
      * @param {string} sessionId - The ID of the session to delete.
+     * @returns {Promise<void>} Resolves once it is gone from storage.
      */
     deleteChatSession(sessionId) {
-        let sessions = this._getStoredSessions();
-        sessions = sessions.filter(s => s.id !== sessionId);
-        this._storeSessions(sessions);
+        this.sessions = this.sessions.filter(s => s.id !== sessionId);
+        this._sessionBodies.delete(sessionId);
         this.renderHistoryList(); // Re-render the updated list
+        this.eventEmitter.emit('chatSessionDeleted', { sessionId });
+        return this._queueWrite(store => store.deleteSession(sessionId));
     }
 
     /**
-     * Retrieves all chat sessions from localStorage.
-     * @returns {Array<Object>} An array of session objects.
+     * Updates a session's summary and messages in memory and queues the write to the store.
+     * @param {Object} session - The full session, with messages and branches.
+     * @returns {Promise<void>}
      * @private
      */
-    _getStoredSessions() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            return stored ? JSON.parse(stored) : [];
-        } catch (error) {
-            console.error('Error retrieving chat sessions from localStorage:', error);
-            this.stateManager.set('lastError', { message: 'Failed to load chat history.', type: 'storage', originalError: error });
-            return [];
-        }
+    _saveSession(session) {
+        const summary = { ...session, messageCount: session.messages.length };
+        delete summary.messages;
+        delete summary.branches;
+        const index = this.sessions.findIndex(s => s.id === session.id);
+        if (index > -1) this.sessions[index] = summary;
+        else this.sessions.push(summary);
+        this._sessionBodies.set(session.id, { messages: session.messages, branches: session.branches });
+        this.eventEmitter.emit('chatSessionSaved', { session }); // E.g. for the search index
+        return this._queueWrite(store => store.saveSession(session));
     }
 
     /**
-     * Stores all chat sessions to localStorage.
-     * @param {Array<Object>} sessions - An array of session objects to store.
+     * Runs a write against the store after the writes queued before it. Without a store, nothing is written.
+     * @param {Function} write - Takes the SessionStore and returns a promise.
+     * @returns {Promise<void>} Resolves once the write is done; failures are reported through lastError.
      * @private
      */
-    _storeSessions(sessions) {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(sessions));
-        } catch (error) {
-            console.error('Error storing chat sessions to localStorage:', error);
-            this.stateManager.set('lastError', { message: 'Failed to save chat history.', type: 'storage', originalError: error });
-        }
+    _queueWrite(write) {
+        this._pendingWrite = this._pendingWrite.then(async () => {
+            await this.ready;
+            if (!this.sessionStore) return;
+            try {
+                await write(this.sessionStore);
+            } catch (error) {
+                console.error('Error saving chat history:', error);
+                const message = error && error.name === 'QuotaExceededError' ?
+                    'Chat history could not be saved: the browser\'s storage for this site is full. Delete old chats to make room.' :
+                    'Failed to save chat history.';
+                this.stateManager.set('lastError', { message, type: 'storage', originalError: error });
+            }
+        });
+        return this._pendingWrite;
     }
 
     /**
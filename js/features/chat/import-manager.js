@@ -0,0 +1,438 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * Chat Import Manager
+ *
+ * Reads conversations back in: Parkland AI's own JSON and Markdown exports
+ * (see ChatExportManager), and the conversations.json of a ChatGPT or
+ * Claude.ai data export. The conversations found are previewed, marked when
+ * they look like chats that are already here, and become new ChatHistory
+ * sessions. Attachments and system messages are not imported.
+ */
+
+const IMPORT_FORMATS = {
+    parkland: 'Parkland AI JSON export',
+    markdown: 'Parkland AI Markdown export',
+    chatgpt: 'ChatGPT export',
+    claude: 'Claude.ai export'
+};
+
+class ChatImportManager {
+    constructor(utils, stateManager, notificationSystem = null) {
+        if (!utils || !stateManager) {
+            throw new Error("ChatImportManager requires utils and stateManager instances.");
+        }
+
+        this.utils = utils;
+        this.stateManager = stateManager;
+        this.notificationSystem = notificationSystem;
+
+        this.maxFileBytes = 50 * 1024 * 1024; // A ChatGPT export of a few thousand chats
+
+        console.log('📥 ChatImportManager initialized.');
+    }
+
+    /**
+     * Reads the conversations from an export file.
+     * @param {File} file - A .json or .md file.
+     * @returns {Promise<{format: string, conversations: Array<Object>}>} See parse.
+     */
+    async readFile(file) {
+        if (!file) throw new Error('No file chosen');
+        if (file.size > this.maxFileBytes) {
+            throw new Error(`The file is larger than ${this.utils.formatBytes(this.maxFileBytes)}`);
+        }
+        return this.parse(await file.text(), file.name);
+    }
+
+    /**
+     * Finds the conversations in an export, whichever of the supported formats it is in.
+     * @param {string} text - The file's contents.
+     * @param {string} [filename=''] - Used to tell Markdown from JSON.
+     * @returns {{format: string, conversations: Array<Object>}} Conversations are
+     * { title, messages: [{ role, content, timestamp, character?, reasoning? }], createdAt, updatedAt, sourceId, format, fingerprint }.
+     */
+    parse(text, filename = '') {
+        const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+        if (!trimmed) throw new Error('The file is empty');
+
+        let conversations;
+        let format;
+        if (/\.(md|markdown)$/i.test(filename) || !/^[[{]/.test(trimmed)) {
+            format = 'markdown';
+            conversations = [this._parseMarkdown(trimmed)];
+        } else {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error('The file is not valid JSON');
+            }
+            const list = Array.isArray(data) ? data : [data];
+            if (list.some(item => item && typeof item.mapping === 'object')) {
+                format = 'chatgpt';
+                conversations = list.filter(item => item && item.mapping).map(item => this._parseChatGPT(item));
+            } else if (list.some(item => item && Array.isArray(item.chat_messages))) {
+                format = 'claude';
+                conversations = list.filter(item => item && Array.isArray(item.chat_messages)).map(item => this._parseClaudeAI(item));
+            } else if (list.some(item => item && Array.isArray(item.messages))) {
+                format = 'parkland';
+                conversations = list.filter(item => item && Array.isArray(item.messages)).map(item => this._parseParklandJSON(item));
+            } else {
+                throw new Error('This is not a chat export this app can read');
+            }
+        }
+
+        conversations = conversations.filter(conversation => conversation.messages.length > 0);
+        if (conversations.length === 0) throw new Error('No messages were found in the file');
+        conversations.forEach(conversation => {
+            conversation.format = format;
+            conversation.fingerprint = this.fingerprint(conversation.messages);
+        });
+        return { format, conversations };
+    }
+
+    /**
+     * A short hash of a conversation's messages, which is the same wherever the conversation was stored.
+     * @param {Array<Object>} messages
+     * @returns {string}
+     */
+    fingerprint(messages = []) {
+        const relevant = messages.filter(message => message && (message.role === 'user' || message.role === 'assistant') && typeof message.content === 'string');
+        let hash = 0x811c9dc5; // 32-bit FNV-1a
+        relevant.forEach(message => {
+            const text = `${message.role}\u0000${message.content.trim()}\u0001`;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+        });
+        return `${relevant.length}-${hash.toString(16)}`;
+    }
+
+    /**
+     * Marks conversations that are already here: imported from the same source before, exported from a
+     * session that still exists, or with the same messages as a stored chat. Later copies in the same file
+     * are marked too.
+     * @param {Array<Object>} conversations - From parse; each gets duplicateOf (a session ID, or a title for a copy in the file) or null.
+     * @param {Array<Object>} existingSessions - Stored sessions with their messages (see ChatHistory.getAllSessions).
+     * @returns {number} How many were marked.
+     */
+    markDuplicates(conversations, existingSessions = []) {
+        const byId = new Map();
+        const byFingerprint = new Map();
+        existingSessions.forEach(session => {
+            byId.set(session.id, session.id);
+            if (session.importedFrom && session.importedFrom.sourceId) {
+                byId.set(`${session.importedFrom.format}:${session.importedFrom.sourceId}`, session.id);
+            }
+            byFingerprint.set(this.fingerprint(session.messages || []), session.id);
+        });
+
+        let count = 0;
+        const inFile = new Map();
+        conversations.forEach(conversation => {
+            const sourceKey = conversation.sourceId ? `${conversation.format}:${conversation.sourceId}` : null;
+            conversation.duplicateOf = (sourceKey && byId.get(sourceKey)) ||
+                (conversation.format === 'parkland' || conversation.format === 'markdown' ? byId.get(conversation.sourceId) : null) ||
+                byFingerprint.get(conversation.fingerprint) ||
+                inFile.get(conversation.fingerprint) ||
+                null;
+            if (conversation.duplicateOf) count++;
+            if (!inFile.has(conversation.fingerprint)) inFile.set(conversation.fingerprint, conversation.title || 'Untitled chat');
+        });
+        return count;
+    }
+
+    /**
+     * Turns a conversation into a new ChatHistory session.
+     * @param {Object} conversation - From parse.
+     * @returns {Object} { id, title, titleSource, messages, branches, lastUpdated, importedFrom }
+     */
+    toSession(conversation) {
+        const start = conversation.createdAt || Date.now();
+        const messages = conversation.messages.map((message, index) => {
+            const imported = {
+                id: `msg-${message.role}-${this.utils.generateId('')}`,
+                role: message.role,
+                content: message.content,
+                timestamp: message.timestamp || start + index // Keeps the order for messages without a time
+            };
+            if (message.role === 'assistant') imported.character = message.character || null;
+            if (message.reasoning) imported.reasoning = message.reasoning;
+            return imported;
+        });
+        const lastTimestamp = messages[messages.length - 1].timestamp;
+
+        return {
+            id: `session-${Date.now()}-${this.utils.generateId('')}`,
+            title: this.utils.truncate((conversation.title || '').trim(), 100) || 'Imported chat',
+            titleSource: 'import',
+            messages,
+            branches: [],
+            modelSettings: null,
+            lastUpdated: Math.max(conversation.updatedAt || 0, lastTimestamp),
+            importedFrom: {
+                format: conversation.format,
+                sourceId: conversation.sourceId || null,
+                importedAt: Date.now()
+            }
+        };
+    }
+
+    /**
+     * Creates the preview dialog: one row per conversation, ticked unless it is a duplicate.
+     * @param {{format: string, conversations: Array<Object>}} preview - From parse, after markDuplicates.
+     * @param {Function} onImport - Called with the ticked conversations.
+     * @returns {HTMLElement} Dialog element
+     */
+    createImportDialog(preview, onImport) {
+        const { conversations } = preview;
+        const duplicates = conversations.filter(conversation => conversation.duplicateOf).length;
+        const importBtn = this.utils.createElement('button', { type: 'button', className: ['btn', 'btn-primary'], dataset: { action: 'import' } });
+        const checkboxes = [];
+
+        const updateImportButton = () => {
+            const selected = checkboxes.filter(checkbox => checkbox.checked).length;
+            importBtn.textContent = `Import ${selected} chat${selected === 1 ? '' : 's'}`;
+            importBtn.disabled = selected === 0;
+        };
+
+        const rows = conversations.map((conversation, index) => {
+            const checkbox = this.utils.createElement('input', {
+                type: 'checkbox',
+                checked: !conversation.duplicateOf,
+                dataset: { index: String(index) },
+                'aria-label': `Import ${conversation.title || 'Untitled chat'}`
+            });
+            checkbox.addEventListener('change', updateImportButton);
+            checkboxes.push(checkbox);
+
+            const firstUserMessage = conversation.messages.find(message => message.role === 'user');
+            const date = conversation.updatedAt || conversation.createdAt;
+            return this.utils.createElement('li', { className: ['import-preview-item', conversation.duplicateOf ? 'duplicate' : ''].filter(Boolean) }, [
+                this.utils.createElement('label', { className: 'import-preview-label' }, [
+                    checkbox,
+                    this.utils.createElement('span', { className: 'import-preview-info' }, [
+                        this.utils.createElement('span', { className: 'import-preview-title' }, [conversation.title || 'Untitled chat']),
+                        this.utils.createElement('span', { className: 'import-preview-meta' }, [
+                            `${conversation.messages.length} message${conversation.messages.length === 1 ? '' : 's'}` +
+                                (date ? ` - ${new Date(date).toLocaleDateString()}` : '') +
+                                (conversation.duplicateOf ? ' - already imported' : '')
+                        ]),
+                        firstUserMessage ? this.utils.createElement('span', { className: 'import-preview-snippet' }, [this.utils.truncate(firstUserMessage.content.replace(/\s+/g, ' '), 120)]) : null
+                    ].filter(Boolean))
+                ])
+            ]);
+        });
+
+        const dialog = this.utils.createElement('div', { className: ['import-dialog', 'modal-overlay', 'active'] }, [
+            this.utils.createElement('div', { className: ['modal', 'import-modal'], role: 'dialog', 'aria-modal': 'true', 'aria-label': 'Import chats' }, [
+                this.utils.createElement('div', { className: 'modal-header' }, [
+                    this.utils.createElement('h3', {}, ['Import Chats']),
+                    this.utils.createElement('button', { type: 'button', className: 'modal-close', 'aria-label': 'Close' }, ['×'])
+                ]),
+                this.utils.createElement('div', { className: 'modal-body' }, [
+                    this.utils.createElement('p', { className: 'import-preview-summary' }, [
+                        `Found ${conversations.length} chat${conversations.length === 1 ? '' : 's'} in this ${IMPORT_FORMATS[preview.format] || 'file'}.` +
+                            (duplicates ? ` ${duplicates} ${duplicates === 1 ? 'looks' : 'look'} like ${duplicates === 1 ? 'a chat' : 'chats'} you already have and ${duplicates === 1 ? 'is' : 'are'} not ticked.` : '')
+                    ]),
+                    this.utils.createElement('ul', { className: 'import-preview-list' }, rows)
+                ]),
+                this.utils.createElement('div', { className: 'modal-footer' }, [
+                    this.utils.createElement('button', { type: 'button', className: ['btn', 'btn-secondary'], dataset: { action: 'cancel' } }, ['Cancel']),
+                    importBtn
+                ])
+            ])
+        ]);
+        updateImportButton();
+
+        dialog.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal-close') ||
+                e.target.dataset.action === 'cancel' ||
+                e.target === dialog) {
+                dialog.remove();
+            } else if (e.target === importBtn) {
+                const selected = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => conversations[Number(checkbox.dataset.index)]);
+                if (selected.length === 0) return;
+                onImport(selected);
+                dialog.remove();
+            }
+        });
+
+        return dialog;
+    }
+
+    /**
+     * Reads an export made by ChatExportManager._exportAsJSON.
+     * @private
+     */
+    _parseParklandJSON(data) {
+        const metadata = data.metadata || {};
+        const messages = data.messages
+            .filter(message => message && (message.role === 'user' || message.role === 'assistant') && typeof message.content === 'string')
+            .map(message => this._createMessage(message.role, message.content, this._toTime(message.timestamp), {
+                character: message.character,
+                reasoning: message.reasoning
+            }));
+        return {
+            title: metadata.title || data.title || '',
+            messages,
+            createdAt: this._toTime(metadata.firstMessageDate) || (messages[0] && messages[0].timestamp) || null,
+            updatedAt: this._toTime(metadata.lastMessageDate) || null,
+            sourceId: metadata.sessionId || data.id || null
+        };
+    }
+
+    /**
+     * Reads an export made by ChatExportManager._exportAsMarkdown. Each message is a "## Role" heading after a
+     * "---" rule; the role is "User", "System", "Assistant" or a character's name.
+     * @private
+     */
+    _parseMarkdown(text) {
+        const normalized = text.replace(/\r\n?/g, '\n');
+        const titleMatch = normalized.match(/^# (.+)$/m);
+        const sessionMatch = normalized.match(/^\*\*Session ID:\*\* (.+?)\s*$/m);
+        const headerEnd = normalized.search(/^## /m);
+        const body = headerEnd > -1 ? normalized.slice(headerEnd) : '';
+        const parts = body.split(/(?:^|\n+---\n+)## (.+)\n+/);
+
+        const messages = [];
+        for (let i = 1; i < parts.length; i += 2) {
+            const roleLabel = parts[i].trim();
+            let content = (parts[i + 1] || '').trim();
+            if (/^system$/i.test(roleLabel)) continue;
+            const role = /^user$/i.test(roleLabel) ? 'user' : 'assistant';
+
+            let timestamp = null;
+            const timeMatch = content.match(/^\*([^*\n]+)\*(?:\n+|$)/);
+            if (timeMatch && this._toTime(timeMatch[1])) {
+                timestamp = this._toTime(timeMatch[1]);
+                content = content.slice(timeMatch[0].length);
+            }
+            let reasoning = null;
+            const reasoningMatch = content.match(/^<details>\n<summary>Reasoning<\/summary>\n+([\s\S]*?)\n+<\/details>\n*/);
+            if (reasoningMatch) {
+                reasoning = reasoningMatch[1];
+                content = content.slice(reasoningMatch[0].length);
+            }
+            if (!content.trim()) continue;
+            messages.push(this._createMessage(role, content.trim(), timestamp, {
+                character: role === 'assistant' ? this._findCharacterKey(roleLabel) : null,
+                reasoning
+            }));
+        }
+
+        return {
+            title: titleMatch ? titleMatch[1].trim() : '',
+            messages,
+            createdAt: messages[0] ? messages[0].timestamp : null,
+            updatedAt: messages.length ? messages[messages.length - 1].timestamp : null,
+            sourceId: sessionMatch ? sessionMatch[1] : null
+        };
+    }
+
+    /**
+     * Reads one conversation of a ChatGPT conversations.json. Messages form a tree (mapping); the
+     * branch that was showing (current_node) is imported. Tool calls and hidden messages are left out.
+     * @private
+     */
+    _parseChatGPT(conversation) {
+        const mapping = conversation.mapping || {};
+        let nodeId = mapping[conversation.current_node] ? conversation.current_node :
+            Object.keys(mapping).reverse().find(id => !(mapping[id].children || []).length);
+        const chain = [];
+        const seen = new Set();
+        while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+            seen.add(nodeId);
+            chain.unshift(mapping[nodeId]);
+            nodeId = mapping[nodeId].parent;
+        }
+
+        const messages = chain.map(node => node.message).filter(message => {
+            if (!message || !message.author) return false;
+            if (message.author.role !== 'user' && message.author.role !== 'assistant') return false;
+            if (message.recipient && message.recipient !== 'all') return false; // A call to a tool, not a reply
+            return !(message.metadata && message.metadata.is_visually_hidden_from_conversation);
+        }).map(message => {
+            const parts = message.content && Array.isArray(message.content.parts) ? message.content.parts : [];
+            const content = parts.filter(part => typeof part === 'string').join('\n\n').trim();
+            return this._createMessage(message.author.role, content, this._toTime(message.create_time));
+        }).filter(message => message.content);
+
+        return {
+            title: conversation.title || '',
+            messages,
+            createdAt: this._toTime(conversation.create_time),
+            updatedAt: this._toTime(conversation.update_time),
+            sourceId: conversation.conversation_id || conversation.id || null
+        };
+    }
+
+    /**
+     * Reads one conversation of a Claude.ai conversations.json.
+     * @private
+     */
+    _parseClaudeAI(conversation) {
+        const messages = conversation.chat_messages.map(message => {
+            const role = message.sender === 'human' ? 'user' : message.sender === 'assistant' ? 'assistant' : null;
+            const blocks = Array.isArray(message.content) ? message.content.filter(block => block && block.type === 'text' && typeof block.text === 'string') : [];
+            const content = (blocks.length ? blocks.map(block => block.text).join('\n\n') : message.text || '').trim();
+            return role ? this._createMessage(role, content, this._toTime(message.created_at)) : null;
+        }).filter(message => message && message.content);
+
+        return {
+            title: conversation.name || '',
+            messages,
+            createdAt: this._toTime(conversation.created_at),
+            updatedAt: this._toTime(conversation.updated_at),
+            sourceId: conversation.uuid || null
+        };
+    }
+
+    /**
+     * @private
+     */
+    _createMessage(role, content, timestamp, { character = null, reasoning = null } = {}) {
+        const message = { role, content, timestamp: timestamp || null };
+        if (character) message.character = character;
+        if (reasoning) message.reasoning = reasoning;
+        return message;
+    }
+
+    /**
+     * Milliseconds since the epoch from a timestamp in milliseconds, seconds (ChatGPT) or an ISO date.
+     * @returns {number|null}
+     * @private
+     */
+    _toTime(value) {
+        if (typeof value === 'number' && isFinite(value) && value > 0) return value < 1e11 ? Math.round(value * 1000) : value;
+        if (typeof value === 'string' && value.trim()) {
+            const time = Date.parse(value);
+            return isNaN(time) ? null : time;
+        }
+        return null;
+    }
+
+    /**
+     * The key of the character a Markdown export names, if it is one of ours.
+     * @private
+     */
+    _findCharacterKey(name) {
+        const characterManager = window.parklandApp?.characterManager;
+        if (!characterManager) return null;
+        const characters = characterManager.getAvailableCharacters();
+        return Object.keys(characters).find(key => characters[key].name === name) || null;
+    }
+
+    /**
+     * Destroys the import manager
+     */
+    destroy() {
+        console.log('📥 ChatImportManager destroyed.');
+    }
+}
+
+// Global instance creation pattern
+if (typeof window !== 'undefined') {
+    window.ChatImportManager = ChatImportManager;
+}
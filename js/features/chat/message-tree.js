@@ -0,0 +1,183 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * MessageTree Module
+ *
+ * A chat is stored as its selected path (the messages shown, sent to the model, exported and searched)
+ * plus the branches that are not on it. Editing a user message or regenerating a reply moves the old
+ * continuation into the branches, so it stays one click away as a sibling of the new message.
+ *
+ * Path messages are linked by their order. Branch messages are stored with the ID of their parent
+ * (parentId, null for the first message of a chat) and when they last left the path (detachedAt).
+ * Context summary markers are not part of the tree: in the branches they keep the ID of the message
+ * they were shown before (anchorId) and return to the path with it.
+ */
+
+const isContextMarker = (message) => !!message && message.type === 'context-summary';
+
+class MessageTree {
+    /**
+     * @param {Array<Object>} [path=[]] - The selected path, as in StateManager's chatHistory.
+     * @param {Array<Object>} [branches=[]] - The messages off the path, as in StateManager's chatBranches.
+     */
+    constructor(path = [], branches = []) {
+        this.path = path;
+        this.branches = branches;
+        this.nodes = new Map();    // Message ID → message record, on the path or not
+        this.children = new Map(); // Parent ID (null for the first messages) → message records
+        this.markers = new Map();  // Message ID → context markers shown just before it
+        this._pathRecords = this._detach(path, null, Infinity); // The path is the most recently selected of all
+        [...this._pathRecords, ...branches].forEach(record => this._index(record));
+    }
+
+    /**
+     * Where a message sits among its siblings (the alternatives to it after the same parent).
+     * @param {string} messageId
+     * @returns {{index: number, count: number, previousId: string|null, nextId: string|null}|null}
+     * Null unless the message has siblings.
+     */
+    getBranchInfo(messageId) {
+        const siblings = this.getSiblings(messageId);
+        if (siblings.length < 2) return null;
+        const index = siblings.findIndex(sibling => sibling.id === messageId);
+        return {
+            index,
+            count: siblings.length,
+            previousId: index > 0 ? siblings[index - 1].id : null,
+            nextId: index < siblings.length - 1 ? siblings[index + 1].id : null
+        };
+    }
+
+    /**
+     * The message and its siblings, oldest first.
+     * @param {string} messageId
+     * @returns {Array<Object>} Message records; empty if the message is not in the tree.
+     */
+    getSiblings(messageId) {
+        const node = this.nodes.get(messageId);
+        if (!node) return [];
+        return [...(this.children.get(node.parentId || null) || [])].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    }
+
+    /**
+     * Cuts the path before a message, moving that message and everything after it into the branches.
+     * The next message added to the path becomes their sibling. A continuation made only of error
+     * replies is dropped rather than kept as a branch.
+     * @param {number} index - Index into the path of the first message to move.
+     * @returns {{path: Array<Object>, branches: Array<Object>}}
+     */
+    branchAt(index) {
+        const kept = this.path.slice(0, index);
+        const moved = this.path.slice(index);
+        if (!moved.some(message => !isContextMarker(message) && !message.isError)) {
+            return { path: kept, branches: this.branches };
+        }
+        const parentId = this._lastMessageId(kept);
+        return { path: kept, branches: [...this.branches, ...this._detach(moved, parentId, Date.now())] };
+    }
+
+    /**
+     * Selects the branch through a message: the path up to its parent, the message, and then the
+     * continuation that was on the path most recently at each later step.
+     * @param {string} messageId
+     * @returns {{path: Array<Object>, branches: Array<Object>}} Unchanged if the message is already on the path or unknown.
+     */
+    select(messageId) {
+        const target = this.nodes.get(messageId);
+        if (!target || this.path.some(message => message.id === messageId)) {
+            return { path: this.path, branches: this.branches };
+        }
+
+        const chain = [];
+        for (let node = target; node; node = node.parentId ? this.nodes.get(node.parentId) : null) {
+            chain.unshift(node);
+        }
+        for (let node = target; this.children.has(node.id);) {
+            // Branches are appended as they leave the path, so the later record wins a tie
+            node = this.children.get(node.id).reduce((latest, child) => (child.detachedAt >= latest.detachedAt ? child : latest));
+            chain.push(node);
+        }
+
+        const chainIds = new Set(chain.map(node => node.id));
+        const path = [];
+        chain.forEach(node => {
+            (this.markers.get(node.id) || []).forEach(marker => path.push(this._toMessage(marker)));
+            path.push(this._toMessage(node));
+        });
+
+        const now = Date.now();
+        const branches = [];
+        this._pathRecords.forEach(record => {
+            if (!chainIds.has(record.id) && !chainIds.has(record.anchorId)) branches.push({ ...record, detachedAt: now });
+        });
+        this.branches.forEach(record => {
+            if (!chainIds.has(record.id) && !chainIds.has(record.anchorId)) branches.push(record);
+        });
+        return { path, branches };
+    }
+
+    /**
+     * Records for a run of path messages, linked to their parents.
+     * @param {Array<Object>} messages - Consecutive path messages.
+     * @param {string|null} parentId - ID of the message before the run.
+     * @param {number} detachedAt - When they left the path.
+     * @returns {Array<Object>}
+     * @private
+     */
+    _detach(messages, parentId, detachedAt) {
+        const records = [];
+        let previousId = parentId;
+        messages.forEach((message, i) => {
+            if (isContextMarker(message)) {
+                const next = messages.slice(i + 1).find(candidate => !isContextMarker(candidate));
+                if (next) records.push({ ...message, anchorId: next.id, detachedAt }); // A marker with nothing after it has nothing left to summarize for
+                return;
+            }
+            records.push({ ...message, parentId: previousId, detachedAt });
+            previousId = message.id;
+        });
+        return records;
+    }
+
+    /**
+     * @private
+     */
+    _index(record) {
+        if (isContextMarker(record)) {
+            if (!this.markers.has(record.anchorId)) this.markers.set(record.anchorId, []);
+            this.markers.get(record.anchorId).push(record);
+            return;
+        }
+        if (!record.id) return;
+        const parentId = record.parentId || null;
+        this.nodes.set(record.id, record);
+        if (!this.children.has(parentId)) this.children.set(parentId, []);
+        this.children.get(parentId).push(record);
+    }
+
+    /**
+     * @private
+     */
+    _lastMessageId(messages) {
+        for (let i = messages.length - 1; i >= 0; i--) {
+            if (!isContextMarker(messages[i])) return messages[i].id;
+        }
+        return null;
+    }
+
+    /**
+     * A record as a path message, without the tree fields.
+     * @private
+     */
+    _toMessage(record) {
+        const message = { ...record };
+        delete message.parentId;
+        delete message.anchorId;
+        delete message.detachedAt;
+        return message;
+    }
+}
+
+// Global instance creation pattern
+if (typeof window !== 'undefined') {
+    window.MessageTree = MessageTree;
+}
@@ -0,0 +1,90 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * MessageVariants Module
+ *
+ * Alternative replies to the same prompt, kept on the assistant message they were generated for.
+ * The message's own content, model, usage etc. are those of the selected variant, which is the
+ * canonical one: it is what the chat shows, sends as context, exports and searches.
+ * The message keeps its ID whichever variant is selected, so branches stay linked to it (see MessageTree).
+ */
+
+// The fields that differ between variants; everything else (id, role, ...) belongs to the message
+const VARIANT_FIELDS = ['content', 'reasoning', 'toolCalls', 'model', 'provider', 'usage', 'character', 'temperature', 'stopped', 'timestamp'];
+
+class MessageVariants {
+    /**
+     * @param {Object} message - An assistant message, with or without variants.
+     */
+    constructor(message) {
+        this.message = message;
+    }
+
+    /**
+     * All variants, oldest first. A message that was never regenerated is its own only variant.
+     * @returns {Array<Object>} { id, content, model, usage, character, temperature?, ... } records.
+     */
+    list() {
+        const { variants } = this.message;
+        return Array.isArray(variants) && variants.length ? variants : [this._toVariant(this.message, this.message.id)];
+    }
+
+    /**
+     * Index of the canonical variant.
+     * @returns {number}
+     */
+    getSelectedIndex() {
+        const index = this.message.variantIndex;
+        return Number.isInteger(index) && index >= 0 && index < this.list().length ? index : 0;
+    }
+
+    /**
+     * Adds a newly generated reply as a variant and selects it.
+     * @param {Object} reply - The reply, shaped like an assistant message.
+     * @returns {Object} The updated message.
+     */
+    add(reply) {
+        const variants = [...this.list(), this._toVariant(reply, reply.id)];
+        return this._withSelection(variants, variants.length - 1);
+    }
+
+    /**
+     * Makes a variant the canonical one.
+     * @param {number} index
+     * @returns {Object} The updated message, or the message unchanged if there is no such variant.
+     */
+    select(index) {
+        const variants = this.list();
+        if (!variants[index] || (index === this.getSelectedIndex() && this.message.variants)) return this.message;
+        return this._withSelection(variants, index);
+    }
+
+    /**
+     * @private
+     */
+    _withSelection(variants, index) {
+        const message = { ...this.message };
+        VARIANT_FIELDS.forEach(field => { delete message[field]; });
+        VARIANT_FIELDS.forEach(field => {
+            if (variants[index][field] !== undefined) message[field] = variants[index][field];
+        });
+        message.variants = variants;
+        message.variantIndex = index;
+        return message;
+    }
+
+    /**
+     * @private
+     */
+    _toVariant(source, id) {
+        const variant = { id };
+        VARIANT_FIELDS.forEach(field => {
+            if (source[field] !== undefined) variant[field] = source[field];
+        });
+        return variant;
+    }
+}
+
+// Global instance creation pattern
+if (typeof window !== 'undefined') {
+    window.MessageVariants = MessageVariants;
+}
@@ -6,6 +6,8 @@
  * including markdown processing, syntax highlighting, and user interactions.
  */
 
+/* global MessageTree, MessageVariants */
+
 class ChatMessages {
     /**
      * @param {HTMLElement} container - The DOM element to render messages into.
@@ -22,6 +24,8 @@ class ChatMessages {
         this.markdownProcessor = markdownProcessor;
         this.stateManager = stateManager;
         this.typingIndicatorElement = null;
+        this.messageTree = null; // The chat's branches, rebuilt on each full render
+        this.comparingMessageIds = new Set(); // Replies whose variants are shown side by side
 
         this.stateManager.subscribe('typingIndicator', ({ show }) => this.showTypingIndicator(show));
         console.log('💬 ChatMessages initialized.');
@@ -33,10 +37,15 @@ class ChatMessages {
      */
     renderHistory(chatHistory) {
         this.container.innerHTML = ''; // Clear existing messages
+        this.messageTree = Array.isArray(chatHistory) && typeof MessageTree !== 'undefined' ?
+            new MessageTree(chatHistory, this.stateManager.get('chatBranches') || []) : null;
         if (Array.isArray(chatHistory)) {
             const fragment = document.createDocumentFragment();
             chatHistory.forEach(message => {
-                if (message && message.role && message.content) {
+                if (message && message.type === 'context-summary') {
+                    fragment.appendChild(this._createContextMarkerElement(message));
+                } else if (message && message.role && typeof message.content === 'string' &&
+                    (message.content || message.attachments?.length)) {
                     const messageEl = this._createMessageElement(message);
                     fragment.appendChild(messageEl);
                 }
@@ -46,9 +55,174 @@ class ChatMessages {
         this.scrollToBottom(true); // Force scroll on history render
     }
 
+    /**
+     * Creates the divider shown where earlier messages were compacted to fit the context window.
+     * Messages above it stay visible but are no longer sent in full; the summary is sent instead.
+     * @param {Object} marker - A { role: 'system', type: 'context-summary' } message.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createContextMarkerElement(marker) {
+        const count = marker.compactedCount || 0;
+        const label = marker.method === 'summary' ?
+            `${count} earlier message${count === 1 ? ' was' : 's were'} summarized to fit the context window` :
+            `${count} earlier message${count === 1 ? ' was' : 's were'} left out to fit the context window`;
+        const markerEl = this.utils.createElement('div', {
+            className: 'context-marker',
+            id: `context-marker-${marker.id}`,
+            'data-message-id': marker.id,
+            role: 'separator',
+            'aria-label': label
+        }, [this.utils.createElement('span', { className: 'context-marker-label' }, [label])]);
+
+        if (marker.content) {
+            const details = this.utils.createElement('details', { className: 'context-marker-summary' }, [
+                this.utils.createElement('summary', {}, ['Show summary']),
+                this.utils.createElement('p', {}, [marker.content])
+            ]);
+            markerEl.appendChild(details);
+        }
+        return markerEl;
+    }
+
+    /**
+     * Creates the collapsible cards listing the tools an assistant reply called, with their inputs and outputs.
+     * @param {Array<Object>} toolCalls - { id, name, input, output, isError, status } records.
+     * @param {Set<string>} [openIds] - IDs of cards to render expanded (kept across streaming updates).
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createToolCallsElement(toolCalls, openIds = new Set()) {
+        const container = this.utils.createElement('div', { className: 'tool-calls' });
+        toolCalls.forEach(call => {
+            const status = call.status || (call.isError ? 'error' : 'done');
+            const statusLabel = { running: 'Running…', error: 'Failed', done: 'Done' }[status] || status;
+            const card = this.utils.createElement('details', {
+                className: ['tool-call-card', `tool-call-${status}`],
+                'data-tool-call-id': call.id
+            }, [
+                this.utils.createElement('summary', { className: 'tool-call-summary' }, [
+                    this.utils.createElement('span', { className: 'tool-call-name' }, [this._formatToolName(call.name)]),
+                    this.utils.createElement('span', { className: 'tool-call-status' }, [statusLabel])
+                ]),
+                this.utils.createElement('div', { className: 'tool-call-section' }, [
+                    this.utils.createElement('div', { className: 'tool-call-label' }, ['Input']),
+                    this.utils.createElement('pre', { className: 'tool-call-io' }, [JSON.stringify(call.input || {}, null, 2)])
+                ])
+            ]);
+            if (call.output !== null && call.output !== undefined) {
+                card.appendChild(this.utils.createElement('div', { className: 'tool-call-section' }, [
+                    this.utils.createElement('div', { className: 'tool-call-label' }, ['Output']),
+                    this.utils.createElement('pre', { className: 'tool-call-io' }, [call.output])
+                ]));
+            }
+            card.open = openIds.has(call.id);
+            container.appendChild(card);
+        });
+        return container;
+    }
+
+    /**
+     * Creates the collapsed "Reasoning" section that shows a reply's extended thinking above its answer.
+     * @param {string} reasoning - The model's thinking, as Markdown.
+     * @param {boolean} [open=false] - Render it expanded (kept across streaming updates).
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createReasoningElement(reasoning, open = false) {
+        const body = this.utils.createElement('div', { className: 'message-reasoning-body' });
+        body.innerHTML = this.markdownProcessor.process(reasoning);
+        const details = this.utils.createElement('details', { className: 'message-reasoning' }, [
+            this.utils.createElement('summary', { className: 'message-reasoning-summary' }, ['Reasoning']),
+            body
+        ]);
+        details.open = open;
+        return details;
+    }
+
+    /**
+     * Replaces the reasoning section of a streaming message, keeping it expanded if the user opened it.
+     * @param {HTMLElement} messageElement - The message's element.
+     * @param {string} [reasoning] - The reply's thinking so far.
+     * @private
+     */
+    _updateReasoningElement(messageElement, reasoning) {
+        const existing = this.utils.$('.message-reasoning', messageElement);
+        if (!reasoning) {
+            if (existing) existing.remove();
+            return;
+        }
+        const updated = this._createReasoningElement(reasoning, !!(existing && existing.open));
+        if (existing) {
+            existing.replaceWith(updated);
+        } else {
+            const contentDiv = this.utils.$('.message-content', messageElement);
+            if (contentDiv) contentDiv.insertBefore(updated, contentDiv.firstChild);
+        }
+    }
+
+    /**
+     * Creates the thumbnails of the images and files sent with a message.
+     * @param {Array<Object>} attachments - Message attachments (see FileUploadManager.createAttachment).
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createAttachmentsElement(attachments) {
+        const container = this.utils.createElement('div', { className: 'message-attachments' });
+        attachments.forEach(attachment => {
+            const label = attachment.dataOmitted ?
+                `${attachment.name} (too large to keep; no longer sent to the model)` :
+                attachment.name;
+            const preview = attachment.thumbnail ?
+                this.utils.createElement('img', { src: attachment.thumbnail, alt: attachment.name, loading: 'lazy' }) :
+                this.utils.createElement('span', { className: 'message-attachment-icon', 'aria-hidden': 'true' }, [attachment.type === 'image' ? '🖼️' : '📄']);
+            container.appendChild(this.utils.createElement('figure', {
+                className: ['message-attachment', `message-attachment-${attachment.type}`, attachment.dataOmitted ? 'omitted' : ''].filter(Boolean),
+                title: label
+            }, [
+                preview,
+                this.utils.createElement('figcaption', { className: 'message-attachment-name' }, [attachment.name])
+            ]));
+        });
+        return container;
+    }
+
+    /**
+     * Replaces the tool cards of a streaming message, keeping expanded cards expanded.
+     * @param {HTMLElement} messageElement - The message's element.
+     * @param {Array<Object>} [toolCalls] - The reply's tool calls so far.
+     * @private
+     */
+    _updateToolCallsElement(messageElement, toolCalls) {
+        const existing = this.utils.$('.tool-calls', messageElement);
+        if (!Array.isArray(toolCalls) || toolCalls.length === 0) {
+            if (existing) existing.remove();
+            return;
+        }
+        const openIds = new Set(existing ?
+            Array.from(existing.querySelectorAll('details[open]')).map(card => card.dataset.toolCallId) : []);
+        const updated = this._createToolCallsElement(toolCalls, openIds);
+        if (existing) {
+            existing.replaceWith(updated);
+        } else {
+            const contentDiv = this.utils.$('.message-content', messageElement);
+            const reasoning = this.utils.$('.message-reasoning', messageElement);
+            if (contentDiv) contentDiv.insertBefore(updated, reasoning ? reasoning.nextSibling : contentDiv.firstChild);
+        }
+    }
+
+    /**
+     * "search_past_chats" → "Search past chats".
+     * @private
+     */
+    _formatToolName(name = '') {
+        const words = name.replace(/[_-]+/g, ' ').trim();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
     /**
      * Adds a single message to the UI, or updates an existing one if streaming.
-     * @param {Object} message - The message object { id?, role, content, timestamp, character?, isError? }.
+     * @param {Object} message - The message object { id?, role, content, timestamp, character?, isError?, reasoning?, toolCalls?, attachments? }.
      * @param {boolean} [isStreaming=false] - True if this is a streaming update to an existing message.
      */
     addMessage(message, isStreaming = false) {
@@ -64,16 +238,22 @@ class ChatMessages {
             messageElement = this.utils.$(`#${messageId}`, this.container);
         }
 
-        if (messageElement) { // Update existing streaming message
+        if (messageElement) { // Update existing streaming message (or variant)
             const bubble = this.utils.$('.message-bubble', messageElement);
             if (bubble) {
                 bubble.innerHTML = this.markdownProcessor.process(message.content);
                 this._addCodeCopyButtons(bubble); // Re-add for updated content
             }
+            this._updateReasoningElement(messageElement, message.reasoning);
+            this._updateToolCallsElement(messageElement, message.toolCalls);
         } else { // Create new message element
             messageElement = this._createMessageElement(message, messageId);
-            // If typing indicator is present, insert message before it
-            if (this.typingIndicatorElement && this.container.contains(this.typingIndicatorElement)) {
+            const variantOf = message.variantOf ? this.utils.$(`.message[data-message-id="${message.variantOf}"]`, this.container) : null;
+            if (variantOf) {
+                // A new variant streams in right below the reply it is an alternative to
+                this.utils.addClass(messageElement, 'variant-pending');
+                variantOf.after(messageElement);
+            } else if (this.typingIndicatorElement && this.container.contains(this.typingIndicatorElement)) { // If typing indicator is present, insert message before it
                 this.container.insertBefore(messageElement, this.typingIndicatorElement);
             } else {
                 this.container.appendChild(messageElement);
@@ -84,6 +264,9 @@ class ChatMessages {
             });
         }
 
+        // Streaming bubbles show a caret until the final message replaces them on history re-render
+        messageElement.classList.toggle('streaming', isStreaming && message.role === 'assistant');
+
         if (this.stateManager.get('userPreferences.autoScroll') !== false) {
             this.scrollToBottom();
         }
@@ -144,6 +327,12 @@ class ChatMessages {
         if (message.isError) {
             this.utils.addClass(messageDiv, 'error'); // Specific styling for error messages
         }
+        if (message.stopped) {
+            this.utils.addClass(messageDiv, 'stopped'); // Reply was cut short by the user
+        }
+        if (message.id && message.id === this.stateManager.get('editingMessageId')) {
+            this.utils.addClass(messageDiv, 'editing');
+        }
 
         // Metadata (Timestamp, Ticket ID, etc.)
         const metaDiv = this.utils.createElement('div', { className: 'message-meta' });
@@ -153,6 +342,34 @@ class ChatMessages {
         });
         metaDiv.appendChild(timestampSpan);
 
+        if (message.model && messageRole === 'assistant') {
+            metaDiv.appendChild(this.utils.createElement('span', {
+                className: 'message-model',
+                title: `Generated by ${message.model}`
+            }, [message.model]));
+        }
+
+        const usageTracker = window.parklandApp && window.parklandApp.usageTracker;
+        if (message.usage && messageRole === 'assistant' && usageTracker) {
+            const cost = usageTracker.estimateCost(message.model, message.usage);
+            const cachedTokens = (message.usage.cacheReadTokens || 0) + (message.usage.cacheWriteTokens || 0);
+            metaDiv.appendChild(this.utils.createElement('span', {
+                className: 'message-usage',
+                title: 'Tokens sent and received for this reply, with the estimated cost' +
+                    (cachedTokens ? `. Prompt cache: ${message.usage.cacheReadTokens || 0} tokens read, ${message.usage.cacheWriteTokens || 0} written.` : '')
+            }, [`${usageTracker.formatTokens(message.usage.inputTokens)} in · ` +
+                (cachedTokens ? `${usageTracker.formatTokens(cachedTokens)} cached · ` : '') +
+                `${usageTracker.formatTokens(message.usage.outputTokens)} out` +
+                (cost !== null ? ` · ${usageTracker.formatCost(cost)}` : '')]));
+        }
+
+        if (message.stopped) {
+            metaDiv.appendChild(this.utils.createElement('span', {
+                className: 'message-stopped-label',
+                title: 'Generation was stopped before the reply was complete'
+            }, ['Stopped']));
+        }
+
         // Optional: Ticket ID (example, if messages have unique IDs from a backend)
         if (message.ticketId) {
             const ticketSpan = this.utils.createElement('span', { className: 'message-ticket' });
@@ -160,12 +377,36 @@ class ChatMessages {
             metaDiv.appendChild(ticketSpan);
         }
 
+        const branchInfo = this.messageTree && message.id ? this.messageTree.getBranchInfo(message.id) : null;
+        if (branchInfo) {
+            metaDiv.appendChild(this._createBranchSwitcher(branchInfo));
+        }
+        const hasVariants = messageRole === 'assistant' && Array.isArray(message.variants) && message.variants.length > 1;
+        if (hasVariants) {
+            metaDiv.appendChild(this._createVariantTabs(message));
+        }
+
         // Message Actions (Copy, Retry, Edit)
         const actionsDiv = this._addMessageActions(message);
         
         // Assemble message
-        contentDiv.appendChild(bubbleDiv);
+        if (message.reasoning && messageRole === 'assistant') {
+            contentDiv.appendChild(this._createReasoningElement(message.reasoning));
+        }
+        if (Array.isArray(message.toolCalls) && message.toolCalls.length) {
+            contentDiv.appendChild(this._createToolCallsElement(message.toolCalls));
+        }
+        const hasAttachments = Array.isArray(message.attachments) && message.attachments.length > 0;
+        if (hasAttachments) {
+            contentDiv.appendChild(this._createAttachmentsElement(message.attachments));
+        }
+        if (!hasAttachments || message.content.trim()) {
+            contentDiv.appendChild(bubbleDiv);
+        }
         contentDiv.appendChild(metaDiv);
+        if (hasVariants && this.comparingMessageIds.has(message.id)) {
+            contentDiv.appendChild(this._createVariantComparison(message));
+        }
 
         if (messageRole === 'user') {
             metaDiv.insertBefore(actionsDiv, timestampSpan); // Actions before timestamp for user
@@ -181,6 +422,147 @@ class ChatMessages {
         return messageDiv;
     }
 
+    /**
+     * Creates the "< 2/3 >" control that switches between a message and its siblings on other branches.
+     * @param {Object} branchInfo - { index, count, previousId, nextId } from MessageTree.getBranchInfo.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createBranchSwitcher(branchInfo) {
+        const position = `${branchInfo.index + 1}/${branchInfo.count}`;
+        const button = (direction, targetId) => this.utils.createElement('button', {
+            type: 'button',
+            className: ['message-action-btn', 'branch-switch-btn'],
+            'aria-label': direction === 'previous' ? 'Previous version' : 'Next version',
+            title: direction === 'previous' ? 'Previous version' : 'Next version',
+            disabled: !targetId,
+            onClick: () => this._handleSelectBranch(targetId)
+        }, [direction === 'previous' ? '‹' : '›']);
+        return this.utils.createElement('div', {
+            className: 'message-branches',
+            role: 'group',
+            'aria-label': `Version ${branchInfo.index + 1} of ${branchInfo.count}`
+        }, [
+            button('previous', branchInfo.previousId),
+            this.utils.createElement('span', { className: 'message-branch-position' }, [position]),
+            button('next', branchInfo.nextId)
+        ]);
+    }
+
+    /**
+     * Creates the numbered tabs that pick which of a reply's variants is used, and the "Compare" toggle.
+     * @param {Object} message - An assistant message with variants.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createVariantTabs(message) {
+        const variants = new MessageVariants(message);
+        const selectedIndex = variants.getSelectedIndex();
+        const comparing = this.comparingMessageIds.has(message.id);
+        const tabs = variants.list().map((variant, index) => this.utils.createElement('button', {
+            type: 'button',
+            className: ['message-action-btn', 'variant-tab', index === selectedIndex ? 'active' : ''].filter(Boolean),
+            'aria-pressed': String(index === selectedIndex),
+            title: `Use variant ${index + 1}: ${this._describeVariant(variant)}`,
+            onClick: () => this._handleSelectVariant(message.id, index)
+        }, [String(index + 1)]));
+        const compareBtn = this.utils.createElement('button', {
+            type: 'button',
+            className: ['message-action-btn', 'variant-compare-btn', comparing ? 'active' : ''].filter(Boolean),
+            'aria-pressed': String(comparing),
+            title: 'Show the variants side by side',
+            onClick: () => this._toggleVariantComparison(message)
+        }, ['Compare']);
+        return this.utils.createElement('div', {
+            className: 'message-variants',
+            role: 'group',
+            'aria-label': `Variant ${selectedIndex + 1} of ${variants.list().length} is used`
+        }, [...tabs, compareBtn]);
+    }
+
+    /**
+     * Creates the side-by-side view of a reply's variants, each with a button to use it.
+     * @param {Object} message - An assistant message with variants.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createVariantComparison(message) {
+        const variants = new MessageVariants(message);
+        const selectedIndex = variants.getSelectedIndex();
+        const cards = variants.list().map((variant, index) => {
+            const body = this.utils.createElement('div', { className: 'variant-card-body' });
+            body.innerHTML = this.markdownProcessor.process(variant.content || '');
+            this._addCodeCopyButtons(body);
+            return this.utils.createElement('article', {
+                className: ['variant-card', index === selectedIndex ? 'selected' : ''].filter(Boolean),
+                'aria-label': `Variant ${index + 1}`
+            }, [
+                this.utils.createElement('header', { className: 'variant-card-header' }, [
+                    this.utils.createElement('span', { className: 'variant-card-title' }, [`Variant ${index + 1}`]),
+                    this.utils.createElement('span', { className: 'variant-card-meta' }, [this._describeVariant(variant)])
+                ]),
+                body,
+                this.utils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn-ghost btn-xs variant-use-btn',
+                    disabled: index === selectedIndex,
+                    onClick: () => this._handleSelectVariant(message.id, index)
+                }, [index === selectedIndex ? 'In use' : 'Use this'])
+            ]);
+        });
+        return this.utils.createElement('div', { className: 'message-variants-compare' }, cards);
+    }
+
+    /**
+     * "claude-3-haiku · Quint · temperature 1" for a variant's tooltip and card.
+     * @private
+     */
+    _describeVariant(variant) {
+        const characterManager = window.parklandApp && window.parklandApp.characterManager;
+        const characterData = variant.character && characterManager ? characterManager.getCharacterData(variant.character) : null;
+        return [
+            variant.model,
+            variant.character ? (characterData ? characterData.name : variant.character) : null,
+            typeof variant.temperature === 'number' ? `temperature ${variant.temperature}` : null,
+            variant.stopped ? 'stopped' : null
+        ].filter(Boolean).join(' · ') || 'Reply';
+    }
+
+    /**
+     * Creates the form for regenerating a reply as another character or at another temperature.
+     * @param {Object} message - The assistant message to regenerate.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createVariantOptionsForm(message) {
+        const characterManager = window.parklandApp && window.parklandApp.characterManager;
+        const characters = characterManager ? characterManager.getAvailableCharacters() : {};
+        const characterSelect = this.utils.createElement('select', { className: 'form-select', name: 'character', 'aria-label': 'Character' }, [
+            this.utils.createElement('option', { value: '' }, ['Current character']),
+            this.utils.createElement('option', { value: 'none' }, ['No character']),
+            ...Object.entries(characters).map(([key, data]) => this.utils.createElement('option', { value: key }, [data.name]))
+        ]);
+        const temperatureInput = this.utils.createElement('input', {
+            type: 'number', className: 'form-input', name: 'temperature', min: '0', max: '2', step: '0.1',
+            placeholder: 'Default', 'aria-label': 'Temperature'
+        });
+        const form = this.utils.createElement('form', { className: 'variant-options' }, [
+            this.utils.createElement('label', {}, ['Character', characterSelect]),
+            this.utils.createElement('label', {}, ['Temperature', temperatureInput]),
+            this.utils.createElement('button', { type: 'submit', className: 'btn btn-primary btn-xs' }, ['Regenerate'])
+        ]);
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const request = { messageId: message.id };
+            if (characterSelect.value) request.character = characterSelect.value === 'none' ? null : characterSelect.value;
+            const temperature = parseFloat(temperatureInput.value);
+            if (!Number.isNaN(temperature)) request.temperature = Math.min(2, Math.max(0, temperature));
+            form.remove();
+            this._requestVariant(request);
+        });
+        return form;
+    }
+
     /**
      * Finds all <pre> elements within a rendered message bubble and adds a "Copy Code" button.
      * @param {HTMLElement} bubbleElement - The message bubble element.
@@ -284,13 +666,25 @@ class ChatMessages {
         if (message.role === 'user' || (message.role === 'assistant' && !message.isError)) { // Allow retry for user or regen for assistant
             const retryBtn = this.utils.createElement('button', {
                 className: 'message-action-btn retry-btn',
-                title: message.role === 'user' ? 'Retry sending' : 'Regenerate response',
+                title: message.role === 'user' ? 'Retry sending' : 'Regenerate response as a new variant',
                 innerHTML: `<span class="icon">${this.utils.getIconSVG ? this.utils.getIconSVG('refresh') : 'Retry'}</span>`
             });
-            retryBtn.addEventListener('click', () => this._handleRetryMessage(message));
+            retryBtn.addEventListener('click', () => (message.role === 'user' ?
+                this._handleRetryMessage(message) : this._requestVariant({ messageId: message.id })));
             actionsDiv.appendChild(retryBtn);
         }
 
+        // Regenerate with another character or temperature
+        if (message.role === 'assistant' && !message.isError) {
+            const optionsBtn = this.utils.createElement('button', {
+                className: 'message-action-btn variant-options-btn',
+                title: 'Regenerate with another character or temperature',
+                innerHTML: `<span class="icon">${this.utils.getIconSVG ? this.utils.getIconSVG('tune') : 'Options'}</span>`
+            });
+            optionsBtn.addEventListener('click', () => this._toggleVariantOptions(message, optionsBtn));
+            actionsDiv.appendChild(optionsBtn);
+        }
+
         // Edit Button (typically for user messages)
         if (message.role === 'user') {
             const editBtn = this.utils.createElement('button', {
@@ -339,7 +733,7 @@ class ChatMessages {
     }
 
     _handleEditMessage(message) {
-        // Populate chat input with message content for editing
+        // Populate chat input with message content for editing; App sends it as a new branch
         console.log('Edit message:', message);
         this.stateManager.set('userInput', message.content);
         this.stateManager.emit('messageEditRequested', message); // App.js can focus input
@@ -348,6 +742,46 @@ class ChatMessages {
         }
     }
 
+    _requestVariant(request) {
+        this.stateManager.emit('messageRegenerateRequested', request); // App.js adds the reply as a variant
+        if (this.stateManager.get('userPreferences.soundEffectsEnabled') && window.parklandApp && window.parklandApp.soundEffects) {
+            window.parklandApp.soundEffects.playSoundEffect('actionInitiated');
+        }
+    }
+
+    _handleSelectVariant(messageId, index) {
+        this.stateManager.emit('messageVariantSelected', { messageId, index }); // App.js makes it the canonical reply
+    }
+
+    _toggleVariantOptions(message, buttonElement) {
+        const contentDiv = buttonElement.closest('.message-content');
+        if (!contentDiv) return;
+        const existing = this.utils.$('.variant-options', contentDiv);
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        const form = this._createVariantOptionsForm(message);
+        contentDiv.appendChild(form);
+        const firstField = this.utils.$('select', form);
+        if (firstField) firstField.focus();
+    }
+
+    _toggleVariantComparison(message) {
+        if (this.comparingMessageIds.has(message.id)) this.comparingMessageIds.delete(message.id);
+        else this.comparingMessageIds.add(message.id);
+        const messageEl = this.utils.$(`.message[data-message-id="${message.id}"]`, this.container);
+        if (messageEl) messageEl.replaceWith(this._createMessageElement(message));
+    }
+
+    _handleSelectBranch(messageId) {
+        if (!messageId) return;
+        this.stateManager.emit('messageBranchSelected', { messageId }); // App.js switches the chat to that branch
+        if (this.stateManager.get('userPreferences.soundEffectsEnabled') && window.parklandApp && window.parklandApp.soundEffects) {
+            window.parklandApp.soundEffects.playSoundEffect('uiClick');
+        }
+    }
+
 
     /**
      * Scrolls the message container to the bottom.
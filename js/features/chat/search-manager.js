@@ -4,8 +4,12 @@
  *
  * Provides comprehensive search and filtering capabilities for chat messages
  * including full-text search, advanced filters, and result highlighting.
+ * Queries are read by SearchQuery ("phrases", role:, character:, before:, after:);
+ * fuzzy mode matches words through fuse.js (loaded globally) and English stems.
  */
 
+/* global SearchQuery, Fuse */
+
 class ChatSearchManager {
     constructor(utils, stateManager, eventEmitter) {
         if (!utils || !stateManager || !eventEmitter) {
@@ -23,6 +27,14 @@ class ChatSearchManager {
         this.filteredResults = [];
         this.currentResultIndex = -1;
         this.searchHistory = [];
+        this.parsedQuery = null; // SearchQuery for the current query; null in regex mode
+        this.scope = 'chat'; // 'chat' searches the open chat, 'all' every stored chat through the session index
+        this.sessionIndex = null;
+        this.openSession = null;
+        this.sessionResults = []; // Session index hits grouped by chat, while scope is 'all'
+        this._sessionSearchId = 0; // Only the latest search's results are shown
+        this.savedSearches = []; // { id, name, query, filters, createdAt }; shown as smart folders in the sidebar
+        this._smartFolderRefreshId = 0;
         
         // Search configuration
         this.config = {
@@ -34,7 +46,14 @@ class ChatSearchManager {
             caseSensitive: false,
             wholeWordsOnly: false,
             useRegex: false,
-            searchInMetadata: true
+            searchInMetadata: true,
+            fuzzy: false,
+            fuzzyThreshold: 0.35, // fuse.js score above which a word is not a match (0 exact, 1 anything)
+            fuzzyMinLength: 4, // Shorter words only match their own forms, not typos
+            fuzzyMinCloseness: 0.6, // Also scaled by how much the word lengths differ
+            recencyWeight: 15,
+            recencyHalfLifeDays: 14,
+            smartFolderLimit: 1000 // Messages looked at per saved search
         };
         
         // Filter options
@@ -54,6 +73,7 @@ class ChatSearchManager {
         
         // Debounced search function
         this.debouncedSearch = this.utils.debounce(this._performSearch.bind(this), this.config.searchDebounceDelay);
+        this.debouncedRefreshSmartFolders = this.utils.debounce(() => this.refreshSmartFolders(), 500);
         
         this._initialize();
         console.log('🔍 ChatSearchManager initialized.');
@@ -67,6 +87,7 @@ class ChatSearchManager {
         this._createSearchUI();
         this._setupEventListeners();
         this._loadSearchHistory();
+        this._loadSavedSearches();
     }
     
     /**
@@ -82,10 +103,14 @@ class ChatSearchManager {
                         <input type="text" 
                                class="search-input" 
                                placeholder="Search messages..." 
+                               title='Words, "exact phrases", role:assistant, character:quint, before:2026-01-01, after:2025-12-01'
                                autocomplete="off"
                                autocorrect="off"
                                spellcheck="false">
                         <div class="search-input-actions">
+                            <button class="btn btn-xs btn-ghost search-save-btn hidden" title="Save search as a smart folder" disabled>
+                                <span class="icon">☆</span>
+                            </button>
                             <button class="btn btn-xs btn-ghost search-options-btn" title="Search options">
                                 <span class="icon">⚙️</span>
                             </button>
@@ -95,6 +120,10 @@ class ChatSearchManager {
                         </div>
                     </div>
                     <div class="search-navigation">
+                        <select class="search-scope-select hidden" aria-label="Search in">
+                            <option value="chat">This chat</option>
+                            <option value="all">All chats</option>
+                        </select>
                         <span class="search-results-count">0 results</span>
                         <div class="search-nav-controls">
                             <button class="btn btn-xs btn-ghost search-prev-btn" title="Previous result" disabled>
@@ -194,6 +223,13 @@ class ChatSearchManager {
                             <span class="checkbox-label">Search in metadata</span>
                         </label>
                     </div>
+                    
+                    <div class="option-group">
+                        <label class="option-checkbox">
+                            <input type="checkbox" class="option-fuzzy">
+                            <span class="checkbox-label">Fuzzy (typos, word forms)</span>
+                        </label>
+                    </div>
                 </div>
                 
                 <div class="search-results">
@@ -215,6 +251,8 @@ class ChatSearchManager {
         this.ui.searchInput = this.ui.searchContainer.querySelector('.search-input');
         this.ui.resultsContainer = this.ui.searchContainer.querySelector('.results-list');
         this.ui.resultsCount = this.ui.searchContainer.querySelector('.search-results-count');
+        this.ui.scopeSelect = this.ui.searchContainer.querySelector('.search-scope-select');
+        this.ui.saveBtn = this.ui.searchContainer.querySelector('.search-save-btn');
         this.ui.prevBtn = this.ui.searchContainer.querySelector('.search-prev-btn');
         this.ui.nextBtn = this.ui.searchContainer.querySelector('.search-next-btn');
         this.ui.clearBtn = this.ui.searchContainer.querySelector('.search-clear-btn');
@@ -264,13 +302,16 @@ class ChatSearchManager {
         if(this.ui.nextBtn) this.ui.nextBtn.addEventListener('click', () => this.navigateToNext());
         if(this.ui.clearBtn) this.ui.clearBtn.addEventListener('click', () => this._clearSearch());
         if(this.ui.optionsBtn) this.ui.optionsBtn.addEventListener('click', () => this._toggleOptions());
+        if (this.ui.scopeSelect) this.ui.scopeSelect.addEventListener('change', (e) => this.setScope(e.target.value));
+        if (this.ui.saveBtn) this.ui.saveBtn.addEventListener('click', () => this.saveCurrentSearch());
         
         // Filter events
         if (this.ui.filterSelects) {
             this.ui.filterSelects.forEach(element => {
                 element.addEventListener('change', () => {
                     this._updateFilters();
-                    this._applyFilters();
+                    if (this.scope === 'all') this._performSearch(); // The index applies the filters
+                    else this._applyFilters();
                 });
             });
         }
@@ -300,10 +341,22 @@ class ChatSearchManager {
         
         // Global keyboard shortcuts
         this.eventEmitter.on('keydown:global', this._handleGlobalKeyDown.bind(this));
+
+        // Smart folders: kept up to date with the index, and managed from the sidebar
+        this._savedSearchHandlers = {
+            'search:indexUpdated': () => this.debouncedRefreshSmartFolders(),
+            savedSearchOpenRequested: ({ searchId }) => this.applySavedSearch(searchId),
+            savedSearchRenameRequested: ({ searchId, name }) => this.renameSavedSearch(searchId, name),
+            savedSearchDeleteRequested: ({ searchId }) => this.deleteSavedSearch(searchId),
+            savedSearchExportRequested: ({ searchId, format }) => {
+                this.exportSavedSearch(searchId, format).catch(error => console.error('Exporting the saved search failed:', error));
+            }
+        };
+        Object.entries(this._savedSearchHandlers).forEach(([event, handler]) => this.eventEmitter.on(event, handler));
         
         // Chat history changes
         this.stateManager.subscribe('change:chatHistory', () => {
-            if (this.isSearchActive) {
+            if (this.isSearchActive && this.scope === 'chat') {
                 this._performSearch();
             }
         });
@@ -388,8 +441,19 @@ class ChatSearchManager {
             return;
         }
         
+        if (this.scope === 'all' && this.sessionIndex) {
+            this._performSessionSearch();
+            return;
+        }
+
         const chatHistory = this.stateManager.get('chatHistory') || [];
-        this.searchResults = this._searchMessages(chatHistory, this.currentQuery);
+        if (this.config.useRegex || typeof SearchQuery === 'undefined') {
+            this.parsedQuery = null;
+            this.searchResults = this._searchMessages(chatHistory, this.currentQuery);
+        } else {
+            this.parsedQuery = new SearchQuery(this.currentQuery);
+            this.searchResults = this._searchWithQuery(chatHistory, this.parsedQuery);
+        }
         this._applyFilters();
         this._updateUI();
         this._addToSearchHistory(this.currentQuery);
@@ -416,6 +480,147 @@ class ChatSearchManager {
         return results.sort((a, b) => b.score - a.score);
     }
 
+    /**
+     * Searches messages with a parsed query: its field filters, quoted phrases and plain words.
+     * Plain words are matched as one piece of text, as typed, or word by word in fuzzy mode.
+     * @param {Array<Object>} messages
+     * @param {SearchQuery} query
+     * @returns {Array<Object>} Results as from _searchMessages, best first.
+     * @private
+     */
+    _searchWithQuery(messages, query) {
+        if (!query.hasText() && !query.hasFilters()) return [];
+        const characterKeys = this._resolveCharacterFilter(query.filters.character);
+        const vocabulary = this.config.fuzzy && query.terms.length > 0 ? this._buildVocabulary(messages) : null;
+
+        const results = [];
+        messages.forEach((message, index) => {
+            if (!message || !this._passesQueryFilters(message, query.filters, characterKeys)) return;
+            const matches = this._matchQuery(message, query, vocabulary);
+            if (!matches) return;
+            results.push({
+                message,
+                messageIndex: index,
+                matches,
+                score: this._calculateRelevanceScore(message, matches, query)
+            });
+        });
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * @returns {Array<Object>|null} The matches, or null if the message lacks a phrase or word.
+     * @private
+     */
+    _matchQuery(message, query, vocabulary) {
+        const matches = [];
+        for (const phrase of query.phrases) {
+            const found = this._findMatchesInText(message.content || '', phrase, 'content');
+            if (found.length === 0) return null;
+            matches.push(...found.map(match => ({ ...match, phrase: true })));
+        }
+        if (query.text) {
+            const found = vocabulary ? this._findFuzzyMatches(message, query.terms, vocabulary) : this._findMatches(message, query.text);
+            if (!found || found.length === 0) return null;
+            matches.push(...found);
+        }
+        return matches;
+    }
+
+    /**
+     * @private
+     */
+    _passesQueryFilters(message, filters, characterKeys) {
+        if (filters.role && message.role !== filters.role) return false;
+        if (characterKeys && !characterKeys.includes(message.character)) return false;
+        const time = message.timestamp || 0;
+        if (filters.before !== undefined && time >= filters.before) return false;
+        if (filters.after !== undefined && time < filters.after) return false;
+        return true;
+    }
+
+    /**
+     * The character keys a character: value stands for: the key itself, or every character whose name contains it.
+     * @param {string} [value] - Lower-cased.
+     * @returns {Array<string>|null} Null without a character filter.
+     * @private
+     */
+    _resolveCharacterFilter(value) {
+        if (!value) return null;
+        const characters = window.parklandApp?.characterManager?.getAvailableCharacters() || {};
+        const keys = Object.entries(characters)
+            .filter(([key, character]) => key.toLowerCase() === value || (character.name || '').toLowerCase().includes(value))
+            .map(([key]) => key);
+        return keys.length > 0 ? keys : [value];
+    }
+
+    /**
+     * Collects the word stems of the messages being searched, with a fuse.js index over them for typos.
+     * Without fuse.js, words only match their own forms.
+     * @private
+     */
+    _buildVocabulary(messages) {
+        const stems = new Set();
+        messages.forEach(message => {
+            if (message && typeof message.content === 'string') {
+                SearchQuery.words(message.content).forEach(({ word }) => stems.add(SearchQuery.stem(word)));
+            }
+        });
+        return {
+            stems,
+            fuse: typeof Fuse === 'function'
+                ? new Fuse([...stems], { includeScore: true, ignoreLocation: true, isCaseSensitive: true, threshold: this.config.fuzzyThreshold })
+                : null,
+            expansions: new Map() // Query word → Map(stem → closeness, 1 for its own stem)
+        };
+    }
+
+    /**
+     * The stems a query word matches, with how close each is.
+     * @private
+     */
+    _expandTerm(term, vocabulary) {
+        if (vocabulary.expansions.has(term)) return vocabulary.expansions.get(term);
+        const stem = SearchQuery.stem(term);
+        const close = new Map();
+        if (vocabulary.stems.has(stem)) close.set(stem, 1);
+        if (vocabulary.fuse && stem.length >= this.config.fuzzyMinLength) {
+            vocabulary.fuse.search(stem).forEach(({ item, score }) => {
+                if (close.has(item)) return;
+                // fuse.js ignores where in a word the match is, so "plan" would match "explanation" fully
+                const closeness = (1 - score) * Math.min(item.length, stem.length) / Math.max(item.length, stem.length);
+                if (closeness >= this.config.fuzzyMinCloseness) close.set(item, closeness);
+            });
+        }
+        vocabulary.expansions.set(term, close);
+        return close;
+    }
+
+    /**
+     * Finds every query word in a message's content by stem or, for longer words, a close spelling.
+     * @returns {Array<Object>|null} Matches with their closeness, or null if a word is missing.
+     * @private
+     */
+    _findFuzzyMatches(message, terms, vocabulary) {
+        const content = message.content || '';
+        const words = SearchQuery.words(content).map(word => ({ ...word, stem: SearchQuery.stem(word.word) }));
+        const matches = [];
+        for (const term of terms) {
+            const close = this._expandTerm(term, vocabulary);
+            const hits = words.filter(word => close.has(word.stem));
+            if (hits.length === 0) return null;
+            hits.forEach(({ start, end, stem }) => matches.push({
+                field: 'content',
+                start,
+                end,
+                text: content.substring(start, end),
+                context: this._getContext(content, start, end - start),
+                closeness: close.get(stem)
+            }));
+        }
+        return matches;
+    }
+
     _findMatches(message, query) {
         const matches = [];
         const searchFields = ['content'];
@@ -485,17 +690,31 @@ class ChatSearchManager {
         return context;
     }
 
-    _calculateRelevanceScore(message, matches) {
+    /**
+     * Scores a result: each match (less for a fuzzy one), quoted phrases and the plain words
+     * occurring together as typed, and how recent the message is (halving every recencyHalfLifeDays).
+     * @param {Object} message
+     * @param {Array<Object>} matches
+     * @param {SearchQuery} [query]
+     * @returns {number}
+     * @private
+     */
+    _calculateRelevanceScore(message, matches, query = null) {
         let score = 0;
         matches.forEach(match => {
-            score += 10;
-            if (match.field === 'content') score += 20;
+            const weight = match.closeness !== undefined ? match.closeness : 1;
+            score += 10 * weight;
+            if (match.field === 'content') score += 20 * weight;
             if (this.config.caseSensitive && match.text === this.currentQuery) score += 15;
             if (match.start === 0) score += 5;
+            if (match.phrase) score += 30;
         });
-        const messageAge = Date.now() - (message.timestamp || 0);
-        const recencyBonus = Math.max(0, 10 - (messageAge / (24 * 60 * 60 * 1000)));
-        score += recencyBonus;
+        if (query && query.terms.length > 1) {
+            const content = (message.content || '').replace(/\s+/g, ' ').toLowerCase();
+            if (content.includes(query.text.toLowerCase())) score += 40; // The words as typed, not just each of them
+        }
+        const ageInDays = (Date.now() - (message.timestamp || 0)) / (24 * 60 * 60 * 1000);
+        score += this.config.recencyWeight * Math.pow(0.5, Math.max(0, ageInDays) / this.config.recencyHalfLifeDays);
         return score;
     }
 
@@ -551,6 +770,8 @@ class ChatSearchManager {
     _updateUI() {
         if (!this.ui.resultsCount || !this.ui.prevBtn || !this.ui.nextBtn) return;
         this.ui.resultsCount.textContent = `${this.filteredResults.length} result${this.filteredResults.length !== 1 ? 's' : ''}`;
+        this._showQueryErrors();
+        if (this.ui.saveBtn) this.ui.saveBtn.disabled = !this.currentQuery.trim();
         const hasResults = this.filteredResults.length > 0;
         this.ui.prevBtn.disabled = !hasResults;
         this.ui.nextBtn.disabled = !hasResults;
@@ -563,6 +784,16 @@ class ChatSearchManager {
         this._highlightAllMatches();
     }
 
+    /**
+     * Notes fields of the query that were ignored, e.g. a before: that is not a date.
+     * @private
+     */
+    _showQueryErrors() {
+        const errors = this.parsedQuery ? this.parsedQuery.errors : [];
+        this.ui.resultsCount.title = errors.length > 0 ? `Ignored: ${errors.join('; ')}` : '';
+        this.ui.resultsCount.classList.toggle('has-query-errors', errors.length > 0);
+    }
+
     _highlightAllMatches() {
         this.filteredResults.forEach(result => {
             const messageElement = this._findMessageElement(result.message);
@@ -661,6 +892,10 @@ class ChatSearchManager {
         this.currentQuery = '';
         this.searchResults = [];
         this.filteredResults = [];
+        this.sessionResults = [];
+        this.parsedQuery = null;
+        this._sessionSearchId++;
+        if (this.ui.resultsContainer) this.ui.resultsContainer.innerHTML = '';
         this.currentResultIndex = -1;
         if (this.ui.searchInput) {
             this.ui.searchInput.value = '';
@@ -669,6 +904,418 @@ class ChatSearchManager {
         this._updateUI();
     }
 
+    /**
+     * Lets the search look through every stored chat, not just the open one.
+     * Shows the "This chat / All chats" choice and the saved searches' smart folders.
+     * @param {SessionSearchIndex} sessionIndex - The cross-session index.
+     * @param {Function} openSession - Loads a chat by ID; resolves to whether it was loaded.
+     */
+    setSessionIndex(sessionIndex, openSession) {
+        this.sessionIndex = sessionIndex;
+        this.openSession = openSession;
+        if (this.ui.scopeSelect) this.utils.removeClass(this.ui.scopeSelect, 'hidden');
+        if (this.ui.saveBtn) this.utils.removeClass(this.ui.saveBtn, 'hidden');
+        this.refreshSmartFolders();
+    }
+
+    /**
+     * Switches between searching the open chat and all chats, and searches again.
+     * @param {string} scope - 'chat' or 'all'.
+     */
+    setScope(scope) {
+        this.scope = scope === 'all' && this.sessionIndex ? 'all' : 'chat';
+        if (this.ui.scopeSelect) this.ui.scopeSelect.value = this.scope;
+        this.searchResults = [];
+        this.filteredResults = [];
+        this.sessionResults = [];
+        this.currentResultIndex = -1;
+        if (this.ui.resultsContainer) this.ui.resultsContainer.innerHTML = '';
+        this._updateUI();
+        if (this.currentQuery && this.currentQuery.length >= this.config.minQueryLength) this._performSearch();
+    }
+
+    /**
+     * Searches all chats through the session index and lists the hits grouped by chat.
+     * @private
+     */
+    async _performSessionSearch() {
+        const searchId = ++this._sessionSearchId;
+        const query = this.currentQuery;
+        this.parsedQuery = typeof SearchQuery !== 'undefined' ? new SearchQuery(query) : null;
+        this.searchResults = [];
+        this.filteredResults = [];
+        this.currentResultIndex = -1;
+        this._updateUI();
+
+        let found;
+        try {
+            found = await this._searchSessionIndex(query, this.filters);
+        } catch (error) {
+            if (searchId !== this._sessionSearchId) return;
+            console.error('Searching all chats failed:', error);
+            this.sessionResults = [];
+            if (this.ui.resultsContainer) this.ui.resultsContainer.innerHTML = '';
+            if (this.ui.resultsCount) this.ui.resultsCount.textContent = 'Search unavailable';
+            return;
+        }
+        if (searchId !== this._sessionSearchId) return; // A newer search started meanwhile
+
+        this.sessionResults = found.groups;
+        this._renderSessionResults(found.total);
+        this._addToSearchHistory(query);
+        this.eventEmitter.emit('search:performed', {
+            query,
+            results: found.total,
+            scope: 'all'
+        });
+    }
+
+    /**
+     * Searches the session index with a query as typed and filter settings.
+     * @param {string} query
+     * @param {Object} filters - Filter settings, as in this.filters.
+     * @param {Object} [options] - { limit, withContent } for SessionSearchIndex.search.
+     * @returns {Promise<{groups: Array<Object>, total: number}>}
+     * @private
+     */
+    _searchSessionIndex(query, filters, { limit = 200, withContent = false } = {}) {
+        const criteria = this._getFilterCriteria(filters);
+        if (typeof SearchQuery === 'undefined') return this.sessionIndex.search(query, criteria, limit, { withContent });
+        const parsed = new SearchQuery(query);
+        return this.sessionIndex.search(
+            [...parsed.terms, ...parsed.phrases].join(' '), // The index has no phrases; their words must all occur
+            this._mergeQueryFilters(criteria, parsed),
+            limit,
+            { withContent });
+    }
+
+    /**
+     * Turns the filter settings into the session index's criteria, matching
+     * what _applyFilters checks for the open chat.
+     * @param {Object} [filters=this.filters] - Filter settings, e.g. those kept with a saved search.
+     * @returns {Object} { role, character, start, end, hasAttachments, hasErrors, minLength, maxLength }.
+     * @private
+     */
+    _getFilterCriteria(filters = this.filters) {
+        const criteria = {
+            role: filters.role,
+            character: filters.character,
+            hasAttachments: filters.hasAttachments,
+            hasErrors: filters.hasErrors
+        };
+        const now = new Date();
+        switch (filters.dateRange) {
+            case 'today':
+                criteria.start = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+                criteria.end = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime() - 1;
+                break;
+            case 'week':
+                criteria.start = now.getTime() - 7 * 24 * 60 * 60 * 1000;
+                break;
+            case 'month':
+                criteria.start = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate()).getTime();
+                break;
+            case 'custom':
+                if (filters.customDateStart) criteria.start = new Date(filters.customDateStart).getTime();
+                if (filters.customDateEnd) criteria.end = new Date(filters.customDateEnd).getTime();
+                break;
+            default:
+                break;
+        }
+        switch (filters.messageLength) {
+            case 'short':
+                criteria.maxLength = 99;
+                break;
+            case 'medium':
+                criteria.minLength = 100;
+                criteria.maxLength = 500;
+                break;
+            case 'long':
+                criteria.minLength = 501;
+                break;
+            default:
+                break;
+        }
+        return criteria;
+    }
+
+    /**
+     * Adds a query's field filters to the session index's criteria. A role or character in
+     * the query takes the place of the filter panel's; dates narrow its range.
+     * @param {Object} criteria - From _getFilterCriteria.
+     * @param {SearchQuery} query
+     * @returns {Object} The criteria.
+     * @private
+     */
+    _mergeQueryFilters(criteria, query) {
+        const { role, character, before, after } = query.filters;
+        if (role) criteria.role = role;
+        if (character) {
+            const keys = this._resolveCharacterFilter(character);
+            if (keys.length === 1) criteria.character = keys[0];
+            else criteria.characters = keys;
+        }
+        if (after !== undefined) criteria.start = Math.max(criteria.start || 0, after);
+        if (before !== undefined) criteria.end = Math.min(criteria.end || Infinity, before - 1);
+        return criteria;
+    }
+
+    /**
+     * Lists the cross-session hits, one group per chat.
+     * @param {number} total - Number of matching messages, including any beyond the limit.
+     * @private
+     */
+    _renderSessionResults(total) {
+        const container = this.ui.resultsContainer;
+        if (!container) return;
+        container.innerHTML = '';
+
+        const chats = this.sessionResults.length;
+        let countText = `${total} result${total !== 1 ? 's' : ''} in ${chats} chat${chats !== 1 ? 's' : ''}`;
+        if (this.sessionIndex.indexing && this.sessionIndex.indexing.size > 0) countText += ' (indexing…)';
+        if (this.ui.resultsCount) {
+            this.ui.resultsCount.textContent = countText;
+            this._showQueryErrors();
+        }
+
+        this.sessionResults.forEach(group => {
+            const groupElement = this.utils.createElement('div', {
+                className: 'search-session-group',
+                dataset: { sessionId: group.sessionId }
+            }, [
+                this.utils.createElement('div', { className: 'search-session-header' }, [
+                    this.utils.createElement('span', { className: 'search-session-title', textContent: group.title }),
+                    this.utils.createElement('span', {
+                        className: 'search-session-count',
+                        textContent: `${group.hits.length} match${group.hits.length !== 1 ? 'es' : ''}`
+                    })
+                ])
+            ]);
+            group.hits.forEach(hit => groupElement.appendChild(this._createSessionResultItem(hit)));
+            container.appendChild(groupElement);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _createSessionResultItem(hit) {
+        let roleLabel = hit.role === 'user' ? 'User' : 'Assistant';
+        if (hit.role === 'assistant' && hit.character) {
+            roleLabel = window.parklandApp?.characterManager?.getCharacterData(hit.character)?.name || hit.character;
+        }
+        const content = this.utils.createElement('div', { className: 'result-content' });
+        this._appendHighlightedSnippet(content, hit.snippet || '', hit.terms || []);
+
+        return this.utils.createElement('div', {
+            className: 'search-result-item',
+            tabindex: '0',
+            dataset: { sessionId: hit.sessionId, messageId: hit.messageId },
+            onclick: () => this._openSessionResult(hit),
+            onkeydown: (e) => {
+                if (e.key === 'Enter') this._openSessionResult(hit);
+            }
+        }, [
+            this.utils.createElement('div', { className: 'result-header' }, [
+                this.utils.createElement('span', { className: 'result-role', textContent: roleLabel }),
+                this.utils.createElement('span', {
+                    className: 'result-timestamp',
+                    textContent: hit.timestamp ? new Date(hit.timestamp).toLocaleString() : ''
+                })
+            ]),
+            content
+        ]);
+    }
+
+    /**
+     * Appends a snippet to an element, marking the words that matched.
+     * @param {HTMLElement} element
+     * @param {string} snippet
+     * @param {Array<string>} terms - Matched words as the index stores them (lowercase).
+     * @private
+     */
+    _appendHighlightedSnippet(element, snippet, terms) {
+        const words = terms.filter(Boolean).map(term => this._escapeRegex(term));
+        if (words.length === 0) {
+            element.textContent = snippet;
+            return;
+        }
+        const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+        snippet.split(pattern).forEach((part, i) => {
+            if (!part) return;
+            // split() puts the captured matches at odd positions
+            element.appendChild(i % 2 === 1
+                ? this.utils.createElement('mark', { className: this.config.highlightClassName, textContent: part })
+                : document.createTextNode(part));
+        });
+    }
+
+    /**
+     * Opens the chat a hit belongs to, scrolls to the message and highlights the matched words.
+     * @param {Object} hit - A hit from the session index.
+     * @private
+     */
+    async _openSessionResult(hit) {
+        if (hit.sessionId !== this.stateManager.get('activeSessionId')) {
+            const opened = this.openSession ? await this.openSession(hit.sessionId) : false;
+            if (!opened) return;
+        }
+        if (this.ui.resultsContainer) {
+            this.ui.resultsContainer.querySelectorAll('.search-result-item.active').forEach(el => el.classList.remove('active'));
+            const item = this.ui.resultsContainer.querySelector(`.search-result-item[data-message-id="${hit.messageId}"][data-session-id="${hit.sessionId}"]`);
+            if (item) item.classList.add('active');
+        }
+
+        this._clearHighlights();
+        const messageElement = this._findMessageElement({ id: hit.messageId });
+        if (!messageElement) return; // The message is no longer on the chat's selected path
+        messageElement.classList.add('search-result-active');
+        const contentElement = messageElement.querySelector('.message-content');
+        if (contentElement) (hit.terms || []).forEach(term => this._highlightTextInElement(contentElement, term));
+        messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Saves the current query and filters as a named search, shown as a smart folder in the sidebar.
+     * @param {string} [name] - The query by default.
+     * @returns {Object|null} The saved search { id, name, query, filters, createdAt }, or null without a query.
+     */
+    saveCurrentSearch(name) {
+        const query = this.currentQuery.trim();
+        if (!query) return null;
+        const saved = {
+            id: `search-${Date.now()}-${this.utils.generateId('')}`,
+            name: String(name || '').trim() || query,
+            query,
+            filters: { ...this.filters },
+            createdAt: Date.now()
+        };
+        this.savedSearches.push(saved);
+        this._savedSearchesChanged();
+        return saved;
+    }
+
+    renameSavedSearch(searchId, name) {
+        const saved = this.savedSearches.find(search => search.id === searchId);
+        const newName = String(name || '').trim();
+        if (!saved || !newName) return;
+        saved.name = newName;
+        this._savedSearchesChanged();
+    }
+
+    deleteSavedSearch(searchId) {
+        const count = this.savedSearches.length;
+        this.savedSearches = this.savedSearches.filter(search => search.id !== searchId);
+        if (this.savedSearches.length !== count) this._savedSearchesChanged();
+    }
+
+    /**
+     * Reads the saved searches from localStorage again, e.g. after a backup was restored.
+     */
+    reloadSavedSearches() {
+        this.savedSearches = [];
+        this._loadSavedSearches();
+        this._savedSearchesChanged();
+    }
+
+    /**
+     * Opens the search with a saved search's query and filters, across all chats.
+     * @param {string} searchId
+     */
+    applySavedSearch(searchId) {
+        const saved = this.savedSearches.find(search => search.id === searchId);
+        if (!saved) return;
+        this.openSearch();
+        this.currentQuery = saved.query;
+        if (this.ui.searchInput) this.ui.searchInput.value = saved.query;
+        this.filters = { ...this.filters, ...saved.filters };
+        this._setFilterControls(this.filters);
+        this.setScope('all');
+    }
+
+    /**
+     * Runs every saved search and announces which chats each one finds (search:smartFoldersUpdated).
+     * Called when the index changes, so the smart folders follow the chats.
+     * @returns {Promise<void>}
+     */
+    async refreshSmartFolders() {
+        if (!this.sessionIndex) return;
+        const refreshId = ++this._smartFolderRefreshId;
+        const folders = [];
+        for (const saved of this.savedSearches) {
+            let sessionIds = [];
+            try {
+                const { groups } = await this._searchSessionIndex(saved.query, saved.filters, { limit: this.config.smartFolderLimit });
+                sessionIds = groups.map(group => group.sessionId);
+            } catch (error) {
+                console.warn(`Could not run the saved search "${saved.name}":`, error);
+            }
+            folders.push({ id: saved.id, name: saved.name, query: saved.query, sessionIds });
+        }
+        if (refreshId !== this._smartFolderRefreshId) return; // A newer refresh started meanwhile
+        this.eventEmitter.emit('search:smartFoldersUpdated', { folders });
+    }
+
+    /**
+     * Runs a saved search across all chats and downloads its results.
+     * @param {string} searchId
+     * @param {string} [format='markdown'] - 'markdown', 'json' or 'csv'.
+     * @returns {Promise<string|null>} The exported text, or null if there is no such saved search or index.
+     */
+    async exportSavedSearch(searchId, format = 'markdown') {
+        const saved = this.savedSearches.find(search => search.id === searchId);
+        if (!saved || !this.sessionIndex) return null;
+        const { groups } = await this._searchSessionIndex(saved.query, saved.filters, { limit: this.config.smartFolderLimit, withContent: true });
+        const results = groups.flatMap(group => group.hits.map(hit => ({
+            sessionId: group.sessionId,
+            sessionTitle: group.title,
+            messageId: hit.messageId,
+            role: hit.role,
+            content: hit.content,
+            character: hit.character,
+            timestamp: hit.timestamp,
+            score: hit.score
+        })));
+        const exported = this.exportResults(format, { results, title: saved.name, query: saved.query });
+        this._downloadResults(exported, format, saved.name);
+        return exported;
+    }
+
+    /**
+     * @private
+     */
+    _savedSearchesChanged() {
+        this._saveSavedSearches();
+        this.eventEmitter.emit('search:savedSearchesChanged', { savedSearches: this.savedSearches });
+        this.refreshSmartFolders();
+    }
+
+    /**
+     * Sets the filter panel's controls to filter settings.
+     * @private
+     */
+    _setFilterControls(filters) {
+        const c = this.ui.searchContainer;
+        if (!c) return;
+        const setValue = (selector, value) => {
+            const element = c.querySelector(selector);
+            if (element) element.value = value || '';
+        };
+        const setChecked = (selector, checked) => {
+            const element = c.querySelector(selector);
+            if (element) element.checked = !!checked;
+        };
+        setValue('.role-filter', filters.role);
+        setValue('.character-filter', filters.character);
+        setValue('.date-filter', filters.dateRange);
+        setValue('.length-filter', filters.messageLength);
+        setValue('.date-start', filters.customDateStart);
+        setValue('.date-end', filters.customDateEnd);
+        setChecked('.filter-attachments', filters.hasAttachments);
+        setChecked('.filter-errors', filters.hasErrors);
+        if (this.ui.customDateRange) this.utils.toggleClass(this.ui.customDateRange, 'hidden', filters.dateRange !== 'custom');
+    }
+
     _updateFilters() {
         const c = this.ui.searchContainer;
         if (!c) return;
@@ -691,6 +1338,7 @@ class ChatSearchManager {
         this.config.wholeWordsOnly = c.querySelector('.option-whole-words')?.checked || false;
         this.config.useRegex = c.querySelector('.option-regex')?.checked || false;
         this.config.searchInMetadata = c.querySelector('.option-metadata')?.checked || false;
+        this.config.fuzzy = c.querySelector('.option-fuzzy')?.checked || false;
     }
 
     _toggleOptions() {
@@ -734,10 +1382,92 @@ class ChatSearchManager {
         }
     }
 
+    _loadSavedSearches() {
+        try {
+            const saved = localStorage.getItem('parkland_saved_searches');
+            if (saved) this.savedSearches = JSON.parse(saved);
+        } catch (e) {
+            console.warn("Failed to load saved searches", e);
+            this.savedSearches = [];
+        }
+    }
+
+    _saveSavedSearches() {
+        try {
+            localStorage.setItem('parkland_saved_searches', JSON.stringify(this.savedSearches));
+        } catch (e) {
+            console.warn("Failed to save saved searches", e);
+        }
+    }
+
     _escapeRegex(string) {
         return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 
+    /**
+     * Searches the messages of stored sessions, not just the open chat.
+     * Every word of the query is matched separately; messages matching more words rank higher.
+     * @param {Array<Object>} sessions - Stored chat sessions ({ id, title, messages, lastUpdated }).
+     * @param {string} query - The search text.
+     * @param {number} [limit=10] - Maximum number of results.
+     * @returns {Array<Object>} { sessionId, sessionTitle, role, character, timestamp, snippet, score }, best first.
+     */
+    searchSessions(sessions, query, limit = 10) {
+        const terms = [...new Set(String(query || '').trim().split(/\s+/).filter(term => term.length >= this.config.minQueryLength))];
+        if (terms.length === 0) return [];
+
+        const results = [];
+        (sessions || []).forEach(session => {
+            (session.messages || []).forEach(message => {
+                if (!message || (message.role !== 'user' && message.role !== 'assistant') || !message.content) return;
+                const matchedTerms = terms.filter(term => this._findMatchesInText(message.content, term, 'content').length > 0);
+                if (matchedTerms.length === 0) return;
+                const matches = matchedTerms.flatMap(term => this._findMatchesInText(message.content, term, 'content'));
+                results.push({
+                    sessionId: session.id,
+                    sessionTitle: session.title || 'Untitled chat',
+                    role: message.role,
+                    character: message.character || null,
+                    timestamp: message.timestamp || session.lastUpdated || null,
+                    snippet: matches[0].context,
+                    score: this._calculateRelevanceScore(message, matches) + matchedTerms.length * 25
+                });
+            });
+        });
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    /**
+     * Registers the "search_past_chats" tool, which lets the assistant look things up in earlier conversations.
+     * @param {ToolRegistry} registry - The registry to add the tool to.
+     * @param {Function} getSessions - Returns (a promise of) the stored sessions to search.
+     */
+    registerTools(registry, getSessions) {
+        registry.register({
+            name: 'search_past_chats',
+            description: 'Searches the user\'s earlier conversations in this app and returns matching excerpts with the chat title and date. Use it when the user refers to something discussed before.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Keywords to look for. Messages containing more of the words rank higher.' },
+                    limit: { type: 'integer', description: 'Maximum number of excerpts to return (1-20, default 8).' }
+                },
+                required: ['query']
+            },
+            handler: async ({ query, limit }) => {
+                const count = Math.min(20, Math.max(1, limit || 8));
+                const results = this.searchSessions(await getSessions(), query, count);
+                if (results.length === 0) return `No past messages matched "${query}".`;
+                return results.map(result => ({
+                    chat: result.sessionTitle,
+                    date: result.timestamp ? new Date(result.timestamp).toISOString().slice(0, 10) : null,
+                    from: result.role === 'user' ? 'user' : (result.character || 'assistant'),
+                    excerpt: result.snippet
+                }));
+            }
+        });
+    }
+
     getSearchStats() {
         return {
             isActive: this.isSearchActive,
@@ -749,8 +1479,18 @@ class ChatSearchManager {
         };
     }
 
-    exportResults(format = 'json') {
-        const results = this.filteredResults.map(r => ({
+    /**
+     * Exports search results: by default the open chat's current results.
+     * @param {string} [format='json'] - 'json', 'csv' or 'markdown'.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.results] - Rows to export instead, { sessionId, sessionTitle, messageId, role,
+     * content, character, timestamp, score } (see exportSavedSearch).
+     * @param {string} [options.title] - Heading of the Markdown export; the query by default.
+     * @param {string} [options.query] - The query the results are for; the current query by default.
+     * @returns {string}
+     */
+    exportResults(format = 'json', { results: resultRows = null, title = null, query = null } = {}) {
+        const results = resultRows || this.filteredResults.map(r => ({
             messageId: r.message.id,
             role: r.message.role,
             content: r.message.content,
@@ -760,23 +1500,74 @@ class ChatSearchManager {
             score: r.score
         }));
         if (format === 'csv') {
-            const headers = ['Message ID', 'Role', 'Content', 'Character', 'Timestamp', 'Score'];
+            const quote = (text) => `"${(text || '').replace(/"/g, '""')}"`;
+            const withChats = results.some(r => r.sessionTitle);
+            const headers = [...(withChats ? ['Chat'] : []), 'Message ID', 'Role', 'Content', 'Character', 'Timestamp', 'Score'];
             const rows = results.map(r => [
+                ...(withChats ? [quote(r.sessionTitle)] : []),
                 r.messageId,
                 r.role,
-                `"${(r.content || '').replace(/"/g, '""')}"`,
+                quote(r.content),
                 r.character || '',
-                new Date(r.timestamp).toISOString(),
+                r.timestamp ? new Date(r.timestamp).toISOString() : '',
                 r.score
             ]);
             return [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
         }
+        if (format === 'markdown') {
+            return this._resultsToMarkdown(results, title || query || this.currentQuery, query || this.currentQuery);
+        }
         return JSON.stringify(results, null, 2);
     }
 
+    /**
+     * Writes results as Markdown, under a heading per chat when they come from several.
+     * @private
+     */
+    _resultsToMarkdown(results, title, query) {
+        const characterManager = window.parklandApp?.characterManager;
+        const lines = [`# Search: ${title}`, ''];
+        if (query && query !== title) lines.push(`Query: \`${query}\``, '');
+        lines.push(`${results.length} result${results.length !== 1 ? 's' : ''}, exported ${new Date().toLocaleString()}`);
+        let currentChat = null;
+        results.forEach(result => {
+            if (result.sessionTitle && result.sessionId !== currentChat) {
+                currentChat = result.sessionId;
+                lines.push('', `## ${result.sessionTitle}`);
+            }
+            let speaker = result.role === 'user' ? 'User' : result.role === 'system' ? 'System' : 'Assistant';
+            if (result.role === 'assistant' && result.character) {
+                speaker = characterManager?.getCharacterData(result.character)?.name || result.character;
+            }
+            const date = result.timestamp ? ` · ${new Date(result.timestamp).toLocaleString()}` : '';
+            lines.push('', `**${speaker}**${date}`, '', ...String(result.content || '').split('\n').map(line => `> ${line}`));
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Downloads exported results as a file.
+     * @private
+     */
+    _downloadResults(text, format, name) {
+        const types = { markdown: ['text/markdown', '.md'], csv: ['text/csv', '.csv'], json: ['application/json', '.json'] };
+        const [mimeType, extension] = types[format] || types.json;
+        const slug = String(name || 'results').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'results';
+        const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+        const link = this.utils.createElement('a', { href: url, download: `parkland-ai-search-${slug}-${new Date().toISOString().slice(0, 10)}${extension}` });
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     destroy() {
         this._clearHighlights();
         this._saveSearchHistory();
+        if (this._savedSearchHandlers) {
+            Object.entries(this._savedSearchHandlers).forEach(([event, handler]) => this.eventEmitter.off(event, handler));
+        }
         if (this.ui.searchContainer?.parentNode) {
             this.ui.searchContainer.parentNode.removeChild(this.ui.searchContainer);
         }
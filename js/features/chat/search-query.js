@@ -0,0 +1,173 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * SearchQuery Module
+ *
+ * Parses what is typed into the chat search box. Besides plain words it understands:
+ *   "exact phrase"          - must occur as written, never fuzzily
+ *   role:assistant          - user (or you, me), assistant (or ai, bot) or system
+ *   character:quint         - a character key, or part of a character's name
+ *   before:2026-01-01       - sent before that day (local time)
+ *   after:2025-12-01        - sent on or after that day
+ * A value may be quoted (character:"mr dna"). Unknown prefixes such as "note:" are searched as text.
+ */
+
+const SEARCH_QUERY_FIELDS = ['role', 'character', 'char', 'before', 'after'];
+
+const SEARCH_QUERY_ROLES = {
+    user: 'user', you: 'user', me: 'user',
+    assistant: 'assistant', ai: 'assistant', bot: 'assistant',
+    system: 'system'
+};
+
+// An optional "field:" followed by a quoted value (closing quote optional while typing) or a bare word,
+// which is empty for a field still being typed
+const SEARCH_TOKEN_PATTERN = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S*))/giu;
+const SEARCH_WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+class SearchQuery {
+    /**
+     * @param {string} input - The query as typed.
+     */
+    constructor(input = '') {
+        this.input = String(input || '');
+        this.text = '';        // The plain words, as typed, joined by single spaces
+        this.terms = [];       // The plain words, lower-cased, without punctuation, each once
+        this.phrases = [];     // Quoted phrases, whitespace collapsed
+        this.filters = {};     // { role, character, before, after }; dates as timestamps
+        this.errors = [];      // Why a field was ignored, e.g. 'before: expects a date like 2026-01-01'
+        this._parse();
+    }
+
+    /**
+     * Whether there is anything to match in the text of messages (as opposed to filters only).
+     * @returns {boolean}
+     */
+    hasText() {
+        return this.terms.length > 0 || this.phrases.length > 0;
+    }
+
+    /**
+     * Whether the query restricts messages by role, character or date.
+     * @returns {boolean}
+     */
+    hasFilters() {
+        return Object.keys(this.filters).length > 0;
+    }
+
+    /**
+     * Splits text into words with their positions.
+     * @param {string} text
+     * @returns {Array<{word: string, start: number, end: number}>} Words as written, not lower-cased.
+     */
+    static words(text) {
+        return Array.from(String(text || '').matchAll(SEARCH_WORD_PATTERN), match => ({
+            word: match[0],
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+    }
+
+    /**
+     * Reduces an English word to a stem so its forms match each other ("running", "runs" and "run";
+     * "libraries" and "library"). A light suffix stripper rather than a full Porter stemmer: both sides
+     * of a comparison are stemmed the same way, so a stem need not be a real word. Words that are not
+     * plain ASCII letters are only lower-cased.
+     * @param {string} word
+     * @returns {string}
+     */
+    static stem(word) {
+        let stem = String(word || '').toLowerCase();
+        if (stem.length <= 3 || !/^[a-z]+$/.test(stem)) return stem;
+
+        // Plurals
+        if (stem.endsWith('ies') && stem.length > 4) stem = `${stem.slice(0, -3)}y`;
+        else if (/(?:ss|x|z|ch|sh)es$/.test(stem)) stem = stem.slice(0, -2);
+        else if (stem.endsWith('s') && !/(?:ss|us|is)$/.test(stem)) stem = stem.slice(0, -1);
+
+        // Verb and adverb endings, when a syllable is left
+        const suffix = stem.endsWith('eed') ? null : ['ingly', 'edly', 'ing', 'ed', 'ly'].find(ending => stem.endsWith(ending));
+        if (suffix) {
+            const rest = stem.slice(0, -suffix.length);
+            if (rest.length >= 3 && /[aeiouy]/.test(rest)) {
+                stem = rest;
+                if (suffix !== 'ly' && /([^aeiouylsz])\1$/.test(stem)) stem = stem.slice(0, -1); // "stopped" → "stop"
+            }
+        }
+
+        // A silent final e, so "make" and "making" meet at "mak"
+        if (stem.length > 3 && stem.endsWith('e') && !stem.endsWith('ee')) stem = stem.slice(0, -1);
+        return stem;
+    }
+
+    /**
+     * @private
+     */
+    _parse() {
+        const plain = [];
+        for (const match of this.input.matchAll(SEARCH_TOKEN_PATTERN)) {
+            const [token, rawField, quoted, bare] = match;
+            if (!token) continue; // The empty match between words
+            const value = quoted !== undefined ? quoted : bare;
+            const field = rawField ? rawField.toLowerCase() : null;
+
+            if (field && SEARCH_QUERY_FIELDS.includes(field)) {
+                this._setFilter(field, value.trim());
+            } else if (field) {
+                plain.push(quoted !== undefined ? `${rawField}:${quoted}` : token); // Not a filter; search for it
+            } else if (quoted !== undefined) {
+                const phrase = quoted.replace(/\s+/g, ' ').trim();
+                if (phrase && !this.phrases.includes(phrase)) this.phrases.push(phrase);
+            } else {
+                plain.push(bare);
+            }
+        }
+        this.text = plain.join(' ').trim();
+        this.terms = [...new Set(SearchQuery.words(this.text).map(({ word }) => word.toLowerCase()))];
+    }
+
+    /**
+     * @private
+     */
+    _setFilter(field, value) {
+        if (!value) return; // Still being typed
+        switch (field) {
+            case 'role': {
+                const role = SEARCH_QUERY_ROLES[value.toLowerCase()];
+                if (role) this.filters.role = role;
+                else this.errors.push(`role: expects user, assistant or system, not "${value}"`);
+                break;
+            }
+            case 'character':
+            case 'char':
+                this.filters.character = value.toLowerCase();
+                break;
+            case 'before':
+            case 'after': {
+                const time = this._parseDate(value);
+                if (time === null) this.errors.push(`${field}: expects a date like 2026-01-01, not "${value}"`);
+                else this.filters[field] = time;
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Midnight (local time) at the start of a YYYY-MM-DD, YYYY/MM/DD or YYYY-MM date.
+     * @private
+     */
+    _parseDate(value) {
+        const match = /^(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2}))?$/.exec(value);
+        if (!match) return null;
+        const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3] || 1)];
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null; // e.g. 2026-02-30
+        return date.getTime();
+    }
+}
+
+// Global instance creation pattern
+if (typeof window !== 'undefined') {
+    window.SearchQuery = SearchQuery;
+}
@@ -0,0 +1,211 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * SessionSearchIndex Module
+ *
+ * The main thread's side of the search index worker (workers/search-index.js).
+ * On start it tells the worker which chats are stored and sends it the ones it
+ * has not indexed yet; after that every chat ChatHistory saves or deletes is
+ * re-indexed or removed. Searches are answered by the worker and come back
+ * grouped by chat, best chat first.
+ */
+
+class SessionSearchIndex {
+    /**
+     * @param {EventEmitter} eventEmitter - Instance of EventEmitter; ChatHistory announces saved and deleted chats on it.
+     * @param {ChatHistory} chatHistory - Where the stored chats are read from.
+     * @param {Object} [options]
+     * @param {Function} [options.createWorker] - Returns the worker; a Web Worker running workers/search-index.js by default.
+     */
+    constructor(eventEmitter, chatHistory, { createWorker = () => new Worker('workers/search-index.js') } = {}) {
+        if (!eventEmitter || !chatHistory) {
+            throw new Error("SessionSearchIndex requires EventEmitter and ChatHistory instances.");
+        }
+        this.eventEmitter = eventEmitter;
+        this.chatHistory = chatHistory;
+        this.createWorker = createWorker;
+
+        this.worker = null;
+        this.pendingSearches = new Map(); // Request ID → { resolve, reject }
+        this.indexing = new Set(); // IDs of sessions sent to the worker and not indexed yet
+        this._nextRequestId = 1;
+
+        this._handleSessionSaved = ({ session }) => this.indexSession(session);
+        this._handleSessionDeleted = ({ sessionId }) => this._post('REMOVE_SESSION', { sessionId });
+    }
+
+    /**
+     * Starts the worker and brings its index up to date with the stored chats.
+     * @returns {Promise<void>} Resolves once the worker was told which chats are stored.
+     */
+    async start() {
+        this.worker = this.createWorker();
+        this.worker.onmessage = (event) => this._handleWorkerMessage(event.data || {});
+        this.worker.onerror = (error) => {
+            console.error('Search index worker failed:', error.message || error);
+            this._rejectPendingSearches(new Error('The search index is unavailable.'));
+        };
+        this.eventEmitter.on('chatSessionSaved', this._handleSessionSaved);
+        this.eventEmitter.on('chatSessionDeleted', this._handleSessionDeleted);
+
+        await this.chatHistory.ready;
+        this._post('SYNC', {
+            sessions: this.chatHistory.sessions.map(session => ({ id: session.id, lastUpdated: session.lastUpdated || 0 }))
+        });
+    }
+
+    /**
+     * Whether the index can be searched.
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return !!this.worker;
+    }
+
+    /**
+     * Sends a session's messages to be indexed, replacing what was indexed for it before.
+     * Only the selected path is indexed, as it is what the chat shows.
+     * @param {Object} session - { id, lastUpdated, messages }.
+     */
+    indexSession(session) {
+        if (!session || !session.id) return;
+        this.indexing.add(session.id);
+        this._post('INDEX_SESSION', {
+            session: {
+                id: session.id,
+                lastUpdated: session.lastUpdated || 0,
+                messages: (session.messages || [])
+                    .filter(message => message && (message.role === 'user' || message.role === 'assistant'))
+                    .map(message => ({
+                        id: message.id,
+                        role: message.role,
+                        content: typeof message.content === 'string' ? message.content : '',
+                        character: message.character || null,
+                        timestamp: message.timestamp || null,
+                        hasAttachments: !!(message.attachments && message.attachments.length),
+                        isError: !!message.isError
+                    }))
+            }
+        });
+    }
+
+    /**
+     * Searches every indexed chat.
+     * @param {string} query - Words that must all occur in a message; the last may be the start of a word.
+     * Without words, every message passing the filters is found.
+     * @param {Object} [filters={}] - { role, character, characters, start, end, hasAttachments, hasErrors, minLength, maxLength }.
+     * @param {number} [limit=200] - Maximum number of messages.
+     * @param {Object} [options]
+     * @param {boolean} [options.withContent=false] - Include each message's full text in its hit as content.
+     * @returns {Promise<{groups: Array<Object>, total: number}>} Groups are { sessionId, title, lastUpdated, score, hits },
+     * hits { sessionId, messageId, role, character, timestamp, snippet, terms, score }, both best first.
+     */
+    search(query, filters = {}, limit = 200, { withContent = false } = {}) {
+        if (!this.worker) return Promise.reject(new Error('The search index is not running.'));
+        const requestId = this._nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pendingSearches.set(requestId, { resolve, reject });
+            this._post('SEARCH', { requestId, query, filters, limit, withContent });
+        }).then(({ results, total }) => ({ groups: this._groupBySession(results), total }));
+    }
+
+    /**
+     * Stops the worker. The persisted index stays for the next start.
+     */
+    destroy() {
+        this.eventEmitter.off('chatSessionSaved', this._handleSessionSaved);
+        this.eventEmitter.off('chatSessionDeleted', this._handleSessionDeleted);
+        this._rejectPendingSearches(new Error('The search index was stopped.'));
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+
+    /**
+     * @private
+     */
+    _handleWorkerMessage({ type, payload = {} }) {
+        switch (type) {
+            case 'SYNC_NEEDED':
+                if (payload.sessionIds && payload.sessionIds.length) this._indexStoredSessions(payload.sessionIds);
+                else this.eventEmitter.emit('search:indexUpdated'); // Already up to date
+                break;
+            case 'SESSION_INDEXED':
+                this.indexing.delete(payload.sessionId);
+                if (this.indexing.size === 0) this.eventEmitter.emit('search:indexUpdated');
+                break;
+            case 'SEARCH_RESULTS': {
+                const pending = this.pendingSearches.get(payload.requestId);
+                if (!pending) return;
+                this.pendingSearches.delete(payload.requestId);
+                pending.resolve(payload);
+                break;
+            }
+            case 'INDEX_ERROR': {
+                console.error('Search index error:', payload.error);
+                const pending = this.pendingSearches.get(payload.requestId);
+                if (!pending) return;
+                this.pendingSearches.delete(payload.requestId);
+                pending.reject(new Error(payload.error || 'The search failed.'));
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Reads the chats the worker asked for, one at a time, and sends them to be indexed.
+     * @param {Array<string>} sessionIds
+     * @private
+     */
+    async _indexStoredSessions(sessionIds) {
+        sessionIds.forEach(id => this.indexing.add(id));
+        for (const sessionId of sessionIds) {
+            if (!this.worker) return;
+            const summary = this.chatHistory.getSessionSummary(sessionId);
+            let messages = null;
+            try {
+                messages = summary ? await this.chatHistory.getSessionMessages(sessionId) : null;
+            } catch (error) {
+                console.warn(`Could not read chat ${sessionId} for the search index:`, error);
+            }
+            if (messages) this.indexSession({ id: sessionId, lastUpdated: summary.lastUpdated, messages });
+            else this.indexing.delete(sessionId);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _groupBySession(results = []) {
+        const groups = new Map();
+        results.forEach(hit => {
+            const summary = this.chatHistory.getSessionSummary(hit.sessionId);
+            if (!summary) return; // Deleted since it was indexed
+            if (!groups.has(hit.sessionId)) {
+                groups.set(hit.sessionId, { sessionId: hit.sessionId, title: summary.title || 'Chat Session', lastUpdated: summary.lastUpdated, score: hit.score, hits: [] });
+            }
+            groups.get(hit.sessionId).hits.push(hit);
+        });
+        return [...groups.values()].sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * @private
+     */
+    _post(type, payload) {
+        if (this.worker) this.worker.postMessage({ type, payload });
+    }
+
+    /**
+     * @private
+     */
+    _rejectPendingSearches(error) {
+        this.pendingSearches.forEach(({ reject }) => reject(error));
+        this.pendingSearches.clear();
+    }
+}
+
+// Global instance creation pattern
+if (typeof window !== 'undefined') {
+    window.SessionSearchIndex = SessionSearchIndex;
+}
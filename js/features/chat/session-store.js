@@ -0,0 +1,370 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * SessionStore Module
+ *
+ * Keeps chat sessions in IndexedDB, which has room for long chats and attachments where
+ * localStorage's ~5 MB does not. Each session is split over three object stores:
+ *   sessions    - the summary the sidebar lists (title, dates, counts, usage, model settings)
+ *   bodies      - the messages and branches, loaded only when the chat is opened
+ *   attachments - attachment data, one record each, so saving a chat does not rewrite them
+ *   folders     - the user's folders (version 2); a session's folderId refers to one
+ * Sessions saved in localStorage by earlier versions are moved over the first time the store opens.
+ */
+
+const SESSION_DB_NAME = 'parklandAI';
+const SESSION_DB_VERSION = 2;
+const LEGACY_SESSIONS_KEY = 'parklandAI_chatSessions';
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request's result.
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolves once a transaction has committed.
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('The storage transaction was aborted.'));
+});
+
+class SessionStore {
+    /**
+     * @param {Object} [options={}]
+     * @param {IDBFactory} [options.indexedDB=indexedDB] - The IndexedDB implementation.
+     * @param {string} [options.dbName='parklandAI'] - Database name.
+     * @param {Storage} [options.legacyStorage=localStorage] - Where earlier versions kept sessions.
+     * @param {string} [options.legacyKey='parklandAI_chatSessions'] - The key they were kept under.
+     */
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB !== undefined ? options.indexedDB : globalThis.indexedDB;
+        this.dbName = options.dbName || SESSION_DB_NAME;
+        this.legacyStorage = options.legacyStorage !== undefined ? options.legacyStorage : globalThis.localStorage;
+        this.legacyKey = options.legacyKey || LEGACY_SESSIONS_KEY;
+        this._dbPromise = null;
+    }
+
+    /**
+     * True if the browser has IndexedDB (some private modes turn it off).
+     * @returns {boolean}
+     */
+    isSupported() {
+        return !!this.indexedDB;
+    }
+
+    /**
+     * Opens the database, creating or upgrading its schema, and moves sessions over from localStorage once.
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this._dbPromise) {
+            this._dbPromise = this._openDatabase().then(async db => {
+                await this._migrateLegacySessions(db);
+                return db;
+            });
+            this._dbPromise.catch(() => { this._dbPromise = null; }); // Let a later call try again
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * The summaries of all sessions, without their messages.
+     * @returns {Promise<Array<Object>>} { id, title, titleSource, lastUpdated, messageCount, usage, estimatedCost,
+     * modelSettings, storedBytes, pinned, tags, folderId }
+     */
+    async listSessions() {
+        const db = await this.open();
+        return requestToPromise(db.transaction('sessions').objectStore('sessions').getAll());
+    }
+
+    /**
+     * A session with its messages, branches and attachment data.
+     * @param {string} sessionId
+     * @returns {Promise<Object|null>} Null if there is no such session.
+     */
+    async getSession(sessionId) {
+        const db = await this.open();
+        const transaction = db.transaction(['sessions', 'bodies', 'attachments']);
+        const [summary, body, attachments] = await Promise.all([
+            requestToPromise(transaction.objectStore('sessions').get(sessionId)),
+            requestToPromise(transaction.objectStore('bodies').get(sessionId)),
+            requestToPromise(transaction.objectStore('attachments').index('sessionId').getAll(sessionId))
+        ]);
+        return summary ? this._join(summary, body, attachments) : null;
+    }
+
+    /**
+     * Every session with its messages, for features that read past chats (e.g. search).
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAllSessions() {
+        const db = await this.open();
+        const transaction = db.transaction(['sessions', 'bodies', 'attachments']);
+        const [summaries, bodies, attachments] = await Promise.all([
+            requestToPromise(transaction.objectStore('sessions').getAll()),
+            requestToPromise(transaction.objectStore('bodies').getAll()),
+            requestToPromise(transaction.objectStore('attachments').getAll())
+        ]);
+        const bodiesById = new Map(bodies.map(body => [body.sessionId, body]));
+        return summaries.map(summary => this._join(
+            summary,
+            bodiesById.get(summary.id),
+            attachments.filter(attachment => attachment.sessionId === summary.id)
+        ));
+    }
+
+    /**
+     * Saves a session, replacing the stored one with the same ID. Attachment data that is already
+     * stored is not written again, and data no message refers to any more is deleted.
+     * @param {Object} session - { id, title, messages, branches, lastUpdated, ... }.
+     * @returns {Promise<Object>} The stored summary.
+     */
+    async saveSession(session) {
+        const db = await this.open();
+        const { summary, body, attachments } = this._split(session);
+        const transaction = db.transaction(['sessions', 'bodies', 'attachments'], 'readwrite');
+        const attachmentStore = transaction.objectStore('attachments');
+        transaction.objectStore('sessions').put(summary);
+        transaction.objectStore('bodies').put(body);
+        requestToPromise(attachmentStore.index('sessionId').getAllKeys(session.id)).then(storedKeys => {
+            const stored = new Set(storedKeys);
+            const wanted = new Set(attachments.map(attachment => attachment.key));
+            storedKeys.forEach(key => { if (!wanted.has(key)) attachmentStore.delete(key); });
+            attachments.forEach(attachment => { if (!stored.has(attachment.key)) attachmentStore.put(attachment); });
+        });
+        await transactionDone(transaction);
+        return summary;
+    }
+
+    /**
+     * Changes fields of a session's summary, e.g. its model settings.
+     * @param {string} sessionId
+     * @param {Object} changes - Summary fields to set.
+     * @returns {Promise<boolean>} False if there is no such session.
+     */
+    async updateSession(sessionId, changes) {
+        const db = await this.open();
+        const transaction = db.transaction('sessions', 'readwrite');
+        const store = transaction.objectStore('sessions');
+        const summary = await requestToPromise(store.get(sessionId));
+        if (summary) store.put({ ...summary, ...changes });
+        await transactionDone(transaction);
+        return !!summary;
+    }
+
+    /**
+     * Deletes a session with its messages and attachments.
+     * @param {string} sessionId
+     * @returns {Promise<void>}
+     */
+    async deleteSession(sessionId) {
+        const db = await this.open();
+        const transaction = db.transaction(['sessions', 'bodies', 'attachments'], 'readwrite');
+        const attachmentStore = transaction.objectStore('attachments');
+        transaction.objectStore('sessions').delete(sessionId);
+        transaction.objectStore('bodies').delete(sessionId);
+        requestToPromise(attachmentStore.index('sessionId').getAllKeys(sessionId))
+            .then(keys => keys.forEach(key => attachmentStore.delete(key)));
+        await transactionDone(transaction);
+    }
+
+    /**
+     * The user's folders, in their order.
+     * @returns {Promise<Array<Object>>} { id, name, order, collapsed }
+     */
+    async listFolders() {
+        const db = await this.open();
+        const folders = await requestToPromise(db.transaction('folders').objectStore('folders').getAll());
+        return folders.sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Saves folders, e.g. a new one, a renamed one, or all of them after reordering.
+     * @param {Array<Object>} folders - { id, name, order, collapsed } records.
+     * @returns {Promise<void>}
+     */
+    async saveFolders(folders) {
+        const db = await this.open();
+        const transaction = db.transaction('folders', 'readwrite');
+        folders.forEach(folder => transaction.objectStore('folders').put(folder));
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Deletes a folder. Its sessions are kept, outside any folder.
+     * @param {string} folderId
+     * @returns {Promise<void>}
+     */
+    async deleteFolder(folderId) {
+        const db = await this.open();
+        const transaction = db.transaction(['folders', 'sessions'], 'readwrite');
+        const sessionStore = transaction.objectStore('sessions');
+        transaction.objectStore('folders').delete(folderId);
+        requestToPromise(sessionStore.getAll()).then(summaries => summaries
+            .filter(summary => summary.folderId === folderId)
+            .forEach(summary => sessionStore.put({ ...summary, folderId: null })));
+        await transactionDone(transaction);
+    }
+
+    /**
+     * How much space the chats take, and how much the browser allows this site.
+     * @returns {Promise<Object>} { sessions, attachments, bytes, usage, quota }; usage and quota are
+     * null where the browser does not report them.
+     */
+    async getStorageUsage() {
+        const db = await this.open();
+        const transaction = db.transaction(['sessions', 'attachments']);
+        const [summaries, attachmentCount] = await Promise.all([
+            requestToPromise(transaction.objectStore('sessions').getAll()),
+            requestToPromise(transaction.objectStore('attachments').count())
+        ]);
+        let estimate = {};
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            estimate = await navigator.storage.estimate().catch(() => ({}));
+        }
+        return {
+            sessions: summaries.length,
+            attachments: attachmentCount,
+            bytes: summaries.reduce((total, summary) => total + (summary.storedBytes || 0), 0),
+            usage: typeof estimate.usage === 'number' ? estimate.usage : null,
+            quota: typeof estimate.quota === 'number' ? estimate.quota : null
+        };
+    }
+
+    /**
+     * Opens the database, creating the object stores of each schema version it has not seen yet.
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _openDatabase() {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('This browser does not allow chats to be saved (IndexedDB is unavailable).'));
+        }
+        return new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.dbName, SESSION_DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                    db.createObjectStore('bodies', { keyPath: 'sessionId' });
+                    db.createObjectStore('attachments', { keyPath: 'key' }).createIndex('sessionId', 'sessionId');
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore('folders', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => db.close(); // Another tab is upgrading the schema
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Chat history is open in an older version of the app in another tab. Close it and reload.'));
+        });
+    }
+
+    /**
+     * Moves the sessions kept in localStorage by earlier versions into the database, then removes them there.
+     * Sessions that fail to parse are left where they are.
+     * @param {IDBDatabase} db
+     * @returns {Promise<number>} How many sessions were moved.
+     * @private
+     */
+    async _migrateLegacySessions(db) {
+        if (!this.legacyStorage) return 0;
+        const stored = this.legacyStorage.getItem(this.legacyKey);
+        if (!stored) return 0;
+        let sessions;
+        try {
+            sessions = JSON.parse(stored);
+        } catch (error) {
+            console.error('SessionStore: the chat sessions in localStorage could not be read and were left there.', error);
+            return 0;
+        }
+        const valid = (Array.isArray(sessions) ? sessions : []).filter(session => session && session.id && Array.isArray(session.messages));
+
+        const transaction = db.transaction(['sessions', 'bodies', 'attachments'], 'readwrite');
+        valid.forEach(session => {
+            const { summary, body, attachments } = this._split(session);
+            transaction.objectStore('sessions').put(summary);
+            transaction.objectStore('bodies').put(body);
+            attachments.forEach(attachment => transaction.objectStore('attachments').put(attachment));
+        });
+        await transactionDone(transaction);
+        this.legacyStorage.removeItem(this.legacyKey);
+        console.log(`💾 SessionStore: moved ${valid.length} chat session(s) from localStorage to IndexedDB.`);
+        return valid.length;
+    }
+
+    /**
+     * Splits a session into its summary, its messages without attachment data, and the attachment data.
+     * @param {Object} session
+     * @returns {{summary: Object, body: Object, attachments: Array<Object>}}
+     * @private
+     */
+    _split(session) {
+        const attachments = [];
+        const stripAttachments = (messages) => (messages || []).map(message => {
+            if (!Array.isArray(message.attachments) || message.attachments.length === 0) return message;
+            return {
+                ...message,
+                attachments: message.attachments.map((attachment, index) => {
+                    if (typeof attachment.data !== 'string' || !attachment.data) return attachment;
+                    const key = `${session.id}/${attachment.id || `${message.id}-${index}`}`;
+                    attachments.push({ key, sessionId: session.id, data: attachment.data });
+                    return { ...attachment, data: null, dataKey: key };
+                })
+            };
+        });
+        const body = {
+            sessionId: session.id,
+            messages: stripAttachments(session.messages),
+            branches: stripAttachments(session.branches)
+        };
+        const summary = { ...session };
+        delete summary.messages;
+        delete summary.branches;
+        summary.messageCount = (session.messages || []).length;
+        summary.storedBytes = JSON.stringify(body).length + attachments.reduce((total, attachment) => total + attachment.data.length, 0);
+        return { summary, body, attachments };
+    }
+
+    /**
+     * Puts a session back together from its records. Attachments whose data is missing are marked
+     * as omitted, like those too large to keep.
+     * @private
+     */
+    _join(summary, body, attachments = []) {
+        const dataByKey = new Map(attachments.map(attachment => [attachment.key, attachment.data]));
+        const restoreAttachments = (messages) => (messages || []).map(message => {
+            if (!Array.isArray(message.attachments) || !message.attachments.some(attachment => attachment.dataKey)) return message;
+            return {
+                ...message,
+                attachments: message.attachments.map(attachment => {
+                    if (!attachment.dataKey) return attachment;
+                    const restored = { ...attachment, data: dataByKey.get(attachment.dataKey) || null };
+                    delete restored.dataKey;
+                    if (!restored.data) restored.dataOmitted = true;
+                    return restored;
+                })
+            };
+        });
+        const session = { ...summary, messages: restoreAttachments(body && body.messages), branches: restoreAttachments(body && body.branches) };
+        delete session.messageCount;
+        delete session.storedBytes;
+        return session;
+    }
+}
+
+// Global instance creation pattern
+if (typeof window !== 'undefined') {
+    window.SessionStore = SessionStore;
+}
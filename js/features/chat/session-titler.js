@@ -0,0 +1,161 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * SessionTitler
+ *
+ * Names chats. After a chat's first exchange a small separate API call asks the
+ * model for a concise title and a two-sentence summary of it; ChatHistory stores
+ * both on the session and shows the summary as the chat's tooltip. The same call
+ * regenerates them on demand, from the whole chat rather than its first exchange.
+ */
+
+class SessionTitler {
+    /**
+     * @param {StateManager} stateManager - Instance of StateManager.
+     * @param {EventEmitter} eventEmitter - Instance of EventEmitter.
+     * @param {ParklandUtils} utils - Instance of ParklandUtils.
+     */
+    constructor(stateManager, eventEmitter, utils) {
+        if (!stateManager || !eventEmitter || !utils) {
+            throw new Error("SessionTitler requires StateManager, EventEmitter, and Utils instances.");
+        }
+        this.stateManager = stateManager;
+        this.eventEmitter = eventEmitter;
+        this.utils = utils;
+
+        this.maxTokens = 200;
+        this.maxTitleLength = 60;
+        this.maxSummaryLength = 400;
+        this.maxTranscriptChars = 8000; // Plenty to name a chat; longer chats keep their start and end
+        this.systemPrompt = 'You name and summarize conversations. Reply with JSON only.';
+        this._pendingSessionIds = new Set(); // Sessions with a title request in flight
+        this._attemptedSessionIds = new Set(); // Sessions titled automatically on this page, or tried and failed
+
+        console.log('🏷️ SessionTitler initialized.');
+    }
+
+    /**
+     * Whether a chat should be titled automatically: it has a reply and has not been titled by the model yet.
+     * A chat the user renamed still gets a summary.
+     * @param {Object|null} session - The session summary (see ChatHistory.getSessionSummary).
+     * @param {Array<Object>} messages - The chat's messages.
+     * @returns {boolean}
+     */
+    shouldTitle(session, messages) {
+        if (!session || this.stateManager.get('userPreferences.autoTitleChats') === false) return false;
+        if (session.summary || session.titleSource === 'ai') return false;
+        if (this._pendingSessionIds.has(session.id) || this._attemptedSessionIds.has(session.id)) return false;
+        const transcript = this._getTranscriptMessages(messages);
+        return transcript.some(message => message.role === 'user') && transcript.some(message => message.role === 'assistant');
+    }
+
+    /**
+     * Asks the model for a title and summary of a chat.
+     * @param {BaseApiProvider} apiService - The provider to ask.
+     * @param {string} sessionId - The chat's ID, passed on with the usage event.
+     * @param {Array<Object>} messages - The chat's messages.
+     * @param {{model?: string}} [settings={}] - The model to use; the provider's preference if not given.
+     * @returns {Promise<{title: string, summary: string}>} Rejects if the request fails or the reply has no title.
+     */
+    async generate(apiService, sessionId, messages, settings = {}) {
+        const transcriptMessages = this._getTranscriptMessages(messages);
+        if (!transcriptMessages.length) throw new Error('There are no messages to name the chat after.');
+
+        this._pendingSessionIds.add(sessionId);
+        this._attemptedSessionIds.add(sessionId);
+        try {
+            const result = await apiService.sendMessage(this._buildPrompt(transcriptMessages), [], {
+                model: settings.model,
+                maxTokens: this.maxTokens,
+                temperature: 0,
+                systemPrompt: this.systemPrompt,
+                tools: false,
+                promptCaching: false // A one-off prompt; writing it to the cache would only cost more
+            });
+            this.eventEmitter.emit('session:titled', {
+                sessionId,
+                model: (result && result.model) || settings.model || null,
+                usage: (result && result.usage) || null
+            });
+            const parsed = this._parseReply(result && result.content);
+            if (!parsed.title) throw new Error('The model did not suggest a title.');
+            return parsed;
+        } finally {
+            this._pendingSessionIds.delete(sessionId);
+        }
+    }
+
+    /**
+     * The user and assistant messages worth reading: no errors, context markers or empty tool turns.
+     * @private
+     */
+    _getTranscriptMessages(messages = []) {
+        return (messages || []).filter(message =>
+            message && !message.isError && (message.role === 'user' || message.role === 'assistant') &&
+            typeof message.content === 'string' && message.content.trim()
+        );
+    }
+
+    /**
+     * @param {Array<Object>} messages - The user and assistant messages to name the chat after.
+     * @returns {string}
+     * @private
+     */
+    _buildPrompt(messages) {
+        let transcript = messages.map(message =>
+            `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content.trim()}`
+        ).join('\n\n');
+        if (transcript.length > this.maxTranscriptChars) {
+            const half = Math.floor(this.maxTranscriptChars / 2);
+            transcript = `${transcript.slice(0, half)}\n\n[…]\n\n${transcript.slice(transcript.length - half)}`;
+        }
+
+        return [
+            'Name the conversation below and summarize it.',
+            'The title is at most six words, in the language of the conversation, without quotes or a final full stop. ' +
+                'It says what the conversation is about, not that it is a question or a request for help.',
+            'The summary is exactly two sentences.',
+            'Reply with only this JSON: {"title": "...", "summary": "..."}',
+            `Conversation:\n${transcript}`
+        ].join('\n\n');
+    }
+
+    /**
+     * Reads the title and summary from the reply, which is JSON unless the model strayed from the format;
+     * then its first line is taken as the title and the rest as the summary.
+     * @param {string} content - The reply text.
+     * @returns {{title: string, summary: string}}
+     * @private
+     */
+    _parseReply(content) {
+        const text = typeof content === 'string' ? content.trim() : '';
+        let title = '';
+        let summary = '';
+        let parsed = null;
+        const json = text.match(/\{[\s\S]*\}/);
+        try {
+            parsed = json ? JSON.parse(json[0]) : null;
+        } catch (error) {
+            // Not JSON after all; read it as lines below
+        }
+        if (parsed && typeof parsed === 'object') {
+            title = typeof parsed.title === 'string' ? parsed.title : '';
+            summary = typeof parsed.summary === 'string' ? parsed.summary : '';
+        } else {
+            const [firstLine, ...rest] = text.split('\n');
+            title = firstLine.replace(/^title\s*:\s*/i, '');
+            summary = rest.join(' ').replace(/^\s*summary\s*:\s*/i, '');
+        }
+
+        title = title.replace(/\s+/g, ' ').trim().replace(/^["'“”‘’*#\s]+|["'“”‘’*\s]+$/g, '').replace(/\.$/, '');
+        summary = summary.replace(/\s+/g, ' ').trim();
+        return {
+            title: this.utils.truncate(title, this.maxTitleLength),
+            summary: this.utils.truncate(summary, this.maxSummaryLength)
+        };
+    }
+}
+
+// Global instance creation pattern
+if (typeof window !== 'undefined') {
+    window.SessionTitler = SessionTitler;
+}
@@ -41,6 +41,7 @@ class TypingIndicatorManager {
             thinking: { text: 'Thinking', dots: 3, speed: 800 },
             processing: { text: 'Processing', dots: 3, speed: 600 },
             generating: { text: 'Generating response', dots: 3, speed: 400 },
+            streaming: { text: 'Streaming response', dots: 3, speed: 300 },
             analyzing: { text: 'Analyzing', dots: 3, speed: 700 },
             searching: { text: 'Searching', dots: 3, speed: 500 }
         };
@@ -122,6 +123,7 @@ class TypingIndicatorManager {
         this.eventEmitter.on('api:requestProgress', this._handleRequestProgress.bind(this));
         this.eventEmitter.on('api:requestComplete', this._handleRequestComplete.bind(this));
         this.eventEmitter.on('api:requestError', this._handleRequestError.bind(this));
+        this.eventEmitter.on('api:requestCancelled', this._handleRequestCancelled.bind(this));
         this.eventEmitter.on('api:streamChunk', this._handleStreamChunk.bind(this));
         
         // Listen for message events
@@ -436,13 +438,36 @@ class TypingIndicatorManager {
         }
     }
     
+    /**
+     * Handles a request cancelled by the user
+     * @param {Object} data - Event data
+     * @private
+     */
+    _handleRequestCancelled(data) {
+        this.hideTypingIndicator();
+        
+        if (data.messageId) {
+            this.setMessageStatus(data.messageId, 'stopped', {
+                timestamp: Date.now(),
+                partial: !!data.partialContent
+            });
+        }
+    }
+    
     /**
      * Handles stream chunks
      * @param {Object} data - Event data
      * @private
      */
     _handleStreamChunk(data) {
-        this.updateTypingAnimation('generating');
+        if (!this.isTyping) {
+            // The indicator auto-hides after typingTimeout; long streams bring it back
+            this.showTypingIndicator('streaming', {
+                character: this.stateManager.get('activeCharacter')
+            });
+        } else if (this.currentAnimation !== 'streaming') {
+            this.updateTypingAnimation('streaming');
+        }
     }
     
     /**
@@ -588,6 +613,7 @@ class TypingIndicatorManager {
             sent: '<span class="status-icon sent">✓</span>',
             delivered: '<span class="status-icon delivered">✓✓</span>',
             read: '<span class="status-icon read">👁️</span>',
+            stopped: '<span class="status-icon stopped">⏹️</span>',
             error: '<span class="status-icon error">⚠️</span>'
         };
         
@@ -607,6 +633,7 @@ class TypingIndicatorManager {
             sent: 'Message sent',
             delivered: 'Message delivered',
             read: 'Message read',
+            stopped: metadata.partial ? 'Response stopped early' : 'Request cancelled',
             error: `Error: ${metadata.error || 'Unknown error'}`
         };
         
@@ -743,6 +770,7 @@ class TypingIndicatorManager {
         this.eventEmitter.off('api:requestProgress');
         this.eventEmitter.off('api:requestComplete');
         this.eventEmitter.off('api:requestError');
+        this.eventEmitter.off('api:requestCancelled');
         this.eventEmitter.off('api:streamChunk');
         this.eventEmitter.off('message:sending');
         this.eventEmitter.off('message:sent');
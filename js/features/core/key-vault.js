@@ -0,0 +1,286 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * Key Vault
+ *
+ * Keeps the providers' API keys out of plaintext storage. Keys are either encrypted
+ * in localStorage with AES-GCM, under a key derived from the user's passphrase with
+ * PBKDF2, or remembered in sessionStorage until the tab is closed. The derived key
+ * only lives in memory while the vault is unlocked.
+ */
+
+const VAULT_STORAGE_KEY = 'parklandAI_keyVault';
+const SESSION_STORAGE_KEY = 'parklandAI_sessionKeys';
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000; // OWASP's recommendation for PBKDF2-HMAC-SHA256
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class KeyVault {
+    /**
+     * @param {Object} [options={}]
+     * @param {Storage} [options.storage=localStorage] - Where the encrypted vault is kept.
+     * @param {Storage} [options.sessionStorage=sessionStorage] - Where session-only keys are kept.
+     * @param {Crypto} [options.crypto=crypto] - A WebCrypto implementation.
+     * @param {number} [options.iterations] - PBKDF2 iterations for new vaults; stored vaults keep their own.
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || localStorage;
+        this.sessionStorage = options.sessionStorage || sessionStorage;
+        this.crypto = options.crypto || globalThis.crypto;
+        this.iterations = options.iterations || PBKDF2_ITERATIONS;
+        this.minPassphraseLength = MIN_PASSPHRASE_LENGTH;
+        this._key = null; // The AES-GCM CryptoKey while unlocked, with the salt and iterations it came from
+        this._salt = null;
+        this._iterations = null;
+    }
+
+    /**
+     * True if WebCrypto is available (it requires a secure context: https or localhost).
+     * @returns {boolean}
+     */
+    isSupported() {
+        return !!(this.crypto && this.crypto.subtle);
+    }
+
+    /**
+     * True if keys have been saved under a passphrase on this device.
+     * @returns {boolean}
+     */
+    hasVault() {
+        return !!this.storage.getItem(VAULT_STORAGE_KEY);
+    }
+
+    /**
+     * True while there is a vault that has not been unlocked with its passphrase.
+     * @returns {boolean}
+     */
+    isLocked() {
+        return this.hasVault() && !this._key;
+    }
+
+    /**
+     * How keys are currently kept: 'vault' (encrypted on this device), 'session' (until the tab
+     * is closed) or 'memory' (not kept at all).
+     * @returns {string}
+     */
+    getMode() {
+        if (this.hasVault()) return 'vault';
+        return this.sessionStorage.getItem(SESSION_STORAGE_KEY) ? 'session' : 'memory';
+    }
+
+    /**
+     * Encrypts the keys under a new passphrase, replacing any session-only copy.
+     * The vault stays unlocked afterwards.
+     * @param {string} passphrase
+     * @param {Object} keys - API keys by provider ID.
+     * @returns {Promise<void>}
+     */
+    async create(passphrase, keys) {
+        this._checkPassphrase(passphrase);
+        await this._rekey(passphrase);
+        await this._write(keys);
+        this.sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+
+    /**
+     * Decrypts the stored keys. The vault stays unlocked until lock() is called.
+     * @param {string} passphrase
+     * @returns {Promise<Object>} API keys by provider ID.
+     * @throws {Error} If there is no vault or the passphrase is wrong.
+     */
+    async unlock(passphrase) {
+        const record = this._readRecord();
+        const salt = this._fromBase64(record.salt);
+        const key = await this._deriveKey(passphrase || '', salt, record.iterations);
+        const keys = await this._decrypt(record, key);
+        this._key = key;
+        this._salt = salt;
+        this._iterations = record.iterations;
+        return keys;
+    }
+
+    /**
+     * Forgets the derived key; the keys stay encrypted in storage.
+     */
+    lock() {
+        this._key = null;
+        this._salt = null;
+        this._iterations = null;
+    }
+
+    /**
+     * Saves the keys the way they are currently kept: re-encrypted while the vault is unlocked,
+     * in sessionStorage in session mode. A locked vault is left untouched.
+     * @param {Object} keys - API keys by provider ID.
+     * @returns {Promise<void>}
+     */
+    async persist(keys) {
+        if (this.hasVault()) {
+            if (this._key) await this._write(keys);
+            return;
+        }
+        if (this.getMode() === 'session') this.rememberForSession(keys);
+    }
+
+    /**
+     * Keeps the keys in sessionStorage, which the browser clears when the tab is closed.
+     * @param {Object} keys - API keys by provider ID.
+     */
+    rememberForSession(keys) {
+        this.sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(keys || {}));
+    }
+
+    /**
+     * @returns {Object|null} The session-only keys, if any.
+     */
+    loadSessionKeys() {
+        try {
+            const stored = this.sessionStorage.getItem(SESSION_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn('Could not read the session keys:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Re-encrypts the stored keys under a new passphrase, with a fresh salt and IV
+     * (and the current iteration count, for vaults created with fewer).
+     * @param {string} currentPassphrase - Checked against the vault before anything changes.
+     * @param {string} newPassphrase
+     * @returns {Promise<Object>} The re-encrypted keys.
+     * @throws {Error} If the current passphrase is wrong or the new one is too short.
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        this._checkPassphrase(newPassphrase);
+        const keys = await this.unlock(currentPassphrase);
+        await this._rekey(newPassphrase);
+        await this._write(keys);
+        return keys;
+    }
+
+    /**
+     * Deletes the vault and any session-only keys.
+     */
+    forget() {
+        this.lock();
+        this.storage.removeItem(VAULT_STORAGE_KEY);
+        this.sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+
+    /**
+     * @private
+     */
+    _checkPassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < this.minPassphraseLength) {
+            throw new Error(`The passphrase must be at least ${this.minPassphraseLength} characters long.`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _requireSupport() {
+        if (!this.isSupported()) {
+            throw new Error('Encryption is not available in this browser. Open the app over https or from localhost.');
+        }
+    }
+
+    /**
+     * Derives a new key from the passphrase with a fresh salt; the vault is written with it from then on.
+     * @private
+     */
+    async _rekey(passphrase) {
+        this._requireSupport();
+        const salt = this.crypto.getRandomValues(new Uint8Array(16));
+        this._key = await this._deriveKey(passphrase, salt, this.iterations);
+        this._salt = salt;
+        this._iterations = this.iterations;
+    }
+
+    /**
+     * Derives the AES-GCM key from a passphrase with PBKDF2-HMAC-SHA256.
+     * @private
+     */
+    async _deriveKey(passphrase, salt, iterations) {
+        this._requireSupport();
+        const material = await this.crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return this.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypts the keys with a fresh IV and stores them with the salt and iteration count.
+     * @private
+     */
+    async _write(keys) {
+        const iv = this.crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(keys || {}));
+        const ciphertext = await this.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this._key, plaintext);
+        this.storage.setItem(VAULT_STORAGE_KEY, JSON.stringify({
+            version: VAULT_VERSION,
+            iterations: this._iterations,
+            salt: this._toBase64(this._salt),
+            iv: this._toBase64(iv),
+            data: this._toBase64(new Uint8Array(ciphertext))
+        }));
+    }
+
+    /**
+     * @private
+     */
+    async _decrypt(record, key) {
+        try {
+            const plaintext = await this.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this._fromBase64(record.iv) },
+                key,
+                this._fromBase64(record.data)
+            );
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            // AES-GCM authentication fails the same way for a wrong passphrase and tampered data
+            throw new Error('Incorrect passphrase.');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _readRecord() {
+        let record = null;
+        try {
+            record = JSON.parse(this.storage.getItem(VAULT_STORAGE_KEY));
+        } catch (error) {
+            record = null;
+        }
+        if (!record || record.version !== VAULT_VERSION || !record.salt || !record.iv || !record.data) {
+            throw new Error('No saved keys were found on this device.');
+        }
+        return record;
+    }
+
+    /**
+     * @private
+     */
+    _toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    /**
+     * @private
+     */
+    _fromBase64(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+}
+
+// Global instance creation pattern
+if (typeof window !== 'undefined') {
+    window.KeyVault = KeyVault;
+}
@@ -53,12 +53,13 @@ class NotificationSystem {
      */
     _bindEvents() {
         // Listen for global error events
-        this.eventEmitter.on('errorDisplay', this.showError.bind(this));
-        this.eventEmitter.on('notificationDisplay', this.show.bind(this));
+        this.eventEmitter.on('errorDisplay', (payload) => this._handleDisplayEvent(payload, 'error'));
+        this.eventEmitter.on('notificationDisplay', (payload) => this._handleDisplayEvent(payload, 'info'));
         
         // Listen for app events that might need notifications
         this.eventEmitter.on('apiRequest:failed', this._handleApiFailure.bind(this));
         this.eventEmitter.on('apiRequest:retry', this._handleApiRetry.bind(this));
+        this.eventEmitter.on('api:requestCancelled', this._handleRequestCancelled.bind(this));
         this.eventEmitter.on('connection:lost', this._handleConnectionLoss.bind(this));
         this.eventEmitter.on('connection:restored', this._handleConnectionRestore.bind(this));
         
@@ -477,6 +478,39 @@ class NotificationSystem {
         });
     }
 
+    /**
+     * Shows a notification for an app-wide display event.
+     * Events carry either a plain message or a { message, type } payload.
+     * @param {string|Object} payload - Event data
+     * @param {string} defaultType - Type to use when the payload has none
+     * @private
+     */
+    _handleDisplayEvent(payload, defaultType) {
+        const message = typeof payload === 'string' ? payload : payload && payload.message;
+        if (!message) return;
+        const type = (payload && payload.type && ['info', 'success', 'warning', 'error'].includes(payload.type)) ?
+            payload.type :
+            defaultType;
+        if (type === 'error') this.showError(message);
+        else this.show(message, { type });
+    }
+
+    /**
+     * Handles a request cancelled by the user
+     * @param {Object} event - Cancellation event data
+     * @private
+     */
+    _handleRequestCancelled(event) {
+        const message = event && event.partialContent ?
+            'Response stopped. The partial reply was kept.' :
+            'Request cancelled.';
+        this.show(message, {
+            type: 'info',
+            duration: 2500,
+            category: 'api'
+        });
+    }
+
     /**
      * Handles connection loss
      * @private
@@ -145,8 +145,10 @@ class RetryManager {
      * Executes an operation through a circuit breaker
      * @param {string} serviceId - Service identifier
      * @param {Function} operation - Operation to execute
-     * @param {Object} config - Additional configuration
+     * @param {Object} config - Additional configuration. `isCircuitFailure(error)` decides which
+     * failures count towards opening the circuit; by default they all do.
      * @returns {Promise} Promise that resolves with operation result
+     * @throws {Error} With code 'CIRCUIT_OPEN' while the circuit is open
      */
     async executeWithCircuitBreaker(serviceId, operation, config = {}) {
         const circuitBreaker = this.circuitBreakers.get(serviceId);
@@ -160,7 +162,10 @@ class RetryManager {
         
         if (circuitBreaker.state === 'OPEN') {
             if (currentTime < circuitBreaker.nextAttemptTime) {
-                throw new Error(`Circuit breaker is OPEN for service: ${serviceId}`);
+                const openError = new Error(`Circuit breaker is OPEN for service: ${serviceId}`);
+                openError.code = 'CIRCUIT_OPEN';
+                openError.retryAt = circuitBreaker.nextAttemptTime;
+                throw openError;
             } else {
                 // Transition to HALF_OPEN
                 circuitBreaker.state = 'HALF_OPEN';
@@ -173,7 +178,9 @@ class RetryManager {
             this._recordCircuitSuccess(serviceId);
             return result;
         } catch (error) {
-            this._recordCircuitFailure(serviceId);
+            if (typeof config.isCircuitFailure !== 'function' || config.isCircuitFailure(error)) {
+                this._recordCircuitFailure(serviceId);
+            }
             throw error;
         }
     }
@@ -207,7 +214,7 @@ class RetryManager {
                 
                 // Check if we should retry
                 if (attempt < config.maxAttempts && config.retryCondition(error, attempt)) {
-                    const delay = this._calculateDelay(attempt, config);
+                    const delay = this._calculateDelay(attempt, config, error);
                     
                     if (config.onRetry) {
                         config.onRetry(attempt, error);
@@ -250,10 +257,15 @@ class RetryManager {
      * Calculates delay for next retry attempt
      * @param {number} attempt - Current attempt number
      * @param {Object} config - Retry configuration
+     * @param {Error} [error] - The failure; a numeric `retryAfter` (seconds, e.g. from a 429) is honored
      * @returns {number} Delay in milliseconds
      * @private
      */
-    _calculateDelay(attempt, config) {
+    _calculateDelay(attempt, config, error = null) {
+        if (error && typeof error.retryAfter === 'number') {
+            return Math.min(Math.ceil(error.retryAfter * 1000), config.maxDelay);
+        }
+
         const exponentialDelay = config.baseDelay * Math.pow(config.backoffMultiplier, attempt - 1);
         let delay = Math.min(exponentialDelay, config.maxDelay);
         
@@ -425,15 +437,17 @@ class RetryManager {
      * @private
      */
     _setupNetworkMonitoring() {
-        window.addEventListener('online', () => {
+        this._handleOnline = () => {
             this.isOnline = true;
             this.eventEmitter.emit('connection:restored');
-        });
-
-        window.addEventListener('offline', () => {
+        };
+        this._handleOffline = () => {
             this.isOnline = false;
             this.eventEmitter.emit('connection:lost');
-        });
+        };
+
+        window.addEventListener('online', this._handleOnline);
+        window.addEventListener('offline', this._handleOffline);
     }
 
     /**
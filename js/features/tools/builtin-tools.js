@@ -0,0 +1,198 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * BuiltinTools
+ *
+ * General-purpose tools that do not belong to another feature module:
+ * the current date and time, and a calculator. The calculator parses
+ * expressions itself rather than using eval, so model input never runs as code.
+ */
+
+class BuiltinTools {
+    constructor() {
+        this.functions = {
+            sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+            sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+            log: Math.log10, ln: Math.log, exp: Math.exp
+        };
+        this.constants = { pi: Math.PI, e: Math.E };
+    }
+
+    /**
+     * Adds the built-in tools to a registry.
+     * @param {ToolRegistry} registry
+     */
+    register(registry) {
+        registry.register({
+            name: 'get_current_datetime',
+            description: 'Returns the current date, time, weekday and time zone. Use it whenever the answer depends on today\'s date or the current time.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    timezone: { type: 'string', description: 'IANA time zone such as "Europe/London". Defaults to the user\'s time zone.' }
+                }
+            },
+            handler: input => this.getCurrentDateTime(input)
+        });
+
+        registry.register({
+            name: 'calculator',
+            description: 'Evaluates an arithmetic expression exactly. Supports + - * / % ^, parentheses, the constants pi and e, and sqrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, log (base 10), ln and exp. Angles are in radians.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    expression: { type: 'string', description: 'The expression to evaluate, e.g. "(12.5 * 4) ^ 2 / sqrt(16)".' }
+                },
+                required: ['expression']
+            },
+            handler: input => this.calculate(input)
+        });
+    }
+
+    /**
+     * @param {{timezone?: string}} [input={}]
+     * @param {Date} [now=new Date()]
+     * @returns {Object}
+     */
+    getCurrentDateTime(input = {}, now = new Date()) {
+        const timeZone = input.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        let formatted;
+        try {
+            formatted = new Intl.DateTimeFormat('en-US', {
+                timeZone, dateStyle: 'full', timeStyle: 'long'
+            }).format(now);
+        } catch (error) {
+            throw new Error(`Unknown time zone "${input.timezone}".`);
+        }
+        return {
+            iso: now.toISOString(),
+            local: formatted,
+            timezone: timeZone,
+            unixTimestamp: Math.floor(now.getTime() / 1000)
+        };
+    }
+
+    /**
+     * @param {{expression: string}} input
+     * @returns {{expression: string, result: number}}
+     */
+    calculate(input) {
+        const result = this.evaluate(input.expression);
+        return { expression: input.expression, result };
+    }
+
+    /**
+     * Evaluates an arithmetic expression with a recursive-descent parser.
+     * @param {string} expression
+     * @returns {number}
+     * @throws {Error} If the expression is malformed or the result is not a finite number.
+     */
+    evaluate(expression) {
+        const tokens = this._tokenize(String(expression));
+        let position = 0;
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const expect = (value) => {
+            const token = next();
+            if (!token || token.value !== value) throw new Error(`Expected "${value}" in expression.`);
+        };
+
+        // expression := term (('+' | '-') term)*
+        const parseExpression = () => {
+            let value = parseTerm();
+            while (peek() && (peek().value === '+' || peek().value === '-')) {
+                value = next().value === '+' ? value + parseTerm() : value - parseTerm();
+            }
+            return value;
+        };
+        // term := unary (('*' | '/' | '%') unary)*
+        const parseTerm = () => {
+            let value = parseUnary();
+            while (peek() && ['*', '/', '%'].includes(peek().value)) {
+                const operator = next().value;
+                const right = parseUnary();
+                if (operator === '*') value *= right;
+                else if (operator === '/') value /= right;
+                else value %= right;
+            }
+            return value;
+        };
+        // unary := ('+' | '-') unary | power
+        const parseUnary = () => {
+            if (peek() && (peek().value === '-' || peek().value === '+')) {
+                return next().value === '-' ? -parseUnary() : parseUnary();
+            }
+            return parsePower();
+        };
+        // power := primary ('^' unary)?   (right-associative, so 2^3^2 = 2^9)
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (peek() && peek().value === '^') {
+                next();
+                return Math.pow(base, parseUnary());
+            }
+            return base;
+        };
+        // primary := number | constant | function '(' expression ')' | '(' expression ')'
+        const parsePrimary = () => {
+            const token = next();
+            if (!token) throw new Error('Unexpected end of expression.');
+            if (token.type === 'number') return token.value;
+            if (token.type === 'name') {
+                if (Object.prototype.hasOwnProperty.call(this.functions, token.value)) {
+                    expect('(');
+                    const argument = parseExpression();
+                    expect(')');
+                    return this.functions[token.value](argument);
+                }
+                if (Object.prototype.hasOwnProperty.call(this.constants, token.value)) {
+                    return this.constants[token.value];
+                }
+                throw new Error(`Unknown name "${token.value}" in expression.`);
+            }
+            if (token.value === '(') {
+                const value = parseExpression();
+                expect(')');
+                return value;
+            }
+            throw new Error(`Unexpected "${token.value}" in expression.`);
+        };
+
+        if (tokens.length === 0) throw new Error('The expression is empty.');
+        const result = parseExpression();
+        if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}" in expression.`);
+        if (!Number.isFinite(result)) throw new Error('The result is not a finite number (division by zero or out of range).');
+        return result;
+    }
+
+    /**
+     * @param {string} expression
+     * @returns {Array<{type: string, value: *}>}
+     * @private
+     */
+    _tokenize(expression) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+)|([a-z]+)|([-+*/%^()×÷]))/iy;
+        let match;
+        let index = 0;
+        while (index < expression.length) {
+            pattern.lastIndex = index;
+            match = pattern.exec(expression);
+            if (!match) {
+                if (!expression.slice(index).trim()) break;
+                throw new Error(`Unexpected character "${expression.slice(index).trim()[0]}" in expression.`);
+            }
+            index = pattern.lastIndex;
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(match[1]) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'name', value: match[2].toLowerCase() });
+            } else {
+                const operator = { '×': '*', '÷': '/' }[match[3]] || match[3];
+                tokens.push({ type: 'operator', value: operator });
+            }
+        }
+        return tokens;
+    }
+}
+
+window.BuiltinTools = BuiltinTools;
@@ -0,0 +1,138 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * ToolRegistry
+ *
+ * Holds the tools the assistant may call while answering. Any module can
+ * register a tool: a name, a description for the model, a JSON-schema
+ * description of its input and a handler. API providers send the definitions
+ * with each request and run the tool-use loop through execute().
+ */
+
+class ToolRegistry {
+    /**
+     * @param {EventEmitter} [eventEmitter=null] - Receives 'tool:executed' events.
+     */
+    constructor(eventEmitter = null) {
+        this.eventEmitter = eventEmitter;
+        this.tools = new Map();
+        this.maxOutputLength = 20000; // Characters; longer outputs are cut so one tool cannot flood the context
+    }
+
+    /**
+     * Registers a tool, replacing any tool of the same name.
+     * @param {Object} tool - { name, description, inputSchema, handler(input) }.
+     * The handler may be async and returns a string or a JSON-serializable value.
+     * @returns {ToolRegistry} The registry, for chaining.
+     */
+    register(tool) {
+        if (!tool || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || '')) {
+            throw new Error('ToolRegistry: tool name must be 1-64 letters, digits, underscores or hyphens.');
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`ToolRegistry: tool "${tool.name}" needs a handler function.`);
+        }
+        if (!tool.inputSchema || tool.inputSchema.type !== 'object') {
+            throw new Error(`ToolRegistry: tool "${tool.name}" needs an inputSchema of type "object".`);
+        }
+        if (this.tools.has(tool.name)) {
+            console.warn(`ToolRegistry: replacing existing tool "${tool.name}".`);
+        }
+        this.tools.set(tool.name, {
+            name: tool.name,
+            description: tool.description || '',
+            inputSchema: tool.inputSchema,
+            handler: tool.handler
+        });
+        return this;
+    }
+
+    /**
+     * @param {string} name - Tool name.
+     * @returns {boolean} True if a tool was removed.
+     */
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    /**
+     * @returns {Array<Object>} Registered tools in registration order.
+     */
+    list() {
+        return Array.from(this.tools.values());
+    }
+
+    /**
+     * Provider-neutral tool definitions; adapters map them to their API's format.
+     * @returns {Array<{name: string, description: string, inputSchema: Object}>}
+     */
+    getDefinitions() {
+        return this.list().map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+    }
+
+    /**
+     * Runs a tool. Failures are returned rather than thrown, so the model can see them and recover.
+     * @param {string} name - Tool name, as requested by the model.
+     * @param {Object} [input={}] - Tool input, as generated by the model.
+     * @returns {Promise<{output: string, isError: boolean}>}
+     */
+    async execute(name, input = {}) {
+        const tool = this.tools.get(name);
+        const startTime = Date.now();
+        let output;
+        let isError = false;
+
+        try {
+            if (!tool) throw new Error(`Unknown tool "${name}".`);
+            this._validateInput(tool, input);
+            const result = await tool.handler(input || {});
+            output = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+        } catch (error) {
+            isError = true;
+            output = `Error: ${error && error.message ? error.message : String(error)}`;
+        }
+
+        if (output === undefined) output = '';
+        if (output.length > this.maxOutputLength) {
+            output = `${output.slice(0, this.maxOutputLength)}\n[Output truncated]`;
+        }
+
+        if (this.eventEmitter) {
+            this.eventEmitter.emit('tool:executed', { name, input, isError, durationMs: Date.now() - startTime });
+        }
+        return { output, isError };
+    }
+
+    /**
+     * Checks required properties and primitive types declared by the tool's schema.
+     * @throws {Error} Describing the first problem found.
+     * @private
+     */
+    _validateInput(tool, input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('Tool input must be an object.');
+        }
+        const { required = [], properties = {} } = tool.inputSchema;
+        required.forEach(key => {
+            if (input[key] === undefined || input[key] === null || input[key] === '') {
+                throw new Error(`Missing required input "${key}".`);
+            }
+        });
+        Object.entries(input).forEach(([key, value]) => {
+            const expected = properties[key] && properties[key].type;
+            if (!expected || value === undefined || value === null) return;
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            const matches = expected === 'integer' ? Number.isInteger(value) : expected === actual;
+            if (!matches) throw new Error(`Input "${key}" must be of type ${expected}.`);
+        });
+    }
+}
+
+window.ToolRegistry = ToolRegistry;
@@ -0,0 +1,166 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * UsageDashboard
+ *
+ * Renders the usage modal: today's, this month's and the current chat's
+ * totals, progress against the monthly budget, the last two weeks day by
+ * day and this month's breakdown per model. All figures come from UsageTracker.
+ */
+
+class UsageDashboard {
+    /**
+     * @param {HTMLElement} containerElement - Element the dashboard renders into (the modal body).
+     * @param {UsageTracker} usageTracker - Source of all usage figures.
+     * @param {ParklandUtils} utils - Instance of ParklandUtils.
+     * @param {StateManager} stateManager - Instance of StateManager.
+     */
+    constructor(containerElement, usageTracker, utils, stateManager) {
+        if (!containerElement || !usageTracker || !utils || !stateManager) {
+            throw new Error("UsageDashboard requires a container element, UsageTracker, Utils, and StateManager.");
+        }
+        this.container = containerElement;
+        this.usageTracker = usageTracker;
+        this.utils = utils;
+        this.stateManager = stateManager;
+        this.historyDays = 14;
+    }
+
+    /**
+     * Re-renders the whole dashboard from current data.
+     */
+    render() {
+        const tracker = this.usageTracker;
+        const today = tracker.getDailyUsage(1)[0];
+        const month = tracker.getMonthUsage();
+        const session = tracker.summarizeMessages(this.stateManager.get('chatHistory') || []);
+
+        this.container.innerHTML = '';
+        const dashboard = this.utils.createElement('div', { className: 'usage-dashboard' }, [
+            this.utils.createElement('div', { className: 'usage-summary-cards' }, [
+                this._createCard('Today', today),
+                this._createCard('This month', month),
+                this._createCard('This chat', session)
+            ]),
+            this._createBudgetSection(month),
+            this._createDailySection(),
+            this._createModelSection(month)
+        ].filter(Boolean));
+        this.container.appendChild(dashboard);
+    }
+
+    /**
+     * @param {string} label - Card heading.
+     * @param {Object} totals - { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, requests, cost }.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createCard(label, totals) {
+        const tracker = this.usageTracker;
+        return this.utils.createElement('div', { className: 'usage-card' }, [
+            this.utils.createElement('div', { className: 'usage-card-label' }, [label]),
+            this.utils.createElement('div', { className: 'usage-card-value' }, [tracker.formatCost(totals.cost)]),
+            this.utils.createElement('div', { className: 'usage-card-detail' }, [
+                `${tracker.formatTokens(totals.inputTokens)} in · ${tracker.formatTokens(totals.outputTokens)} out · ${totals.requests} ${totals.requests === 1 ? 'reply' : 'replies'}`
+            ]),
+            totals.cacheReadTokens || totals.cacheWriteTokens ?
+                this.utils.createElement('div', { className: 'usage-card-detail' }, [
+                    `Prompt cache: ${tracker.formatTokens(totals.cacheReadTokens)} read · ${tracker.formatTokens(totals.cacheWriteTokens)} written`
+                ]) :
+                null
+        ].filter(Boolean));
+    }
+
+    /**
+     * @param {Object} month - Month totals from UsageTracker.getMonthUsage().
+     * @returns {HTMLElement|null} Null when no budget is set.
+     * @private
+     */
+    _createBudgetSection(month) {
+        const budget = this.usageTracker.getMonthlyBudget();
+        if (!budget) return null;
+
+        const spent = month.cost || 0;
+        const ratio = spent / budget;
+        const fill = this.utils.createElement('div', {
+            className: ['usage-budget-fill', ratio >= 1 ? 'exceeded' : ratio >= 0.8 ? 'warning' : ''].filter(Boolean),
+            style: { width: `${Math.min(100, ratio * 100).toFixed(1)}%` }
+        });
+        const caption = `${this.usageTracker.formatCost(spent)} of ${this.usageTracker.formatCost(budget)} (${Math.round(ratio * 100)}%)` +
+            (month.cost === null ? ' · some models have no price and are not counted' : '');
+
+        return this.utils.createElement('section', {}, [
+            this.utils.createElement('h3', { className: 'usage-section-title' }, ['Monthly budget']),
+            this.utils.createElement('div', {
+                className: 'usage-budget-bar',
+                role: 'progressbar',
+                'aria-valuemin': 0,
+                'aria-valuemax': 100,
+                'aria-valuenow': Math.min(100, Math.round(ratio * 100))
+            }, [fill]),
+            this.utils.createElement('div', { className: 'usage-budget-caption' }, [caption])
+        ]);
+    }
+
+    /**
+     * @returns {HTMLElement} Table of the last historyDays days, newest first.
+     * @private
+     */
+    _createDailySection() {
+        const tracker = this.usageTracker;
+        const rows = tracker.getDailyUsage(this.historyDays).reverse().map(day =>
+            this.utils.createElement('tr', { className: day.requests ? null : 'usage-row-empty' }, [
+                this.utils.createElement('td', {}, [day.date]),
+                this.utils.createElement('td', {}, [tracker.formatTokens(day.inputTokens)]),
+                this.utils.createElement('td', {}, [tracker.formatTokens(day.outputTokens)]),
+                this.utils.createElement('td', {}, [tracker.formatCost(day.cost)])
+            ])
+        );
+        return this.utils.createElement('section', {}, [
+            this.utils.createElement('h3', { className: 'usage-section-title' }, [`Last ${this.historyDays} days`]),
+            this._createTable(['Date', 'Input', 'Output', 'Cost'], rows)
+        ]);
+    }
+
+    /**
+     * @param {Object} month - Month totals from UsageTracker.getMonthUsage().
+     * @returns {HTMLElement} Per-model table for the month, most expensive first.
+     * @private
+     */
+    _createModelSection(month) {
+        const tracker = this.usageTracker;
+        const entries = Object.entries(month.byModel)
+            .sort(([, a], [, b]) => (b.cost || 0) - (a.cost || 0) || b.outputTokens - a.outputTokens);
+        const title = this.utils.createElement('h3', { className: 'usage-section-title' }, ['This month by model']);
+        if (entries.length === 0) {
+            return this.utils.createElement('section', {}, [
+                title,
+                this.utils.createElement('p', { className: 'usage-empty' }, ['No usage recorded this month.'])
+            ]);
+        }
+
+        const rows = entries.map(([model, totals]) =>
+            this.utils.createElement('tr', {}, [
+                this.utils.createElement('td', {}, [model]),
+                this.utils.createElement('td', {}, [String(totals.requests)]),
+                this.utils.createElement('td', {}, [tracker.formatTokens(totals.inputTokens)]),
+                this.utils.createElement('td', {}, [tracker.formatTokens(totals.outputTokens)]),
+                this.utils.createElement('td', {}, [tracker.formatCost(totals.cost)])
+            ])
+        );
+        return this.utils.createElement('section', {}, [
+            title,
+            this._createTable(['Model', 'Replies', 'Input', 'Output', 'Cost'], rows)
+        ]);
+    }
+
+    _createTable(headings, rows) {
+        return this.utils.createElement('table', { className: 'usage-table' }, [
+            this.utils.createElement('thead', {}, [
+                this.utils.createElement('tr', {}, headings.map(heading => this.utils.createElement('th', { scope: 'col' }, [heading])))
+            ]),
+            this.utils.createElement('tbody', {}, rows)
+        ]);
+    }
+}
+
+window.UsageDashboard = UsageDashboard;
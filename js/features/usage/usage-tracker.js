@@ -0,0 +1,409 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * UsageTracker
+ *
+ * Records the token usage reported with every assistant reply, keeps daily
+ * totals across sessions in localStorage, prices them with a per-model table
+ * (built-in defaults plus the user's overrides) and warns through the
+ * NotificationSystem when the month's estimated spend nears the user's budget.
+ */
+
+/**
+ * Built-in prices in USD per million tokens. Keys are model ID prefixes, so
+ * 'claude-3-haiku' also prices 'claude-3-haiku-20240307'.
+ */
+const DEFAULT_MODEL_PRICES = {
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-2.1': { input: 8, output: 24 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+};
+
+/**
+ * Prompt caching prices relative to a model's input price: writing a prefix to the cache
+ * costs a little more than sending it, reading it back costs a tenth.
+ */
+const CACHE_WRITE_PRICE_FACTOR = 1.25;
+const CACHE_READ_PRICE_FACTOR = 0.1;
+
+/** Fractions of the monthly budget at which a warning is shown, once each per month. */
+const BUDGET_WARNING_LEVELS = [0.8, 1];
+
+class UsageTracker {
+    /**
+     * @param {StateManager} stateManager - Instance of StateManager.
+     * @param {EventEmitter} eventEmitter - Instance of EventEmitter.
+     * @param {ParklandUtils} utils - Instance of ParklandUtils.
+     * @param {NotificationSystem} [notificationSystem=null] - Used for budget warnings.
+     */
+    constructor(stateManager, eventEmitter, utils, notificationSystem = null) {
+        if (!stateManager || !eventEmitter || !utils) {
+            throw new Error("UsageTracker requires StateManager, EventEmitter, and Utils instances.");
+        }
+        this.stateManager = stateManager;
+        this.eventEmitter = eventEmitter;
+        this.utils = utils;
+        this.notificationSystem = notificationSystem;
+
+        this.storageKey = 'parklandAI_usageDaily';
+        this.warningsKey = 'parklandAI_usageBudgetWarnings';
+        this.maxStoredDays = 400; // A little over a year of daily totals
+
+        this._handleMessageReceived = this._handleMessageReceived.bind(this);
+        this.eventEmitter.on('message:received', this._handleMessageReceived);
+        this.eventEmitter.on('context:compacted', this._handleMessageReceived); // Summarization requests cost tokens too
+        this.eventEmitter.on('session:titled', this._handleMessageReceived); // As do requests for chat titles
+
+        console.log('📊 UsageTracker initialized.');
+    }
+
+    /**
+     * Converts a provider usage block into the shape stored on messages.
+     * Input tokens exclude prompt-cache traffic, which is counted as cache writes and cache reads.
+     * @param {Object} usage - API usage ({ input_tokens, output_tokens, cache_creation_input_tokens,
+     * cache_read_input_tokens }) or an already normalized object.
+     * @returns {{inputTokens: number, outputTokens: number, cacheWriteTokens: number, cacheReadTokens: number}|null}
+     * Null if there is nothing to count.
+     */
+    normalizeUsage(usage) {
+        if (!usage || typeof usage !== 'object') return null;
+        const inputTokens = Number(usage.inputTokens ?? usage.input_tokens) || 0;
+        const outputTokens = Number(usage.outputTokens ?? usage.output_tokens) || 0;
+        const cacheWriteTokens = Number(usage.cacheWriteTokens ?? usage.cache_creation_input_tokens) || 0;
+        const cacheReadTokens = Number(usage.cacheReadTokens ?? usage.cache_read_input_tokens) || 0;
+        if (!inputTokens && !outputTokens && !cacheWriteTokens && !cacheReadTokens) return null;
+        return { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens };
+    }
+
+    /**
+     * The price table in effect: built-in prices overlaid with userPreferences.modelPrices.
+     * @returns {Object<string, {input: number, output: number}>} USD per million tokens, keyed by model ID prefix.
+     */
+    getPriceTable() {
+        const overrides = this.stateManager.get('userPreferences.modelPrices') || {};
+        return { ...DEFAULT_MODEL_PRICES, ...overrides };
+    }
+
+    /**
+     * Finds the price entry for a model; the longest matching ID prefix wins.
+     * @param {string} model - Model ID.
+     * @returns {{input: number, output: number}|null} Null for models without a known price.
+     */
+    getModelPrice(model) {
+        if (!model) return null;
+        const table = this.getPriceTable();
+        const match = Object.keys(table)
+            .filter(prefix => model === prefix || model.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? table[match] : null;
+    }
+
+    /**
+     * Estimated cost of some token usage.
+     * @param {string} model - Model ID.
+     * @param {Object} usage - Usage in either API or normalized shape.
+     * @returns {number|null} USD, or null if the model has no price.
+     */
+    estimateCost(model, usage) {
+        const price = this.getModelPrice(model);
+        const normalized = this.normalizeUsage(usage);
+        if (!price || !normalized) return normalized ? null : 0;
+        return (normalized.inputTokens * price.input +
+            normalized.cacheWriteTokens * price.input * CACHE_WRITE_PRICE_FACTOR +
+            normalized.cacheReadTokens * price.input * CACHE_READ_PRICE_FACTOR +
+            normalized.outputTokens * price.output) / 1e6;
+    }
+
+    /**
+     * Adds one reply's usage to today's totals and checks the monthly budget.
+     * @param {Object} entry - { model, usage, timestamp? }.
+     * @returns {boolean} True if anything was recorded.
+     */
+    recordUsage({ model, usage, timestamp = Date.now() }) {
+        const normalized = this.normalizeUsage(usage);
+        if (!normalized) return false;
+
+        const daily = this._getStoredDaily();
+        const dateKey = this._dateKey(new Date(timestamp));
+        const day = daily[dateKey] || (daily[dateKey] = { byModel: {} });
+        const modelKey = model || 'unknown';
+        const modelTotals = day.byModel[modelKey] || (day.byModel[modelKey] = this._emptyTotals());
+        this._addTotals(modelTotals, { ...normalized, requests: 1 });
+
+        this._storeDaily(daily);
+        this.eventEmitter.emit('usage:recorded', { model: modelKey, usage: normalized, date: dateKey });
+        this._checkBudget();
+        return true;
+    }
+
+    /**
+     * Totals for a list of chat messages, e.g. one session.
+     * @param {Array<Object>} messages - Messages carrying { model, usage }.
+     * @returns {Object} { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, requests, cost, byModel }
+     */
+    summarizeMessages(messages = []) {
+        const byModel = {};
+        // A regenerated reply carries every variant, each of which was a request of its own
+        messages.flatMap(message => (message && Array.isArray(message.variants) && message.variants.length ? message.variants : [message])).forEach(message => {
+            const usage = message && this.normalizeUsage(message.usage);
+            if (!usage) return;
+            const modelKey = message.model || 'unknown';
+            const totals = byModel[modelKey] || (byModel[modelKey] = this._emptyTotals());
+            this._addTotals(totals, { ...usage, requests: 1 });
+        });
+        return this._summarizeByModel(byModel);
+    }
+
+    /**
+     * Daily totals for the most recent days, oldest first; days without usage are included as zeros.
+     * @param {number} [days=14] - How many days to return, ending today.
+     * @returns {Array<Object>} { date, inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, requests, cost, byModel } per day.
+     */
+    getDailyUsage(days = 14) {
+        const daily = this._getStoredDaily();
+        const result = [];
+        const cursor = new Date();
+        cursor.setHours(0, 0, 0, 0);
+        cursor.setDate(cursor.getDate() - (days - 1));
+        for (let i = 0; i < days; i++) {
+            const dateKey = this._dateKey(cursor);
+            const day = daily[dateKey];
+            result.push({ date: dateKey, ...this._summarizeByModel(day ? day.byModel : {}) });
+            cursor.setDate(cursor.getDate() + 1);
+        }
+        return result;
+    }
+
+    /**
+     * Totals for one calendar month, overall and per model.
+     * @param {Date} [date=new Date()] - Any day in the month.
+     * @returns {Object} { month, inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, requests, cost, byModel }
+     */
+    getMonthUsage(date = new Date()) {
+        const monthKey = this._dateKey(date).slice(0, 7);
+        const byModel = {};
+        Object.entries(this._getStoredDaily()).forEach(([dateKey, day]) => {
+            if (!dateKey.startsWith(monthKey)) return;
+            Object.entries(day.byModel || {}).forEach(([model, totals]) => {
+                this._addTotals(byModel[model] || (byModel[model] = this._emptyTotals()), totals);
+            });
+        });
+        return { month: monthKey, ...this._summarizeByModel(byModel) };
+    }
+
+    /**
+     * @returns {number} The monthly budget in USD; 0 when no budget is set.
+     */
+    getMonthlyBudget() {
+        const budget = Number(this.stateManager.get('userPreferences.monthlyBudget'));
+        return budget > 0 ? budget : 0;
+    }
+
+    /**
+     * Formats a USD amount, keeping precision for the fractions of a cent single replies cost.
+     * @param {number|null} cost - Amount in USD.
+     * @returns {string}
+     */
+    formatCost(cost) {
+        if (cost === null || cost === undefined) return 'n/a';
+        if (cost === 0) return '$0.00';
+        if (cost < 0.01) return `$${cost.toFixed(4)}`;
+        return `$${cost.toFixed(2)}`;
+    }
+
+    /**
+     * @param {number} count - A token count.
+     * @returns {string} e.g. '950', '12.3k', '1.2M'.
+     */
+    formatTokens(count) {
+        if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+        if (count >= 1e4) return `${(count / 1e3).toFixed(1)}k`;
+        return String(count);
+    }
+
+    /**
+     * Parses the settings textarea format, one "model: input, output" entry per line.
+     * @param {string} text - Raw textarea contents.
+     * @returns {{prices: Object, invalidLines: Array<string>}} Parsed prices and any lines that could not be read.
+     */
+    parsePriceOverrides(text) {
+        const prices = {};
+        const invalidLines = [];
+        String(text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            const match = line.match(/^([^:\s]+)\s*:\s*([\d.]+)\s*,\s*([\d.]+)$/);
+            const input = match && parseFloat(match[2]);
+            const output = match && parseFloat(match[3]);
+            if (!match || Number.isNaN(input) || Number.isNaN(output)) {
+                invalidLines.push(line);
+                return;
+            }
+            prices[match[1]] = { input, output };
+        });
+        return { prices, invalidLines };
+    }
+
+    /**
+     * @param {Object} prices - Price overrides keyed by model ID prefix.
+     * @returns {string} The overrides in the settings textarea format.
+     */
+    formatPriceOverrides(prices = {}) {
+        return Object.entries(prices).map(([model, price]) => `${model}: ${price.input}, ${price.output}`).join('\n');
+    }
+
+    /**
+     * Deletes all stored daily totals and budget warning markers.
+     */
+    clearUsage() {
+        try {
+            localStorage.removeItem(this.storageKey);
+            localStorage.removeItem(this.warningsKey);
+        } catch (error) {
+            console.error('Error clearing usage data from localStorage:', error);
+        }
+        this.eventEmitter.emit('usage:cleared');
+    }
+
+    /**
+     * @param {Object} event - message:received, context:compacted or session:titled payload ({ model, usage, ... }).
+     * @private
+     */
+    _handleMessageReceived(event) {
+        if (!event || !event.usage) return;
+        this.recordUsage({ model: event.model, usage: event.usage });
+    }
+
+    /**
+     * @returns {Object} Zeroed { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, requests }.
+     * @private
+     */
+    _emptyTotals() {
+        return { inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, requests: 0 };
+    }
+
+    /**
+     * Adds one set of totals to another. Totals stored before prompt caching was tracked lack the cache fields.
+     * @param {Object} target - Totals to add to; changed in place.
+     * @param {Object} totals - Totals to add.
+     * @private
+     */
+    _addTotals(target, totals) {
+        Object.keys(this._emptyTotals()).forEach(key => {
+            target[key] = (target[key] || 0) + (totals[key] || 0);
+        });
+    }
+
+    /**
+     * Prices per-model totals and adds them up. Cost is null if any model with usage has no price.
+     * @param {Object} byModel - { [model]: { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, requests } }
+     * @returns {Object} { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, requests, cost, byModel }
+     * @private
+     */
+    _summarizeByModel(byModel) {
+        const summary = { ...this._emptyTotals(), cost: 0, byModel: {} };
+        Object.entries(byModel).forEach(([model, totals]) => {
+            const cost = this.estimateCost(model, totals);
+            summary.byModel[model] = { ...this._emptyTotals(), ...totals, cost };
+            this._addTotals(summary, totals);
+            summary.cost = summary.cost === null || cost === null ? null : summary.cost + cost;
+        });
+        return summary;
+    }
+
+    /**
+     * Warns once per month at each budget level the month's estimated spend has crossed.
+     * @private
+     */
+    _checkBudget() {
+        const budget = this.getMonthlyBudget();
+        if (!budget) return;
+
+        const month = this.getMonthUsage();
+        const spent = month.cost === null ?
+            Object.values(month.byModel).reduce((sum, totals) => sum + (totals.cost || 0), 0) : // Priced models only
+            month.cost;
+        const warned = this._getWarnedLevels(month.month);
+        const level = BUDGET_WARNING_LEVELS.filter(threshold => spent >= budget * threshold).pop();
+        if (level === undefined || warned.includes(level)) return;
+
+        this._storeWarnedLevels(month.month, [...warned, level]);
+        const message = level >= 1 ?
+            `Monthly budget reached: an estimated ${this.formatCost(spent)} of your ${this.formatCost(budget)} budget has been used.` :
+            `You have used an estimated ${this.formatCost(spent)} of your ${this.formatCost(budget)} monthly budget (${Math.round(level * 100)}%).`;
+        if (this.notificationSystem) {
+            this.notificationSystem.showWarning(message, { category: 'usage', persistent: level >= 1 });
+        } else {
+            this.eventEmitter.emit('notificationDisplay', { message, type: 'warning' });
+        }
+        this.eventEmitter.emit('usage:budgetWarning', { month: month.month, level, spent, budget });
+    }
+
+    _getWarnedLevels(monthKey) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.warningsKey) || 'null');
+            return stored && stored.month === monthKey && Array.isArray(stored.levels) ? stored.levels : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    _storeWarnedLevels(monthKey, levels) {
+        try {
+            localStorage.setItem(this.warningsKey, JSON.stringify({ month: monthKey, levels }));
+        } catch (error) {
+            console.error('Error storing budget warning state:', error);
+        }
+    }
+
+    /**
+     * @returns {Object} Stored daily totals: { 'YYYY-MM-DD': { byModel: { [model]: totals } } }.
+     * @private
+     */
+    _getStoredDaily() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error retrieving usage data from localStorage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Stores daily totals, dropping the oldest days beyond maxStoredDays.
+     * @param {Object} daily - Daily totals keyed by date.
+     * @private
+     */
+    _storeDaily(daily) {
+        const dates = Object.keys(daily).sort();
+        dates.slice(0, Math.max(0, dates.length - this.maxStoredDays)).forEach(date => delete daily[date]);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(daily));
+        } catch (error) {
+            console.error('Error storing usage data to localStorage:', error);
+            this.stateManager.set('lastError', { message: 'Failed to save usage data.', type: 'storage', originalError: error });
+        }
+    }
+
+    /**
+     * @param {Date} date - A date.
+     * @returns {string} The local calendar date as 'YYYY-MM-DD'.
+     * @private
+     */
+    _dateKey(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    destroy() {
+        this.eventEmitter.off('message:received', this._handleMessageReceived);
+        this.eventEmitter.off('context:compacted', this._handleMessageReceived);
+        this.eventEmitter.off('session:titled', this._handleMessageReceived);
+    }
+}
+
+window.UsageTracker = UsageTracker;
@@ -28,7 +28,9 @@ class VoiceSynthesis {
         this._isPaused = false;
         this._initialized = false;
 
+        this._characterVoiceMapKey = 'parklandAI_characterVoices';
         this._characterVoiceMap = {}; // To store preferred voice URIs for characters
+        this.loadCharacterVoices();
 
         // Default voice parameters (can be overridden by character effects)
         this._defaultParams = {
@@ -439,6 +441,7 @@ class VoiceSynthesis {
         if (voice) {
             if (characterKey) {
                 this._characterVoiceMap[characterKey] = voiceURI;
+                this._saveCharacterVoices();
                  if (this.stateManager.get('debugMode')) console.log(`Preferred voice for ${characterKey} set to: ${voice.name}`);
             } else {
                 // This could update a global default preference in StateManager userPreferences
@@ -450,6 +453,30 @@ class VoiceSynthesis {
         }
     }
 
+    /**
+     * Reads the voices chosen for characters from localStorage, e.g. after a backup was restored.
+     */
+    loadCharacterVoices() {
+        try {
+            const stored = localStorage.getItem(this._characterVoiceMapKey);
+            this._characterVoiceMap = stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('VoiceSynthesis: Could not read the character voices:', error);
+            this._characterVoiceMap = {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    _saveCharacterVoices() {
+        try {
+            localStorage.setItem(this._characterVoiceMapKey, JSON.stringify(this._characterVoiceMap));
+        } catch (error) {
+            console.warn('VoiceSynthesis: Could not save the character voices:', error);
+        }
+    }
+
     // Getters for state
     isSpeaking() { return this._isSpeaking; }
     isPaused() { return this._isPaused; }
@@ -0,0 +1,284 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * Mock Claude API Server
+ *
+ * A local stand-in for api.anthropic.com, for offline development and end-to-end tests.
+ * It implements the parts of the Messages API the app uses (messages with and without
+ * SSE streaming, token counting and the model list) and answers with deterministic
+ * canned replies.
+ *
+ * Usage: `npm run mock-api` (PORT defaults to 8787), then in Settings choose Anthropic Claude,
+ * set the Server URL to http://localhost:8787/v1 and use any key of the form sk-ant-... (40+ characters).
+ *
+ * Failures are scripted per request, either with a tag in the user's message
+ * (e.g. "[mock:overloaded] Hello") or by queueing scenarios for the next requests:
+ * POST /mock/scenarios {"scenarios": ["rate_limit:5", "ok"]}; DELETE /mock/scenarios clears the queue.
+ * Scenarios: ok, unauthorized (401), rate_limit[:seconds] (429 with retry-after), server_error (500),
+ * overloaded (529), stream_error (an overloaded_error event mid-stream) and disconnect (the connection
+ * drops mid-stream). The stream scenarios behave like ok for requests that do not stream.
+ *
+ * Prompt caching is simulated: prefixes that end at cache_control breakpoints are reported as
+ * cache_creation_input_tokens the first time they are seen and as cache_read_input_tokens after that.
+ * Requests with extended thinking enabled get a short signed thinking block before the reply.
+ */
+
+/* eslint-env node */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const ERROR_SCENARIOS = {
+    unauthorized: { status: 401, type: 'authentication_error', message: 'invalid x-api-key' },
+    rate_limit: { status: 429, type: 'rate_limit_error', message: 'Number of request tokens has exceeded your per-minute rate limit.' },
+    server_error: { status: 500, type: 'api_error', message: 'Internal server error' },
+    overloaded: { status: 529, type: 'overloaded_error', message: 'Overloaded' }
+};
+const STREAM_SCENARIOS = ['stream_error', 'disconnect'];
+const SCENARIO_TAG = /\[mock:([a-z_]+(?::\d+)?)\]\s*/i;
+
+const MODELS = [
+    { id: 'claude-3-opus-20240229', display_name: 'Claude 3 Opus (mock)' },
+    { id: 'claude-3-sonnet-20240229', display_name: 'Claude 3 Sonnet (mock)' },
+    { id: 'claude-3-haiku-20240307', display_name: 'Claude 3 Haiku (mock)' }
+];
+
+/**
+ * Creates the mock server; call listen() on it to start it.
+ * @param {Object} [options={}]
+ * @param {Object<string, string>} [options.replies={}] - Canned replies by exact user message text.
+ * @param {number} [options.chunkDelay=0] - Milliseconds between streamed text deltas.
+ * @param {number} [options.retryAfter=1] - Seconds sent in `retry-after` for rate_limit without an argument.
+ * @returns {http.Server} The server, with `scenarios` (the queue), `requests` (a log of request bodies)
+ * and `cachedPrefixes` (the simulated prompt cache).
+ */
+export function createMockApiServer(options = {}) {
+    const replies = options.replies || {};
+    const chunkDelay = options.chunkDelay || 0;
+    const defaultRetryAfter = options.retryAfter !== undefined ? options.retryAfter : 1;
+
+    const server = http.createServer(async (req, res) => {
+        setCorsHeaders(req, res);
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204).end();
+            return;
+        }
+
+        const path = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+        let body = null;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            sendError(res, 400, 'invalid_request_error', 'The request body is not valid JSON.');
+            return;
+        }
+
+        if (path === '/mock/scenarios') {
+            if (req.method === 'DELETE') server.scenarios.length = 0;
+            else if (req.method === 'POST') server.scenarios.push(...((body && body.scenarios) || []));
+            sendJson(res, 200, { scenarios: server.scenarios });
+            return;
+        }
+
+        if (!req.headers['x-api-key']) {
+            sendError(res, 401, 'authentication_error', 'x-api-key header is required');
+            return;
+        }
+
+        if (req.method === 'GET' && path === '/v1/models') {
+            sendJson(res, 200, { data: MODELS.map(model => ({ type: 'model', ...model })), has_more: false });
+        } else if (req.method === 'POST' && path === '/v1/messages/count_tokens') {
+            sendJson(res, 200, { input_tokens: estimateTokens(JSON.stringify([body.system || '', body.messages || []])) });
+        } else if (req.method === 'POST' && path === '/v1/messages') {
+            server.requests.push(body);
+            await handleMessages(req, res, body);
+        } else {
+            sendError(res, 404, 'not_found_error', `No route for ${req.method} ${path}`);
+        }
+    });
+
+    /**
+     * Answers a Messages API request according to the scripted scenario.
+     */
+    async function handleMessages(req, res, body) {
+        if (!body || !Array.isArray(body.messages) || body.messages.length === 0) {
+            sendError(res, 400, 'invalid_request_error', 'messages: at least one message is required');
+            return;
+        }
+
+        const text = lastUserText(body.messages);
+        const tag = text.match(SCENARIO_TAG);
+        const [name, argument] = (tag ? tag[1] : server.scenarios.shift() || 'ok').toLowerCase().split(':');
+        const userText = text.replace(SCENARIO_TAG, '').trim();
+
+        if (ERROR_SCENARIOS[name]) {
+            const { status, type, message } = ERROR_SCENARIOS[name];
+            const headers = name === 'rate_limit' ? { 'retry-after': String(argument !== undefined ? argument : defaultRetryAfter) } : {};
+            sendError(res, status, type, message, headers);
+            return;
+        }
+
+        const reply = replies[userText] || `This is a mock reply to: ${userText || '(no text)'}`;
+        const content = [{ type: 'text', text: reply }];
+        if (body.thinking && body.thinking.type === 'enabled') {
+            const thinking = `The user wrote "${userText || '(no text)'}". A short, direct answer will do.`;
+            content.unshift({ type: 'thinking', thinking, signature: `mock-signature-${estimateTokens(thinking)}` });
+        }
+        const usage = promptUsage(body);
+        const message = {
+            id: `msg_mock_${server.requests.length}`,
+            type: 'message',
+            role: 'assistant',
+            model: body.model || MODELS[2].id,
+            content,
+            stop_reason: 'end_turn',
+            stop_sequence: null,
+            usage: { ...usage, output_tokens: content.reduce((sum, block) => sum + estimateTokens(block.text || block.thinking), 0) }
+        };
+
+        if (!body.stream) {
+            sendJson(res, 200, message);
+            return;
+        }
+        await streamMessage(res, message, STREAM_SCENARIOS.includes(name) ? name : null);
+    }
+
+    /**
+     * Streams a message as server-sent events, word by word. A thinking block streams
+     * its text and then its signature; failures happen halfway through the reply text.
+     */
+    async function streamMessage(res, message, failure) {
+        res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' });
+        const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        const words = (text) => text.match(/\S+\s*/g) || [text];
+
+        send({
+            type: 'message_start',
+            message: { ...message, content: [], stop_reason: null, usage: { ...message.usage, output_tokens: 1 } }
+        });
+        const index = message.content.length - 1; // The reply text is the last block
+        message.content.slice(0, index).forEach((block, blockIndex) => {
+            send({ type: 'content_block_start', index: blockIndex, content_block: { type: 'thinking', thinking: '' } });
+            words(block.thinking).forEach(thinking => {
+                send({ type: 'content_block_delta', index: blockIndex, delta: { type: 'thinking_delta', thinking } });
+            });
+            send({ type: 'content_block_delta', index: blockIndex, delta: { type: 'signature_delta', signature: block.signature } });
+            send({ type: 'content_block_stop', index: blockIndex });
+        });
+
+        const deltas = words(message.content[index].text);
+        send({ type: 'content_block_start', index, content_block: { type: 'text', text: '' } });
+        for (let i = 0; i < deltas.length; i++) {
+            if (failure && i === Math.ceil(deltas.length / 2)) {
+                if (failure === 'disconnect') {
+                    // Lets the partial reply reach the client, then drops the connection without ending the stream
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                    res.destroy();
+                    return;
+                }
+                send({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } });
+                res.end();
+                return;
+            }
+            send({ type: 'content_block_delta', index, delta: { type: 'text_delta', text: deltas[i] } });
+            if (chunkDelay) await new Promise(resolve => setTimeout(resolve, chunkDelay));
+        }
+        send({ type: 'content_block_stop', index });
+        send({ type: 'message_delta', delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: message.usage.output_tokens } });
+        send({ type: 'message_stop' });
+        res.end();
+    }
+
+    /**
+     * Input token usage, split into cache writes, cache reads and uncached input.
+     * Like the real cache, the longest prefix seen before is read and the rest up to the last breakpoint is written.
+     */
+    function promptUsage(body) {
+        const total = estimateTokens(JSON.stringify([body.system || '', body.messages]));
+        const prefixes = cachePrefixes(body);
+        if (!prefixes.length) return { input_tokens: total, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 };
+
+        const tokens = (prefix) => prefix ? Math.min(estimateTokens(prefix), total - 1) : 0;
+        const hit = prefixes.filter(prefix => server.cachedPrefixes.has(prefix)).pop();
+        const read = tokens(hit);
+        const written = tokens(prefixes[prefixes.length - 1]) - read;
+        prefixes.forEach(prefix => server.cachedPrefixes.add(prefix));
+        return { input_tokens: total - read - written, cache_creation_input_tokens: written, cache_read_input_tokens: read };
+    }
+
+    server.scenarios = [];
+    server.requests = [];
+    server.cachedPrefixes = new Set();
+    return server;
+}
+
+/**
+ * The request prefixes that end at cache_control breakpoints, serialized, shortest first.
+ * @param {Object} body - A Messages API request body.
+ * @returns {Array<string>}
+ */
+function cachePrefixes(body) {
+    const hasBreakpoint = (content) => Array.isArray(content) && content.some(block => block && block.cache_control);
+    const prefixes = hasBreakpoint(body.system) ? [JSON.stringify([body.tools || [], body.system, []])] : [];
+    body.messages.forEach((message, index) => {
+        if (hasBreakpoint(message.content)) {
+            prefixes.push(JSON.stringify([body.tools || [], body.system || '', body.messages.slice(0, index + 1)]));
+        }
+    });
+    return prefixes;
+}
+
+/**
+ * The text of the last user turn, from a string or an array of content blocks.
+ * @param {Array<Object>} messages
+ * @returns {string}
+ */
+function lastUserText(messages) {
+    const last = [...messages].reverse().find(message => message.role === 'user');
+    if (!last) return '';
+    if (typeof last.content === 'string') return last.content;
+    return (last.content || []).filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+function estimateTokens(text) {
+    return Math.max(1, Math.ceil(String(text).length / 4));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : null);
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function setCorsHeaders(req, res) {
+    res.setHeader('access-control-allow-origin', req.headers.origin || '*');
+    res.setHeader('access-control-allow-methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('access-control-allow-headers', req.headers['access-control-request-headers'] || '*');
+    res.setHeader('access-control-expose-headers', 'retry-after');
+}
+
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+function sendError(res, status, type, message, headers = {}) {
+    sendJson(res, status, { type: 'error', error: { type, message } }, headers);
+}
+
+// Started directly (npm run mock-api) rather than imported by a test
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.PORT) || 8787;
+    createMockApiServer({ chunkDelay: 30 }).listen(port, () => {
+        console.log(`Mock Claude API listening on http://localhost:${port}/v1`);
+    });
+}
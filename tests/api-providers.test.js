@@ -0,0 +1,214 @@
+/**
+ * Parkland AI - API Provider Tests
+ * Tests for the provider registry and the OpenAI-compatible adapter
+ */
+
+import { jest } from '@jest/globals';
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!global.TextEncoder) global.TextEncoder = TextEncoder;
+if (!global.TextDecoder) global.TextDecoder = TextDecoder;
+
+const defaultState = {
+  currentApiProvider: 'openai',
+  activeCharacter: null,
+  'userPreferences.customInstructions': '',
+  'apiKeys.openai': 'ollama',
+  'modelPreferences.openai.model': 'llama3.1',
+  'modelPreferences.openai.baseUrl': 'http://localhost:11434/v1/',
+};
+
+beforeAll(async () => {
+  await import('../js/features/api/errors.js');
+  await import('../js/features/api/provider.js');
+  await import('../js/features/api/claude.js');
+  await import('../js/features/api/openai-compatible.js');
+});
+
+describe('ApiProviderRegistry', () => {
+  const createRegistry = (overrides) => {
+    const stateManager = TestUtils.createMockStateManager({ ...defaultState, ...overrides });
+    const utils = TestUtils.createMockUtils();
+    const registry = new window.ApiProviderRegistry(stateManager);
+    registry.register(new window.ClaudeAPIService(stateManager, utils));
+    registry.register(new window.OpenAICompatibleService(stateManager, utils));
+    return registry;
+  };
+
+  test('resolves the provider named by currentApiProvider', () => {
+    const registry = createRegistry({ currentApiProvider: 'openai' });
+    expect(registry.getActive().id).toBe('openai');
+  });
+
+  test('falls back to the first registered provider for an unknown id', () => {
+    const registry = createRegistry({ currentApiProvider: 'missing' });
+    expect(registry.getActive().id).toBe('claude');
+  });
+
+  test('lists providers in registration order', () => {
+    const registry = createRegistry();
+    expect(registry.list().map((provider) => provider.id)).toEqual(['claude', 'openai']);
+    expect(registry.list()[1].configurableEndpoint).toBe(true);
+  });
+
+  test('rejects providers without an id', () => {
+    const registry = createRegistry();
+    expect(() => registry.register({})).toThrow('provider must have an id');
+  });
+});
+
+describe('OpenAICompatibleService', () => {
+  const createService = (overrides) =>
+    new window.OpenAICompatibleService(TestUtils.createMockStateManager({ ...defaultState, ...overrides }), TestUtils.createMockUtils());
+
+  test('reads its key and model from its own preferences', () => {
+    const service = createService({ 'apiKeys.claude': 'sk-ant-other' });
+    expect(service.getApiKey()).toBe('ollama');
+    expect(service.getModelPreference('model', service.defaultModel)).toBe('llama3.1');
+    expect(service.getBaseUrl()).toBe('http://localhost:11434/v1');
+  });
+
+  test('accepts any non-blank key without whitespace', () => {
+    const service = createService();
+    expect(service.validateKey('ollama')).toBe(true);
+    expect(service.validateKey('sk-proj-abc123')).toBe(true);
+    expect(service.validateKey('   ')).toBe(false);
+    expect(service.validateKey('two words')).toBe(false);
+    expect(service.validateKey(null)).toBe(false);
+  });
+
+  test('sends a chat-completions request with the system prompt first', async () => {
+    TestUtils.mockAPIResponse({
+      choices: [{ message: { role: 'assistant', content: 'Hi there' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 12, completion_tokens: 3 },
+    });
+    const service = createService();
+
+    const result = await service.sendMessage('Hello', [{ role: 'assistant', content: 'Intro' }]);
+    const [url, init] = global.fetch.mock.calls[0];
+    const body = JSON.parse(init.body);
+
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(init.headers.get('Authorization')).toBe('Bearer ollama');
+    expect(body.model).toBe('llama3.1');
+    expect(body.messages[0].role).toBe('system');
+    expect(body.messages.slice(1)).toEqual([{ role: 'user', content: 'Hello' }]);
+    expect(result).toMatchObject({
+      role: 'assistant',
+      content: 'Hi there',
+      usage: { input_tokens: 12, output_tokens: 3 },
+      stopReason: 'stop',
+      model: 'llama3.1',
+    });
+  });
+
+  test('streams deltas until the [DONE] marker', async () => {
+    global.fetch.mockResolvedValueOnce(
+      TestUtils.createStreamResponse([
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}',
+        'data: {"choices":[{"delta":{"content":"lo"},"finish_reason":"stop"}]}',
+        'data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2}}',
+        'data: [DONE]',
+      ])
+    );
+    const service = createService();
+    const onChunk = jest.fn();
+
+    const result = await service.stream('Hi', [], onChunk, { requestId: 'req-1' });
+
+    expect(onChunk).toHaveBeenNthCalledWith(1, 'Hel', 'Hel', 'req-1');
+    expect(onChunk).toHaveBeenNthCalledWith(2, 'lo', 'Hello', 'req-1');
+    expect(result.content).toBe('Hello');
+    expect(result.usage).toEqual({ input_tokens: 5, output_tokens: 2 });
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+  });
+
+  test('rejects a stream that ends without [DONE]', async () => {
+    global.fetch.mockResolvedValueOnce(
+      TestUtils.createStreamResponse(['data: {"choices":[{"delta":{"content":"Hel"}}]}'])
+    );
+    const service = createService();
+
+    await expect(service.stream('Hi', [], jest.fn())).rejects.toThrow('stream_incomplete');
+  });
+
+  test('reports authentication failures with a hint about the key', async () => {
+    TestUtils.mockAPIResponse(
+      { error: { type: 'invalid_api_key', message: 'Incorrect API key provided.' } },
+      401,
+      false
+    );
+    const service = createService();
+
+    await expect(service.sendMessage('Hi')).rejects.toThrow(
+      'Error invalid_api_key: Incorrect API key provided. Please check your API key.'
+    );
+  });
+
+  test('lists models from the server, falling back to the built-in list', async () => {
+    const service = createService();
+
+    TestUtils.mockAPIResponse({ data: [{ id: 'mistral' }, { id: 'llama3.1' }] });
+    await expect(service.listModels()).resolves.toEqual([
+      { id: 'mistral', name: 'mistral' },
+      { id: 'llama3.1', name: 'llama3.1' },
+    ]);
+
+    global.fetch.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    await expect(service.listModels()).resolves.toEqual(service.models);
+  });
+
+  test('resolves request settings from options, then preferences, then defaults', () => {
+    const service = createService({
+      'modelPreferences.openai.maxTokens': 2048,
+      'modelPreferences.openai.temperature': 0.2,
+    });
+
+    expect(service.resolveRequestSettings()).toEqual({
+      model: 'llama3.1',
+      maxTokens: 2048,
+      temperature: 0.2,
+      thinkingBudget: null,
+    });
+    expect(service.resolveRequestSettings({ model: 'mistral', temperature: 0, thinkingBudget: 4096 })).toEqual({
+      model: 'mistral',
+      maxTokens: 2048,
+      temperature: 0,
+      thinkingBudget: 4096,
+    });
+    expect(createService({ 'modelPreferences.openai.model': undefined }).resolveRequestSettings()).toEqual({
+      model: 'gpt-4o-mini',
+      maxTokens: 1024,
+      temperature: null,
+      thinkingBudget: null,
+    });
+  });
+
+  test('sends per-request model settings and omits an unset temperature', async () => {
+    const service = createService();
+
+    TestUtils.mockAPIResponse({ choices: [{ message: { content: 'ok' } }] });
+    const result = await service.sendMessage('Hi', [], { model: 'mistral', maxTokens: 64, temperature: 0.3 });
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body).toMatchObject({ model: 'mistral', max_tokens: 64, temperature: 0.3 });
+    expect(result).toMatchObject({ model: 'mistral', provider: 'openai' });
+
+    TestUtils.mockAPIResponse({ choices: [{ message: { content: 'ok' } }] });
+    await service.sendMessage('Hi');
+    expect(JSON.parse(global.fetch.mock.calls[1][1].body)).not.toHaveProperty('temperature');
+  });
+
+  test('resolves context windows by model prefix, preferring the user setting', () => {
+    const service = createService();
+    expect(service.getContextWindow('gpt-4o-mini')).toBe(128000);
+    expect(service.getContextWindow('gpt-3.5-turbo-0125')).toBe(16385);
+    expect(service.getContextWindow('llama3.1')).toBe(8192);
+    expect(createService({ 'modelPreferences.openai.contextWindow': 32768 }).getContextWindow('gpt-4o')).toBe(32768);
+  });
+
+  test('estimates token counts from message text', async () => {
+    const service = createService();
+    await expect(service.countTokens('abcdefgh')).resolves.toBe(2);
+    await expect(service.countTokens([{ content: 'abcd' }, { content: 'efg' }])).resolves.toBe(2);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Parkland AI - Attachment Tests
+ * Tests for sending images and PDFs to the providers, and for storing them with sessions
+ */
+
+import { jest } from '@jest/globals';
+
+const VALID_KEY = `sk-ant-${'x'.repeat(40)}`;
+
+const defaultState = {
+  'apiKeys.claude': VALID_KEY,
+  'apiKeys.openai': 'ollama',
+  activeCharacter: null,
+  'userPreferences.customInstructions': '',
+  'modelPreferences.claude.model': 'claude-3-haiku-20240307',
+  'modelPreferences.openai.model': 'llava',
+};
+
+const image = {
+  id: 'file-1', type: 'image', name: 'chart.png', mediaType: 'image/png', data: 'aW1hZ2U=', size: 5, width: 800, height: 600,
+};
+const pdf = {
+  id: 'file-2', type: 'document', name: 'report.pdf', mediaType: 'application/pdf', data: 'cGRm', size: 3,
+};
+
+beforeAll(async () => {
+  await import('../js/features/api/errors.js');
+  await import('../js/features/api/provider.js');
+  await import('../js/features/api/claude.js');
+  await import('../js/features/api/openai-compatible.js');
+  await import('../js/features/chat/file-upload-manager.js');
+  await import('../js/features/chat/history.js');
+  await import('../js/core/utils.js');
+  await import('../js/features/chat/messages.js');
+});
+
+describe('ClaudeAPIService attachments', () => {
+  const createService = () => new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState }), TestUtils.createMockUtils());
+
+  test('sends images and PDFs as base64 blocks before the text', async () => {
+    const service = createService();
+    TestUtils.mockAPIResponse({ content: [{ type: 'text', text: 'A bar chart.' }], usage: { input_tokens: 900, output_tokens: 5 } });
+
+    await service.sendMessage('What is this?', [], { attachments: [image, pdf] });
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.messages).toEqual([{
+      role: 'user',
+      content: [
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'aW1hZ2U=' } },
+        { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: 'cGRm' } },
+        { type: 'text', text: 'What is this?' },
+      ],
+    }]);
+  });
+
+  test('resends earlier attachments and describes the ones whose data was not kept', async () => {
+    const service = createService();
+    TestUtils.mockAPIResponse({ content: [{ type: 'text', text: 'Sure.' }], usage: { input_tokens: 10, output_tokens: 2 } });
+    const history = [
+      { role: 'user', content: '', attachments: [{ ...image, data: null, dataOmitted: true }] },
+      { role: 'assistant', content: 'Nice chart.' },
+    ];
+
+    await service.sendMessage('Summarize it', history);
+
+    const [first] = JSON.parse(global.fetch.mock.calls[0][1].body).messages;
+    expect(first.content).toEqual([{ type: 'text', text: '[Attached image "chart.png" is no longer available.]' }]);
+  });
+
+  test('allows a message that is only an attachment', async () => {
+    const service = createService();
+    TestUtils.mockAPIResponse({ content: [{ type: 'text', text: 'A PDF.' }], usage: { input_tokens: 10, output_tokens: 2 } });
+
+    await expect(service.sendMessage('', [], { attachments: [pdf] })).resolves.toMatchObject({ content: 'A PDF.' });
+    await expect(service.sendMessage('', [])).rejects.toThrow();
+  });
+
+  test('counts attachments in the request estimate', () => {
+    const service = createService();
+    const withoutImage = service.estimateRequestTokens([], 'Hi');
+    const withImage = service.estimateRequestTokens([], 'Hi', [image]);
+    expect(withImage - withoutImage).toBe(Math.ceil((800 * 600) / 750));
+  });
+});
+
+describe('OpenAICompatibleService attachments', () => {
+  test('sends images as data URLs and PDFs as file parts', async () => {
+    const service = new window.OpenAICompatibleService(TestUtils.createMockStateManager({ ...defaultState }), TestUtils.createMockUtils());
+    TestUtils.mockAPIResponse({
+      choices: [{ message: { content: 'A chart.' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 10, completion_tokens: 2 },
+    });
+
+    await service.sendMessage('Describe', [], { attachments: [image, pdf] });
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.messages[body.messages.length - 1]).toEqual({
+      role: 'user',
+      content: [
+        { type: 'text', text: 'Describe' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,aW1hZ2U=' } },
+        { type: 'file', file: { filename: 'report.pdf', file_data: 'data:application/pdf;base64,cGRm' } },
+      ],
+    });
+  });
+});
+
+describe('FileUploadManager.createAttachment', () => {
+  // The constructor sets up a canvas, which jsdom does not implement; these helpers do not need it
+  const manager = () => Object.create(window.FileUploadManager.prototype);
+
+  test('builds an attachment from a processed image', () => {
+    const attachment = manager().createAttachment({
+      id: 'file-1', type: 'image', name: 'photo.jpg', thumbnail: 'data:image/jpeg;base64,dGh1bWI=',
+      upload: { mediaType: 'image/jpeg', data: 'aGVsbG8=', width: 1568, height: 1176 },
+    });
+    expect(attachment).toEqual({
+      id: 'file-1', type: 'image', name: 'photo.jpg', mediaType: 'image/jpeg', data: 'aGVsbG8=', size: 5,
+      thumbnail: 'data:image/jpeg;base64,dGh1bWI=', width: 1568, height: 1176,
+    });
+  });
+
+  test('returns null for files that cannot be sent', () => {
+    expect(manager().createAttachment({ id: 'file-3', type: 'data', name: 'data.csv' })).toBeNull();
+  });
+
+  test.each([['aGVsbG8=', 5], ['aGk=', 2], ['YWJj', 3]])('decodes the byte length of %s', (base64, bytes) => {
+    expect(manager()._base64ByteLength(base64)).toBe(bytes);
+  });
+});
+
+describe('ChatHistory attachment storage', () => {
+  test('keeps only the thumbnail of attachments over the storage limit', () => {
+    const history = Object.create(window.ChatHistory.prototype);
+    history.maxStoredAttachmentBytes = 4;
+    const messages = [
+      { id: 'm1', role: 'user', content: 'Look', attachments: [image, pdf] },
+      { id: 'm2', role: 'assistant', content: 'Okay' },
+    ];
+
+    const stored = history._prepareMessagesForStorage(messages);
+
+    expect(stored[0].attachments[0]).toMatchObject({ name: 'chart.png', data: null, dataOmitted: true });
+    expect(stored[0].attachments[1]).toEqual(pdf);
+    expect(stored[1]).toBe(messages[1]);
+    expect(messages[0].attachments[0].data).toBe('aW1hZ2U='); // The live messages are not changed
+  });
+});
+
+describe('ChatMessages attachments', () => {
+  test('renders a user message that has attachments but no text', () => {
+    const container = document.createElement('div');
+    const markdownProcessor = { process: jest.fn((text) => text) };
+    const messages = new window.ChatMessages(container, window.utils, markdownProcessor, TestUtils.createMockStateManager());
+
+    messages.renderHistory([
+      { id: 'm1', role: 'user', content: '', timestamp: 1, attachments: [{ ...image, thumbnail: 'data:image/png;base64,dGh1bWI=' }] },
+      { id: 'm2', role: 'assistant', content: 'A bar chart.', timestamp: 2 },
+      { id: 'm3', role: 'user', content: '', timestamp: 3 },
+    ]);
+
+    const userMessages = container.querySelectorAll('.message.user');
+    expect(userMessages).toHaveLength(1);
+    expect(userMessages[0].querySelector('.message-attachments img').getAttribute('src')).toBe('data:image/png;base64,dGh1bWI=');
+    expect(userMessages[0].querySelector('.message-bubble')).toBeNull();
+    expect(container.querySelectorAll('.message.assistant')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,586 @@
+/**
+ * Parkland AI - Claude API Service Tests
+ * Tests for system prompt composition, message alternation rules and error handling
+ */
+
+import { jest } from '@jest/globals';
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!global.TextEncoder) global.TextEncoder = TextEncoder;
+if (!global.TextDecoder) global.TextDecoder = TextDecoder;
+
+const VALID_KEY = `sk-ant-${'x'.repeat(40)}`;
+
+const defaultState = {
+  'apiKeys.claude': VALID_KEY,
+  activeCharacter: null,
+  'userPreferences.customInstructions': '',
+  'modelPreferences.claude.model': 'claude-3-haiku-20240307',
+};
+
+const errorResponse = (status, error, headers = {}) => ({
+  ok: false,
+  status,
+  statusText: '',
+  headers: new Headers(headers),
+  json: () => Promise.resolve(error ? { type: 'error', error } : null),
+});
+
+const okResponse = (text = 'Done') => ({
+  ok: true,
+  status: 200,
+  json: () => Promise.resolve({ content: [{ type: 'text', text }], usage: { input_tokens: 5, output_tokens: 1 }, stop_reason: 'end_turn' }),
+});
+
+beforeAll(async () => {
+  await import('../js/features/api/errors.js');
+  await import('../js/features/api/provider.js');
+  await import('../js/features/api/claude.js');
+  await import('../js/features/core/retry-manager.js');
+});
+
+afterEach(() => {
+  delete window.parklandApp;
+});
+
+describe('ClaudeAPIService', () => {
+  const createService = (overrides) =>
+    new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState, ...overrides }), TestUtils.createMockUtils());
+
+  describe('_buildSystemPrompt', () => {
+    test('falls back to the default assistant prompt', () => {
+      const service = createService();
+      expect(service._buildSystemPrompt()).toBe(
+        'You are a helpful AI assistant. Please provide concise and informative responses.'
+      );
+    });
+
+    test('uses the active character prompt from CharacterManager', () => {
+      window.parklandApp = {
+        characterManager: {
+          getCharacterData: jest.fn(() => ({ systemPrompt: 'You are Quint.' })),
+        },
+      };
+      const service = createService({ activeCharacter: 'quint' });
+
+      expect(service._buildSystemPrompt()).toBe('You are Quint.');
+      expect(window.parklandApp.characterManager.getCharacterData).toHaveBeenCalledWith('quint');
+    });
+
+    test('puts custom instructions ahead of the character prompt', () => {
+      window.parklandApp = {
+        characterManager: { getCharacterData: () => ({ systemPrompt: 'You are Quint.' }) },
+      };
+      const service = createService({
+        activeCharacter: 'quint',
+        'userPreferences.customInstructions': '  Answer in French.  ',
+      });
+
+      expect(service._buildSystemPrompt()).toBe('Answer in French.\n\nYou are Quint.');
+    });
+
+    test('ignores blank custom instructions', () => {
+      const service = createService({ 'userPreferences.customInstructions': '   ' });
+      expect(service._buildSystemPrompt()).not.toMatch(/^\s/);
+    });
+  });
+
+  describe('_constructClaudeMessages', () => {
+    test('never includes a system role message', () => {
+      const service = createService();
+      const messages = service._constructClaudeMessages(
+        [{ role: 'system', content: 'internal note' }],
+        'Hello'
+      );
+
+      expect(messages).toEqual([{ role: 'user', content: 'Hello' }]);
+    });
+
+    test('appends the new message after alternating history', () => {
+      const service = createService();
+      const messages = service._constructClaudeMessages(
+        [
+          { role: 'user', content: 'Hi' },
+          { role: 'assistant', content: 'Hello there' },
+        ],
+        'How are you?'
+      );
+
+      expect(messages).toEqual([
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello there' },
+        { role: 'user', content: 'How are you?' },
+      ]);
+    });
+
+    test('merges consecutive messages from the same role', () => {
+      const service = createService();
+      const messages = service._constructClaudeMessages(
+        [
+          { role: 'user', content: 'First' },
+          { role: 'user', content: 'Second' },
+          { role: 'assistant', content: 'A' },
+          { role: 'assistant', content: 'B' },
+        ],
+        'Third'
+      );
+
+      expect(messages).toEqual([
+        { role: 'user', content: 'First\n\nSecond' },
+        { role: 'assistant', content: 'A\n\nB' },
+        { role: 'user', content: 'Third' },
+      ]);
+    });
+
+    test('merges the new message into a trailing user turn', () => {
+      const service = createService();
+      const messages = service._constructClaudeMessages(
+        [
+          { role: 'user', content: 'Did this fail?' },
+          { role: 'assistant', content: '⚠️ Network error', isError: true },
+        ],
+        'Trying again'
+      );
+
+      expect(messages).toEqual([{ role: 'user', content: 'Did this fail?\n\nTrying again' }]);
+    });
+
+    test('drops leading assistant messages so the first turn is from the user', () => {
+      const service = createService();
+      const messages = service._constructClaudeMessages(
+        [
+          { role: 'assistant', content: 'Welcome aboard the Orca!' },
+          { role: 'user', content: 'Thanks' },
+          { role: 'assistant', content: 'Anytime' },
+        ],
+        'Tell me a tale'
+      );
+
+      expect(messages[0]).toEqual({ role: 'user', content: 'Thanks' });
+      expect(messages).toHaveLength(3);
+    });
+
+    test('skips error placeholders and empty messages', () => {
+      const service = createService();
+      const messages = service._constructClaudeMessages(
+        [
+          { role: 'user', content: 'Question' },
+          { role: 'assistant', content: '', isError: false },
+          { role: 'assistant', content: '⚠️ Failed', isError: true },
+          { role: 'assistant', content: 'Answer' },
+        ],
+        'Follow-up'
+      );
+
+      expect(messages.map((m) => m.role)).toEqual(['user', 'assistant', 'user']);
+      expect(messages[1].content).toBe('Answer');
+    });
+
+    test('always alternates roles and ends on a user turn', () => {
+      const service = createService();
+      const roles = ['assistant', 'user', 'user', 'assistant', 'system', 'assistant', 'user'];
+      const history = roles.map((role, i) => ({ role, content: `message ${i}` }));
+      const messages = service._constructClaudeMessages(history, 'latest');
+
+      expect(messages[0].role).toBe('user');
+      expect(messages[messages.length - 1].role).toBe('user');
+      messages.slice(1).forEach((message, i) => {
+        expect(message.role).not.toBe(messages[i].role);
+      });
+    });
+  });
+});
+
+describe('ClaudeAPIService.sendMessage', () => {
+  test('sends the system prompt as a top-level field', async () => {
+    TestUtils.mockAPIResponse({
+      content: [{ type: 'text', text: 'Ahoy' }],
+      usage: { input_tokens: 10, output_tokens: 2 },
+    });
+    const service = new window.ClaudeAPIService(
+      TestUtils.createMockStateManager({ ...defaultState, 'userPreferences.customInstructions': 'Be brief.' }),
+      TestUtils.createMockUtils()
+    );
+
+    const result = await service.sendMessage('Hello', [{ role: 'assistant', content: 'Intro' }]);
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    expect(body.system).toMatch(/^Be brief\.\n\n/);
+    expect(body.messages).toEqual([{ role: 'user', content: 'Hello' }]);
+    expect(result.content).toBe('Ahoy');
+  });
+
+  test('answers as the character asked for, or as no character', async () => {
+    window.parklandApp = {
+      characterManager: { getCharacterData: (key) => ({ systemPrompt: `You are ${key}.` }) },
+    };
+    const service = new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState, activeCharacter: 'quint' }), TestUtils.createMockUtils());
+    const reply = { content: [{ type: 'text', text: 'Ahoy' }], usage: { input_tokens: 10, output_tokens: 2 } };
+    const sentSystem = (call) => JSON.parse(global.fetch.mock.calls[call][1].body).system;
+
+    TestUtils.mockAPIResponse(reply);
+    const asHooper = await service.sendMessage('Hello', [], { character: 'hooper' });
+    TestUtils.mockAPIResponse(reply);
+    const asNoOne = await service.sendMessage('Hello', [], { character: null });
+
+    expect(sentSystem(0)).toBe('You are hooper.');
+    expect(asHooper.character).toBe('hooper');
+    expect(sentSystem(1)).toBe('You are a helpful AI assistant. Please provide concise and informative responses.');
+    expect(asNoOne.character).toBeNull();
+  });
+});
+
+describe('ClaudeAPIService prompt caching', () => {
+  const createService = (promptCaching) => new window.ClaudeAPIService(
+    TestUtils.createMockStateManager({ ...defaultState, 'modelPreferences.claude.promptCaching': promptCaching }),
+    TestUtils.createMockUtils()
+  );
+  const history = [
+    { role: 'user', content: 'First question' },
+    { role: 'assistant', content: 'First answer' },
+  ];
+
+  test('marks the system prompt and the turn before the new message as cache breakpoints', async () => {
+    global.fetch.mockResolvedValueOnce(okResponse());
+
+    await createService(true).sendMessage('Second question', history);
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.system).toEqual([{ type: 'text', text: expect.any(String), cache_control: { type: 'ephemeral' } }]);
+    expect(body.messages).toEqual([
+      { role: 'user', content: 'First question' },
+      { role: 'assistant', content: [{ type: 'text', text: 'First answer', cache_control: { type: 'ephemeral' } }] },
+      { role: 'user', content: 'Second question' },
+    ]);
+  });
+
+  test('caches only the system prompt at the start of a chat', async () => {
+    global.fetch.mockResolvedValueOnce(okResponse());
+
+    await createService(true).sendMessage('Hello');
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.system[0].cache_control).toEqual({ type: 'ephemeral' });
+    expect(body.messages).toEqual([{ role: 'user', content: 'Hello' }]);
+  });
+
+  test('sends a plain request when caching is off for the provider or the request', async () => {
+    global.fetch.mockResolvedValue(okResponse());
+
+    await createService(false).sendMessage('Second question', history);
+    await createService(true).sendMessage('Summarize', history, { promptCaching: false });
+
+    global.fetch.mock.calls.forEach(([, init]) => {
+      expect(init.body).not.toContain('cache_control');
+      expect(typeof JSON.parse(init.body).system).toBe('string');
+    });
+  });
+
+  test('passes cache token usage through with the reply', async () => {
+    TestUtils.mockAPIResponse({
+      content: [{ type: 'text', text: 'Cached' }],
+      usage: { input_tokens: 12, output_tokens: 3, cache_creation_input_tokens: 0, cache_read_input_tokens: 1800 },
+    });
+
+    const result = await createService(true).sendMessage('Second question', history);
+
+    expect(result.usage).toEqual({ input_tokens: 12, output_tokens: 3, cache_creation_input_tokens: 0, cache_read_input_tokens: 1800 });
+  });
+});
+
+describe('ClaudeAPIService in-flight requests', () => {
+  test('shares one API call between identical requests made while it is pending', async () => {
+    let respond;
+    global.fetch.mockImplementationOnce(() => new Promise((resolve) => { respond = resolve; }));
+    const service = new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState }), TestUtils.createMockUtils());
+
+    const first = service.sendMessage('Hello', [], { requestId: 'req-1' });
+    const second = service.sendMessage('Hello', [], { requestId: 'req-2' });
+    respond(okResponse('Hi there'));
+
+    const [a, b] = await Promise.all([first, second]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(b).toBe(a);
+    expect(a.content).toBe('Hi there');
+    expect(service.inFlightRequests.size).toBe(0);
+  });
+
+  test('sends requests that differ, and repeats of settled ones', async () => {
+    global.fetch.mockResolvedValue(okResponse());
+    const service = new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState }), TestUtils.createMockUtils());
+
+    await Promise.all([service.sendMessage('Hello'), service.sendMessage('Hello again')]);
+    await service.sendMessage('Hello');
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('rejects every caller when the shared request fails', async () => {
+    global.fetch.mockResolvedValueOnce(errorResponse(400, { type: 'invalid_request_error', message: 'bad' }));
+    const service = new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState }), TestUtils.createMockUtils());
+
+    const results = await Promise.allSettled([service.sendMessage('Hello'), service.sendMessage('Hello')]);
+
+    expect(results.map((result) => result.status)).toEqual(['rejected', 'rejected']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('ClaudeAPIService streaming', () => {
+  const createService = () => new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState }), TestUtils.createMockUtils());
+  const textDelta = (text) => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } });
+
+  test('passes each text delta to onChunk in order, with the text so far', async () => {
+    const service = createService();
+    global.fetch.mockResolvedValueOnce(TestUtils.createEventStreamResponse([
+      { type: 'message_start', message: { usage: { input_tokens: 5, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      textDelta('The '),
+      textDelta('capital '),
+      textDelta('is Paris.'),
+      { type: 'content_block_stop', index: 0 },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } },
+      { type: 'message_stop' },
+    ]));
+    const onChunk = jest.fn();
+
+    const response = await service.sendMessage('Hello', [], { streaming: true, requestId: 'req-1', onChunk });
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    expect(onChunk.mock.calls).toEqual([
+      ['The ', 'The ', 'req-1'],
+      ['capital ', 'The capital ', 'req-1'],
+      ['is Paris.', 'The capital is Paris.', 'req-1'],
+    ]);
+    expect(response.content).toBe('The capital is Paris.');
+  });
+
+  test('rejects with stream_incomplete when the stream ends before message_stop', async () => {
+    const service = createService();
+    global.fetch.mockResolvedValueOnce(TestUtils.createEventStreamResponse([
+      { type: 'message_start', message: { usage: { input_tokens: 5, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      textDelta('Half a '),
+      textDelta('reply'),
+      { type: 'content_block_stop', index: 0 },
+    ]));
+    const onChunk = jest.fn();
+
+    const error = await service.sendMessage('Hello', [], { streaming: true, onChunk }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(window.ParklandApiErrors.NetworkError);
+    expect(error.message).toContain('stream_incomplete');
+    expect(onChunk).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('ClaudeAPIService error handling', () => {
+  const createRetryingService = () => {
+    const utils = TestUtils.createMockUtils();
+    const retryManager = new window.RetryManager(utils, TestUtils.createMockStateManager(), { emit: jest.fn() });
+    const notificationSystem = { show: jest.fn(), showError: jest.fn(), showWarning: jest.fn() };
+    const service = new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState }), utils, retryManager, notificationSystem);
+    return { service, utils, retryManager, notificationSystem };
+  };
+
+  test('rejects a bad key with an AuthenticationError and does not retry', async () => {
+    const { service } = createRetryingService();
+    global.fetch.mockResolvedValueOnce(errorResponse(401, { type: 'authentication_error', message: 'invalid x-api-key' }));
+
+    const error = await service.sendMessage('Hello').catch((e) => e);
+
+    expect(error).toBeInstanceOf(window.ParklandApiErrors.AuthenticationError);
+    expect(error.message).toBe('Error authentication_error: invalid x-api-key Please check your API key.');
+    expect(error.retryable).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    ['roles that do not alternate', 'messages: must alternate between "user" and "assistant" roles', /Messages must alternate roles/],
+    ['a prompt that is too long', 'prompt is too long: 210000 tokens > 200000 maximum', /no longer fits in the model's context window/],
+    ['any other invalid request', 'max_tokens: must be positive', /must be positive There might be an issue/],
+  ])('explains %s with an InvalidRequestError', async (_, apiMessage, expected) => {
+    const { service } = createRetryingService();
+    global.fetch.mockResolvedValueOnce(errorResponse(400, { type: 'invalid_request_error', message: apiMessage }));
+
+    const error = await service.sendMessage('Hello').catch((e) => e);
+
+    expect(error).toBeInstanceOf(window.ParklandApiErrors.InvalidRequestError);
+    expect(error.message).toMatch(expected);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports an unknown model with a NotFoundError', async () => {
+    const { service } = createRetryingService();
+    global.fetch.mockResolvedValueOnce(errorResponse(404, { type: 'not_found_error', message: 'model: claude-9' }));
+
+    await expect(service.sendMessage('Hello')).rejects.toBeInstanceOf(window.ParklandApiErrors.NotFoundError);
+  });
+
+  test('waits out a short retry-after before retrying a rate limit', async () => {
+    const { service, utils, notificationSystem } = createRetryingService();
+    global.fetch
+      .mockResolvedValueOnce(errorResponse(429, { type: 'rate_limit_error', message: 'Slow down' }, { 'retry-after': '2' }))
+      .mockResolvedValueOnce(okResponse('Finally'));
+
+    const result = await service.sendMessage('Hello');
+
+    expect(result.content).toBe('Finally');
+    expect(utils.wait).toHaveBeenCalledWith(2000);
+    expect(notificationSystem.show).toHaveBeenCalledWith('Rate limit reached. Retrying (attempt 2 of 3)…', expect.any(Object));
+  });
+
+  test('gives up at once when retry-after is longer than the retry delay allows', async () => {
+    const { service } = createRetryingService();
+    global.fetch.mockResolvedValueOnce(errorResponse(429, { type: 'rate_limit_error', message: 'Slow down' }, { 'retry-after': '120' }));
+
+    const error = await service.sendMessage('Hello').catch((e) => e);
+
+    expect(error).toBeInstanceOf(window.ParklandApiErrors.RateLimitError);
+    expect(error.retryAfter).toBe(120);
+    expect(error.message).toBe("Claude's rate limit was reached. Please try again in 120 seconds.");
+    expect(error.retryable).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries an overloaded API and fails with an OverloadedError after the last attempt', async () => {
+    const { service, notificationSystem } = createRetryingService();
+    global.fetch.mockResolvedValue(errorResponse(529, { type: 'overloaded_error', message: 'Overloaded' }));
+
+    const error = await service.sendMessage('Hello').catch((e) => e);
+
+    expect(error).toBeInstanceOf(window.ParklandApiErrors.OverloadedError);
+    expect(error).toMatchObject({ status: 529, type: 'overloaded_error', retryable: true });
+    expect(error.message).toBe('Claude is temporarily overloaded. Please try again in a moment.');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(notificationSystem.show).toHaveBeenCalledTimes(2);
+  });
+
+  test('recovers from a server error on retry', async () => {
+    const { service } = createRetryingService();
+    global.fetch
+      .mockResolvedValueOnce(errorResponse(500, { type: 'api_error', message: 'Internal server error' }))
+      .mockResolvedValueOnce(okResponse('Recovered'));
+
+    await expect(service.sendMessage('Hello')).resolves.toMatchObject({ content: 'Recovered' });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('turns fetch failures into a NetworkError', async () => {
+    const { service } = createRetryingService();
+    global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const error = await service.sendMessage('Hello').catch((e) => e);
+
+    expect(error).toBeInstanceOf(window.ParklandApiErrors.NetworkError);
+    expect(error.message).toBe('Could not reach Anthropic Claude. Please check your connection.');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('times out a request that gets no response', async () => {
+    const { service } = createRetryingService();
+    service.requestTimeout = 5;
+    service.retryOptions.maxAttempts = 2;
+    global.fetch.mockImplementation((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const error = await service.sendMessage('Hello').catch((e) => e);
+
+    expect(error).toBeInstanceOf(window.ParklandApiErrors.TimeoutError);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('pauses requests once the circuit breaker opens', async () => {
+    const { service } = createRetryingService();
+    service.retryOptions.maxAttempts = 1;
+    global.fetch.mockResolvedValue(errorResponse(500, { type: 'api_error', message: 'Internal server error' }));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(service.sendMessage('Hello')).rejects.toMatchObject({ status: 500 });
+    }
+    const error = await service.sendMessage('Hello').catch((e) => e);
+
+    expect(error).toBeInstanceOf(window.ParklandApiErrors.ServerError);
+    expect(error.status).toBe(503);
+    expect(error.message).toMatch(/requests are paused/);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not count client errors towards the circuit breaker', async () => {
+    const { service, retryManager } = createRetryingService();
+    global.fetch.mockResolvedValue(errorResponse(400, { type: 'invalid_request_error', message: 'Bad' }));
+
+    for (let i = 0; i < 4; i++) {
+      await expect(service.sendMessage('Hello')).rejects.toBeInstanceOf(window.ParklandApiErrors.InvalidRequestError);
+    }
+    expect(retryManager.circuitBreakers.get('claude-api').state).toBe('CLOSED');
+  });
+
+  test('rejects with an AbortError when cancelled, without retrying', async () => {
+    const { service } = createRetryingService();
+    global.fetch.mockImplementation((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const pending = service.sendMessage('Hello', [], { requestId: 'req-1' });
+    service.cancelRequest('req-1');
+
+    await expect(pending).rejects.toMatchObject({ type: 'abort_error', requestId: 'req-1' });
+    expect(global.fetch.mock.calls.length).toBeLessThanOrEqual(1);
+  });
+
+  test('fails with an OverloadedError when the stream reports overload', async () => {
+    const { service } = createRetryingService();
+    global.fetch.mockResolvedValueOnce(TestUtils.createEventStreamResponse([
+      { type: 'message_start', message: { usage: { input_tokens: 5 } } },
+      { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } },
+    ]));
+
+    const error = await service.sendMessage('Hello', [], { streaming: true }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(window.ParklandApiErrors.OverloadedError);
+    expect(global.fetch).toHaveBeenCalledTimes(1); // Text may already have been shown, so streams are not retried
+  });
+
+  test('fails with a NetworkError when the stream ends early', async () => {
+    const { service } = createRetryingService();
+    global.fetch.mockResolvedValueOnce(TestUtils.createEventStreamResponse([
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Half a' } },
+    ]));
+
+    await expect(service.sendMessage('Hello', [], { streaming: true })).rejects.toBeInstanceOf(window.ParklandApiErrors.NetworkError);
+  });
+
+  test('fails fast without a RetryManager', async () => {
+    const service = new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState }), TestUtils.createMockUtils());
+    global.fetch.mockResolvedValueOnce(errorResponse(503, null));
+
+    await expect(service.sendMessage('Hello')).rejects.toBeInstanceOf(window.ParklandApiErrors.ServerError);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('applies the client-side rate limit before sending', async () => {
+    const { service } = createRetryingService();
+    service.rateLimiter.tokens = 0;
+    service.rateLimiter.lastRefill = Date.now();
+
+    await expect(service.sendMessage('Hello')).rejects.toBeInstanceOf(window.ParklandApiErrors.RateLimitError);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('parseRetryAfter', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+
+  test.each([
+    ['120', 120],
+    ['0', 0],
+    [new Date(now + 30000).toUTCString(), 30],
+    [new Date(now - 5000).toUTCString(), 0],
+    ['soon', null],
+    [null, null],
+  ])('reads %p', (value, expected) => {
+    expect(window.ParklandApiErrors.parseRetryAfter(value, now)).toBe(expected);
+  });
+});
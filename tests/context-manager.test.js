@@ -0,0 +1,160 @@
+/**
+ * Parkland AI - Context Manager Tests
+ * Tests for context budgets, history compaction and the summary marker
+ */
+
+import { jest } from '@jest/globals';
+
+const VALID_KEY = `sk-ant-${'x'.repeat(40)}`;
+
+// Each message is about 100 estimated tokens (four characters per token)
+const longText = (label) => `${label} ${'lorem ipsum '.repeat(33)}`;
+
+const createHistory = (exchanges) =>
+  Array.from({ length: exchanges }, (_, i) => [
+    { id: `u${i}`, role: 'user', content: longText(`Question ${i}`) },
+    { id: `a${i}`, role: 'assistant', content: longText(`Answer ${i}`) },
+  ]).flat();
+
+const defaultState = {
+  'apiKeys.claude': VALID_KEY,
+  activeCharacter: null,
+  'userPreferences.customInstructions': '',
+  'userPreferences.summarizeContext': true,
+  'modelPreferences.claude.contextWindow': 1000,
+  chatHistory: [],
+};
+
+const setup = (overrides) => {
+  const stateManager = TestUtils.createMockStateManager({ ...defaultState, ...overrides });
+  const utils = { ...TestUtils.createMockUtils(), generateId: () => 'abc' };
+  const eventEmitter = { on: jest.fn(), off: jest.fn(), emit: jest.fn() };
+  const apiService = new window.ClaudeAPIService(stateManager, utils);
+  const contextManager = new window.ContextManager(stateManager, eventEmitter, utils);
+  contextManager.summaryMaxTokens = 100; // Scaled down with the 1000-token test window
+  return { stateManager, eventEmitter, apiService, contextManager };
+};
+
+const settings = { model: 'claude-3-haiku-20240307', maxTokens: 100 };
+
+beforeAll(async () => {
+  await import('../js/features/api/errors.js');
+  await import('../js/features/api/provider.js');
+  await import('../js/features/api/claude.js');
+  await import('../js/features/chat/context-manager.js');
+});
+
+describe('ContextManager', () => {
+  test('derives the budget from the context window and the reply size', () => {
+    const { apiService, contextManager } = setup();
+    expect(contextManager.getBudget(apiService, settings)).toBe(800);
+    expect(apiService.getContextWindow('claude-3-haiku-20240307')).toBe(1000);
+  });
+
+  test('sends short histories unchanged', async () => {
+    const { apiService, contextManager } = setup();
+    const history = createHistory(1);
+
+    await expect(contextManager.fitHistory(apiService, history, 'Next', settings)).resolves.toBe(history);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('summarizes the oldest turns and inserts a marker before the kept ones', async () => {
+    const history = createHistory(5);
+    const { apiService, contextManager, stateManager, eventEmitter } = setup({
+      chatHistory: [...history, { id: 'u5', role: 'user', content: 'Next' }],
+    });
+    TestUtils.mockAPIResponse({
+      content: [{ type: 'text', text: 'They discussed questions 0 to 3.' }],
+      usage: { input_tokens: 900, output_tokens: 20 },
+    });
+
+    const result = await contextManager.fitHistory(apiService, history, 'Next', settings, 'req-1');
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.system).toBe(contextManager.summarySystemPrompt);
+    expect(body.max_tokens).toBe(contextManager.summaryMaxTokens);
+    expect(body.messages[0].content).toMatch(/Question 3/);
+
+    const markerIndex = result.findIndex((msg) => msg.type === 'context-summary');
+    expect(result[markerIndex]).toMatchObject({
+      role: 'system',
+      method: 'summary',
+      content: 'They discussed questions 0 to 3.',
+      compactedCount: markerIndex,
+    });
+    expect(result[markerIndex + 1].role).toBe('user');
+    expect(apiService.estimateRequestTokens(result, 'Next')).toBeLessThanOrEqual(contextManager.getBudget(apiService, settings));
+
+    const stored = stateManager.set.mock.calls.find(([key]) => key === 'chatHistory')[1];
+    expect(stored[markerIndex].type).toBe('context-summary');
+    expect(stored[stored.length - 1].content).toBe('Next');
+    expect(eventEmitter.emit).toHaveBeenCalledWith('context:compacted', expect.objectContaining({
+      usage: { input_tokens: 900, output_tokens: 20 },
+    }));
+  });
+
+  test('sends the summary in the system prompt and only the turns after it', async () => {
+    const history = createHistory(5);
+    const { apiService, contextManager } = setup({ chatHistory: history });
+    TestUtils.mockAPIResponse({ content: [{ type: 'text', text: 'Earlier summary.' }] });
+    const compacted = await contextManager.fitHistory(apiService, history, 'Next', settings);
+
+    expect(apiService._buildSystemPrompt(compacted)).toMatch(/Earlier summary\.$/);
+    const turns = apiService._constructClaudeMessages(compacted, 'Next');
+    expect(turns[0].content).not.toMatch(/Question 0/);
+    expect(turns[turns.length - 1]).toEqual({ role: 'user', content: 'Next' });
+  });
+
+  test('drops the oldest turns when summarizing fails', async () => {
+    const history = createHistory(5);
+    const { apiService, contextManager } = setup({ chatHistory: history });
+    TestUtils.mockAPIResponse({ error: { type: 'api_error', message: 'Boom' } }, 500, false);
+
+    const result = await contextManager.fitHistory(apiService, history, 'Next', settings);
+    const marker = result.find((msg) => msg.type === 'context-summary');
+
+    expect(marker).toMatchObject({ method: 'dropped', content: '' });
+    expect(apiService.estimateRequestTokens(result, 'Next')).toBeLessThanOrEqual(contextManager.getBudget(apiService, settings));
+  });
+
+  test('drops without an API call when summaries are turned off', async () => {
+    const history = createHistory(5);
+    const { apiService, contextManager } = setup({ chatHistory: history, 'userPreferences.summarizeContext': false });
+
+    const result = await contextManager.fitHistory(apiService, history, 'Next', settings);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(result.find((msg) => msg.type === 'context-summary').method).toBe('dropped');
+  });
+
+  test('folds the previous summary into the next one', async () => {
+    const { apiService, contextManager } = setup();
+    const history = [
+      { id: 'm0', role: 'system', type: 'context-summary', method: 'summary', content: 'First summary.', compactedCount: 4 },
+      ...createHistory(5),
+    ];
+    TestUtils.mockAPIResponse({ content: [{ type: 'text', text: 'Second summary.' }] });
+
+    const result = await contextManager.fitHistory(apiService, history, 'Next', settings);
+    const prompt = JSON.parse(global.fetch.mock.calls[0][1].body).messages[0].content;
+    const markers = result.filter((msg) => msg.type === 'context-summary');
+
+    expect(prompt).toMatch(/Summary of what came before it:\nFirst summary\./);
+    expect(markers).toHaveLength(2);
+    expect(markers[1].compactedCount).toBeGreaterThan(4);
+  });
+
+  test('passes a cancellation through instead of dropping turns', async () => {
+    const history = createHistory(5);
+    const { apiService, contextManager } = setup({ chatHistory: history });
+    global.fetch.mockImplementationOnce(() => {
+      apiService.cancelRequest('req-1');
+      return Promise.reject(new DOMException('The operation was aborted.', 'AbortError'));
+    });
+
+    await expect(contextManager.fitHistory(apiService, history, 'Next', settings, 'req-1')).rejects.toMatchObject({
+      type: 'abort_error',
+    });
+  });
+});
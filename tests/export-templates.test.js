@@ -0,0 +1,171 @@
+/**
+ * Parkland AI - Export Template Tests
+ * Tests for the export template language, saving templates in settings, and choosing and previewing them when exporting
+ */
+
+import { jest } from '@jest/globals';
+
+const chat = [
+  { role: 'user', content: 'Is <it> safe?', timestamp: Date.parse('2026-01-02T10:00:00Z') },
+  { role: 'system', content: 'Beach closed', timestamp: Date.parse('2026-01-02T10:00:01Z') },
+  { role: 'assistant', content: 'No.', character: 'quint', reasoning: 'Sharks.', timestamp: Date.parse('2026-01-02T10:00:02Z') },
+];
+
+const defaultState = { chatHistory: chat, activeSessionId: 'session-1', currentTheme: 'dark', 'userPreferences.exportTemplates': [] };
+
+beforeAll(async () => {
+  await import('../js/core/utils.js');
+  await import('../js/features/chat/export-templates.js');
+  await import('../js/features/chat/export-manager.js');
+});
+
+beforeEach(() => {
+  window.parklandApp = { characterManager: { getCharacterData: (key) => (key === 'quint' ? { name: 'Quint' } : null) } };
+});
+
+afterEach(() => {
+  delete window.parklandApp;
+});
+
+describe('ExportTemplates', () => {
+  let templates;
+
+  beforeEach(() => {
+    templates = new window.ExportTemplates(window.utils, TestUtils.createMockStateManager({ ...defaultState }));
+  });
+
+  test('fills in values, sections, inverted sections and comments', () => {
+    const template = {
+      format: 'html',
+      body: [
+        '{{! not shown }}',
+        '<h1>{{title}}</h1>{{{raw}}}',
+        '{{#items}}',
+        '- {{name}} of {{title}}{{#last}}.{{/last}}{{^last}},{{/last}}',
+        '{{/items}}',
+        '{{^missing}}none{{/missing}} {{author.name}} {{#tags}}[{{.}}]{{/tags}}',
+      ].join('\n'),
+    };
+
+    expect(templates.render(template, {
+      title: 'A & B',
+      raw: '<hr>',
+      items: [{ name: 'one', last: false }, { name: 'two', last: true }],
+      author: { name: 'Brody' },
+      tags: ['x', 'y'],
+    })).toBe('<h1>A &amp; B</h1><hr>\n- one of A &amp; B,\n- two of A &amp; B.\nnone Brody [x][y]');
+
+    expect(templates.render({ format: 'markdown', body: '{{title}}' }, { title: 'A & B' })).toBe('A & B');
+  });
+
+  test('reports where a template is broken', () => {
+    expect(templates.validate('{{#messages}}\n{{content}}')).toBe('Line 1: {{#messages}} is never closed');
+    expect(templates.validate('{{#a}}\n{{/b}}')).toBe('Line 2: {{/b}} closes {{#a}} from line 1');
+    expect(templates.validate('{{/a}}')).toBe('Line 1: {{/a}} closes a section that was never opened');
+    expect(templates.validate('Hi {{title')).toBe('Line 1: a tag is not closed with }}');
+    expect(templates.validate('{{title}}')).toBeNull();
+  });
+
+  test('saves, lists and deletes the user\'s templates but not the built-in ones', () => {
+    expect(templates.getTemplates('markdown').map((template) => template.id)).toEqual(['builtin-markdown']);
+
+    const saved = templates.saveTemplate({ name: ' Short ', format: 'markdown', body: '{{title}}' });
+    expect(saved).toMatchObject({ id: expect.stringMatching(/^template-/), name: 'Short' });
+    expect(templates.stateManager.setUserPreference).toHaveBeenCalledWith('exportTemplates', [saved]);
+    expect(templates.getTemplates('markdown').map((template) => template.name)).toEqual(['Standard', 'Short']);
+    expect(templates.getTemplates('html')).toHaveLength(1);
+
+    templates.saveTemplate({ ...saved, body: '# {{title}}' });
+    expect(templates.getTemplate(saved.id).body).toBe('# {{title}}');
+
+    expect(() => templates.saveTemplate({ name: 'Broken', format: 'markdown', body: '{{#a}}' })).toThrow('never closed');
+    expect(() => templates.saveTemplate({ name: 'Sheet', format: 'csv', body: '' })).toThrow('not csv');
+    expect(templates.deleteTemplate('builtin-markdown')).toBe(false);
+    expect(templates.deleteTemplate(saved.id)).toBe(true);
+    expect(templates.getTemplates('markdown')).toHaveLength(1);
+  });
+});
+
+describe('ChatExportManager with templates', () => {
+  let exporter;
+
+  beforeEach(() => {
+    exporter = new window.ChatExportManager(window.utils, TestUtils.createMockStateManager({ ...defaultState }));
+  });
+
+  test('renders a chosen template with the messages, character names and timestamps', () => {
+    const template = exporter.templates.saveTemplate({
+      name: 'Transcript',
+      format: 'markdown',
+      body: '{{title}} ({{sessionId}})\n{{#messages}}\n{{number}}. {{#characterName}}{{characterName}}{{/characterName}}{{^characterName}}{{roleName}}{{/characterName}} [{{formattedTimestamp}}]: {{content}}\n{{/messages}}',
+    });
+
+    const markdown = exporter.previewExport('markdown', { templateId: template.id });
+    expect(markdown).toBe('Is <it> safe? (session-1)\n1. User [2026-01-02T10:00:00.000Z]: Is <it> safe?\n2. Quint [2026-01-02T10:00:02.000Z]: No.\n');
+
+    // An unsaved edit wins over the saved template, and a template for another format is ignored
+    expect(exporter.previewExport('markdown', { templateId: template.id, template: { format: 'markdown', body: '{{messageCount}}' } })).toBe('3');
+    expect(exporter.previewExport('html', { templateId: template.id })).toContain('<body class="dark-theme">');
+  });
+
+  test('lets the dialog pick a template, preview it and export the edited text', () => {
+    jest.useFakeTimers();
+    const saved = exporter.templates.saveTemplate({ name: 'Names', format: 'markdown', body: '{{#messages}}{{roleName}};{{/messages}}' });
+    const onExport = jest.fn();
+    const dialog = exporter.createExportDialog(onExport);
+    document.body.appendChild(dialog);
+    const form = dialog.querySelector('.export-form');
+    const preview = dialog.querySelector('.export-preview-text');
+
+    expect(dialog.querySelector('.export-template-group').classList.contains('hidden')).toBe(true);
+    expect(preview.textContent).toContain('"version": "2.0.0"');
+
+    form.elements.format.value = 'markdown';
+    form.elements.format.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(Array.from(form.elements.templateId.options).map((option) => option.textContent)).toEqual(['Standard (built-in)', 'Names']);
+    expect(preview.textContent).toContain('**Exported from:** Parkland AI - Opus Magnum Edition');
+    expect(dialog.querySelector('[data-action="delete-template"]').disabled).toBe(true);
+
+    form.elements.templateId.value = saved.id;
+    form.elements.templateId.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(preview.textContent).toBe('User;Quint;');
+
+    form.elements.templateBody.value = '{{#messages}}';
+    form.elements.templateBody.dispatchEvent(new Event('input'));
+    jest.advanceTimersByTime(300);
+    expect(dialog.querySelector('.export-template-error').textContent).toBe('Line 1: {{#messages}} is never closed');
+    expect(preview.textContent).toBe('User;Quint;');
+    dialog.querySelector('[data-action="export"]').click();
+    expect(onExport).not.toHaveBeenCalled();
+
+    form.elements.templateBody.value = '{{#messages}}{{content}}|{{/messages}}';
+    form.elements.templateBody.dispatchEvent(new Event('input'));
+    jest.advanceTimersByTime(300);
+    expect(preview.textContent).toBe('Is <it> safe?|No.|');
+
+    dialog.querySelector('[data-action="export"]').click();
+    expect(onExport).toHaveBeenCalledWith('markdown', expect.objectContaining({
+      templateId: saved.id,
+      template: { format: 'markdown', body: '{{#messages}}{{content}}|{{/messages}}' },
+    }));
+    expect(document.body.contains(dialog)).toBe(false);
+    jest.useRealTimers();
+  });
+
+  test('saves an edited built-in template as a new one', () => {
+    const dialog = exporter.createExportDialog(jest.fn());
+    const form = dialog.querySelector('.export-form');
+    form.elements.format.value = 'html';
+    form.elements.format.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(dialog.querySelector('.export-preview-frame').srcdoc).toContain('<span class="message-role">Quint</span>');
+
+    expect(form.elements.templateName.value).toBe('Standard (copy)');
+    form.elements.templateBody.value = '<h1>{{title}}</h1>';
+    dialog.querySelector('[data-action="save-template"]').click();
+
+    const [saved] = exporter.templates.getTemplates('html').filter((template) => !template.builtIn);
+    expect(saved).toMatchObject({ name: 'Standard (copy)', body: '<h1>{{title}}</h1>' });
+    expect(form.elements.templateId.value).toBe(saved.id);
+    expect(exporter.templates.getDefaultTemplate('html').body).toContain('<!DOCTYPE html>');
+  });
+});
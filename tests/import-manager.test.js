@@ -0,0 +1,167 @@
+/**
+ * Parkland AI - Chat Import Manager Tests
+ * Tests for reading our own and other apps' exports, duplicate detection and the preview dialog
+ */
+
+import { jest } from '@jest/globals';
+
+const chat = [
+  { id: 'u1', role: 'user', content: 'What is a good first telescope?', timestamp: Date.parse('2024-03-01T10:00:00Z') },
+  { id: 'a1', role: 'assistant', content: 'A 6" Dobsonian.\n\n## Why\n\nIt is simple.', character: 'sherlock', reasoning: 'Budget matters.', timestamp: Date.parse('2024-03-01T10:00:05Z') },
+  { id: 's1', role: 'system', content: 'Context note', timestamp: Date.parse('2024-03-01T10:00:06Z') },
+];
+
+const chatGPTExport = [{
+  title: 'Sourdough help',
+  create_time: 1700000000.5,
+  update_time: 1700000100,
+  conversation_id: 'gpt-1',
+  current_node: 'n4',
+  mapping: {
+    root: { id: 'root', message: null, parent: null, children: ['n1'] },
+    n1: { id: 'n1', parent: 'root', children: ['n2'], message: { author: { role: 'system' }, content: { content_type: 'text', parts: [''] }, metadata: { is_visually_hidden_from_conversation: true } } },
+    n2: { id: 'n2', parent: 'n1', children: ['n3', 'n3b'], message: { author: { role: 'user' }, create_time: 1700000001, content: { content_type: 'text', parts: ['My starter smells odd'] } } },
+    n3b: { id: 'n3b', parent: 'n2', children: [], message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['An older reply'] } } },
+    n3: { id: 'n3', parent: 'n2', children: ['n4'], message: { author: { role: 'assistant' }, recipient: 'python', content: { content_type: 'code', text: 'print(1)' } } },
+    n4: { id: 'n4', parent: 'n3', children: [], message: { author: { role: 'assistant' }, recipient: 'all', create_time: 1700000002, content: { content_type: 'text', parts: ['Feed it twice a day.'] } } },
+  },
+}];
+
+const claudeExport = [{
+  uuid: 'claude-1',
+  name: 'Haiku practice',
+  created_at: '2024-05-01T09:00:00Z',
+  updated_at: '2024-05-01T09:05:00Z',
+  chat_messages: [
+    { uuid: 'm1', sender: 'human', text: 'Write a haiku', content: [{ type: 'text', text: 'Write a haiku' }], created_at: '2024-05-01T09:00:00Z' },
+    { uuid: 'm2', sender: 'assistant', text: '', content: [{ type: 'text', text: 'Autumn moonlight' }, { type: 'tool_use', name: 'x' }], created_at: '2024-05-01T09:00:03Z' },
+  ],
+}];
+
+let exporter;
+let importer;
+
+beforeAll(async () => {
+  await import('../js/core/utils.js');
+  await import('../js/features/chat/export-templates.js');
+  await import('../js/features/chat/export-manager.js');
+  await import('../js/features/chat/import-manager.js');
+});
+
+beforeEach(() => {
+  const stateManager = TestUtils.createMockStateManager();
+  stateManager.get.mockImplementation((key) => (key === 'activeSessionId' ? 'session-7' : undefined));
+  window.parklandApp = {
+    characterManager: {
+      getCharacterData: (key) => (key === 'sherlock' ? { name: 'Sherlock Holmes' } : null),
+      getAvailableCharacters: () => ({ sherlock: { name: 'Sherlock Holmes', theme: 'default' } }),
+    },
+    chatHistory: { getSessionSummary: () => ({ title: 'Telescopes' }) },
+  };
+  exporter = new window.ChatExportManager(window.utils, stateManager);
+  importer = new window.ChatImportManager(window.utils, stateManager);
+});
+
+afterEach(() => {
+  delete window.parklandApp;
+});
+
+describe('ChatImportManager', () => {
+  const exported = (method) => exporter[method](chat, exporter._generateMetadata(chat, 'session-7', exporter.defaultConfig), exporter.defaultConfig);
+
+  test('reads its own JSON export back with characters, reasoning and timestamps', () => {
+    const { format, conversations } = importer.parse(exported('_exportAsJSON'), 'chat.json');
+
+    expect(format).toBe('parkland');
+    expect(conversations[0]).toMatchObject({ title: 'Telescopes', sourceId: 'session-7' });
+    expect(conversations[0].messages).toEqual([
+      { role: 'user', content: chat[0].content, timestamp: chat[0].timestamp },
+      { role: 'assistant', content: chat[1].content, timestamp: chat[1].timestamp, character: 'sherlock', reasoning: 'Budget matters.' },
+    ]);
+  });
+
+  test('reads its own Markdown export, including headings inside a message', () => {
+    const markdown = exporter._exportAsMarkdown(chat, exporter._generateMetadata(chat, 'session-7', exporter.defaultConfig), { ...exporter.defaultConfig, includeSystemMessages: true, includeReasoning: true });
+    const { format, conversations } = importer.parse(markdown, 'chat.md');
+
+    expect(format).toBe('markdown');
+    expect(conversations[0]).toMatchObject({ title: 'Telescopes', sourceId: 'session-7' });
+    expect(conversations[0].messages).toEqual([
+      { role: 'user', content: chat[0].content, timestamp: chat[0].timestamp },
+      { role: 'assistant', content: chat[1].content, timestamp: chat[1].timestamp, character: 'sherlock', reasoning: 'Budget matters.' },
+    ]);
+  });
+
+  test('reads the branch that was showing in a ChatGPT export, without tool calls or hidden messages', () => {
+    const { format, conversations } = importer.parse(JSON.stringify(chatGPTExport), 'conversations.json');
+
+    expect(format).toBe('chatgpt');
+    expect(conversations[0]).toMatchObject({ title: 'Sourdough help', sourceId: 'gpt-1', createdAt: 1700000000500 });
+    expect(conversations[0].messages).toEqual([
+      { role: 'user', content: 'My starter smells odd', timestamp: 1700000001000 },
+      { role: 'assistant', content: 'Feed it twice a day.', timestamp: 1700000002000 },
+    ]);
+  });
+
+  test('reads a Claude.ai export', () => {
+    const { format, conversations } = importer.parse(JSON.stringify(claudeExport), 'conversations.json');
+
+    expect(format).toBe('claude');
+    expect(conversations[0]).toMatchObject({ title: 'Haiku practice', sourceId: 'claude-1' });
+    expect(conversations[0].messages.map((m) => [m.role, m.content])).toEqual([['user', 'Write a haiku'], ['assistant', 'Autumn moonlight']]);
+  });
+
+  test('rejects files it cannot read', () => {
+    expect(() => importer.parse('{"hello": 1}', 'x.json')).toThrow('not a chat export');
+    expect(() => importer.parse('{broken', 'x.json')).toThrow('not valid JSON');
+    expect(() => importer.parse('', 'x.md')).toThrow('empty');
+  });
+
+  test('marks chats that were imported before, still exist or have the same messages', () => {
+    const { conversations } = importer.parse(JSON.stringify([...claudeExport, { ...claudeExport[0], uuid: 'claude-2' }]), 'conversations.json');
+    const { conversations: own } = importer.parse(exported('_exportAsJSON'), 'chat.json');
+
+    expect(importer.markDuplicates(conversations, [])).toBe(1); // The second is a copy of the first
+    expect(conversations[1].duplicateOf).toBe('Haiku practice');
+
+    const imported = importer.toSession(conversations[0]);
+    importer.markDuplicates(conversations, [imported]);
+    expect(conversations.map((c) => c.duplicateOf)).toEqual([imported.id, imported.id]);
+
+    importer.markDuplicates(own, [{ id: 'session-7', messages: [] }]);
+    expect(own[0].duplicateOf).toBe('session-7');
+  });
+
+  test('turns a conversation into a new session that keeps its title', () => {
+    const { conversations } = importer.parse(JSON.stringify(claudeExport), 'conversations.json');
+    const session = importer.toSession(conversations[0]);
+
+    expect(session).toMatchObject({
+      id: expect.stringMatching(/^session-/),
+      title: 'Haiku practice',
+      titleSource: 'import',
+      branches: [],
+      lastUpdated: Date.parse('2024-05-01T09:05:00Z'),
+      importedFrom: { format: 'claude', sourceId: 'claude-1', importedAt: expect.any(Number) },
+    });
+    expect(session.messages[1]).toMatchObject({ id: expect.stringMatching(/^msg-assistant-/), role: 'assistant', character: null });
+  });
+
+  test('previews the chats with duplicates unticked and imports the ticked ones', () => {
+    const preview = importer.parse(JSON.stringify([...claudeExport, { ...claudeExport[0], uuid: 'claude-2', name: 'Copy' }]), 'conversations.json');
+    importer.markDuplicates(preview.conversations, []);
+    const onImport = jest.fn();
+    const dialog = importer.createImportDialog(preview, onImport);
+    document.body.appendChild(dialog);
+
+    const boxes = dialog.querySelectorAll('input[type="checkbox"]');
+    expect(Array.from(boxes).map((b) => b.checked)).toEqual([true, false]);
+    expect(dialog.querySelector('.import-preview-summary').textContent).toContain('1 looks like a chat you already have');
+    const importBtn = dialog.querySelector('[data-action="import"]');
+    expect(importBtn.textContent).toBe('Import 1 chat');
+
+    importBtn.click();
+    expect(onImport).toHaveBeenCalledWith([preview.conversations[0]]);
+    expect(document.body.contains(dialog)).toBe(false);
+  });
+});
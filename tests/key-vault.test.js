@@ -0,0 +1,176 @@
+/**
+ * Parkland AI - Key Vault Tests
+ * Tests for encrypting the API keys with a passphrase, session-only keys and moving plaintext keys out of localStorage
+ */
+
+import { jest } from '@jest/globals';
+import { webcrypto } from 'node:crypto';
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!global.TextEncoder) global.TextEncoder = TextEncoder;
+if (!global.TextDecoder) global.TextDecoder = TextDecoder;
+
+const KEYS = { claude: `sk-ant-${'x'.repeat(40)}`, openai: 'sk-openai-key' };
+const PASSPHRASE = 'correct horse battery';
+
+const createVault = (options = {}) => new window.KeyVault({
+  storage: TestUtils.createMockStorage(),
+  sessionStorage: TestUtils.createMockStorage(),
+  crypto: webcrypto,
+  iterations: 1000, // Keeps the tests fast; real vaults use 600,000
+  ...options,
+});
+
+const readRecord = (vault) => JSON.parse(vault.storage.items.get('parklandAI_keyVault'));
+
+beforeAll(async () => {
+  await import('../js/core/logger.js');
+  await import('../js/core/state.js');
+  await import('../js/features/core/key-vault.js');
+});
+
+describe('KeyVault', () => {
+  test('encrypts the keys and decrypts them with the passphrase', async () => {
+    const vault = createVault();
+
+    await vault.create(PASSPHRASE, KEYS);
+
+    const record = readRecord(vault);
+    expect(record).toMatchObject({ version: 1, iterations: 1000 });
+    expect(vault.storage.items.get('parklandAI_keyVault')).not.toContain(KEYS.claude);
+    expect(vault.getMode()).toBe('vault');
+
+    vault.lock();
+    expect(vault.isLocked()).toBe(true);
+    await expect(vault.unlock(PASSPHRASE)).resolves.toEqual(KEYS);
+    expect(vault.isLocked()).toBe(false);
+  });
+
+  test('rejects a wrong passphrase and stays locked', async () => {
+    const vault = createVault();
+    await vault.create(PASSPHRASE, KEYS);
+    vault.lock();
+
+    await expect(vault.unlock('wrong passphrase')).rejects.toThrow('Incorrect passphrase.');
+    expect(vault.isLocked()).toBe(true);
+  });
+
+  test('refuses a short passphrase and reports a missing vault', async () => {
+    const vault = createVault();
+
+    await expect(vault.create('short', KEYS)).rejects.toThrow('at least 8 characters');
+    expect(vault.hasVault()).toBe(false);
+    await expect(vault.unlock(PASSPHRASE)).rejects.toThrow('No saved keys were found on this device.');
+  });
+
+  test('re-encrypts changes while unlocked and leaves a locked vault alone', async () => {
+    const vault = createVault();
+    await vault.create(PASSPHRASE, KEYS);
+
+    await vault.persist({ ...KEYS, openai: 'sk-new' });
+    const updated = vault.storage.items.get('parklandAI_keyVault');
+    vault.lock();
+    await vault.persist({});
+
+    expect(vault.storage.items.get('parklandAI_keyVault')).toBe(updated);
+    await expect(vault.unlock(PASSPHRASE)).resolves.toEqual({ ...KEYS, openai: 'sk-new' });
+  });
+
+  test('changes the passphrase with a fresh salt', async () => {
+    const vault = createVault();
+    await vault.create(PASSPHRASE, KEYS);
+    const { salt } = readRecord(vault);
+
+    await expect(vault.changePassphrase('wrong passphrase', 'a new passphrase')).rejects.toThrow('Incorrect passphrase.');
+    await vault.changePassphrase(PASSPHRASE, 'a new passphrase');
+
+    expect(readRecord(vault).salt).not.toBe(salt);
+    vault.lock();
+    await expect(vault.unlock(PASSPHRASE)).rejects.toThrow('Incorrect passphrase.');
+    await expect(vault.unlock('a new passphrase')).resolves.toEqual(KEYS);
+  });
+
+  test('keeps vaults created with other iteration counts readable and upgrades them on rotation', async () => {
+    const storage = TestUtils.createMockStorage();
+    const older = createVault({ storage, iterations: 500 });
+    await older.create(PASSPHRASE, KEYS);
+
+    const vault = createVault({ storage });
+    await expect(vault.unlock(PASSPHRASE)).resolves.toEqual(KEYS);
+    await vault.changePassphrase(PASSPHRASE, 'a new passphrase');
+    expect(readRecord(vault).iterations).toBe(1000);
+  });
+
+  test('remembers session-only keys until they are forgotten', async () => {
+    const vault = createVault();
+    expect(vault.getMode()).toBe('memory');
+
+    vault.rememberForSession(KEYS);
+    await vault.persist({ ...KEYS, openai: null });
+
+    expect(vault.getMode()).toBe('session');
+    expect(vault.loadSessionKeys()).toEqual({ ...KEYS, openai: null });
+    expect(vault.storage.setItem).not.toHaveBeenCalled();
+
+    await vault.create(PASSPHRASE, KEYS);
+    expect(vault.loadSessionKeys()).toBeNull();
+    vault.forget();
+    expect(vault.getMode()).toBe('memory');
+  });
+
+  test('reports that it needs WebCrypto', async () => {
+    const vault = createVault({ crypto: {} });
+    expect(vault.isSupported()).toBe(false);
+    await expect(vault.create(PASSPHRASE, KEYS)).rejects.toThrow('Encryption is not available');
+  });
+});
+
+describe('StateManager key storage', () => {
+  let stateManager;
+
+  // jsdom provides a working localStorage, which replaces the mock from setup.js
+  beforeEach(() => {
+    localStorage.clear();
+    stateManager = window.StateManager.getInstance();
+    stateManager.keyVault = null;
+    stateManager.set('currentApiProvider', 'claude');
+    stateManager.set('apiKeys', { claude: null, openai: null });
+  });
+
+  test('moves plaintext keys into the session and out of localStorage', () => {
+    const vault = createVault();
+    localStorage.setItem('parklandAI_apiKeys', JSON.stringify(KEYS));
+    localStorage.setItem('parklandAI_apiKey', KEYS.claude);
+    stateManager.set('apiKeys', { ...KEYS });
+    stateManager._plaintextKeysLoaded = true;
+
+    expect(stateManager.attachKeyVault(vault)).toBe(true);
+
+    expect(vault.loadSessionKeys()).toEqual(KEYS);
+    expect(localStorage.getItem('parklandAI_apiKeys')).toBeNull();
+    expect(localStorage.getItem('parklandAI_apiKey')).toBeNull();
+    expect(stateManager.get('apiKey')).toBe(KEYS.claude);
+  });
+
+  test('never writes keys to localStorage and starts locked with a saved vault', async () => {
+    const vault = createVault();
+    await vault.create(PASSPHRASE, KEYS);
+    vault.lock();
+    stateManager._plaintextKeysLoaded = false;
+
+    expect(stateManager.attachKeyVault(vault)).toBe(false);
+    expect(stateManager.get('keyVaultLocked')).toBe(true);
+    expect(stateManager.get('currentView')).toBe('login');
+
+    stateManager.replaceApiKeys(await vault.unlock(PASSPHRASE));
+    expect(stateManager.get('keyVaultLocked')).toBe(false);
+    expect(stateManager.get('apiKey')).toBe(KEYS.claude);
+
+    const persist = jest.spyOn(vault, 'persist');
+    stateManager.setApiKey('sk-openai-other', 'openai');
+    await persist.mock.results[0].value;
+    expect(Object.keys(localStorage).filter((key) => key.includes('apiKey'))).toEqual([]);
+    vault.lock();
+    await expect(vault.unlock(PASSPHRASE)).resolves.toEqual({ ...KEYS, openai: 'sk-openai-other' });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Parkland AI - Library Backup Tests
+ * Tests for backing up the whole library into a zip archive, checking it and restoring it by merging or replacing
+ */
+
+import { jest } from '@jest/globals';
+import { webcrypto } from 'node:crypto';
+import * as fflate from 'fflate/node'; // The package's browser build is ESM in .js files, which Jest reads as CommonJS
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+const astronomy = {
+  id: 'session-1',
+  title: 'Telescopes',
+  lastUpdated: 100,
+  folderId: 'folder-1',
+  messages: [
+    { id: 'm1', role: 'user', content: 'Which one?', attachments: [{ id: 'att-1', type: 'image', name: 'sky photo.png', mediaType: 'image/png', data: PNG, size: 70, thumbnail: 'data:image/png;base64,abc' }] },
+    { id: 'm2', role: 'assistant', content: 'A refractor.', character: 'quint' },
+  ],
+  branches: [],
+};
+
+const cooking = { id: 'session-2', title: 'Coffee', lastUpdated: 200, messages: [{ id: 'm3', role: 'user', content: 'Milk?' }], branches: [] };
+
+const createManager = (options = {}) => new window.LibraryBackupManager(window.utils, TestUtils.createMockStateManager({
+  currentTheme: 'jaws',
+  currentApiProvider: 'openai',
+  apiKeys: { claude: 'sk-ant-secret' },
+  userPreferences: { autoScroll: false, customInstructions: 'Be brief.' },
+  modelPreferences: { claude: { model: 'claude-sonnet' } },
+}), null, {
+  storage: TestUtils.createMockStorage({
+    parklandAI_characterVoices: { quint: 'voice-uri-1' },
+    parkland_saved_searches: [{ id: 'search-1', name: 'Sharks', query: 'shark', filters: {} }],
+  }),
+  crypto: webcrypto,
+  zip: fflate,
+  ...options,
+});
+
+const library = { folders: [{ id: 'folder-1', name: 'Space', order: 0, collapsed: false }], getAllSessions: async () => [astronomy, cooking] };
+
+// Unpacks an archive, lets a test change its files, and packs it again
+const repack = (archive, change) => {
+  const files = fflate.unzipSync(archive);
+  change(files);
+  return fflate.zipSync(files);
+};
+
+beforeAll(async () => {
+  await import('../js/core/logger.js');
+  await import('../js/core/utils.js');
+  await import('../js/core/events.js');
+  await import('../js/features/chat/history.js');
+  await import('../js/features/chat/backup-manager.js');
+});
+
+describe('LibraryBackupManager', () => {
+  test('packs chats, uploaded files, folders and settings, and reads them back', async () => {
+    const manager = createManager();
+    const archive = await manager.createBackup(library);
+    const files = fflate.unzipSync(archive);
+
+    expect(Object.keys(files).sort()).toEqual([
+      'files/session-1/att-1-sky_photo.png',
+      'folders.json',
+      'manifest.json',
+      'sessions/session-1.json',
+      'sessions/session-2.json',
+      'settings.json',
+    ]);
+    expect(Buffer.from(files['files/session-1/att-1-sky_photo.png']).toString('base64')).toBe(PNG);
+    expect(fflate.strFromU8(files['sessions/session-1.json'])).not.toContain(PNG);
+    expect(fflate.strFromU8(files['settings.json'])).not.toContain('sk-ant-secret');
+
+    const backup = await manager.readBackup(archive);
+    expect(backup.manifest).toMatchObject({ format: 'parkland-ai-backup', version: 1, counts: { sessions: 2, folders: 1, files: 1 } });
+    expect(backup.sessions.find((session) => session.id === 'session-1')).toEqual(astronomy);
+    expect(backup.folders).toEqual(library.folders);
+    expect(backup.settings).toEqual({
+      theme: 'jaws',
+      apiProvider: 'openai',
+      userPreferences: { autoScroll: false, customInstructions: 'Be brief.' },
+      modelPreferences: { claude: { model: 'claude-sonnet' } },
+      characterVoices: { quint: 'voice-uri-1' },
+      savedSearches: [{ id: 'search-1', name: 'Sharks', query: 'shark', filters: {} }],
+    });
+  });
+
+  test('rejects archives that are damaged, changed or not backups', async () => {
+    const manager = createManager();
+    const archive = await manager.createBackup(library);
+
+    await expect(manager.readBackup(new Uint8Array([1, 2, 3]))).rejects.toThrow('not a zip archive');
+    await expect(manager.readBackup(fflate.zipSync({ 'notes.txt': fflate.strToU8('hi') }))).rejects.toThrow('no manifest');
+
+    const edited = repack(archive, (files) => {
+      files['sessions/session-2.json'] = fflate.strToU8(JSON.stringify({ ...cooking, title: 'Tea' }));
+    });
+    await expect(manager.readBackup(edited)).rejects.toThrow('damaged: 1 file is missing or changed (sessions/session-2.json)');
+
+    const missing = repack(archive, (files) => { delete files['files/session-1/att-1-sky_photo.png']; });
+    await expect(manager.readBackup(missing)).rejects.toThrow('missing or changed');
+
+    const relisted = repack(archive, (files) => {
+      const manifest = JSON.parse(fflate.strFromU8(files['manifest.json']));
+      delete manifest.files['sessions/session-2.json'];
+      files['manifest.json'] = fflate.strToU8(JSON.stringify(manifest));
+    });
+    await expect(manager.readBackup(relisted)).rejects.toThrow('does not match its checksum');
+
+    const added = repack(archive, (files) => {
+      files['sessions/session-3.json'] = fflate.strToU8(JSON.stringify({ ...cooking, id: 'session-3', title: 'Planted' }));
+    });
+    await expect(manager.readBackup(added)).rejects.toThrow('The backup was changed: 1 file is not in its manifest (sessions/session-3.json)');
+  });
+
+  test('migrates older formats and refuses newer ones', async () => {
+    const archive = await createManager().createBackup(library);
+    const migration = jest.fn((backup) => ({ ...backup, sessions: backup.sessions.map((session) => ({ ...session, tags: session.tags || [] })) }));
+    const newer = createManager({ version: 2, migrations: { 1: migration } });
+
+    const backup = await newer.readBackup(archive);
+    expect(migration).toHaveBeenCalledTimes(1);
+    expect(backup.manifest.version).toBe(2);
+    expect(backup.sessions.every((session) => Array.isArray(session.tags))).toBe(true);
+
+    await expect(createManager({ version: 2, migrations: {} }).readBackup(archive)).rejects.toThrow('format 1 cannot be restored');
+    await expect(createManager().readBackup(await newer.createBackup(library))).rejects.toThrow('newer version of Parkland AI (format 2)');
+  });
+
+  test('offers merging or replacing, and warns before replacing', () => {
+    const onRestore = jest.fn();
+    const dialog = createManager().createRestoreDialog({
+      manifest: { createdAt: '2026-01-02T03:04:05Z', counts: { files: 1 } },
+      sessions: [astronomy, cooking],
+      folders: library.folders,
+    }, onRestore);
+    document.body.appendChild(dialog);
+
+    expect(dialog.querySelector('.import-preview-summary').textContent).toContain('2 chats, 1 folder and 1 attached file');
+    const replace = dialog.querySelector('input[value="replace"]');
+    replace.checked = true;
+    replace.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(dialog.querySelector('.restore-replace-warning').classList.contains('hidden')).toBe(false);
+
+    dialog.querySelector('[data-action="restore"]').click();
+    expect(onRestore).toHaveBeenCalledWith('replace');
+    expect(document.body.contains(dialog)).toBe(false);
+  });
+});
+
+describe('Restoring into ChatHistory', () => {
+  let history;
+  let store;
+  let stateValues;
+  let manager;
+  let backup;
+
+  beforeEach(async () => {
+    backup = await createManager().readBackup(await createManager().createBackup(library));
+
+    store = {
+      listSessions: jest.fn(async () => [
+        { id: 'session-2', title: 'Coffee (edited here)', lastUpdated: 300, messageCount: 1 },
+        { id: 'session-9', title: 'Only here', lastUpdated: 50, messageCount: 1, folderId: 'folder-9' },
+      ]),
+      listFolders: jest.fn(async () => [{ id: 'folder-9', name: 'Local', order: 0, collapsed: false }]),
+      saveSession: jest.fn(async () => {}),
+      deleteSession: jest.fn(async () => {}),
+      saveFolders: jest.fn(async () => {}),
+      deleteFolder: jest.fn(async () => {}),
+    };
+    document.body.innerHTML = '<ul class="chat-history-list"></ul>';
+    stateValues = { activeSessionId: 'session-9', userPreferences: { autoScroll: true, sendOnEnter: true }, currentApiProvider: 'claude' };
+    const stateManager = TestUtils.createMockStateManager(stateValues);
+    history = new window.ChatHistory(document.querySelector('.chat-history-list'), window.utils, window.AppEvents, stateManager, store);
+    await history.ready;
+    manager = new window.LibraryBackupManager(window.utils, stateManager, null, {
+      storage: TestUtils.createMockStorage({ parkland_saved_searches: [{ id: 'search-2', name: 'Local search', query: 'x', filters: {} }] }),
+      crypto: webcrypto,
+      zip: fflate,
+    });
+  });
+
+  test('merges, keeping the newer copy of a chat and this browser\'s preferences', async () => {
+    const report = await manager.restoreBackup(backup, history, { mode: 'merge' });
+
+    expect(report).toEqual({ added: 1, updated: 0, unchanged: 1, removed: 0 });
+    expect(history.sessions.map((session) => session.title).sort()).toEqual(['Coffee (edited here)', 'Only here', 'Telescopes']);
+    expect(history.folders.map((folder) => [folder.id, folder.order])).toEqual([['folder-9', 0], ['folder-1', 1]]);
+    expect(store.saveSession).toHaveBeenCalledWith(expect.objectContaining({ id: 'session-1', messages: astronomy.messages }));
+    expect(store.deleteSession).not.toHaveBeenCalled();
+
+    expect(stateValues.userPreferences).toEqual({ autoScroll: true, sendOnEnter: true });
+    expect(JSON.parse(manager.storage.items.get('parkland_saved_searches')).map((search) => search.id)).toEqual(['search-2', 'search-1']);
+    expect(JSON.parse(manager.storage.items.get('parklandAI_characterVoices'))).toEqual({ quint: 'voice-uri-1' });
+  });
+
+  test('replaces the library and its settings, closing the open chat if it is gone', async () => {
+    const report = await manager.restoreBackup(backup, history, { mode: 'replace' });
+
+    expect(report).toEqual({ added: 1, updated: 1, unchanged: 0, removed: 1 });
+    expect(history.sessions.map((session) => session.title).sort()).toEqual(['Coffee', 'Telescopes']);
+    expect(history.folders.map((folder) => folder.id)).toEqual(['folder-1']);
+    expect(store.deleteSession).toHaveBeenCalledWith('session-9');
+    expect(store.deleteFolder).toHaveBeenCalledWith('folder-9');
+    expect(history.stateManager.clearChatHistory).toHaveBeenCalled();
+
+    expect(stateValues.userPreferences).toEqual({ autoScroll: false, sendOnEnter: true, customInstructions: 'Be brief.' });
+    expect(history.stateManager.setApiProvider).toHaveBeenCalledWith('openai');
+    expect(history.stateManager.setTheme).toHaveBeenCalledWith('jaws');
+    expect(JSON.parse(manager.storage.items.get('parkland_saved_searches')).map((search) => search.id)).toEqual(['search-1']);
+  });
+});
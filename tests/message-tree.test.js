@@ -0,0 +1,93 @@
+/**
+ * Parkland AI - MessageTree Tests
+ * Tests for branching a chat on edits and regenerations, and for switching between branches
+ */
+
+const message = (id, role, timestamp, extra = {}) => ({ id, role, content: `${role} ${id}`, timestamp, ...extra });
+const ids = (messages) => messages.map((m) => m.id);
+
+beforeAll(async () => {
+  await import('../js/features/chat/message-tree.js');
+});
+
+describe('MessageTree', () => {
+  const path = [message('u1', 'user', 1), message('a1', 'assistant', 2), message('u2', 'user', 3), message('a2', 'assistant', 4)];
+
+  test('a linear chat has no branches', () => {
+    const tree = new window.MessageTree(path, []);
+    expect(tree.getBranchInfo('a2')).toBeNull();
+    expect(ids(tree.getSiblings('u2'))).toEqual(['u2']);
+  });
+
+  test('branching moves the rest of the path off it, linked to its parent', () => {
+    const { path: kept, branches } = new window.MessageTree(path, []).branchAt(2);
+
+    expect(ids(kept)).toEqual(['u1', 'a1']);
+    expect(branches).toEqual([
+      expect.objectContaining({ id: 'u2', parentId: 'a1', detachedAt: expect.any(Number) }),
+      expect.objectContaining({ id: 'a2', parentId: 'u2' }),
+    ]);
+  });
+
+  test('an edited message becomes a sibling of the original, with a position among them', () => {
+    const branched = new window.MessageTree(path, []).branchAt(2);
+    const edited = [...branched.path, message('u2b', 'user', 5), message('a2b', 'assistant', 6)];
+    const tree = new window.MessageTree(edited, branched.branches);
+
+    expect(tree.getBranchInfo('u2b')).toEqual({ index: 1, count: 2, previousId: 'u2', nextId: null });
+    expect(tree.getBranchInfo('a2b')).toBeNull();
+  });
+
+  test('selecting a sibling restores its continuation and keeps the current one as a branch', () => {
+    const branched = new window.MessageTree(path, []).branchAt(2);
+    const edited = [...branched.path, message('u2b', 'user', 5), message('a2b', 'assistant', 6)];
+
+    const original = new window.MessageTree(edited, branched.branches).select('u2');
+
+    expect(original.path).toEqual(path);
+    expect(ids(original.branches).sort()).toEqual(['a2b', 'u2b']);
+    const back = new window.MessageTree(original.path, original.branches).select('u2b');
+    expect(back.path).toEqual(edited);
+    expect(new window.MessageTree(back.path, back.branches).getBranchInfo('u2b')).toMatchObject({ index: 1, count: 2 });
+  });
+
+  test('returns to the continuation that was selected last', () => {
+    // u2 has two replies, a2 and a2b; a2b was showing when the user switched to the edited u2c
+    let state = new window.MessageTree(path, []).branchAt(3);
+    state = { path: [...state.path, message('a2b', 'assistant', 5)], branches: state.branches };
+    state = new window.MessageTree(state.path, state.branches).branchAt(2);
+    state = { path: [...state.path, message('u2c', 'user', 6), message('a2c', 'assistant', 7)], branches: state.branches };
+
+    const restored = new window.MessageTree(state.path, state.branches).select('u2');
+
+    expect(ids(restored.path)).toEqual(['u1', 'a1', 'u2', 'a2b']);
+    expect(new window.MessageTree(restored.path, restored.branches).getBranchInfo('a2b')).toMatchObject({ index: 1, count: 2, previousId: 'a2' });
+  });
+
+  test('does not keep a continuation of only errors', () => {
+    const failed = [...path.slice(0, 3), message('err', 'assistant', 4, { isError: true })];
+    const { path: kept, branches } = new window.MessageTree(failed, []).branchAt(3);
+    expect(ids(kept)).toEqual(['u1', 'a1', 'u2']);
+    expect(branches).toEqual([]);
+  });
+
+  test('context markers move with the message after them', () => {
+    const marker = message('ctx', 'system', 3, { type: 'context-summary' });
+    const withMarker = [path[0], path[1], marker, path[2], path[3]];
+    const branched = new window.MessageTree(withMarker, []).branchAt(2);
+
+    expect(ids(branched.path)).toEqual(['u1', 'a1']);
+    expect(branched.branches).toContainEqual(expect.objectContaining({ id: 'ctx', anchorId: 'u2' }));
+
+    const edited = [...branched.path, message('u2b', 'user', 5)];
+    const restored = new window.MessageTree(edited, branched.branches).select('u2');
+    expect(restored.path).toEqual(withMarker);
+    expect(ids(restored.branches)).toEqual(['u2b']);
+  });
+
+  test('leaves the chat unchanged when selecting a message already shown or unknown', () => {
+    const tree = new window.MessageTree(path, []);
+    expect(tree.select('a1').path).toBe(path);
+    expect(tree.select('missing').path).toBe(path);
+  });
+});
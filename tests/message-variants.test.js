@@ -0,0 +1,48 @@
+/**
+ * Parkland AI - MessageVariants Tests
+ * Tests for keeping regenerated replies on their message and picking the canonical one
+ */
+
+const reply = (content, extra = {}) => ({ id: `r-${content}`, role: 'assistant', content, model: 'claude-3-haiku', timestamp: 1, ...extra });
+
+beforeAll(async () => {
+  await import('../js/features/chat/message-variants.js');
+});
+
+describe('MessageVariants', () => {
+  const original = reply('First', { usage: { inputTokens: 10, outputTokens: 5 }, character: 'quint' });
+
+  test('a reply that was never regenerated is its own only variant', () => {
+    const variants = new window.MessageVariants(original);
+    expect(variants.list()).toEqual([expect.objectContaining({ id: original.id, content: 'First', character: 'quint' })]);
+    expect(variants.getSelectedIndex()).toBe(0);
+  });
+
+  test('adds a variant, selects it and keeps the message ID', () => {
+    const updated = new window.MessageVariants(original).add(reply('Second', { temperature: 0.2, timestamp: 2 }));
+
+    expect(updated).toMatchObject({ id: original.id, role: 'assistant', content: 'Second', temperature: 0.2, variantIndex: 1 });
+    expect(updated.usage).toBeUndefined();
+    expect(updated.character).toBeUndefined();
+    expect(updated.variants.map((v) => v.content)).toEqual(['First', 'Second']);
+    expect(updated.variants[1].id).toBe('r-Second');
+    expect(original.variants).toBeUndefined();
+  });
+
+  test('selecting a variant makes its fields the message\'s', () => {
+    const updated = new window.MessageVariants(original).add(reply('Second', { temperature: 0.2 }));
+    const selected = new window.MessageVariants(updated).select(0);
+
+    expect(selected).toMatchObject({ id: original.id, content: 'First', character: 'quint', usage: original.usage, variantIndex: 0 });
+    expect(selected.temperature).toBeUndefined();
+    expect(selected.variants).toBe(updated.variants);
+  });
+
+  test('leaves the message unchanged when the variant is selected already or missing', () => {
+    const updated = new window.MessageVariants(original).add(reply('Second'));
+    const variants = new window.MessageVariants(updated);
+    expect(variants.select(1)).toBe(updated);
+    expect(variants.select(5)).toBe(updated);
+    expect(new window.MessageVariants({ ...updated, variantIndex: 9 }).getSelectedIndex()).toBe(0);
+  });
+});
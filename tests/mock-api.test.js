@@ -0,0 +1,399 @@
+/**
+ * Parkland AI - Mock API Server Tests
+ * Drives App._handleSendMessage end to end against the local mock Claude API (scripts/mock-api-server.js)
+ */
+
+import { jest } from '@jest/globals';
+import http from 'node:http';
+import { TextDecoder } from 'util';
+import { createMockApiServer } from '../scripts/mock-api-server.js';
+
+if (!global.TextDecoder) global.TextDecoder = TextDecoder;
+
+const VALID_KEY = `sk-ant-${'x'.repeat(40)}`;
+const replies = { 'What is the capital of France?': 'The capital of France is Paris.' }; // The server reads it on each request
+
+/**
+ * jsdom has no fetch, so requests go over Node's http module with just enough of the
+ * Response API for the services: status, headers, json(), text() and a streaming body reader.
+ * Like fetch, an aborted signal rejects with an AbortError and a dropped connection makes read() reject.
+ */
+const nodeFetch = (url, init = {}) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let ended = false;
+  let failure = null;
+  let pendingRead = null;
+
+  const settleRead = () => {
+    if (!pendingRead) return;
+    const { resolveRead, rejectRead } = pendingRead;
+    if (chunks.length) resolveRead({ done: false, value: chunks.shift() });
+    else if (failure) rejectRead(failure);
+    else if (ended) resolveRead({ done: true, value: undefined });
+    else return;
+    pendingRead = null;
+  };
+  const fail = (error) => {
+    failure = failure || error;
+    settleRead();
+  };
+  const reader = {
+    read: () => new Promise((resolveRead, rejectRead) => {
+      pendingRead = { resolveRead, rejectRead };
+      settleRead();
+    }),
+    releaseLock: () => {},
+    cancel: () => Promise.resolve(),
+  };
+  const text = async () => {
+    const decoder = new TextDecoder();
+    let result = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return result + decoder.decode();
+      result += decoder.decode(value, { stream: true });
+    }
+  };
+
+  const headers = {};
+  new Headers(init.headers || {}).forEach((value, key) => { headers[key] = value; });
+  const request = http.request(url, { method: init.method || 'GET', headers }, (response) => {
+    response.on('data', (chunk) => { chunks.push(new Uint8Array(chunk)); settleRead(); });
+    response.on('end', () => { ended = true; settleRead(); });
+    response.on('error', () => fail(new TypeError('terminated')));
+    response.on('close', () => { if (!response.complete) fail(new TypeError('terminated')); });
+    resolve({
+      ok: response.statusCode >= 200 && response.statusCode < 300,
+      status: response.statusCode,
+      statusText: response.statusMessage,
+      headers: new Headers(Object.entries(response.headers).map(([key, value]) => [key, String(value)])),
+      body: { getReader: () => reader },
+      text,
+      json: async () => JSON.parse(await text()),
+    });
+  });
+  request.on('error', () => reject(new TypeError('Failed to fetch')));
+
+  if (init.signal) {
+    const abort = () => {
+      const error = new DOMException('The operation was aborted.', 'AbortError');
+      request.destroy();
+      reject(error);
+      fail(error);
+    };
+    if (init.signal.aborted) {
+      abort();
+      return;
+    }
+    init.signal.addEventListener('abort', abort, { once: true });
+  }
+  request.end(init.body);
+});
+
+let server;
+let baseUrl;
+let stateManager;
+let app;
+
+beforeAll(async () => {
+  await import('../js/core/logger.js');
+  await import('../js/core/utils.js');
+  await import('../js/core/state.js');
+  await import('../js/core/events.js');
+  await import('../js/features/api/errors.js');
+  await import('../js/features/api/provider.js');
+  await import('../js/features/api/claude.js');
+  await import('../js/features/core/retry-manager.js');
+  await import('../js/features/chat/message-tree.js');
+  await import('../js/features/chat/message-variants.js');
+  await import('../js/core/app.js');
+
+  server = createMockApiServer({ replies });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+afterAll(() => new Promise((resolve) => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+beforeEach(() => {
+  global.fetch = jest.fn(nodeFetch);
+  server.scenarios.length = 0;
+  server.requests.length = 0;
+  server.cachedPrefixes.clear();
+
+  stateManager = window.StateManager.getInstance();
+  stateManager.set('chatBranches', []);
+  stateManager.set('chatHistory', []);
+  stateManager.set('activeRequestId', null);
+  stateManager.set('currentApiProvider', 'claude');
+  stateManager.set('apiKeys.claude', VALID_KEY);
+  stateManager.set('modelPreferences.claude.baseUrl', baseUrl);
+
+  app = new window.App();
+  app.retryManager = new window.RetryManager(app.utils, stateManager, app.eventEmitter);
+  app.apiService = new window.ClaudeAPIService(stateManager, app.utils, app.retryManager, null);
+  app.apiService.retryOptions = { maxAttempts: 3, baseDelay: 1, maxDelay: 50 };
+});
+
+afterEach(() => {
+  app.retryManager.destroy();
+});
+
+const send = async (text) => {
+  stateManager.set('userInput', text);
+  await app._handleSendMessage();
+  return stateManager.get('chatHistory');
+};
+
+describe('App against the mock Claude API', () => {
+  test('streams a reply into the chat history', async () => {
+    const history = await send('What is the capital of France?');
+
+    expect(history).toHaveLength(2);
+    expect(history[0]).toMatchObject({ role: 'user', content: 'What is the capital of France?' });
+    expect(history[1]).toMatchObject({ role: 'assistant', content: 'The capital of France is Paris.', provider: 'claude' });
+    expect(history[1].usage.outputTokens).toBeGreaterThan(0);
+    expect(server.requests[0]).toMatchObject({ stream: true, messages: [{ role: 'user', content: 'What is the capital of France?' }] });
+    expect(global.fetch.mock.calls[0][0]).toBe(`${baseUrl}/messages`);
+    expect(stateManager.get('activeRequestId')).toBeNull();
+  });
+
+  test('renders the streaming reply at most once per animation frame', async () => {
+    const frames = [];
+    const requestFrame = jest.spyOn(app.utils, 'requestFrame').mockImplementation((callback) => {
+      frames.push(callback);
+      return requestFrame.mock.calls.length; // Frame IDs count up from 1
+    });
+    const cancelFrame = jest.spyOn(app.utils, 'cancelFrame').mockImplementation(() => {});
+    app.chatMessages = { addMessage: jest.fn() };
+    const chunks = [];
+    const onChunk = ({ delta }) => {
+      chunks.push(delta);
+      if (chunks.length === 3) frames.splice(0).forEach((callback) => callback()); // A frame paints before the third delta is scheduled
+    };
+    app.eventEmitter.on('api:streamChunk', onChunk);
+
+    try {
+      const history = await send('Hello');
+
+      expect(chunks).toEqual(['This ', 'is ', 'a ', 'mock ', 'reply ', 'to: ', 'Hello']);
+      expect(requestFrame).toHaveBeenCalledTimes(2);
+      expect(app.chatMessages.addMessage).toHaveBeenCalledTimes(1);
+      expect(app.chatMessages.addMessage).toHaveBeenCalledWith(expect.objectContaining({ id: expect.any(String), content: 'This is ' }), true);
+      expect(cancelFrame).toHaveBeenCalledWith(2); // The final reply replaces the render still pending
+      expect(history[1].content).toBe('This is a mock reply to: Hello');
+    } finally {
+      app.eventEmitter.off('api:streamChunk', onChunk);
+      requestFrame.mockRestore();
+      cancelFrame.mockRestore();
+    }
+  });
+
+  test('answers with a deterministic default reply', async () => {
+    const history = await send('Hello there');
+    expect(history[1].content).toBe('This is a mock reply to: Hello there');
+  });
+
+  test('reads the earlier turns from the prompt cache on the next turn', async () => {
+    await send('Hello');
+    const history = await send('Tell me more');
+
+    expect(history[1].usage).toMatchObject({ cacheReadTokens: 0 });
+    expect(history[1].usage.cacheWriteTokens).toBeGreaterThan(0);
+    expect(history[3].usage.cacheReadTokens).toBeGreaterThan(0);
+    expect(history[3].usage.cacheWriteTokens).toBeGreaterThan(0); // The new breakpoint after the first reply
+  });
+
+  test('streams the reasoning of a chat with thinking on and keeps it with the reply', async () => {
+    stateManager.set('sessionModelSettings', { provider: 'claude', thinking: true, thinkingBudget: 2048 });
+
+    const history = await send('Hello');
+
+    expect(server.requests[0].thinking).toEqual({ type: 'enabled', budget_tokens: 2048 });
+    expect(history[1]).toMatchObject({ content: 'This is a mock reply to: Hello', reasoning: 'The user wrote "Hello". A short, direct answer will do.' });
+    stateManager.set('sessionModelSettings', null);
+  });
+
+  test('keeps the earlier reply on a branch when regenerating and when editing', async () => {
+    await send('Hello');
+    const [question, firstReply] = stateManager.get('chatHistory');
+
+    await app._handleRegenerate(firstReply);
+    const regenerated = stateManager.get('chatHistory');
+    expect(regenerated).toHaveLength(2);
+    expect(regenerated[1].id).not.toBe(firstReply.id);
+    expect(stateManager.get('chatBranches')).toEqual([expect.objectContaining({ id: firstReply.id, parentId: question.id })]);
+
+    app._handleEditRequested(question);
+    const history = await send('Hello again');
+    expect(history.map((m) => m.content)).toEqual(['Hello again', 'This is a mock reply to: Hello again']);
+    expect(server.requests[2].messages).toEqual([{ role: 'user', content: 'Hello again' }]);
+    expect(stateManager.get('editingMessageId')).toBeNull();
+
+    app._handleSelectBranch(question.id);
+    expect(stateManager.get('chatHistory').map((m) => m.id)).toEqual([question.id, regenerated[1].id]);
+    expect(stateManager.get('chatBranches')).toHaveLength(3);
+  });
+
+  test('keeps a regenerated reply as a variant and sends the selected one as context', async () => {
+    await send('Tell me a joke');
+    const [, firstReply] = stateManager.get('chatHistory');
+    replies['Tell me a joke'] = 'A second joke.';
+
+    await app._handleRegenerateVariant({ messageId: firstReply.id, temperature: 0.3 });
+    delete replies['Tell me a joke'];
+
+    const [, reply] = stateManager.get('chatHistory');
+    expect(server.requests[1]).toMatchObject({ temperature: 0.3, messages: [{ role: 'user', content: 'Tell me a joke' }] });
+    expect(reply).toMatchObject({ id: firstReply.id, content: 'A second joke.', temperature: 0.3, variantIndex: 1 });
+    expect(reply.variants.map((v) => v.content)).toEqual([firstReply.content, 'A second joke.']);
+    expect(stateManager.get('chatBranches')).toEqual([]);
+
+    app._handleSelectVariant({ messageId: reply.id, index: 0 });
+    expect(stateManager.get('chatHistory')[1]).toMatchObject({ content: firstReply.content, variantIndex: 0 });
+    expect(stateManager.get('chatHistory')[1].temperature).toBeUndefined();
+    await send('Another');
+    expect(JSON.stringify(server.requests[2].messages[1])).toContain(firstReply.content);
+    expect(JSON.stringify(server.requests[2].messages)).not.toContain('A second joke.');
+  });
+
+  test('retries an overloaded API and then answers', async () => {
+    server.scenarios.push('overloaded', 'rate_limit:0');
+
+    const history = await send('Hello');
+
+    expect(server.requests).toHaveLength(3);
+    expect(history[1]).toMatchObject({ content: 'This is a mock reply to: Hello' });
+    expect(history[1].isError).toBeUndefined();
+  });
+
+  test('reports a rejected API key without retrying', async () => {
+    const history = await send('[mock:unauthorized] Hello');
+
+    expect(server.requests).toHaveLength(1);
+    expect(history[1].isError).toBe(true);
+    expect(history[1].content).toContain('Please check your API key.');
+  });
+
+  test('reports a long rate limit wait instead of retrying', async () => {
+    const history = await send('[mock:rate_limit:60] Hello');
+
+    expect(server.requests).toHaveLength(1);
+    expect(history[1].isError).toBe(true);
+    expect(history[1].content).toContain('try again in 60 seconds');
+  });
+
+  test('gives up after repeated server errors', async () => {
+    server.scenarios.push('server_error', 'server_error', 'server_error');
+
+    const history = await send('Hello');
+
+    expect(server.requests).toHaveLength(3);
+    expect(history[1].isError).toBe(true);
+    expect(history[1].content).toMatch(/500/);
+  });
+
+  test('reports an error event in the middle of a stream', async () => {
+    const history = await send('[mock:stream_error] Tell me a long story about the sea');
+
+    expect(history[1].isError).toBe(true);
+    expect(history[1].content.toLowerCase()).toContain('overloaded');
+  });
+
+  test('reports a connection dropped in the middle of a stream', async () => {
+    const history = await send('[mock:disconnect] Tell me a long story about the sea');
+
+    expect(history).toHaveLength(2);
+    expect(history[1].isError).toBe(true);
+    expect(history[1].content).toContain('connection was lost');
+    expect(stateManager.get('activeRequestId')).toBeNull();
+  });
+
+  test('lists the mock models', async () => {
+    const models = await app.apiService.listModels();
+    expect(models).toContainEqual({ id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku (mock)' });
+  });
+});
+
+describe('App stopping a reply against the mock Claude API', () => {
+  let slowServer;
+  let cancelled;
+
+  beforeAll(async () => {
+    slowServer = createMockApiServer({ replies, chunkDelay: 10 }); // Leaves time to stop between the deltas
+    await new Promise((resolve) => slowServer.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(() => new Promise((resolve) => {
+    slowServer.closeAllConnections();
+    slowServer.close(resolve);
+  }));
+
+  const stopOnFirstChunk = () => app.eventEmitter.once('api:streamChunk', () => app._handleStopGeneration());
+
+  beforeEach(() => {
+    stateManager.set('modelPreferences.claude.baseUrl', `http://127.0.0.1:${slowServer.address().port}/v1`);
+    app.chatMessages = { addMessage: jest.fn() }; // The streaming render keeps the reasoning and tool calls of a stopped reply
+    cancelled = jest.fn();
+    app.eventEmitter.on('api:requestCancelled', cancelled);
+  });
+
+  afterEach(() => {
+    app.eventEmitter.off('api:requestCancelled', cancelled); // The emitter is shared by every App
+  });
+
+  test('keeps the text and reasoning streamed before the stop as a stopped reply', async () => {
+    stateManager.set('sessionModelSettings', { provider: 'claude', thinking: true, thinkingBudget: 2048 });
+    stopOnFirstChunk();
+
+    const history = await send('Hello');
+
+    expect(history).toHaveLength(2);
+    expect(history[1]).toMatchObject({
+      role: 'assistant',
+      content: 'This',
+      reasoning: 'The user wrote "Hello". A short, direct answer will do.',
+      stopped: true,
+    });
+    expect(history[1].isError).toBeUndefined();
+    expect(cancelled).toHaveBeenCalledTimes(1);
+    expect(cancelled.mock.calls[0][0]).toMatchObject({ messageId: history[0].id, assistantMessageId: history[1].id, partialContent: 'This' });
+    expect(cancelled.mock.calls[0][0].requestId).toMatch(/^req-/);
+    expect(stateManager.get('activeRequestId')).toBeNull();
+    stateManager.set('sessionModelSettings', null);
+  });
+
+  test('adds no reply when stopped before anything streamed', async () => {
+    global.fetch = jest.fn((url, init) => {
+      const response = nodeFetch(url, init);
+      app._handleStopGeneration();
+      return response;
+    });
+
+    const history = await send('Hello');
+
+    expect(history).toEqual([expect.objectContaining({ role: 'user', content: 'Hello' })]);
+    expect(app.chatMessages.addMessage).not.toHaveBeenCalled();
+    expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ messageId: history[0].id, assistantMessageId: null, partialContent: '' }));
+    expect(stateManager.get('activeRequestId')).toBeNull();
+  });
+
+  test('adds a stopped regeneration as a variant of the reply', async () => {
+    await send('Tell me a joke');
+    const [question, firstReply] = stateManager.get('chatHistory');
+    stopOnFirstChunk();
+
+    await app._handleRegenerateVariant({ messageId: firstReply.id, temperature: 0.3 });
+
+    const history = stateManager.get('chatHistory');
+    expect(history).toHaveLength(2);
+    expect(history[1]).toMatchObject({ id: firstReply.id, content: 'This', stopped: true, temperature: 0.3, variantIndex: 1 });
+    expect(history[1].variants.map((v) => v.content)).toEqual([firstReply.content, 'This']);
+    expect(stateManager.get('chatBranches')).toEqual([]);
+    expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ messageId: question.id, partialContent: 'This' }));
+    expect(cancelled.mock.calls[0][0].assistantMessageId).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Parkland AI - Saved Search Tests
+ * Tests for saving searches, their smart folders in the chat list and exporting their results
+ */
+
+import { jest } from '@jest/globals';
+
+const hits = {
+  'session-1': [
+    { sessionId: 'session-1', messageId: 'm2', role: 'assistant', character: 'quint', timestamp: Date.parse('2026-01-02T10:00:00Z'), snippet: 'sharks', terms: ['shark'], score: 3, content: 'Sharks come at night.\nStay on the boat.' },
+  ],
+  'session-2': [
+    { sessionId: 'session-2', messageId: 'm7', role: 'user', character: null, timestamp: Date.parse('2026-01-03T10:00:00Z'), snippet: 'shark', terms: ['shark'], score: 2, content: 'Is a "great white" a shark?' },
+  ],
+};
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeAll(async () => {
+  await import('../js/core/logger.js');
+  await import('../js/core/utils.js');
+  await import('../js/core/events.js');
+  await import('../js/features/chat/history.js');
+  await import('../js/features/chat/search-query.js');
+  await import('../js/features/chat/search-manager.js');
+});
+
+describe('Saved searches', () => {
+  let manager;
+  let history;
+  let sessionIndex;
+  let container;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    document.body.innerHTML = '<nav><ul class="chat-history-list"></ul></nav><div class="chat-container"></div>';
+    container = document.querySelector('.chat-history-list');
+    window.parklandApp = {
+      characterManager: {
+        getAvailableCharacters: () => ({ quint: { name: 'Quint' } }),
+        getCharacterData: (key) => (key === 'quint' ? { name: 'Quint' } : null),
+      },
+    };
+    const stateManager = TestUtils.createMockStateManager();
+    const store = {
+      listSessions: jest.fn(() => Promise.resolve([
+        { id: 'session-1', title: 'Jaws', lastUpdated: 2, messageCount: 4 },
+        { id: 'session-2', title: 'Biology', lastUpdated: 3, messageCount: 2 },
+        { id: 'session-3', title: 'Cooking', lastUpdated: 1, messageCount: 2 },
+      ])),
+      listFolders: jest.fn(() => Promise.resolve([])),
+    };
+    history = new window.ChatHistory(container, window.utils, window.AppEvents, stateManager, store);
+    await history.ready;
+
+    sessionIndex = {
+      search: jest.fn(async (query, filters, limit, { withContent }) => {
+        const groups = Object.entries(hits)
+          .filter(([, sessionHits]) => !filters.role || filters.role === 'all' || sessionHits[0].role === filters.role)
+          .map(([sessionId, sessionHits]) => ({
+            sessionId,
+            title: sessionId === 'session-1' ? 'Jaws' : 'Biology',
+            score: sessionHits[0].score,
+            hits: sessionHits.map(({ content, ...hit }) => (withContent ? { ...hit, content } : hit)),
+          }));
+        return { groups, total: groups.length };
+      }),
+    };
+    manager = new window.ChatSearchManager(window.utils, stateManager, window.AppEvents);
+    manager.setSessionIndex(sessionIndex, jest.fn());
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    delete window.parklandApp;
+  });
+
+  test('saves the query and filters and shows the chats it finds as a smart folder', async () => {
+    manager.currentQuery = 'shark role:assistant';
+    manager.filters.dateRange = 'week';
+    const saved = manager.saveCurrentSearch();
+    await flush();
+
+    expect(saved).toMatchObject({ name: 'shark role:assistant', query: 'shark role:assistant', filters: expect.objectContaining({ dateRange: 'week' }) });
+    expect(JSON.parse(localStorage.getItem('parkland_saved_searches'))).toEqual([saved]);
+    expect(sessionIndex.search).toHaveBeenLastCalledWith('shark', expect.objectContaining({ role: 'assistant', start: expect.any(Number) }), 1000, { withContent: false });
+
+    const folder = container.querySelector('.chat-smart-folder');
+    expect(folder.dataset.smartFolderId).toBe(saved.id);
+    expect(folder.querySelector('.chat-folder-count').textContent).toBe('1');
+    expect(Array.from(folder.querySelectorAll('.chat-history-item')).map((item) => item.dataset.sessionId)).toEqual(['session-1']);
+    expect(container.querySelectorAll('.chat-history-item')).toHaveLength(4); // The chats are also listed as usual
+
+    history.setFilter(`smart:${saved.id}`);
+    expect(Array.from(container.querySelectorAll('.chat-history-item')).map((item) => item.dataset.sessionId)).toEqual(['session-1']);
+    expect(container.querySelector('.chat-smart-folder')).toBeNull();
+  });
+
+  test('follows the index, and is renamed and deleted from the sidebar', async () => {
+    manager.currentQuery = 'shark';
+    const saved = manager.saveCurrentSearch('Sharks');
+    await flush();
+    expect(container.querySelector('.chat-smart-folder .chat-folder-count').textContent).toBe('2');
+
+    sessionIndex.search.mockImplementationOnce(async () => ({ groups: [{ sessionId: 'session-3', title: 'Cooking', score: 1, hits: [] }], total: 1 }));
+    window.AppEvents.emit('search:indexUpdated');
+    await new Promise((resolve) => setTimeout(resolve, 600)); // Refreshes are debounced
+    const items = container.querySelectorAll('.chat-smart-folder .chat-history-item');
+    expect(Array.from(items).map((item) => item.dataset.sessionId)).toEqual(['session-3']);
+
+    window.AppEvents.emit('savedSearchRenameRequested', { searchId: saved.id, name: 'All sharks' });
+    await flush();
+    expect(container.querySelector('.chat-smart-folder .chat-folder-name').textContent).toBe('All sharks');
+
+    container.querySelector('.chat-smart-folder [title="Delete smart folder (its chats are kept)"]').click();
+    await flush();
+    expect(manager.savedSearches).toEqual([]);
+    expect(container.querySelector('.chat-smart-folder')).toBeNull();
+  });
+
+  test('opens a saved search with its filters across all chats', () => {
+    manager.currentQuery = 'shark';
+    manager.filters.role = 'user';
+    const saved = manager.saveCurrentSearch();
+    manager._clearSearch();
+    manager.filters.role = 'all';
+
+    manager.applySavedSearch(saved.id);
+
+    expect(manager.scope).toBe('all');
+    expect(manager.ui.searchInput.value).toBe('shark');
+    expect(manager.ui.searchContainer.querySelector('.role-filter').value).toBe('user');
+    expect(sessionIndex.search).toHaveBeenLastCalledWith('shark', expect.objectContaining({ role: 'user' }), 200, { withContent: false });
+  });
+
+  test('exports a saved search as Markdown, JSON or CSV', async () => {
+    URL.createObjectURL = jest.fn(() => 'blob:results');
+    URL.revokeObjectURL = jest.fn();
+    manager.currentQuery = 'shark';
+    const saved = manager.saveCurrentSearch('Sharks');
+
+    const markdown = await manager.exportSavedSearch(saved.id, 'markdown');
+    expect(markdown).toContain('# Search: Sharks\n\nQuery: `shark`');
+    expect(markdown).toContain('## Jaws\n\n**Quint** · ');
+    expect(markdown).toContain('> Sharks come at night.\n> Stay on the boat.');
+    expect(markdown).toContain('## Biology\n\n**User**');
+    expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+
+    const csv = (await manager.exportSavedSearch(saved.id, 'csv')).split('\n');
+    expect(csv[0]).toBe('Chat,Message ID,Role,Content,Character,Timestamp,Score');
+    expect(csv[csv.length - 1]).toBe('"Biology",m7,user,"Is a ""great white"" a shark?",,2026-01-03T10:00:00.000Z,2');
+
+    const json = JSON.parse(await manager.exportSavedSearch(saved.id, 'json'));
+    expect(json.map((row) => [row.sessionTitle, row.messageId])).toEqual([['Jaws', 'm2'], ['Biology', 'm7']]);
+  });
+});
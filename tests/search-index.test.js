@@ -0,0 +1,172 @@
+/**
+ * Parkland AI - Search Index Tests
+ * Tests for the cross-session inverted index and the main thread's side of its worker
+ */
+
+import { jest } from '@jest/globals';
+
+const day = 24 * 60 * 60 * 1000;
+
+const astronomy = {
+  id: 'session-1',
+  lastUpdated: 3 * day,
+  messages: [
+    { id: 'm1', role: 'user', content: 'Which telescope should I buy for the planets?', timestamp: day },
+    { id: 'm2', role: 'assistant', content: 'For planets, a refractor telescope with a long focal length is a good start.', character: 'sherlock', timestamp: 2 * day, hasAttachments: true },
+  ],
+};
+
+const cooking = {
+  id: 'session-2',
+  lastUpdated: 5 * day,
+  messages: [
+    { id: 'm3', role: 'user', content: 'My café au lait keeps separating', timestamp: 4 * day },
+    { id: 'm4', role: 'assistant', content: 'Heat the milk gently; a telescope will not help here.', timestamp: 5 * day, isError: true },
+  ],
+};
+
+beforeAll(async () => {
+  await import('../workers/search-index.js');
+  await import('../js/features/chat/session-search-index.js');
+});
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new window.SearchIndex();
+    index.indexSession(astronomy);
+    index.indexSession(cooking);
+  });
+
+  test('finds messages containing every word, the last one as a prefix', () => {
+    expect(index.search('telescope').total).toBe(3);
+    expect(index.search('telescope planets').results.map((r) => r.messageId).sort()).toEqual(['m1', 'm2']);
+    expect(index.search('refractor tele').results.map((r) => r.messageId)).toEqual(['m2']);
+    expect(index.search('tele refractor').total).toBe(0); // Only the last word may be unfinished
+    expect(index.search('cafe').results[0]).toMatchObject({ sessionId: 'session-2', messageId: 'm3', terms: ['cafe'] });
+  });
+
+  test('applies the role, character, date, attachment, error and length filters', () => {
+    const ids = (filters) => index.search('telescope', filters).results.map((r) => r.messageId).sort();
+
+    expect(ids({ role: 'user' })).toEqual(['m1']);
+    expect(ids({ character: 'sherlock' })).toEqual(['m2']);
+    expect(ids({ start: 2 * day, end: 4 * day })).toEqual(['m2']);
+    expect(ids({ hasAttachments: true })).toEqual(['m2']);
+    expect(ids({ hasErrors: true })).toEqual(['m4']);
+    expect(ids({ maxLength: 50 })).toEqual(['m1']);
+    expect(ids({ sessionIds: ['session-2'] })).toEqual(['m4']);
+  });
+
+  test('lists every message passing the filters when there are no words, and can return the full text', () => {
+    expect(index.search('').total).toBe(0);
+    expect(index.search('', { role: 'assistant', character: 'all' }).results.map((r) => r.messageId).sort()).toEqual(['m2', 'm4']);
+    expect(index.search('heat').results[0].content).toBeUndefined();
+    expect(index.search('heat', {}, 200, { withContent: true }).results[0].content).toBe(cooking.messages[1].content);
+  });
+
+  test('re-indexes, removes and syncs sessions', () => {
+    index.indexSession({ ...cooking, lastUpdated: 6 * day, messages: [{ id: 'm5', role: 'user', content: 'Bread instead', timestamp: 6 * day }] });
+    expect(index.search('telescope').results.map((r) => r.sessionId)).not.toContain('session-2');
+    expect(index.search('bread').total).toBe(1);
+
+    const { needed, removed } = index.sync([{ id: 'session-2', lastUpdated: 6 * day }, { id: 'session-3', lastUpdated: 1 }]);
+    expect(needed).toEqual(['session-3']);
+    expect(removed).toEqual(['session-1']);
+    expect(index.search('telescope').total).toBe(0);
+    expect(index.postings.has('refractor')).toBe(false);
+  });
+
+  test('cuts a snippet around the first match', () => {
+    const content = `${'filler '.repeat(30)}the telescope arrived ${'more '.repeat(30)}`;
+    index.indexSession({ id: 'session-4', lastUpdated: 1, messages: [{ id: 'm6', role: 'user', content }] });
+    const { snippet } = index.search('arrived').results[0];
+
+    expect(snippet.startsWith('...')).toBe(true);
+    expect(snippet.endsWith('...')).toBe(true);
+    expect(snippet).toContain('the telescope arrived');
+  });
+});
+
+describe('SessionSearchIndex', () => {
+  let emitter;
+  let chatHistory;
+  let worker;
+  let sessionIndex;
+
+  // Runs the index on the main thread, answering like the worker does
+  const createWorker = () => {
+    const index = new window.SearchIndex();
+    worker = {
+      posted: [],
+      terminate: jest.fn(),
+      postMessage(message) {
+        this.posted.push(message);
+        const { type, payload } = message;
+        const reply = (data) => Promise.resolve().then(() => worker.onmessage({ data }));
+        if (type === 'SYNC') reply({ type: 'SYNC_NEEDED', payload: { sessionIds: index.sync(payload.sessions).needed } });
+        if (type === 'INDEX_SESSION') {
+          index.indexSession(payload.session);
+          reply({ type: 'SESSION_INDEXED', payload: { sessionId: payload.session.id } });
+        }
+        if (type === 'REMOVE_SESSION') index.removeSession(payload.sessionId);
+        if (type === 'SEARCH') reply({ type: 'SEARCH_RESULTS', payload: { requestId: payload.requestId, ...index.search(payload.query, payload.filters, payload.limit, { withContent: payload.withContent }) } });
+      },
+    };
+    return worker;
+  };
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  beforeEach(async () => {
+    const handlers = {};
+    emitter = {
+      on: jest.fn((event, handler) => { handlers[event] = handler; }),
+      off: jest.fn(),
+      emit: jest.fn((event, data) => handlers[event] && handlers[event](data)),
+    };
+    const stored = { 'session-1': astronomy, 'session-2': cooking };
+    chatHistory = {
+      ready: Promise.resolve(),
+      sessions: [
+        { id: 'session-1', title: 'Telescopes', lastUpdated: astronomy.lastUpdated },
+        { id: 'session-2', title: 'Coffee', lastUpdated: cooking.lastUpdated },
+      ],
+      getSessionSummary: (id) => chatHistory.sessions.find((s) => s.id === id) || null,
+      getSessionMessages: jest.fn(async (id) => stored[id].messages),
+    };
+    sessionIndex = new window.SessionSearchIndex(emitter, chatHistory, { createWorker });
+    await sessionIndex.start();
+    await flush();
+  });
+
+  test('indexes the stored chats on start and groups hits by chat', async () => {
+    expect(chatHistory.getSessionMessages).toHaveBeenCalledTimes(2);
+    expect(sessionIndex.indexing.size).toBe(0);
+    expect(emitter.emit).toHaveBeenCalledWith('search:indexUpdated');
+
+    const { groups, total } = await sessionIndex.search('telescope');
+    expect(total).toBe(3);
+    expect(groups.map((g) => [g.title, g.hits.length])).toEqual([['Telescopes', 2], ['Coffee', 1]]);
+  });
+
+  test('re-indexes saved chats and forgets deleted ones', async () => {
+    emitter.emit('chatSessionSaved', { session: { id: 'session-3', lastUpdated: 9, messages: [{ id: 'x', role: 'user', content: 'Nebula filters' }, { id: 'y', role: 'system', content: 'Nebula note' }] } });
+    chatHistory.sessions.push({ id: 'session-3', title: 'Nebulae', lastUpdated: 9 });
+    emitter.emit('chatSessionDeleted', { sessionId: 'session-1' });
+    chatHistory.sessions.shift();
+    await flush();
+
+    expect((await sessionIndex.search('nebula')).total).toBe(1); // System messages are not indexed
+    expect((await sessionIndex.search('telescope')).groups.map((g) => g.sessionId)).toEqual(['session-2']);
+  });
+
+  test('stops the worker and rejects searches once destroyed', async () => {
+    sessionIndex.destroy();
+
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(emitter.off).toHaveBeenCalledWith('chatSessionSaved', expect.any(Function));
+    await expect(sessionIndex.search('telescope')).rejects.toThrow('not running');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Parkland AI - Search Query Tests
+ * Tests for the search box's query grammar, English stemming and fuzzy ranking
+ */
+
+import { jest } from '@jest/globals';
+import Fuse from 'fuse.js';
+
+const day = 24 * 60 * 60 * 1000;
+
+beforeAll(async () => {
+  await import('../js/core/utils.js');
+  await import('../js/features/chat/search-query.js');
+  await import('../js/features/chat/search-manager.js');
+});
+
+describe('SearchQuery', () => {
+  const parse = (input) => new window.SearchQuery(input);
+
+  test('separates plain words, quoted phrases and field filters', () => {
+    const query = parse('shark  "focal length"  role:assistant character:quint before:2026-01-01 after:2025/12');
+
+    expect(query.text).toBe('shark');
+    expect(query.terms).toEqual(['shark']);
+    expect(query.phrases).toEqual(['focal length']);
+    expect(query.filters).toEqual({
+      role: 'assistant',
+      character: 'quint',
+      before: new Date(2026, 0, 1).getTime(),
+      after: new Date(2025, 11, 1).getTime(),
+    });
+    expect(query.errors).toEqual([]);
+  });
+
+  test('accepts quoted values, role aliases and an unfinished phrase', () => {
+    const query = parse('Role:AI char:"Mr DNA" "open phrase');
+
+    expect(query.filters).toEqual({ role: 'assistant', character: 'mr dna' });
+    expect(query.phrases).toEqual(['open phrase']);
+    expect(query.hasText()).toBe(true);
+  });
+
+  test('searches unknown prefixes as text and keeps punctuation out of the terms', () => {
+    const query = parse('note: see https://example.com, again AGAIN');
+
+    expect(query.text).toBe('note: see https://example.com, again AGAIN');
+    expect(query.terms).toEqual(['note', 'see', 'https', 'example', 'com', 'again']);
+    expect(query.hasFilters()).toBe(false);
+  });
+
+  test('reports invalid values and ignores them', () => {
+    const query = parse('role:robot before:2026-02-30 after:yesterday role:');
+
+    expect(query.filters).toEqual({});
+    expect(query.errors).toEqual([
+      'role: expects user, assistant or system, not "robot"',
+      'before: expects a date like 2026-01-01, not "2026-02-30"',
+      'after: expects a date like 2026-01-01, not "yesterday"',
+    ]);
+    expect(query.hasText()).toBe(false);
+  });
+
+  test('stems English word forms to the same stem', () => {
+    const same = (...words) => expect(new Set(words.map((word) => window.SearchQuery.stem(word))).size).toBe(1);
+
+    same('run', 'runs', 'running');
+    same('stop', 'stopped', 'stopping');
+    same('library', 'libraries');
+    same('box', 'boxes');
+    same('make', 'makes', 'making');
+    same('quick', 'quickly');
+    expect(window.SearchQuery.stem('glass')).toBe('glass');
+    expect(window.SearchQuery.stem('string')).toBe('string');
+    expect(window.SearchQuery.stem('Café')).toBe('café');
+  });
+});
+
+describe('ChatSearchManager query search', () => {
+  let manager;
+  const now = Date.now();
+  const history = [
+    { id: 'm1', role: 'user', content: 'We need a bigger boat for the shark.', timestamp: now - 60 * day },
+    { id: 'm2', role: 'assistant', character: 'quint', content: 'The sharks come at night. A bigger boat will not save you.', timestamp: now - 2 * day },
+    { id: 'm3', role: 'assistant', character: 'hooper', content: 'Sharks are fascinating animals, and the boat is big enough.', timestamp: now - day },
+    { id: 'm4', role: 'user', content: 'Tell me about the telescope.', timestamp: now },
+    { id: 'm5', role: 'assistant', character: 'brody', content: 'That boat is fine, no need for bigger plans.', timestamp: now },
+  ];
+
+  const search = (input, config = {}) => {
+    Object.assign(manager.config, config);
+    return manager._searchWithQuery(history, new window.SearchQuery(input)).map((result) => result.message.id);
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div class="chat-container"></div>';
+    window.Fuse = Fuse;
+    window.parklandApp = {
+      characterManager: {
+        getAvailableCharacters: () => ({ quint: { name: 'Quint' }, hooper: { name: 'Matt Hooper' } }),
+      },
+    };
+    const eventEmitter = { on: jest.fn(), emit: jest.fn() };
+    manager = new window.ChatSearchManager(window.utils, TestUtils.createMockStateManager(), eventEmitter);
+  });
+
+  afterEach(() => {
+    delete window.Fuse;
+    delete window.parklandApp;
+  });
+
+  test('matches the plain words as typed unless fuzzy', () => {
+    expect(search('shark')).toEqual(expect.arrayContaining(['m1', 'm2', 'm3']));
+    expect(search('bigger boat')).toEqual(['m2', 'm1']);
+    expect(search('sharcs')).toEqual([]);
+  });
+
+  test('tolerates typos and word forms in fuzzy mode', () => {
+    expect(search('sharcs biger', { fuzzy: true }).sort()).toEqual(['m1', 'm2']);
+    expect(search('telescopes', { fuzzy: true })).toEqual(['m4']);
+    expect(search('tel', { fuzzy: true })).toEqual([]); // Short words are not fuzzy
+  });
+
+  test('falls back to word forms without fuse.js', () => {
+    delete window.Fuse;
+    expect(search('sharks', { fuzzy: true }).sort()).toEqual(['m1', 'm2', 'm3']);
+    expect(search('sharcs', { fuzzy: true })).toEqual([]);
+  });
+
+  test('requires phrases and applies field filters', () => {
+    expect(search('"bigger boat"')).toEqual(expect.arrayContaining(['m1', 'm2']));
+    expect(search('"bigger boat" role:assistant')).toEqual(['m2']);
+    expect(search('boat character:hooper')).toEqual(['m3']);
+    expect(search('boat character:matt')).toEqual(['m3']);
+    expect(search(`role:user after:${new Date(now - 30 * day).toISOString().slice(0, 10)}`)).toEqual(['m4']);
+    expect(search(`boat before:${new Date(now - 30 * day).toISOString().slice(0, 10)}`)).toEqual(['m1']);
+  });
+
+  test('ranks phrase hits and recent messages first', () => {
+    expect(search('bigger boat', { fuzzy: true })).toEqual(['m2', 'm1', 'm5']); // m5 is newest but has the words apart
+    expect(search('boat shark', { fuzzy: true })[0]).toBe('m3'); // None has the words together; m3 is the newest
+  });
+});
@@ -0,0 +1,364 @@
+/**
+ * Parkland AI - Session Store Tests
+ * Tests for splitting sessions into IndexedDB records, storing them (with the move from localStorage and schema upgrades), ChatHistory's lazy loading and queued writes,
+ * and organizing chats with names, pins, tags and folders
+ */
+
+import { jest } from '@jest/globals';
+import { IDBFactory, IDBObjectStore } from 'fake-indexeddb';
+
+const image = { id: 'file-1', type: 'image', name: 'chart.png', mediaType: 'image/png', data: 'aW1hZ2U=', size: 5 };
+const session = {
+  id: 'session-1',
+  title: 'Charts',
+  lastUpdated: 100,
+  usage: { inputTokens: 10, outputTokens: 5, requests: 1 },
+  messages: [
+    { id: 'u1', role: 'user', content: 'Look', attachments: [image] },
+    { id: 'a1', role: 'assistant', content: 'A chart' },
+  ],
+  branches: [{ id: 'a0', role: 'assistant', content: 'Older reply', parentId: 'u1', detachedAt: 50 }],
+};
+
+beforeAll(async () => {
+  await import('../js/core/logger.js');
+  await import('../js/core/utils.js');
+  await import('../js/core/events.js');
+  await import('../js/features/chat/session-store.js');
+  await import('../js/features/chat/history.js');
+});
+
+describe('SessionStore records', () => {
+  const store = () => new window.SessionStore({ indexedDB: null, legacyStorage: null });
+
+  test('keeps the summary apart from the messages and the attachment data', () => {
+    const { summary, body, attachments } = store()._split(session);
+
+    expect(summary).toEqual({ id: 'session-1', title: 'Charts', lastUpdated: 100, usage: session.usage, messageCount: 2, storedBytes: expect.any(Number) });
+    expect(body.messages[0].attachments[0]).toMatchObject({ name: 'chart.png', data: null, dataKey: 'session-1/file-1' });
+    expect(body.branches).toEqual(session.branches);
+    expect(attachments).toEqual([{ key: 'session-1/file-1', sessionId: 'session-1', data: 'aW1hZ2U=' }]);
+    expect(session.messages[0].attachments[0].data).toBe('aW1hZ2U='); // The session itself is not changed
+  });
+
+  test('puts a session back together, marking missing attachment data as omitted', () => {
+    const { summary, body, attachments } = store()._split(session);
+
+    expect(store()._join(summary, body, attachments)).toEqual(session);
+    expect(store()._join(summary, body, []).messages[0].attachments[0]).toMatchObject({ data: null, dataOmitted: true });
+  });
+
+  test('reports that it cannot open without IndexedDB', async () => {
+    await expect(store().open()).rejects.toThrow('IndexedDB is unavailable');
+  });
+});
+
+describe('SessionStore in IndexedDB', () => {
+  let indexedDB;
+
+  const createLegacyStorage = (sessions) => {
+    const items = new Map(sessions ? [['parklandAI_chatSessions', JSON.stringify(sessions)]] : []);
+    return {
+      getItem: jest.fn((key) => (items.has(key) ? items.get(key) : null)),
+      removeItem: jest.fn((key) => items.delete(key)),
+    };
+  };
+  const openStore = (legacyStorage = createLegacyStorage()) => new window.SessionStore({ indexedDB, legacyStorage });
+
+  beforeEach(() => {
+    indexedDB = new IDBFactory(); // A fresh, empty database for each test
+  });
+
+  test('moves the sessions kept in localStorage into the database once, and reads them back', async () => {
+    const legacyStorage = createLegacyStorage([session, { id: 'broken' }]);
+    const store = openStore(legacyStorage);
+
+    expect(await store.listSessions()).toEqual([expect.objectContaining({ id: 'session-1', title: 'Charts', messageCount: 2 })]);
+    expect(await store.getSession('session-1')).toEqual(session);
+    expect(await store.getAllSessions()).toEqual([session]);
+    expect(legacyStorage.removeItem).toHaveBeenCalledWith('parklandAI_chatSessions');
+
+    const reopened = openStore(legacyStorage);
+    expect(await reopened.listSessions()).toHaveLength(1);
+    expect(legacyStorage.removeItem).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves sessions that cannot be read in localStorage', async () => {
+    const legacyStorage = { getItem: jest.fn(() => '{not json'), removeItem: jest.fn() };
+
+    expect(await openStore(legacyStorage).listSessions()).toEqual([]);
+    expect(legacyStorage.removeItem).not.toHaveBeenCalled();
+  });
+
+  test('writes attachment data once and deletes it with the messages that used it', async () => {
+    const store = openStore();
+    const putSpy = jest.spyOn(IDBObjectStore.prototype, 'put');
+
+    await store.saveSession(session);
+    await store.saveSession({ ...session, title: 'Charts, renamed' });
+    const attachmentPuts = putSpy.mock.calls.filter(([record]) => record.key === 'session-1/file-1');
+    putSpy.mockRestore();
+    expect(attachmentPuts).toHaveLength(1);
+    expect(await store.getStorageUsage()).toMatchObject({ sessions: 1, attachments: 1 });
+    expect((await store.getSession('session-1')).messages[0].attachments[0].data).toBe('aW1hZ2U=');
+
+    // Once no message refers to the image, its data goes
+    await store.saveSession({ ...session, messages: [{ id: 'u1', role: 'user', content: 'Look' }] });
+    expect(await store.getStorageUsage()).toMatchObject({ sessions: 1, attachments: 0 });
+
+    await store.saveSession(session);
+    await store.saveSession({ ...session, id: 'session-2' });
+    await store.deleteSession('session-1');
+    expect(await store.getStorageUsage()).toMatchObject({ sessions: 1, attachments: 1 });
+    expect(await store.getSession('session-1')).toBeNull();
+    expect((await store.getSession('session-2')).messages[0].attachments[0].data).toBe('aW1hZ2U=');
+  });
+
+  test('keeps the chats of a deleted folder, outside any folder', async () => {
+    const store = openStore();
+    await store.saveFolders([{ id: 'work', name: 'Work', order: 1 }, { id: 'home', name: 'Home', order: 0 }]);
+    await store.saveSession({ ...session, folderId: 'work' });
+    await store.saveSession({ ...session, id: 'session-2', folderId: 'home' });
+
+    await store.deleteFolder('work');
+
+    expect((await store.listFolders()).map((folder) => folder.id)).toEqual(['home']);
+    const folderOf = Object.fromEntries((await store.listSessions()).map((summary) => [summary.id, summary.folderId]));
+    expect(folderOf).toEqual({ 'session-1': null, 'session-2': 'home' });
+  });
+
+  test('adds the folders store to a version 1 database and keeps its sessions', async () => {
+    const { summary, body } = openStore()._split({ ...session, messages: [{ id: 'u1', role: 'user', content: 'Old' }], branches: [] });
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.open('parklandAI', 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('sessions', { keyPath: 'id' }).put(summary);
+        db.createObjectStore('bodies', { keyPath: 'sessionId' }).put(body);
+        db.createObjectStore('attachments', { keyPath: 'key' }).createIndex('sessionId', 'sessionId');
+      };
+      request.onsuccess = () => { request.result.close(); resolve(); };
+      request.onerror = () => reject(request.error);
+    });
+
+    const store = openStore();
+    const db = await store.open();
+
+    expect(db.version).toBe(2);
+    expect(Array.from(db.objectStoreNames).sort()).toEqual(['attachments', 'bodies', 'folders', 'sessions']);
+    expect(await store.listFolders()).toEqual([]);
+    expect((await store.getSession('session-1')).messages).toEqual([{ id: 'u1', role: 'user', content: 'Old' }]);
+  });
+});
+
+describe('ChatHistory with a SessionStore', () => {
+  let stateManager;
+  let store;
+  let container;
+
+  const summaryOf = ({ messages, branches, ...summary }) => ({ ...summary, messageCount: messages.length });
+  const createHistory = () => new window.ChatHistory(container, window.utils, window.AppEvents, stateManager, store);
+
+  beforeEach(() => {
+    document.body.innerHTML = '<nav><ul class="chat-history-list"></ul></nav>';
+    container = document.querySelector('.chat-history-list');
+    const values = { chatHistory: [], chatBranches: [], activeSessionId: null };
+    stateManager = TestUtils.createMockStateManager();
+    stateManager.get.mockImplementation((key) => values[key]);
+    stateManager.set.mockImplementation((key, value) => { values[key] = value; });
+    store = {
+      listSessions: jest.fn(() => Promise.resolve([summaryOf(session)])),
+      getSession: jest.fn(() => Promise.resolve(JSON.parse(JSON.stringify(session)))),
+      getAllSessions: jest.fn(() => Promise.resolve([session])),
+      saveSession: jest.fn(() => Promise.resolve()),
+      updateSession: jest.fn(() => Promise.resolve(true)),
+      deleteSession: jest.fn(() => Promise.resolve()),
+      getStorageUsage: jest.fn(() => Promise.resolve({ sessions: 1, attachments: 1, bytes: 300, usage: 1000, quota: 10000 })),
+      listFolders: jest.fn(() => Promise.resolve([])),
+      saveFolders: jest.fn(() => Promise.resolve()),
+      deleteFolder: jest.fn(() => Promise.resolve()),
+    };
+  });
+
+  test('lists the summaries without reading any messages', async () => {
+    const history = createHistory();
+    await history.ready;
+
+    expect(container.querySelectorAll('.chat-history-item')).toHaveLength(1);
+    expect(container.textContent).toContain('Charts');
+    expect(container.textContent).toContain('2 messages');
+    expect(store.getSession).not.toHaveBeenCalled();
+  });
+
+  test('reads a chat\'s messages when it is opened, once', async () => {
+    const history = createHistory();
+    await history.ready;
+
+    await expect(history.loadChatSession('session-1')).resolves.toBe(true);
+    await history.loadChatSession('session-1');
+
+    expect(store.getSession).toHaveBeenCalledTimes(1);
+    expect(stateManager.get('chatHistory')).toEqual(session.messages);
+    expect(stateManager.get('chatBranches')).toEqual(session.branches);
+  });
+
+  test('only shows the chat opened last when two are read at once', async () => {
+    const history = createHistory();
+    await history.ready;
+    history.sessions.push({ id: 'session-2', title: 'Other', messageCount: 1 });
+    store.getSession.mockImplementation((id) => Promise.resolve({ id, messages: [{ id: `${id}-m`, role: 'user', content: id }], branches: [] }));
+
+    const [first, second] = await Promise.all([history.loadChatSession('session-1'), history.loadChatSession('session-2')]);
+
+    expect([first, second]).toEqual([false, true]);
+    expect(stateManager.get('chatHistory')[0].content).toBe('session-2');
+  });
+
+  test('saves the open chat in the order of its changes', async () => {
+    const history = createHistory();
+    stateManager.set('chatHistory', [{ id: 'u1', role: 'user', content: 'Hello there' }]);
+    history.addOrUpdateCurrentSession();
+    stateManager.set('chatHistory', [{ id: 'u1', role: 'user', content: 'Hello there' }, { id: 'a1', role: 'assistant', content: 'Hi' }]);
+    await history.addOrUpdateCurrentSession();
+
+    expect(store.saveSession.mock.calls.map(([saved]) => saved.messages.length)).toEqual([1, 2]);
+    expect(store.saveSession.mock.calls[1][0]).toMatchObject({ id: stateManager.get('activeSessionId'), title: 'Hello there' });
+    expect(history.getSessionSummary(stateManager.get('activeSessionId'))).toMatchObject({ messageCount: 2 });
+  });
+
+  test('explains a full storage quota', async () => {
+    const history = createHistory();
+    const quotaError = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    store.saveSession.mockRejectedValueOnce(quotaError);
+    stateManager.set('chatHistory', [{ id: 'u1', role: 'user', content: 'Hello' }]);
+
+    await history.addOrUpdateCurrentSession();
+
+    expect(stateManager.set).toHaveBeenCalledWith('lastError', expect.objectContaining({ message: expect.stringContaining('storage for this site is full') }));
+  });
+
+  test('keeps chats for the page when the store cannot open', async () => {
+    store.listSessions.mockRejectedValue(new Error('This browser does not allow chats to be saved (IndexedDB is unavailable).'));
+    const history = createHistory();
+    await history.ready;
+    stateManager.set('chatHistory', [{ id: 'u1', role: 'user', content: 'Hello' }]);
+    await history.addOrUpdateCurrentSession();
+
+    expect(store.saveSession).not.toHaveBeenCalled();
+    expect(await history.getAllSessions()).toEqual([expect.objectContaining({ messages: [{ id: 'u1', role: 'user', content: 'Hello' }] })]);
+    expect(await history.getStorageUsage()).toBeNull();
+  });
+
+  test('deletes a session from the list and the store', async () => {
+    const history = createHistory();
+    await history.ready;
+
+    await history.deleteChatSession('session-1');
+
+    expect(store.deleteSession).toHaveBeenCalledWith('session-1');
+    expect(container.querySelector('.empty-history-message')).not.toBeNull();
+  });
+
+  describe('organizing', () => {
+    const titles = () => Array.from(container.querySelectorAll('.chat-history-title')).map((el) => el.textContent);
+    let history;
+
+    beforeEach(async () => {
+      store.listSessions.mockResolvedValue([
+        { id: 's1', title: 'Oldest', lastUpdated: 1, messageCount: 2 },
+        { id: 's2', title: 'Middle', lastUpdated: 2, messageCount: 2 },
+        { id: 's3', title: 'Newest', lastUpdated: 3, messageCount: 2 },
+      ]);
+      history = createHistory();
+      await history.ready;
+    });
+
+    test('keeps a chat\'s new name when its messages change', async () => {
+      await history.renameSession('s1', '  Trip plans ');
+      expect(store.updateSession).toHaveBeenCalledWith('s1', { title: 'Trip plans', titleSource: 'user' });
+
+      stateManager.set('activeSessionId', 's1');
+      stateManager.set('chatHistory', [{ id: 'u1', role: 'user', content: 'Something else entirely' }]);
+      await history.addOrUpdateCurrentSession();
+
+      expect(store.saveSession).toHaveBeenLastCalledWith(expect.objectContaining({ id: 's1', title: 'Trip plans' }));
+    });
+
+    test('stores a generated title and summary, shows the summary as a tooltip and keeps a name the user gave', async () => {
+      await history.setGeneratedTitle('s1', { title: 'Lisbon trip', summary: 'Planning a week away.' });
+      expect(store.updateSession).toHaveBeenCalledWith('s1', { title: 'Lisbon trip', titleSource: 'ai', summary: 'Planning a week away.' });
+      expect(container.querySelector('[data-session-id="s1"]').title).toBe('Planning a week away.');
+
+      stateManager.set('activeSessionId', 's1');
+      stateManager.set('chatHistory', [{ id: 'u1', role: 'user', content: 'Can you help me with something' }]);
+      await history.addOrUpdateCurrentSession();
+      expect(store.saveSession).toHaveBeenLastCalledWith(expect.objectContaining({ title: 'Lisbon trip', summary: 'Planning a week away.' }));
+
+      await history.renameSession('s2', 'Mine');
+      await history.setGeneratedTitle('s2', { title: 'Other', summary: 'Short.' }, { keepUserTitle: true });
+      expect(history.getSessionSummary('s2')).toMatchObject({ title: 'Mine', titleSource: 'user', summary: 'Short.' });
+    });
+
+    test('adds imported chats as sessions and keeps their titles when they are titled later', async () => {
+      const imported = { id: 's9', title: 'Haiku practice', titleSource: 'import', messages: [{ id: 'm1', role: 'user', content: 'Write a haiku' }], branches: [], lastUpdated: 9 };
+
+      await history.importSessions([imported]);
+      expect(store.saveSession).toHaveBeenCalledWith(expect.objectContaining({ id: 's9', usage: expect.objectContaining({ inputTokens: 0 }) }));
+      expect(titles()[0]).toBe('Haiku practice');
+
+      await history.setGeneratedTitle('s9', { title: 'Poetry', summary: 'A haiku.' }, { keepUserTitle: true });
+      expect(history.getSessionSummary('s9')).toMatchObject({ title: 'Haiku practice', summary: 'A haiku.' });
+    });
+
+    test('lists pinned chats first', async () => {
+      await history.setSessionPinned('s1', true);
+
+      expect(titles()).toEqual(['Oldest', 'Newest', 'Middle']);
+      expect(container.querySelector('.chat-history-pinned .chat-history-title').textContent).toBe('Oldest');
+      expect(store.updateSession).toHaveBeenCalledWith('s1', { pinned: true });
+    });
+
+    test('filters by colour tag', async () => {
+      await history.toggleSessionTag('s2', 'green');
+      await history.toggleSessionTag('s3', 'green');
+      await history.toggleSessionTag('s3', 'green');
+
+      history.setFilter('tag:green');
+
+      expect(titles()).toEqual(['Middle']);
+      expect(Array.from(history.filterSelect.options).map((o) => o.value)).toEqual(['all', 'pinned', 'tag:green']);
+      expect(container.querySelector('.chat-tag-green')).not.toBeNull();
+    });
+
+    test('moves chats into folders, reorders folders and keeps the chats of a deleted folder', async () => {
+      const work = history.createFolder('Work');
+      const home = history.createFolder('Home');
+      await history.moveSessionToFolder('s1', work.id);
+
+      expect(container.querySelector(`[data-folder-id="${work.id}"] .chat-history-title`).textContent).toBe('Oldest');
+      history.setFilter(`folder:${work.id}`);
+      expect(titles()).toEqual(['Oldest']);
+
+      await history.moveFolder(home.id, work.id);
+      expect(history.folders.map((f) => [f.name, f.order])).toEqual([['Home', 0], ['Work', 1]]);
+      expect(store.saveFolders).toHaveBeenLastCalledWith(history.folders);
+
+      await history.deleteFolder(work.id);
+      expect(store.deleteFolder).toHaveBeenCalledWith(work.id);
+      expect(history.filter).toBe('all');
+      expect(history.getSessionSummary('s1').folderId).toBeNull();
+    });
+
+    test('moves a dropped chat into the folder it is dropped on', async () => {
+      const work = history.createFolder('Work');
+      const drop = new Event('drop', { bubbles: true, cancelable: true });
+      drop.dataTransfer = { types: ['application/x-parkland-session'], getData: (type) => (type === 'application/x-parkland-session' ? 's2' : '') };
+
+      container.querySelector(`[data-folder-id="${work.id}"] .chat-folder-header`).dispatchEvent(drop);
+      await history._pendingWrite;
+
+      expect(history.getSessionSummary('s2')).toMatchObject({ folderId: work.id, pinned: false });
+      expect(drop.defaultPrevented).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Parkland AI - Session Titler Tests
+ * Tests for deciding when a chat is named, the title request and reading its reply
+ */
+
+import { jest } from '@jest/globals';
+
+const chat = [
+  { id: 'u1', role: 'user', content: 'Can you help me with planning a week in Lisbon?' },
+  { id: 'a1', role: 'assistant', content: 'Of course. When are you going?' },
+];
+
+const setup = (preferences = {}) => {
+  const stateManager = TestUtils.createMockStateManager();
+  stateManager.get.mockImplementation((key) => preferences[key]);
+  const eventEmitter = { on: jest.fn(), off: jest.fn(), emit: jest.fn() };
+  const titler = new window.SessionTitler(stateManager, eventEmitter, window.utils);
+  const apiService = {
+    sendMessage: jest.fn(() => Promise.resolve({
+      content: '{"title": "Week in Lisbon.", "summary": "The user is planning a trip to Lisbon. The assistant asks for dates."}',
+      model: 'claude-test',
+      usage: { input_tokens: 80, output_tokens: 30 },
+    })),
+  };
+  return { titler, eventEmitter, apiService };
+};
+
+beforeAll(async () => {
+  await import('../js/core/utils.js');
+  await import('../js/features/chat/session-titler.js');
+});
+
+describe('SessionTitler', () => {
+  test('names a chat once it has a reply, unless the model named it already or titles are off', () => {
+    const { titler } = setup();
+
+    expect(titler.shouldTitle({ id: 's1' }, chat.slice(0, 1))).toBe(false);
+    expect(titler.shouldTitle({ id: 's1' }, [...chat.slice(0, 1), { id: 'e1', role: 'assistant', content: 'Failed', isError: true }])).toBe(false);
+    expect(titler.shouldTitle({ id: 's1' }, chat)).toBe(true);
+    expect(titler.shouldTitle({ id: 's1', titleSource: 'user' }, chat)).toBe(true); // Still gets a summary
+    expect(titler.shouldTitle({ id: 's1', titleSource: 'ai', summary: 'Done.' }, chat)).toBe(false);
+    expect(setup({ 'userPreferences.autoTitleChats': false }).titler.shouldTitle({ id: 's1' }, chat)).toBe(false);
+  });
+
+  test('asks for a title and summary in a small one-off request and reports its usage', async () => {
+    const { titler, eventEmitter, apiService } = setup();
+
+    await expect(titler.generate(apiService, 's1', chat, { model: 'claude-test' })).resolves.toEqual({
+      title: 'Week in Lisbon',
+      summary: 'The user is planning a trip to Lisbon. The assistant asks for dates.',
+    });
+
+    const [prompt, history, options] = apiService.sendMessage.mock.calls[0];
+    expect(prompt).toContain('User: Can you help me with planning a week in Lisbon?');
+    expect(history).toEqual([]);
+    expect(options).toMatchObject({ model: 'claude-test', maxTokens: 200, temperature: 0, tools: false, promptCaching: false });
+    expect(eventEmitter.emit).toHaveBeenCalledWith('session:titled', { sessionId: 's1', model: 'claude-test', usage: { input_tokens: 80, output_tokens: 30 } });
+    expect(titler.shouldTitle({ id: 's1' }, chat)).toBe(false); // Not asked again automatically on this page
+  });
+
+  test('reads replies that are not plain JSON', () => {
+    const { titler } = setup();
+
+    expect(titler._parseReply('```json\n{"title": "“Lisbon trip”", "summary": "Two sentences."}\n```')).toEqual({ title: 'Lisbon trip', summary: 'Two sentences.' });
+    expect(titler._parseReply('Title: Lisbon trip\nSummary: Planning a week away.')).toEqual({ title: 'Lisbon trip', summary: 'Planning a week away.' });
+  });
+
+  test('rejects a reply without a title', async () => {
+    const { titler, apiService } = setup();
+    apiService.sendMessage.mockResolvedValueOnce({ content: '{"summary": "No title here."}' });
+
+    await expect(titler.generate(apiService, 's1', chat)).rejects.toThrow('did not suggest a title');
+  });
+});
@@ -5,6 +5,8 @@
 
 import '@testing-library/jest-dom';
 import { jest } from '@jest/globals';
+import v8 from 'node:v8';
+import { TextEncoder } from 'util';
 
 // Mock Web APIs that may not be available in JSDOM
 global.jest = jest;
@@ -79,6 +81,11 @@ global.Worker = jest.fn().mockImplementation((scriptURL) => ({
 global.requestAnimationFrame = jest.fn((cb) => setTimeout(cb, 16));
 global.cancelAnimationFrame = jest.fn((id) => clearTimeout(id));
 
+// JSDOM has no structuredClone, which IndexedDB (fake-indexeddb in the tests) uses to copy records
+if (typeof global.structuredClone !== 'function') {
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
 // Mock IntersectionObserver
 global.IntersectionObserver = jest.fn().mockImplementation(() => ({
   observe: jest.fn(),
@@ -174,26 +181,68 @@ global.TestUtils = {
     });
   },
 
-  // Create mock state manager
-  createMockStateManager: () => ({
-    get: jest.fn(),
-    set: jest.fn(),
+  // Create mock state manager. get and set read and write `values`, by the whole key ('apiKeys.claude')
+  // or else by its path ({ userPreferences: { ... } }), so a test can look at what the code stored
+  createMockStateManager: (values = {}) => ({
+    get: jest.fn((key) => (key in values ? values[key] : key.split('.').reduce((value, part) => value?.[part], values))),
+    set: jest.fn((key, value) => {
+      values[key] = value;
+    }),
     subscribe: jest.fn(),
     unsubscribe: jest.fn(),
     emit: jest.fn(),
     saveState: jest.fn(),
     setTheme: jest.fn(),
+    setApiProvider: jest.fn((provider) => {
+      values.currentApiProvider = provider;
+    }),
     setActiveCharacter: jest.fn(),
     addMessageToHistory: jest.fn(),
     clearChatHistory: jest.fn(),
     toggleSidebar: jest.fn(),
     setModalOpen: jest.fn(),
     setApiKey: jest.fn(),
-    setUserPreference: jest.fn(),
+    setUserPreference: jest.fn((key, value) => {
+      values[`userPreferences.${key}`] = value;
+    }),
     logState: jest.fn(),
     enableDebugging: jest.fn(),
   }),
 
+  // Create a Storage (localStorage/sessionStorage) that keeps what is written in `items`, unlike the shared
+  // localStorage mock above. Initial values that are not strings are stored as JSON, as the app stores them
+  createMockStorage: (initial = {}) => {
+    const items = new Map(Object.entries(initial).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)]));
+    return {
+      items,
+      getItem: jest.fn((key) => (items.has(key) ? items.get(key) : null)),
+      setItem: jest.fn((key, value) => items.set(key, String(value))),
+      removeItem: jest.fn((key) => items.delete(key)),
+    };
+  },
+
+  // Create a fetch response whose body streams the given lines (JSDOM has no TextEncoder, so this uses Node's)
+  createStreamResponse: (lines) => {
+    const encoder = new TextEncoder();
+    const chunks = [lines.join('\n') + '\n'];
+    return {
+      ok: true,
+      status: 200,
+      body: {
+        getReader: () => ({
+          read: jest.fn(() =>
+            Promise.resolve(chunks.length ? { done: false, value: encoder.encode(chunks.shift()) } : { done: true })
+          ),
+          releaseLock: jest.fn(),
+        }),
+      },
+    };
+  },
+
+  // Create a fetch response streaming server-sent events; objects are sent as JSON, strings (e.g. '[DONE]') as they are
+  createEventStreamResponse: (events) =>
+    TestUtils.createStreamResponse(events.map((event) => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}`)),
+
   // Create mock utils instance
   createMockUtils: () => ({
     $: jest.fn(),
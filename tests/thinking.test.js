@@ -0,0 +1,199 @@
+/**
+ * Parkland AI - Extended Thinking Tests
+ * Tests for requesting, streaming and exporting the reasoning models return with their replies
+ */
+
+import { jest } from '@jest/globals';
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!global.TextEncoder) global.TextEncoder = TextEncoder;
+if (!global.TextDecoder) global.TextDecoder = TextDecoder;
+
+const VALID_KEY = `sk-ant-${'x'.repeat(40)}`;
+
+const defaultState = {
+  'apiKeys.claude': VALID_KEY,
+  'apiKeys.openai': 'ollama',
+  activeCharacter: null,
+  'userPreferences.customInstructions': '',
+  'modelPreferences.claude.model': 'claude-3-7-sonnet-20250219',
+  'modelPreferences.claude.temperature': 0.7,
+  'modelPreferences.openai.model': 'deepseek-r1',
+};
+
+const requestBody = (call = 0) => JSON.parse(global.fetch.mock.calls[call][1].body);
+
+beforeAll(async () => {
+  await import('../js/features/api/errors.js');
+  await import('../js/features/api/provider.js');
+  await import('../js/features/api/claude.js');
+  await import('../js/features/api/openai-compatible.js');
+  await import('../js/features/tools/tool-registry.js');
+  await import('../js/features/tools/builtin-tools.js');
+  await import('../js/features/chat/export-templates.js');
+  await import('../js/features/chat/export-manager.js');
+});
+
+describe('ClaudeAPIService extended thinking', () => {
+  const createService = () => new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState }), TestUtils.createMockUtils());
+
+  test('asks for thinking on top of the answer tokens and leaves the temperature to the server', async () => {
+    const service = createService();
+    TestUtils.mockAPIResponse({ content: [{ type: 'text', text: 'Hi.' }], usage: { input_tokens: 5, output_tokens: 1 } });
+
+    await service.sendMessage('Hello', [], { maxTokens: 1000, thinkingBudget: 2048 });
+
+    const body = requestBody();
+    expect(body.thinking).toEqual({ type: 'enabled', budget_tokens: 2048 });
+    expect(body.max_tokens).toBe(3048);
+    expect(body.temperature).toBeUndefined();
+  });
+
+  test('raises a budget below the API minimum and sends no thinking without a budget', async () => {
+    const service = createService();
+    TestUtils.mockAPIResponse({ content: [{ type: 'text', text: 'Hi.' }], usage: { input_tokens: 5, output_tokens: 1 } });
+    TestUtils.mockAPIResponse({ content: [{ type: 'text', text: 'Hi.' }], usage: { input_tokens: 5, output_tokens: 1 } });
+
+    await service.sendMessage('Hello', [], { maxTokens: 1000, thinkingBudget: 100 });
+    await service.sendMessage('Hello again', [], { maxTokens: 1000 });
+
+    expect(requestBody(0).thinking).toEqual({ type: 'enabled', budget_tokens: 1024 });
+    expect(requestBody(1).thinking).toBeUndefined();
+    expect(requestBody(1)).toMatchObject({ max_tokens: 1000, temperature: 0.7 });
+  });
+
+  test('returns the thinking blocks as reasoning, apart from the answer', async () => {
+    const service = createService();
+    TestUtils.mockAPIResponse({
+      content: [
+        { type: 'thinking', thinking: 'The user greets me.', signature: 'sig' },
+        { type: 'redacted_thinking', data: 'encrypted' },
+        { type: 'text', text: 'Hello!' },
+      ],
+      usage: { input_tokens: 5, output_tokens: 10 },
+    });
+
+    const result = await service.sendMessage('Hello', [], { thinkingBudget: 2048 });
+
+    expect(result.content).toBe('Hello!');
+    expect(result.reasoning).toBe('The user greets me.');
+  });
+
+  test('streams thinking through onThinking and the answer through onChunk', async () => {
+    const service = createService();
+    global.fetch.mockResolvedValueOnce(TestUtils.createEventStreamResponse([
+      { type: 'message_start', message: { usage: { input_tokens: 5 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Let me ' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'think.' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Done.' } },
+      { type: 'content_block_stop', index: 1 },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 12 } },
+      { type: 'message_stop' },
+    ]));
+    const onThinking = jest.fn();
+    const onChunk = jest.fn();
+
+    const result = await service.sendMessage('Hello', [], { streaming: true, thinkingBudget: 2048, onThinking, onChunk });
+
+    expect(onThinking.mock.calls.map(([delta, full]) => [delta, full])).toEqual([['Let me ', 'Let me '], ['think.', 'Let me think.']]);
+    expect(onChunk).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ content: 'Done.', reasoning: 'Let me think.' });
+  });
+
+  test('sends signed thinking blocks back with tool results', async () => {
+    const service = createService();
+    const registry = new window.ToolRegistry();
+    new window.BuiltinTools().register(registry);
+    service.setToolRegistry(registry);
+    const thinking = { type: 'thinking', thinking: 'I should calculate.', signature: 'sig' };
+    TestUtils.mockAPIResponse({
+      content: [thinking, { type: 'tool_use', id: 'toolu_1', name: 'calculator', input: { expression: '6 * 7' } }],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 100, output_tokens: 20 },
+    });
+    TestUtils.mockAPIResponse({
+      content: [{ type: 'text', text: 'It is 42.' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 150, output_tokens: 10 },
+    });
+
+    const result = await service.sendMessage('What is 6 times 7?', [], { thinkingBudget: 2048 });
+
+    expect(requestBody(1).messages[1].content[0]).toEqual(thinking);
+    expect(result.reasoning).toBe('I should calculate.');
+  });
+});
+
+describe('OpenAICompatibleService reasoning', () => {
+  const createService = () => new window.OpenAICompatibleService(TestUtils.createMockStateManager({ ...defaultState }), TestUtils.createMockUtils());
+
+  test.each([[1024, 'low'], [4096, 'medium'], [16000, 'high']])('maps a %i token budget to %s reasoning effort', async (budget, effort) => {
+    const service = createService();
+    TestUtils.mockAPIResponse({ choices: [{ message: { content: 'Hi.' }, finish_reason: 'stop' }] });
+
+    await service.sendMessage('Hello', [], { thinkingBudget: budget });
+
+    expect(requestBody().reasoning_effort).toBe(effort);
+  });
+
+  test('reads reasoning_content from a reply', async () => {
+    const service = createService();
+    TestUtils.mockAPIResponse({
+      choices: [{ message: { content: 'Hi.', reasoning_content: 'A greeting.' }, finish_reason: 'stop' }],
+    });
+
+    const result = await service.sendMessage('Hello', []);
+
+    expect(requestBody().reasoning_effort).toBeUndefined();
+    expect(result).toMatchObject({ content: 'Hi.', reasoning: 'A greeting.' });
+  });
+
+  test('streams reasoning deltas from either field name', async () => {
+    const service = createService();
+    global.fetch.mockResolvedValueOnce(TestUtils.createEventStreamResponse([
+      { choices: [{ delta: { reasoning_content: 'Think' } }] },
+      { choices: [{ delta: { reasoning: 'ing.' } }] },
+      { choices: [{ delta: { content: 'Hi.' }, finish_reason: 'stop' }] },
+      '[DONE]',
+    ]));
+    const onThinking = jest.fn();
+
+    const result = await service.sendMessage('Hello', [], { streaming: true, onThinking });
+
+    expect(onThinking).toHaveBeenLastCalledWith('ing.', 'Thinking.', expect.any(String));
+    expect(result).toMatchObject({ content: 'Hi.', reasoning: 'Thinking.' });
+  });
+});
+
+describe('ChatExportManager reasoning', () => {
+  const chatHistory = [
+    { role: 'user', content: 'Hello', timestamp: 1700000000000 },
+    { role: 'assistant', content: 'Hi there.', reasoning: 'The user said hello.', timestamp: 1700000001000 },
+  ];
+  const createManager = () => {
+    const manager = new window.ChatExportManager(TestUtils.createMockUtils(), TestUtils.createMockStateManager({ ...defaultState }));
+    return { manager, metadata: manager._generateMetadata(chatHistory, null, manager.defaultConfig) };
+  };
+
+  test('keeps reasoning in JSON exports', () => {
+    const { manager, metadata } = createManager();
+    const exported = JSON.parse(manager._exportAsJSON(chatHistory, metadata, manager.defaultConfig));
+    expect(exported.messages[1].reasoning).toBe('The user said hello.');
+    expect(exported.messages[0]).not.toHaveProperty('reasoning');
+  });
+
+  test('leaves reasoning out of Markdown and HTML unless asked for', () => {
+    const { manager, metadata } = createManager();
+    const config = { ...manager.defaultConfig, includeReasoning: true };
+
+    expect(manager._exportAsMarkdown(chatHistory, metadata, manager.defaultConfig)).not.toContain('The user said hello.');
+    expect(manager._exportAsHTML(chatHistory, metadata, manager.defaultConfig)).not.toContain('The user said hello.');
+    expect(manager._exportAsMarkdown(chatHistory, metadata, config))
+      .toContain('<details>\n<summary>Reasoning</summary>\n\nThe user said hello.\n\n</details>\n\nHi there.');
+    expect(manager._exportAsHTML(chatHistory, metadata, config)).toContain('<summary>Reasoning</summary><div>The user said hello.</div>');
+  });
+});
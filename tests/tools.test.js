@@ -0,0 +1,256 @@
+/**
+ * Parkland AI - Tool Use Tests
+ * Tests for the tool registry, the built-in tools and the providers' tool-use loops
+ */
+
+import { jest } from '@jest/globals';
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!global.TextEncoder) global.TextEncoder = TextEncoder;
+if (!global.TextDecoder) global.TextDecoder = TextDecoder;
+
+const VALID_KEY = `sk-ant-${'x'.repeat(40)}`;
+
+const defaultState = {
+  'apiKeys.claude': VALID_KEY,
+  'apiKeys.openai': 'ollama',
+  activeCharacter: null,
+  'userPreferences.customInstructions': '',
+  'modelPreferences.claude.model': 'claude-3-haiku-20240307',
+  'modelPreferences.openai.model': 'llama3.1',
+};
+
+const createRegistry = () => {
+  const registry = new window.ToolRegistry();
+  new window.BuiltinTools().register(registry);
+  return registry;
+};
+
+beforeAll(async () => {
+  await import('../js/features/api/errors.js');
+  await import('../js/features/api/provider.js');
+  await import('../js/features/api/claude.js');
+  await import('../js/features/api/openai-compatible.js');
+  await import('../js/features/tools/tool-registry.js');
+  await import('../js/features/tools/builtin-tools.js');
+});
+
+describe('ToolRegistry', () => {
+  test('lists definitions without handlers', () => {
+    const registry = createRegistry();
+    const definitions = registry.getDefinitions();
+    expect(definitions.map((tool) => tool.name)).toEqual(['get_current_datetime', 'calculator']);
+    expect(definitions[1]).not.toHaveProperty('handler');
+    expect(definitions[1].inputSchema.required).toEqual(['expression']);
+  });
+
+  test('rejects tools without a valid name, handler or object schema', () => {
+    const registry = new window.ToolRegistry();
+    const schema = { type: 'object', properties: {} };
+    expect(() => registry.register({ name: 'has space', inputSchema: schema, handler: () => '' })).toThrow(/name/);
+    expect(() => registry.register({ name: 'ok', inputSchema: schema })).toThrow(/handler/);
+    expect(() => registry.register({ name: 'ok', inputSchema: { type: 'string' }, handler: () => '' })).toThrow(/inputSchema/);
+  });
+
+  test('returns handler failures, unknown tools and invalid input as errors instead of throwing', async () => {
+    const eventEmitter = { emit: jest.fn() };
+    const registry = new window.ToolRegistry(eventEmitter);
+    registry.register({
+      name: 'fails',
+      inputSchema: { type: 'object', properties: { count: { type: 'integer' } } },
+      handler: () => { throw new Error('Boom'); },
+    });
+
+    await expect(registry.execute('fails', {})).resolves.toEqual({ output: 'Error: Boom', isError: true });
+    await expect(registry.execute('missing', {})).resolves.toMatchObject({ isError: true, output: expect.stringMatching(/Unknown tool/) });
+    await expect(registry.execute('fails', { count: 1.5 })).resolves.toMatchObject({ output: expect.stringMatching(/integer/) });
+    expect(eventEmitter.emit).toHaveBeenCalledWith('tool:executed', expect.objectContaining({ name: 'fails', isError: true }));
+  });
+
+  test('serializes object results', async () => {
+    const registry = createRegistry();
+    const { output, isError } = await registry.execute('calculator', { expression: '2 + 2' });
+    expect(isError).toBe(false);
+    expect(JSON.parse(output)).toEqual({ expression: '2 + 2', result: 4 });
+  });
+});
+
+describe('BuiltinTools', () => {
+  const tools = () => new window.BuiltinTools();
+
+  test.each([
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['2 ^ 3 ^ 2', 512],
+    ['-2 ^ 2', -4],
+    ['10 % 4', 2],
+    ['sqrt(16) + abs(-3)', 7],
+    ['round(pi * 100) / 100', 3.14],
+    ['12 × 3 ÷ 4', 9],
+    ['1.5e3 / .5', 3000],
+  ])('evaluates %s', (expression, expected) => {
+    expect(tools().evaluate(expression)).toBeCloseTo(expected);
+  });
+
+  test.each([
+    ['', /empty/],
+    ['2 +', /end of expression/],
+    ['(1 + 2', /Expected "\)"/],
+    ['1 / 0', /finite/],
+    ['alert(1)', /Unknown name "alert"/],
+    ['2; 3', /Unexpected character ";"/],
+  ])('rejects %p', (expression, message) => {
+    expect(() => tools().evaluate(expression)).toThrow(message);
+  });
+
+  test('reports the date and time in the requested time zone', () => {
+    const now = new Date('2024-03-01T12:00:00Z');
+    const result = tools().getCurrentDateTime({ timezone: 'Asia/Tokyo' }, now);
+    expect(result).toMatchObject({ iso: '2024-03-01T12:00:00.000Z', timezone: 'Asia/Tokyo', unixTimestamp: 1709294400 });
+    expect(result.local).toMatch(/Friday, March 1, 2024/);
+    expect(result.local).toMatch(/9:00:00/);
+    expect(() => tools().getCurrentDateTime({ timezone: 'Mars/Olympus' }, now)).toThrow(/Unknown time zone/);
+  });
+});
+
+describe('ClaudeAPIService tool use', () => {
+  const createService = (overrides) => {
+    const service = new window.ClaudeAPIService(TestUtils.createMockStateManager({ ...defaultState, ...overrides }), TestUtils.createMockUtils());
+    service.setToolRegistry(createRegistry());
+    return service;
+  };
+
+  test('runs requested tools and sends their results back until the model answers', async () => {
+    const service = createService();
+    TestUtils.mockAPIResponse({
+      content: [
+        { type: 'text', text: 'Let me calculate that.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'calculator', input: { expression: '6 * 7' } },
+      ],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 100, output_tokens: 20 },
+    });
+    TestUtils.mockAPIResponse({
+      content: [{ type: 'text', text: 'The answer is 42.' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 150, output_tokens: 10 },
+    });
+    const statuses = [];
+    const onToolCall = jest.fn((call) => statuses.push(call.status));
+
+    const result = await service.sendMessage('What is 6 times 7?', [], { onToolCall });
+
+    const firstBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(firstBody.tools.map((tool) => tool.name)).toEqual(['get_current_datetime', 'calculator']);
+    expect(firstBody.tools[1].input_schema.required).toEqual(['expression']);
+
+    const secondBody = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(secondBody.messages.slice(-2)).toEqual([
+      {
+        role: 'assistant',
+        content: [
+          { type: 'text', text: 'Let me calculate that.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'calculator', input: { expression: '6 * 7' } },
+        ],
+      },
+      {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: expect.stringMatching(/"result": 42/), is_error: false }],
+      },
+    ]);
+
+    expect(result.content).toBe('Let me calculate that.\n\nThe answer is 42.');
+    expect(result.usage).toEqual({ input_tokens: 250, output_tokens: 30 });
+    expect(result.toolCalls).toEqual([
+      expect.objectContaining({ id: 'toolu_1', name: 'calculator', isError: false, status: 'done' }),
+    ]);
+    expect(statuses).toEqual(['running', 'done']);
+  });
+
+  test('assembles streamed tool input and continues the streamed text across turns', async () => {
+    const service = createService();
+    global.fetch
+      .mockResolvedValueOnce(TestUtils.createEventStreamResponse([
+        { type: 'message_start', message: { usage: { input_tokens: 10 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking.' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_2', name: 'calculator', input: {} } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"expression": ' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"1 + 1"}' } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 5 } },
+        { type: 'message_stop' },
+      ]))
+      .mockResolvedValueOnce(TestUtils.createEventStreamResponse([
+        { type: 'message_start', message: { usage: { input_tokens: 20 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'It is 2.' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } },
+        { type: 'message_stop' },
+      ]));
+    const onChunk = jest.fn();
+
+    const result = await service.sendMessage('1 + 1?', [], { streaming: true, onChunk });
+
+    const secondBody = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(secondBody.messages[1].content[1]).toEqual({ type: 'tool_use', id: 'toolu_2', name: 'calculator', input: { expression: '1 + 1' } });
+    expect(onChunk.mock.calls.map(([, fullText]) => fullText)).toEqual(['Checking.', 'Checking.\n\nIt is 2.']);
+    expect(result).toMatchObject({ content: 'Checking.\n\nIt is 2.', usage: { input_tokens: 30, output_tokens: 8 } });
+  });
+
+  test('stops looping after maxToolIterations rounds', async () => {
+    const service = createService();
+    service.maxToolIterations = 2;
+    const toolTurn = {
+      content: [{ type: 'tool_use', id: 'toolu_x', name: 'get_current_datetime', input: {} }],
+      stop_reason: 'tool_use',
+    };
+    TestUtils.mockAPIResponse(toolTurn);
+    TestUtils.mockAPIResponse(toolTurn);
+
+    const result = await service.sendMessage('Loop', []);
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(result.toolCalls).toHaveLength(1);
+    expect(result.stopReason).toBe('tool_use');
+  });
+
+  test('sends no tools when they are turned off or the request opts out', async () => {
+    const service = createService({ 'userPreferences.toolsEnabled': false });
+    TestUtils.mockAPIResponse({ content: [{ type: 'text', text: 'Hi' }], stop_reason: 'end_turn' });
+    await service.sendMessage('Hello', []);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).not.toHaveProperty('tools');
+
+    expect(createService().getToolDefinitions({ tools: false })).toEqual([]);
+  });
+});
+
+describe('OpenAICompatibleService tool use', () => {
+  test('runs function calls and sends tool messages back', async () => {
+    const service = new window.OpenAICompatibleService(TestUtils.createMockStateManager({ ...defaultState }), TestUtils.createMockUtils());
+    service.setToolRegistry(createRegistry());
+    const toolCall = { id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '{"expression":"2^10"}' } };
+    TestUtils.mockAPIResponse({
+      choices: [{ message: { role: 'assistant', content: null, tool_calls: [toolCall] }, finish_reason: 'tool_calls' }],
+      usage: { prompt_tokens: 50, completion_tokens: 10 },
+    });
+    TestUtils.mockAPIResponse({
+      choices: [{ message: { role: 'assistant', content: '1024' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 70, completion_tokens: 2 },
+    });
+
+    const result = await service.sendMessage('2 to the 10th?', []);
+
+    const firstBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(firstBody.tools[1]).toMatchObject({ type: 'function', function: { name: 'calculator' } });
+    const secondBody = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(secondBody.messages.slice(-2)).toEqual([
+      { role: 'assistant', content: null, tool_calls: [toolCall] },
+      { role: 'tool', tool_call_id: 'call_1', content: expect.stringMatching(/"result": 1024/) },
+    ]);
+    expect(result).toMatchObject({ content: '1024', usage: { input_tokens: 120, output_tokens: 12 } });
+    expect(result.toolCalls[0]).toMatchObject({ name: 'calculator', input: { expression: '2^10' } });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Parkland AI - Usage Tracker Tests
+ * Tests for pricing, daily aggregation and monthly budget warnings
+ */
+
+import { jest } from '@jest/globals';
+
+const defaultState = {
+  'userPreferences.modelPrices': {},
+  'userPreferences.monthlyBudget': 0,
+};
+
+const createEventEmitter = () => ({ on: jest.fn(), off: jest.fn(), emit: jest.fn() });
+
+const createTracker = (overrides, notificationSystem = null) =>
+  new window.UsageTracker(
+    TestUtils.createMockStateManager({ ...defaultState, ...overrides }),
+    createEventEmitter(),
+    TestUtils.createMockUtils(),
+    notificationSystem
+  );
+
+beforeAll(async () => {
+  await import('../js/features/usage/usage-tracker.js');
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('UsageTracker pricing', () => {
+  test('matches the longest model ID prefix', () => {
+    const tracker = createTracker();
+    expect(tracker.getModelPrice('claude-3-haiku-20240307')).toEqual({ input: 0.25, output: 1.25 });
+    expect(tracker.getModelPrice('gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+    expect(tracker.getModelPrice('gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 });
+    expect(tracker.getModelPrice('llama3.1')).toBeNull();
+  });
+
+  test('lets user prices override and extend the defaults', () => {
+    const tracker = createTracker({
+      'userPreferences.modelPrices': { 'claude-3-haiku': { input: 1, output: 2 }, llama: { input: 0, output: 0 } },
+    });
+    expect(tracker.getModelPrice('claude-3-haiku-20240307')).toEqual({ input: 1, output: 2 });
+    expect(tracker.estimateCost('llama3.1', { inputTokens: 500, outputTokens: 500 })).toBe(0);
+  });
+
+  test('estimates cost per million tokens from either usage shape', () => {
+    const tracker = createTracker();
+    expect(tracker.estimateCost('claude-3-opus-20240229', { input_tokens: 1e6, output_tokens: 1e5 })).toBeCloseTo(22.5);
+    expect(tracker.estimateCost('claude-3-haiku-20240307', { inputTokens: 4000, outputTokens: 800 })).toBeCloseTo(0.002);
+    expect(tracker.estimateCost('unknown-model', { inputTokens: 10, outputTokens: 10 })).toBeNull();
+  });
+
+  test('parses and formats the settings price lines', () => {
+    const tracker = createTracker();
+    const { prices, invalidLines } = tracker.parsePriceOverrides('llama3.1: 0, 0\n  gpt-4o : 2.5,10 \n\nbroken line');
+    expect(prices).toEqual({ 'llama3.1': { input: 0, output: 0 }, 'gpt-4o': { input: 2.5, output: 10 } });
+    expect(invalidLines).toEqual(['broken line']);
+    expect(tracker.formatPriceOverrides(prices)).toBe('llama3.1: 0, 0\ngpt-4o: 2.5, 10');
+  });
+});
+
+describe('UsageTracker aggregation', () => {
+  test('adds replies to the day and model they belong to', () => {
+    const tracker = createTracker();
+    tracker.recordUsage({ model: 'claude-3-haiku-20240307', usage: { input_tokens: 100, output_tokens: 20 } });
+    tracker.recordUsage({ model: 'claude-3-haiku-20240307', usage: { input_tokens: 50, output_tokens: 10 } });
+    tracker.recordUsage({ model: 'gpt-4o', usage: { input_tokens: 10, output_tokens: 5 } });
+
+    const [today] = tracker.getDailyUsage(1);
+    expect(today).toMatchObject({ inputTokens: 160, outputTokens: 35, requests: 3 });
+    expect(today.byModel['claude-3-haiku-20240307']).toMatchObject({ inputTokens: 150, outputTokens: 30, requests: 2 });
+    expect(tracker.getMonthUsage().requests).toBe(3);
+  });
+
+  test('tracks prompt cache writes and reads separately from input', () => {
+    const tracker = createTracker();
+    tracker.recordUsage({
+      model: 'claude-3-haiku-20240307',
+      usage: { input_tokens: 50, output_tokens: 10, cache_creation_input_tokens: 2000, cache_read_input_tokens: 0 },
+    });
+    tracker.recordUsage({
+      model: 'claude-3-haiku-20240307',
+      usage: { input_tokens: 60, output_tokens: 10, cache_creation_input_tokens: 0, cache_read_input_tokens: 2000 },
+    });
+
+    const [today] = tracker.getDailyUsage(1);
+    expect(today).toMatchObject({ inputTokens: 110, cacheWriteTokens: 2000, cacheReadTokens: 2000, requests: 2 });
+    // Haiku input is $0.25/M: cache writes cost 1.25x that and reads 0.1x
+    expect(today.cost).toBeCloseTo((110 * 0.25 + 2000 * 0.3125 + 2000 * 0.025 + 20 * 1.25) / 1e6);
+  });
+
+  test('reads totals stored before cache tokens were tracked', () => {
+    window.localStorage.setItem('parklandAI_usageDaily', JSON.stringify({
+      '2024-01-15': { byModel: { 'gpt-4o': { inputTokens: 100, outputTokens: 10, requests: 1 } } },
+    }));
+    const tracker = createTracker();
+    tracker.recordUsage({ model: 'gpt-4o', usage: { input_tokens: 5, output_tokens: 1 }, timestamp: new Date(2024, 0, 15, 12).getTime() });
+
+    expect(tracker.getMonthUsage(new Date(2024, 0, 20))).toMatchObject({
+      inputTokens: 105, outputTokens: 11, cacheWriteTokens: 0, cacheReadTokens: 0, requests: 2,
+    });
+  });
+
+  test('returns empty days so charts have a continuous range', () => {
+    const tracker = createTracker();
+    const days = tracker.getDailyUsage(7);
+    expect(days).toHaveLength(7);
+    expect(days.every((day) => day.requests === 0 && day.cost === 0)).toBe(true);
+  });
+
+  test('ignores replies without usage', () => {
+    const tracker = createTracker();
+    expect(tracker.recordUsage({ model: 'gpt-4o', usage: null })).toBe(false);
+    expect(tracker.recordUsage({ model: 'gpt-4o', usage: { input_tokens: 0, output_tokens: 0 } })).toBe(false);
+    expect(window.localStorage.getItem('parklandAI_usageDaily')).toBeNull();
+  });
+
+  test('summarizes session messages and reports unknown cost for unpriced models', () => {
+    const tracker = createTracker();
+    const summary = tracker.summarizeMessages([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', model: 'gpt-4o', usage: { inputTokens: 1000, outputTokens: 100 } },
+      { role: 'assistant', model: 'llama3.1', usage: { inputTokens: 10, outputTokens: 10 } },
+    ]);
+    expect(summary).toMatchObject({ inputTokens: 1010, outputTokens: 110, requests: 2, cost: null });
+    expect(summary.byModel['gpt-4o'].cost).toBeCloseTo(0.0035);
+  });
+
+  test('records usage from message:received events', () => {
+    const tracker = createTracker();
+    const [eventName, handler] = tracker.eventEmitter.on.mock.calls[0];
+    expect(eventName).toBe('message:received');
+
+    handler({ messageId: 'm1', model: 'gpt-4o', usage: { input_tokens: 3, output_tokens: 4 } });
+    expect(tracker.getDailyUsage(1)[0]).toMatchObject({ inputTokens: 3, outputTokens: 4 });
+  });
+});
+
+describe('UsageTracker budget warnings', () => {
+  test('warns once at 80% and once more at 100% of the monthly budget', () => {
+    const notificationSystem = { showWarning: jest.fn() };
+    const tracker = createTracker({ 'userPreferences.monthlyBudget': 1 }, notificationSystem);
+    const record = (outputTokens) => tracker.recordUsage({ model: 'claude-3-opus', usage: { outputTokens } });
+
+    record(10000); // $0.75
+    expect(notificationSystem.showWarning).not.toHaveBeenCalled();
+
+    record(1000); // $0.825
+    record(1000); // $0.90, still past 80%
+    expect(notificationSystem.showWarning).toHaveBeenCalledTimes(1);
+    expect(notificationSystem.showWarning.mock.calls[0][0]).toMatch(/80%/);
+
+    record(2000); // $1.05
+    record(100);
+    expect(notificationSystem.showWarning).toHaveBeenCalledTimes(2);
+    expect(notificationSystem.showWarning.mock.calls[1][0]).toMatch(/^Monthly budget reached/);
+  });
+
+  test('does not warn without a budget', () => {
+    const notificationSystem = { showWarning: jest.fn() };
+    const tracker = createTracker({}, notificationSystem);
+    tracker.recordUsage({ model: 'claude-3-opus', usage: { outputTokens: 1e6 } });
+    expect(notificationSystem.showWarning).not.toHaveBeenCalled();
+  });
+
+  test('falls back to a notificationDisplay event without a NotificationSystem', () => {
+    const tracker = createTracker({ 'userPreferences.monthlyBudget': 0.01 });
+    tracker.recordUsage({ model: 'claude-3-opus', usage: { outputTokens: 1000 } });
+    expect(tracker.eventEmitter.emit).toHaveBeenCalledWith('notificationDisplay', expect.objectContaining({ type: 'warning' }));
+  });
+});
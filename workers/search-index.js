@@ -0,0 +1,335 @@
+/**
+ * Parkland AI - Opus Magnum Edition
+ * Search Index Worker (workers/search-index.js)
+ *
+ * Keeps a full-text index of every stored chat off the main thread, so past
+ * chats can be searched as quickly as the open one. The index is inverted
+ * (term → the messages containing it) and is updated one session at a time
+ * as chats are saved. Each indexed session is also kept in this worker's own
+ * IndexedDB database, so the index survives reloads and only chats that
+ * changed since are read again.
+ *
+ * Messages from the main thread ({ type, payload }):
+ * - SYNC { sessions: [{ id, lastUpdated }] } → SYNC_NEEDED { sessionIds } (sessions missing or out of date)
+ * - INDEX_SESSION { session: { id, lastUpdated, messages } } → SESSION_INDEXED { sessionId }
+ * - REMOVE_SESSION { sessionId }
+ * - SEARCH { requestId, query, filters, limit } → SEARCH_RESULTS { requestId, results, total }
+ * - CLEAR → CLEARED
+ */
+
+const INDEX_DB_NAME = 'parklandAISearch';
+const INDEX_DB_VERSION = 1;
+const INDEX_STORE = 'sessions';
+
+// Letters and digits of any script; everything else separates terms
+const TERM_SEPARATOR = /[^\p{L}\p{N}]+/u;
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 40;
+
+/**
+ * Lower-cased terms without accents, so "Café" and "cafe" match.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+    if (!text) return [];
+    return String(text).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .split(TERM_SEPARATOR)
+        .filter(term => term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH);
+}
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map();    // Term → Map(doc key → occurrences)
+        this.docs = new Map();        // Doc key ("sessionId\u0000messageId") → message record
+        this.sessionDocs = new Map(); // Session ID → doc keys
+        this.sessionVersions = new Map(); // Session ID → lastUpdated of the indexed copy
+        this.snippetRadius = 50;
+    }
+
+    /**
+     * Replaces everything indexed for a session with its current messages.
+     * @param {{id: string, lastUpdated: number, messages: Array<Object>}} session - Messages are
+     * { id, role, content, character, timestamp, hasAttachments, isError }.
+     * @returns {Object} The record to persist: { sessionId, lastUpdated, messages }.
+     */
+    indexSession(session) {
+        this.removeSession(session.id);
+        const keys = new Set();
+        const messages = (session.messages || []).filter(message => message && message.id && typeof message.content === 'string' && message.content);
+        messages.forEach(message => {
+            const key = `${session.id}\u0000${message.id}`;
+            const doc = {
+                sessionId: session.id,
+                messageId: message.id,
+                role: message.role,
+                content: message.content,
+                character: message.character || null,
+                timestamp: message.timestamp || session.lastUpdated || 0,
+                hasAttachments: !!message.hasAttachments,
+                isError: !!message.isError,
+                length: message.content.length
+            };
+            const terms = tokenize(message.content);
+            doc.termCount = terms.length;
+            this.docs.set(key, doc);
+            keys.add(key);
+            terms.forEach(term => {
+                if (!this.postings.has(term)) this.postings.set(term, new Map());
+                const posting = this.postings.get(term);
+                posting.set(key, (posting.get(key) || 0) + 1);
+            });
+        });
+        this.sessionDocs.set(session.id, keys);
+        this.sessionVersions.set(session.id, session.lastUpdated || 0);
+        return { sessionId: session.id, lastUpdated: session.lastUpdated || 0, messages };
+    }
+
+    /**
+     * @param {string} sessionId
+     */
+    removeSession(sessionId) {
+        const keys = this.sessionDocs.get(sessionId);
+        if (!keys) return;
+        keys.forEach(key => {
+            tokenize(this.docs.get(key).content).forEach(term => {
+                const posting = this.postings.get(term);
+                if (!posting) return;
+                posting.delete(key);
+                if (posting.size === 0) this.postings.delete(term);
+            });
+            this.docs.delete(key);
+        });
+        this.sessionDocs.delete(sessionId);
+        this.sessionVersions.delete(sessionId);
+    }
+
+    /**
+     * Which of the stored sessions are missing from the index or changed since they were indexed.
+     * Indexed sessions that are no longer stored are removed.
+     * @param {Array<{id: string, lastUpdated: number}>} sessions - Every stored session.
+     * @returns {{needed: Array<string>, removed: Array<string>}}
+     */
+    sync(sessions) {
+        const current = new Set(sessions.map(session => session.id));
+        const removed = [...this.sessionVersions.keys()].filter(id => !current.has(id));
+        removed.forEach(id => this.removeSession(id));
+        const needed = sessions
+            .filter(session => this.sessionVersions.get(session.id) !== (session.lastUpdated || 0))
+            .map(session => session.id);
+        return { needed, removed };
+    }
+
+    /**
+     * Finds the messages containing every word of the query. The last word also matches as a prefix,
+     * so results appear while it is being typed. Without words, every message passing the filters is found.
+     * @param {string} query
+     * @param {Object} [filters={}] - { role, character, characters, start, end, hasAttachments,
+     * hasErrors, minLength, maxLength, sessionIds }.
+     * @param {number} [limit=200]
+     * @param {Object} [options]
+     * @param {boolean} [options.withContent=false] - Include each message's full text as content.
+     * @returns {{results: Array<Object>, total: number}} Results are { sessionId, messageId, role, character,
+     * timestamp, snippet, terms, score }, best first.
+     */
+    search(query, filters = {}, limit = 200, { withContent = false } = {}) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0 && !this._hasFilters(filters)) return { results: [], total: 0 };
+
+        let candidates = queryTerms.length === 0 ? new Map([...this.docs.keys()].map(key => [key, 1])) : null;
+        const matchedTerms = new Map(); // Doc key → index terms that matched
+        for (let i = 0; i < queryTerms.length; i++) {
+            const isLast = i === queryTerms.length - 1;
+            const terms = isLast ? this._expandPrefix(queryTerms[i]) : (this.postings.has(queryTerms[i]) ? [queryTerms[i]] : []);
+            const docsForTerm = new Map(); // Doc key → score for this query term
+            terms.forEach(term => {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + this.docs.size / posting.size);
+                const exact = term === queryTerms[i] ? 1 : 0.7; // A prefix match counts for less than the whole word
+                posting.forEach((count, key) => {
+                    docsForTerm.set(key, (docsForTerm.get(key) || 0) + count * idf * exact);
+                    if (!matchedTerms.has(key)) matchedTerms.set(key, new Set());
+                    matchedTerms.get(key).add(term);
+                });
+            });
+            if (candidates === null) {
+                candidates = docsForTerm;
+            } else {
+                const next = new Map();
+                candidates.forEach((score, key) => {
+                    if (docsForTerm.has(key)) next.set(key, score + docsForTerm.get(key));
+                });
+                candidates = next;
+            }
+            if (candidates.size === 0) break;
+        }
+
+        const results = [];
+        candidates.forEach((score, key) => {
+            const doc = this.docs.get(key);
+            if (!this._passesFilters(doc, filters)) return;
+            const terms = [...(matchedTerms.get(key) || [])];
+            results.push({
+                sessionId: doc.sessionId,
+                messageId: doc.messageId,
+                role: doc.role,
+                character: doc.character,
+                timestamp: doc.timestamp,
+                snippet: this._snippet(doc.content, terms),
+                terms,
+                score: score / Math.sqrt(1 + doc.termCount / 50), // Long messages match more often; weigh each hit less
+                ...(withContent ? { content: doc.content } : {})
+            });
+        });
+        results.sort((a, b) => b.score - a.score || b.timestamp - a.timestamp);
+        return { results: results.slice(0, limit), total: results.length };
+    }
+
+    /**
+     * Index terms starting with a query term, including the term itself.
+     * @private
+     */
+    _expandPrefix(prefix) {
+        const terms = [];
+        this.postings.forEach((posting, term) => {
+            if (term.startsWith(prefix)) terms.push(term);
+        });
+        return terms;
+    }
+
+    /**
+     * Whether the filters leave out any message.
+     * @private
+     */
+    _hasFilters(filters) {
+        return (!!filters.role && filters.role !== 'all') ||
+            (!!filters.character && filters.character !== 'all') ||
+            Array.isArray(filters.characters) || Array.isArray(filters.sessionIds) ||
+            !!filters.start || !!filters.end || !!filters.hasAttachments || !!filters.hasErrors ||
+            typeof filters.minLength === 'number' || typeof filters.maxLength === 'number';
+    }
+
+    /**
+     * @private
+     */
+    _passesFilters(doc, filters) {
+        if (filters.role && filters.role !== 'all' && doc.role !== filters.role) return false;
+        if (filters.character && filters.character !== 'all' && doc.character !== filters.character) return false;
+        if (Array.isArray(filters.characters) && !filters.characters.includes(doc.character)) return false;
+        if (filters.start && doc.timestamp < filters.start) return false;
+        if (filters.end && doc.timestamp > filters.end) return false;
+        if (filters.hasAttachments && !doc.hasAttachments) return false;
+        if (filters.hasErrors && !doc.isError) return false;
+        if (typeof filters.minLength === 'number' && doc.length < filters.minLength) return false;
+        if (typeof filters.maxLength === 'number' && doc.length > filters.maxLength) return false;
+        if (Array.isArray(filters.sessionIds) && !filters.sessionIds.includes(doc.sessionId)) return false;
+        return true;
+    }
+
+    /**
+     * The text around the first place a matched term occurs.
+     * @private
+     */
+    _snippet(content, terms) {
+        const folded = content.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+        let at = 0;
+        if (folded.length === content.length) { // Folding can change the length of the text; then the snippet starts at the top
+            const positions = terms
+                .map(term => folded.search(new RegExp(`(?<![\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'u')))
+                .filter(index => index > -1);
+            if (positions.length) at = Math.min(...positions);
+        }
+        const start = Math.max(0, at - this.snippetRadius);
+        const end = Math.min(content.length, at + this.snippetRadius * 2);
+        return `${start > 0 ? '...' : ''}${content.slice(start, end).replace(/\s+/g, ' ')}${end < content.length ? '...' : ''}`;
+    }
+}
+
+/**
+ * The worker's copy of the indexed sessions, so the index can be rebuilt on the next start.
+ * Persisting is best effort: without IndexedDB the index simply starts empty.
+ */
+const persistence = {
+    db: null,
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+        return new Promise((resolve) => {
+            const request = indexedDB.open(INDEX_DB_NAME, INDEX_DB_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(INDEX_STORE)) {
+                    request.result.createObjectStore(INDEX_STORE, { keyPath: 'sessionId' });
+                }
+            };
+            request.onsuccess = () => { this.db = request.result; resolve(this.db); };
+            request.onerror = () => resolve(null);
+        });
+    },
+
+    async run(mode, action) {
+        const db = await this.open();
+        if (!db) return null;
+        return new Promise((resolve) => {
+            const transaction = db.transaction(INDEX_STORE, mode);
+            const request = action(transaction.objectStore(INDEX_STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => resolve(null);
+            transaction.onabort = () => resolve(null);
+        });
+    },
+
+    loadAll() { return this.run('readonly', store => store.getAll()); },
+    save(record) { return this.run('readwrite', store => store.put(record)); },
+    remove(sessionId) { return this.run('readwrite', store => store.delete(sessionId)); },
+    clear() { return this.run('readwrite', store => store.clear()); }
+};
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    const index = new SearchIndex();
+    // Messages are handled in order, after the persisted index has been loaded
+    let queue = persistence.loadAll().then(records => {
+        (records || []).forEach(record => index.indexSession({ id: record.sessionId, lastUpdated: record.lastUpdated, messages: record.messages }));
+    });
+
+    const handle = async ({ type, payload = {} }) => {
+        switch (type) {
+            case 'SYNC': {
+                const { needed, removed } = index.sync(payload.sessions || []);
+                await Promise.all(removed.map(id => persistence.remove(id)));
+                self.postMessage({ type: 'SYNC_NEEDED', payload: { sessionIds: needed } });
+                break;
+            }
+            case 'INDEX_SESSION':
+                await persistence.save(index.indexSession(payload.session));
+                self.postMessage({ type: 'SESSION_INDEXED', payload: { sessionId: payload.session.id } });
+                break;
+            case 'REMOVE_SESSION':
+                index.removeSession(payload.sessionId);
+                await persistence.remove(payload.sessionId);
+                break;
+            case 'SEARCH': {
+                const { results, total } = index.search(payload.query, payload.filters, payload.limit, { withContent: !!payload.withContent });
+                self.postMessage({ type: 'SEARCH_RESULTS', payload: { requestId: payload.requestId, results, total } });
+                break;
+            }
+            case 'CLEAR':
+                index.sync([]);
+                await persistence.clear();
+                self.postMessage({ type: 'CLEARED', payload: {} });
+                break;
+            default:
+                console.warn('Search Index Worker: Unknown message type received:', type);
+        }
+    };
+
+    self.onmessage = (event) => {
+        queue = queue.then(() => handle(event.data || {})).catch(error => {
+            console.error('Search Index Worker: Error handling message:', error);
+            self.postMessage({ type: 'INDEX_ERROR', payload: { error: error.message, requestId: event.data?.payload?.requestId } });
+        });
+    };
+} else if (typeof window !== 'undefined') {
+    // Loaded as a plain script (e.g. in tests): the index runs on the main thread
+    window.SearchIndex = SearchIndex;
+}